@@ -1,17 +1,42 @@
 const express = require('express');
 const { sequelize } = require('./models');
 const bodyParser = require('body-parser');
+const config = require('./config');
 const cartRouter = require('./routes/cart');
 const categoriesRouter = require('./routes/categories');
 const productsRouter = require('./routes/products');
+const ordersRouter = require('./routes/orders');
+const exchangeRatesRouter = require('./routes/exchangeRates');
+const couponsRouter = require('./routes/coupons');
+const promotionsRouter = require('./routes/promotions');
+const taxRulesRouter = require('./routes/taxRules');
+const shippingMethodsRouter = require('./routes/shippingMethods');
+const webhooksRouter = require('./routes/webhooks');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const reportsRouter = require('./routes/reports');
+const wishlistsRouter = require('./routes/wishlists');
 
 const app = express();
 const PORT = 3000;
 
 app.use(bodyParser.json());
+// Uploaded product images and their thumbnails
+app.use(config.imageBaseUrl, express.static(config.imageDir));
 app.use('/cart', cartRouter);
 app.use('/categories', categoriesRouter);
 app.use('/products', productsRouter);
+app.use('/orders', ordersRouter);
+app.use('/exchange-rates', exchangeRatesRouter);
+app.use('/coupons', couponsRouter);
+app.use('/promotions', promotionsRouter);
+app.use('/tax-rules', taxRulesRouter);
+app.use('/shipping-methods', shippingMethodsRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/auth', authRouter);
+app.use('/users', usersRouter);
+app.use('/reports', reportsRouter);
+app.use('/wishlists', wishlistsRouter);
 
 // Remove the immediate invocation and export both app and sequelize
 module.exports = { app, sequelize };
\ No newline at end of file
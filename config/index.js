@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Application settings, overridable through environment variables
+module.exports = {
+  // ISO 4217 code of the currency all catalog prices are stored in
+  currency: process.env.STORE_CURRENCY || 'USD',
+
+  // How tax and other computed amounts are rounded to the currency's minor
+  // unit; one of the modes in utils/money.js
+  roundingMode: process.env.MONEY_ROUNDING_MODE || 'HALF_UP',
+
+  // How overlapping automatic promotions are resolved; one of the policies in
+  // utils/promotions.js
+  promotionPolicy: process.env.PROMOTION_POLICY || 'priority',
+
+  // ISO 3166 codes of the countries where prices are shown including tax,
+  // comma-separated (e.g. "GB,DE,FR")
+  taxInclusiveCountries: (process.env.TAX_INCLUSIVE_COUNTRIES || '')
+    .split(',')
+    .map(country => country.trim().toUpperCase())
+    .filter(Boolean),
+
+  // How long stock added to a cart stays reserved for it, and how often
+  // expired reservations are released
+  reservationTtlMinutes: Number(process.env.RESERVATION_TTL_MINUTES) || 15,
+  reservationSweepIntervalSeconds: Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+
+  // Where notifications are delivered; one of the transports in notifiers/.
+  // The file transport appends one JSON line per notification.
+  notifier: process.env.NOTIFIER || 'console',
+  notificationFile: process.env.NOTIFICATION_FILE || 'notifications.log',
+
+  // Who is told when a product's inventory falls below its reorder threshold
+  stockAlertRecipient: process.env.STOCK_ALERT_RECIPIENT || null,
+
+  // Webhook deliveries: how many times to try, the delay before the first
+  // retry (doubled after each failure, up to the maximum), how long to wait
+  // for a receiver and how often to look for deliveries due
+  webhookMaxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  webhookRetryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  webhookRetryMaxSeconds: Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600,
+  webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  webhookDispatchIntervalSeconds: Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 10,
+
+  // Carts nobody has changed for this long expire: signed-in users' carts
+  // after CART_EXPIRY_DAYS, guest carts sooner. Expired carts are archived
+  // (kept for the abandoned cart report) or deleted with their items, as
+  // CART_EXPIRY_ACTION says. The cleanup job runs every
+  // CART_CLEANUP_INTERVAL_MINUTES.
+  cartExpiryDays: Number(process.env.CART_EXPIRY_DAYS) || 30,
+  guestCartExpiryDays: Number(process.env.GUEST_CART_EXPIRY_DAYS) || 7,
+  cartExpiryAction: process.env.CART_EXPIRY_ACTION || 'archive',
+  cartCleanupIntervalMinutes: Number(process.env.CART_CLEANUP_INTERVAL_MINUTES) || 60,
+  // Idle time after which a cart with items counts as abandoned in reports
+  cartAbandonedAfterHours: Number(process.env.CART_ABANDONED_AFTER_HOURS) || 24,
+
+  // Product images: the directory uploads and their thumbnails are stored in,
+  // the URL path they are served under, the largest file accepted and the
+  // box, in pixels, thumbnails are scaled down to fit
+  imageDir: process.env.IMAGE_DIR || 'uploads/images',
+  imageBaseUrl: process.env.IMAGE_BASE_URL || '/images',
+  imageMaxBytes: Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+  thumbnailSize: Number(process.env.THUMBNAIL_SIZE) || 300,
+
+  // Key access and refresh tokens are signed with. Without one a random key
+  // is used, and tokens stop working when the server restarts.
+  authSecret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+  // How long access and refresh tokens are valid for
+  accessTokenTtlSeconds: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60,
+  refreshTokenTtlSeconds: Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60,
+};
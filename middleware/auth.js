@@ -0,0 +1,41 @@
+const AuthService = require('../services/authService');
+const { can } = require('../utils/permissions');
+
+// Resolves the user from the "Authorization: Bearer <access token>" header
+// into req.user, answering 401 without a valid token
+const requireAuth = async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  try {
+    const user = scheme === 'Bearer' && token ? await AuthService.authenticate(token) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// Like requireAuth for requests that send a token, but lets anonymous
+// requests through without req.user
+const optionalAuth = (req, res, next) => {
+  if (!req.get('Authorization')) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+};
+
+// Lets through signed-in users whose role grants the permission (see
+// utils/permissions.js): 401 without a valid token, 403 without the permission
+const requirePermission = (permission) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: `This requires the ${permission} permission` });
+    }
+    next();
+  }
+];
+
+module.exports = { requireAuth, optionalAuth, requirePermission };
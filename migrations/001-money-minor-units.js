@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const config = require('../config');
+const { CURRENCIES } = require('../utils/money');
+const { tableExists } = require('./helpers');
+
+// Amounts used to be FLOAT columns holding major units (19.99). They are now
+// INTEGER columns holding minor units (1999); the old columns are dropped by
+// the following sync once they are no longer part of the models.
+const COLUMNS = {
+  Products: { price: 'priceMinor' },
+  Orders: { subtotal: 'subtotalMinor', totalTax: 'totalTaxMinor', total: 'totalMinor' },
+  OrderItems: { price: 'priceMinor', itemSubtotal: 'itemSubtotalMinor', itemTax: 'itemTaxMinor' },
+};
+
+// Tables that also gain a currency column, filled with the store currency
+const CURRENCY_TABLES = ['Orders', 'OrderItems'];
+
+module.exports = {
+  name: '001-money-minor-units',
+
+  async up(queryInterface, transaction) {
+    const factor = 10 ** CURRENCIES[config.currency].exponent;
+
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      if (!(await tableExists(queryInterface, table, transaction))) {
+        continue;
+      }
+
+      const existing = await queryInterface.describeTable(table, { transaction });
+      for (const [legacyColumn, minorColumn] of Object.entries(columns)) {
+        if (!existing[legacyColumn] || existing[minorColumn]) {
+          continue;
+        }
+
+        await queryInterface.addColumn(table, minorColumn, {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        }, { transaction });
+        await queryInterface.sequelize.query(
+          `UPDATE "${table}" SET "${minorColumn}" = CAST(ROUND("${legacyColumn}" * ${factor}) AS INTEGER)`,
+          { transaction }
+        );
+      }
+
+      if (CURRENCY_TABLES.includes(table) && !existing.currency) {
+        await queryInterface.addColumn(table, 'currency', {
+          type: DataTypes.STRING(3),
+          allowNull: false,
+          defaultValue: config.currency
+        }, { transaction });
+      }
+    }
+  },
+};
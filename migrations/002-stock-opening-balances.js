@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { tableExists } = require('./helpers');
+
+// Inventory used to be a plain number with no history. Each existing product
+// gets an opening-balance adjustment so the stock movement ledger adds up to
+// its current inventory. The table is created here, rather than by sync, so
+// the balances can be written before anything else touches stock.
+module.exports = {
+  name: '002-stock-opening-balances',
+
+  async up(queryInterface, transaction) {
+    if (!(await tableExists(queryInterface, 'Products', transaction))) {
+      return;
+    }
+    const columns = await queryInterface.describeTable('Products', { transaction });
+    if (!columns.inventory) {
+      return;
+    }
+
+    if (!(await tableExists(queryInterface, 'StockMovements', transaction))) {
+      await queryInterface.createTable('StockMovements', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        type: { type: DataTypes.STRING, allowNull: false },
+        quantity: { type: DataTypes.INTEGER, allowNull: false },
+        reason: { type: DataTypes.TEXT },
+        actor: { type: DataTypes.STRING },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        // Foreign keys are added by the following sync; declaring them here
+        // would let sync's rebuild of Products clear productId
+        productId: { type: DataTypes.INTEGER },
+        orderId: { type: DataTypes.INTEGER },
+      }, { transaction });
+    }
+
+    const products = await queryInterface.sequelize.query(
+      'SELECT id, inventory FROM "Products" WHERE inventory <> 0 AND id NOT IN (SELECT productId FROM "StockMovements" WHERE productId IS NOT NULL)',
+      { type: queryInterface.sequelize.QueryTypes.SELECT, transaction }
+    );
+    if (!products.length) {
+      return;
+    }
+
+    const createdAt = new Date();
+    await queryInterface.bulkInsert('StockMovements', products.map(product => ({
+      productId: product.id,
+      type: 'adjustment',
+      quantity: product.inventory,
+      reason: 'Opening balance',
+      createdAt
+    })), { transaction });
+  },
+};
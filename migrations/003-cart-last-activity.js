@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+const { tableExists } = require('./helpers');
+
+// Carts now record when they were last used, so stale ones can be expired.
+// Existing carts start from their last update; the column is added here
+// because sync can't add a NOT NULL column to a table that has rows.
+module.exports = {
+  name: '003-cart-last-activity',
+
+  async up(queryInterface, transaction) {
+    if (!(await tableExists(queryInterface, 'Carts', transaction))) {
+      return;
+    }
+    const columns = await queryInterface.describeTable('Carts', { transaction });
+    if (columns.lastActivityAt) {
+      return;
+    }
+
+    await queryInterface.addColumn('Carts', 'lastActivityAt', { type: DataTypes.DATE }, { transaction });
+    await queryInterface.sequelize.query('UPDATE "Carts" SET lastActivityAt = updatedAt', { transaction });
+  },
+};
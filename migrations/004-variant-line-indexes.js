@@ -0,0 +1,27 @@
+const { tableExists } = require('./helpers');
+
+// Cart reservations and wishlist items used to be unique per product. With
+// product variants they are unique per product and variant, with a partial
+// index keeping lines without a variant unique per product; sync adds the
+// new indexes but leaves the old ones, which would refuse a second variant of
+// the same product.
+const OLD_INDEXES = {
+  InventoryReservations: 'inventory_reservations_cart_id_product_id',
+  WishlistItems: 'wishlist_items_wishlist_id_product_id',
+};
+
+module.exports = {
+  name: '004-variant-line-indexes',
+
+  async up(queryInterface, transaction) {
+    for (const [table, index] of Object.entries(OLD_INDEXES)) {
+      if (!(await tableExists(queryInterface, table, transaction))) {
+        continue;
+      }
+      const indexes = await queryInterface.showIndex(table, { transaction });
+      if (indexes.some(({ name }) => name === index)) {
+        await queryInterface.removeIndex(table, index, { transaction });
+      }
+    }
+  },
+};
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { tableExists } = require('./helpers');
+
+// Variant stock used to be kept outside the stock movement ledger. Movements
+// now say which variant they moved, and each existing variant gets an
+// opening-balance adjustment so its movements add up to its inventory. The
+// column is added here, rather than by sync, so the balances can be written
+// before anything else touches stock.
+module.exports = {
+  name: '005-variant-stock-ledger',
+
+  async up(queryInterface, transaction) {
+    if (!(await tableExists(queryInterface, 'StockMovements', transaction))) {
+      return;
+    }
+    const columns = await queryInterface.describeTable('StockMovements', { transaction });
+    if (!columns.variantId) {
+      await queryInterface.addColumn('StockMovements', 'variantId', { type: DataTypes.INTEGER }, { transaction });
+    }
+
+    if (!(await tableExists(queryInterface, 'ProductVariants', transaction))) {
+      return;
+    }
+    const variants = await queryInterface.sequelize.query(
+      'SELECT id, productId, inventory FROM "ProductVariants" WHERE inventory <> 0 AND id NOT IN (SELECT variantId FROM "StockMovements" WHERE variantId IS NOT NULL)',
+      { type: queryInterface.sequelize.QueryTypes.SELECT, transaction }
+    );
+    if (!variants.length) {
+      return;
+    }
+
+    const createdAt = new Date();
+    await queryInterface.bulkInsert('StockMovements', variants.map(variant => ({
+      productId: variant.productId,
+      variantId: variant.id,
+      type: 'adjustment',
+      quantity: variant.inventory,
+      reason: 'Opening balance',
+      createdAt
+    })), { transaction });
+  },
+};
@@ -0,0 +1,9 @@
+// Helpers shared by the migrations, which run against databases of any older
+// version and so can't assume a table is there
+
+const tableExists = async (queryInterface, table, transaction) => {
+  const tables = await queryInterface.showAllTables({ transaction });
+  return tables.includes(table);
+};
+
+module.exports = { tableExists };
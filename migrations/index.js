@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+
+// Data migrations for existing databases, applied in order before
+// sequelize.sync(). Tables that don't exist yet are created by sync itself,
+// so each migration only has to deal with rows written by older versions.
+const MIGRATIONS = [
+  require('./001-money-minor-units'),
+  require('./002-stock-opening-balances'),
+  require('./003-cart-last-activity'),
+  require('./004-variant-line-indexes'),
+  require('./005-variant-stock-ledger'),
+];
+
+const META_TABLE = 'Migrations';
+
+const runMigrations = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  await queryInterface.createTable(META_TABLE, {
+    name: { type: DataTypes.STRING, primaryKey: true },
+    appliedAt: { type: DataTypes.DATE, allowNull: false },
+  });
+
+  const applied = (await sequelize.query(`SELECT name FROM ${META_TABLE}`, {
+    type: sequelize.QueryTypes.SELECT
+  })).map(row => row.name);
+
+  for (const migration of MIGRATIONS) {
+    if (applied.includes(migration.name)) {
+      continue;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await migration.up(queryInterface, transaction);
+      await queryInterface.bulkInsert(META_TABLE, [{ name: migration.name, appliedAt: new Date() }], { transaction });
+    });
+  }
+};
+
+module.exports = { runMigrations, MIGRATIONS };
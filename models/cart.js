@@ -1,11 +1,83 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('./index');
+const { CURRENCIES } = require('../utils/money');
+const { normalizeAddress, validateAddress } = require('../utils/address');
+const ShippingMethod = require('./shippingMethod');
 
 const Cart = sequelize.define('Cart', {
+  // Owner of the cart; null for guest carts
   userId: {
     type: DataTypes.INTEGER,
+  },
+  // Secret a guest cart is accessed with, until it is merged into a user's cart
+  guestToken: {
+    type: DataTypes.STRING,
+  },
+  // 'merged' carts were guest carts whose items moved to a user's cart;
+  // 'archived' carts were abandoned and expired (see CartExpiryService)
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'active',
+    validate: {
+      isIn: [['active', 'checked_out', 'merged', 'archived']]
+    }
+  },
+  checkedOutAt: {
+    type: DataTypes.DATE,
+  },
+  // Last time the shopper changed the cart
+  lastActivityAt: {
+    type: DataTypes.DATE,
     allowNull: false,
+    defaultValue: DataTypes.NOW,
   },
+  archivedAt: {
+    type: DataTypes.DATE,
+  },
+  // Currency the cart is priced and checked out in; the store currency when not set
+  currency: {
+    type: DataTypes.STRING(3),
+    set(value) {
+      this.setDataValue('currency', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    },
+    validate: {
+      isIn: {
+        args: [Object.keys(CURRENCIES)],
+        msg: 'Unsupported currency'
+      }
+    }
+  },
+  // { name, line1, line2, city, region, postalCode, country }; decides which
+  // tax rules apply
+  shippingAddress: {
+    type: DataTypes.JSON,
+    set(value) {
+      this.setDataValue('shippingAddress', normalizeAddress(value));
+    },
+    validate: {
+      isAddress(value) {
+        if (value !== null && value !== undefined) {
+          validateAddress(value);
+        }
+      }
+    }
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['guestToken'] },
+    { fields: ['status', 'lastActivityAt'] }
+  ],
+  validate: {
+    hasOwner() {
+      if (this.status === 'active' && (this.userId === null || this.userId === undefined) && !this.guestToken) {
+        throw new Error('A cart needs a user or a guest token');
+      }
+    }
+  }
 });
 
+// Shipping method the shopper picked, if any
+Cart.belongsTo(ShippingMethod, { foreignKey: 'shippingMethodId' });
+
 module.exports = Cart;
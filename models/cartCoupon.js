@@ -0,0 +1,16 @@
+const { sequelize } = require('./index');
+const Cart = require('./cart');
+const Coupon = require('./coupon');
+
+// A coupon applied to a cart
+const CartCoupon = sequelize.define('CartCoupon', {}, {
+  indexes: [
+    { unique: true, fields: ['cartId', 'couponId'] }
+  ]
+});
+
+CartCoupon.belongsTo(Cart, { foreignKey: 'cartId' });
+CartCoupon.belongsTo(Coupon, { foreignKey: 'couponId' });
+Cart.hasMany(CartCoupon, { foreignKey: 'cartId' });
+
+module.exports = CartCoupon;
@@ -2,16 +2,23 @@ const { sequelize } = require('./index');
 const { DataTypes } = require('sequelize');
 const Cart = require('./cart');
 const Product = require('./product');
+const ProductVariant = require('./productVariant');
 
 const CartItem = sequelize.define('CartItem', {
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
     defaultValue: 1,
+    validate: {
+      isInt: { msg: 'quantity must be a whole number' },
+      min: { args: [1], msg: 'quantity must be at least 1' }
+    }
   },
 });
 
 CartItem.belongsTo(Cart, { foreignKey: 'cartId' });
 CartItem.belongsTo(Product, { foreignKey: 'productId' });
+// The variant of the product the line is for, if the product has variants
+CartItem.belongsTo(ProductVariant, { foreignKey: 'variantId' });
 
 module.exports = CartItem;
@@ -7,6 +7,30 @@ const Category = sequelize.define('Category', {
     allowNull: false,
     unique: true,
   },
+}, {
+  validate: {
+    // The parent must exist and must not be the category itself or one of its descendants
+    async parentIsValid() {
+      if (!this.parentId || !this.changed('parentId')) {
+        return;
+      }
+
+      let ancestorId = this.parentId;
+      while (ancestorId) {
+        if (this.id && String(ancestorId) === String(this.id)) {
+          throw new Error('A category cannot be its own ancestor');
+        }
+        const ancestor = await Category.findByPk(ancestorId);
+        if (!ancestor) {
+          throw new Error(`Parent category with id ${ancestorId} does not exist`);
+        }
+        ancestorId = ancestor.parentId;
+      }
+    }
+  }
 });
 
-module.exports = Category;
\ No newline at end of file
+Category.belongsTo(Category, { as: 'parent', foreignKey: 'parentId' });
+Category.hasMany(Category, { as: 'children', foreignKey: 'parentId' });
+
+module.exports = Category;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Category = require('./category');
+const { moneyAttribute } = require('../utils/money');
+
+// A discount code. Amounts are in the store currency and converted for carts
+// priced in another currency.
+const Coupon = sequelize.define('Coupon', {
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    // Codes are matched case-insensitively
+    set(value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    },
+    validate: {
+      notEmpty: true
+    }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['percentage', 'fixed', 'free_shipping']]
+    }
+  },
+  // Share taken off for percentage coupons, as a decimal (0.1 for 10%)
+  rate: {
+    type: DataTypes.FLOAT,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  // Amount taken off for fixed coupons
+  amountMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  amount: moneyAttribute('amountMinor'),
+  // Cart subtotal required before the coupon applies
+  minSubtotalMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  minSubtotal: moneyAttribute('minSubtotalMinor'),
+  startsAt: {
+    type: DataTypes.DATE,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+  },
+  // Number of orders the coupon can be used on; unlimited when not set
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  validate: {
+    hasDiscountValue() {
+      if (this.type === 'percentage' && (this.rate === null || this.rate === undefined)) {
+        throw new Error('Percentage coupons require a rate');
+      }
+      if (this.type === 'fixed' && (this.amountMinor === null || this.amountMinor === undefined)) {
+        throw new Error('Fixed coupons require an amount');
+      }
+    }
+  }
+});
+
+// Optional scope: the coupon only discounts products in this category or its
+// subcategories. A coupon without one discounts the whole cart, so the
+// category can't be deleted while coupons are scoped to it.
+Coupon.belongsTo(Category, { foreignKey: 'categoryId', onDelete: 'RESTRICT' });
+
+module.exports = Coupon;
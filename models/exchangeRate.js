@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const config = require('../config');
+const { CURRENCIES, ROUNDING_MODES } = require('../utils/money');
+
+// Conversion rate from the store currency to another currency: how many units
+// of `currency` one unit of the store currency buys
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    unique: true,
+    validate: {
+      isSupported(value) {
+        if (!CURRENCIES[value]) {
+          throw new Error(`Unsupported currency: ${value}`);
+        }
+        if (value === config.currency) {
+          throw new Error(`${value} is the store currency`);
+        }
+      }
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    get() {
+      const rate = this.getDataValue('rate');
+      return rate === null || rate === undefined ? rate : String(rate);
+    },
+    validate: {
+      isPositive(value) {
+        if (!(Number(value) > 0)) {
+          throw new Error('Exchange rate must be a number greater than 0');
+        }
+      }
+    }
+  },
+  // Rounding used for converted amounts; the store-wide mode when not set
+  roundingMode: {
+    type: DataTypes.STRING,
+    validate: {
+      isIn: [ROUNDING_MODES]
+    }
+  },
+});
+
+module.exports = ExchangeRate;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Cart = require('./cart');
+const Product = require('./product');
+const ProductVariant = require('./productVariant');
+
+// Stock held for a cart until it is checked out, the item is removed or the
+// reservation expires
+const InventoryReservation = sequelize.define('InventoryReservation', {
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['cartId', 'productId', 'variantId'] },
+    // SQLite treats NULLs as distinct, so the index above doesn't cover
+    // reservations of products without variants
+    {
+      name: 'inventory_reservations_cart_id_product_id_without_variant',
+      unique: true,
+      fields: ['cartId', 'productId'],
+      where: { variantId: null }
+    },
+    { fields: ['productId', 'expiresAt'] },
+    { fields: ['variantId', 'expiresAt'] }
+  ]
+});
+
+InventoryReservation.belongsTo(Cart, { foreignKey: 'cartId' });
+InventoryReservation.belongsTo(Product, { foreignKey: 'productId' });
+// Set when the stock held is a variant's
+InventoryReservation.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+
+module.exports = InventoryReservation;
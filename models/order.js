@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Cart = require('./cart');
+const ShippingMethod = require('./shippingMethod');
+const config = require('../config');
+const { moneyAttribute, fromMinor } = require('../utils/money');
+
+const currencyOf = order => order.currency;
+
+const Order = sequelize.define('Order', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded']]
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: config.currency,
+  },
+  // Rate used to convert store prices into the order currency, if it differs
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8),
+    get() {
+      const rate = this.getDataValue('exchangeRate');
+      return rate === null || rate === undefined ? rate : String(rate);
+    }
+  },
+  shippingAddress: {
+    type: DataTypes.JSON,
+  },
+  // Name of the shipping method at checkout, kept if the method is deleted
+  shippingMethodName: {
+    type: DataTypes.STRING,
+  },
+  // Amounts in minor units of the order currency
+  subtotalMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  discountMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // Shipping charged, before tax
+  shippingMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  totalTaxMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  totalMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Tax per jurisdiction: [{ taxRuleId, name, country, region, postalPrefix,
+  // rate, taxableMinor, taxMinor }], read back with the amounts as decimals too
+  taxBreakdown: {
+    type: DataTypes.JSON,
+    get() {
+      const breakdown = this.getDataValue('taxBreakdown');
+      if (!Array.isArray(breakdown)) {
+        return breakdown;
+      }
+      return breakdown.map(jurisdiction => ({
+        ...jurisdiction,
+        taxable: fromMinor(jurisdiction.taxableMinor, this.currency),
+        tax: fromMinor(jurisdiction.taxMinor, this.currency)
+      }));
+    }
+  },
+  subtotal: moneyAttribute('subtotalMinor', currencyOf),
+  discount: moneyAttribute('discountMinor', currencyOf),
+  shipping: moneyAttribute('shippingMinor', currencyOf),
+  totalTax: moneyAttribute('totalTaxMinor', currencyOf),
+  total: moneyAttribute('totalMinor', currencyOf),
+});
+
+Order.belongsTo(Cart, { foreignKey: 'cartId' });
+Order.belongsTo(ShippingMethod, { foreignKey: 'shippingMethodId' });
+
+module.exports = Order;
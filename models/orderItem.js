@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Order = require('./order');
+const Product = require('./product');
+const ProductVariant = require('./productVariant');
+const config = require('../config');
+const { moneyAttribute } = require('../utils/money');
+
+const currencyOf = item => item.currency;
+
+// Snapshot of a cart line at checkout time, so later product edits
+// don't change what the customer was charged.
+const OrderItem = sequelize.define('OrderItem', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // SKU and option values of the variant bought, for products with variants
+  sku: {
+    type: DataTypes.STRING,
+  },
+  options: {
+    type: DataTypes.JSON,
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: config.currency,
+  },
+  // Amounts in minor units of the item currency
+  priceMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Combined rate of the tax rules the item was taxed with
+  taxRate: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  itemSubtotalMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  itemDiscountMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  itemTaxMinor: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  price: moneyAttribute('priceMinor', currencyOf),
+  itemSubtotal: moneyAttribute('itemSubtotalMinor', currencyOf),
+  itemDiscount: moneyAttribute('itemDiscountMinor', currencyOf),
+  itemTax: moneyAttribute('itemTaxMinor', currencyOf),
+});
+
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+Order.hasMany(OrderItem, { foreignKey: 'orderId' });
+
+module.exports = OrderItem;
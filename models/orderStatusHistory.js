@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Order = require('./order');
+
+// One row per status change of an order: who changed it, when, and why
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  fromStatus: {
+    type: DataTypes.STRING,
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  actor: {
+    type: DataTypes.STRING,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+  },
+}, {
+  updatedAt: false,
+});
+
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory' });
+
+module.exports = OrderStatusHistory;
@@ -1,19 +1,59 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('./index');
 const Category = require('./category');
+const config = require('../config');
+const { moneyAttribute } = require('../utils/money');
+const { DEFAULT_TAX_CLASS } = require('../utils/tax');
 
 const Product = sequelize.define('Product', {
   name: {
     type: DataTypes.STRING,
     allowNull: false,
   },
-  price: {
-    type: DataTypes.FLOAT,
+  // Price in minor units of the store currency (cents for USD)
+  priceMinor: {
+    type: DataTypes.INTEGER,
     allowNull: false,
+    validate: {
+      notNull: { msg: 'Product.price cannot be null' },
+      min: 0
+    }
+  },
+  price: moneyAttribute('priceMinor'),
+  currency: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return config.currency;
+    }
   },
   description: {
     type: DataTypes.TEXT,
   },
+  // Shipping weight and package dimensions, used to quote weight-based shipping
+  weightGrams: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  lengthMm: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  widthMm: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  heightMm: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
   inventory: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -22,6 +62,23 @@ const Product = sequelize.define('Product', {
       min: 0
     }
   },
+  // A low-stock notification is sent when inventory falls below this
+  reorderThreshold: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  // Tax rules for this class apply to the product, depending on where it ships
+  taxClass: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: DEFAULT_TAX_CLASS,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Only used where no tax rule for the product's class applies
   taxRate: {
     type: DataTypes.FLOAT,
     allowNull: false,
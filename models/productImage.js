@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Product = require('./product');
+const config = require('../config');
+
+// URL an image file stored in config.imageDir is served under
+const imageUrl = filename => `${config.imageBaseUrl}/${filename}`;
+
+// A picture of a product, stored on disk with a thumbnail. Images are shown
+// in position order, the first one being the product's main image.
+const ProductImage = sequelize.define('ProductImage', {
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  thumbnailFilename: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  contentType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Size of the original image, in pixels and bytes
+  width: {
+    type: DataTypes.INTEGER,
+  },
+  height: {
+    type: DataTypes.INTEGER,
+  },
+  size: {
+    type: DataTypes.INTEGER,
+  },
+  // Description of the image for screen readers
+  altText: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: '',
+    set(value) {
+      this.setDataValue('altText', typeof value === 'string' ? value.trim() : value);
+    },
+    validate: {
+      len: { args: [0, 255], msg: 'altText must be at most 255 characters' }
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return imageUrl(this.getDataValue('filename'));
+    }
+  },
+  thumbnailUrl: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return imageUrl(this.getDataValue('thumbnailFilename'));
+    }
+  },
+}, {
+  indexes: [
+    { fields: ['productId', 'position'] }
+  ]
+});
+
+ProductImage.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
+Product.hasMany(ProductImage, { foreignKey: 'productId', as: 'images', onDelete: 'CASCADE' });
+
+module.exports = ProductImage;
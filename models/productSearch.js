@@ -0,0 +1,50 @@
+const { sequelize } = require('./index');
+require('./product');
+
+// Full-text index over Product name and description. It is an FTS5 external
+// content table: it stores only the index and reads rows from Products, and
+// the triggers below keep it in sync with every insert, update and delete,
+// including bulk writes that skip Sequelize hooks.
+const TABLE = 'ProductSearch';
+const VOCAB_TABLE = 'ProductSearchVocab';
+
+const statements = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ${TABLE} USING fts5(
+    name, description,
+    content='Products', content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+  )`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ${VOCAB_TABLE} USING fts5vocab(${TABLE}, 'row')`,
+  `CREATE TRIGGER IF NOT EXISTS ${TABLE}_ai AFTER INSERT ON Products BEGIN
+    INSERT INTO ${TABLE}(rowid, name, description) VALUES (new.id, new.name, new.description);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS ${TABLE}_ad AFTER DELETE ON Products BEGIN
+    INSERT INTO ${TABLE}(${TABLE}, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS ${TABLE}_au AFTER UPDATE ON Products BEGIN
+    INSERT INTO ${TABLE}(${TABLE}, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+    INSERT INTO ${TABLE}(rowid, name, description) VALUES (new.id, new.name, new.description);
+  END`,
+  // Products may have been recreated by sync, so reindex from scratch
+  `INSERT INTO ${TABLE}(${TABLE}) VALUES ('rebuild')`
+];
+
+const createProductSearchIndex = async () => {
+  for (const statement of statements) {
+    await sequelize.query(statement);
+  }
+};
+
+// sync({ alter: true }) rebuilds tables by copying and dropping them, which
+// fails with SQLITE_LOCKED while the triggers are attached, so they are
+// removed for the duration of the sync and recreated afterwards
+const dropProductSearchTriggers = async () => {
+  for (const suffix of ['ai', 'ad', 'au']) {
+    await sequelize.query(`DROP TRIGGER IF EXISTS ${TABLE}_${suffix}`);
+  }
+};
+
+sequelize.addHook('beforeBulkSync', dropProductSearchTriggers);
+sequelize.addHook('afterBulkSync', createProductSearchIndex);
+
+module.exports = { TABLE, VOCAB_TABLE, createProductSearchIndex };
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Product = require('./product');
+const config = require('../config');
+const { moneyAttribute } = require('../utils/money');
+
+// A purchasable version of a product, such as a T-shirt in one size and
+// colour. Variants have their own stock and may override the product price.
+const ProductVariant = sequelize.define('ProductVariant', {
+  sku: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('sku', typeof value === 'string' ? value.trim() : value);
+    },
+    validate: {
+      notEmpty: { msg: 'sku is required' }
+    }
+  },
+  // What sets the variant apart, e.g. { "size": "M", "colour": "Black" }
+  options: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    validate: {
+      isOptions(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error('options must be an object');
+        }
+        if (Object.values(value).some(option => typeof option !== 'string' || !option.trim())) {
+          throw new Error('option values must be non-empty strings');
+        }
+      }
+    }
+  },
+  // Price in minor units of the store currency; the product price when null
+  priceMinor: {
+    type: DataTypes.INTEGER,
+    defaultValue: null,
+    validate: {
+      min: 0
+    }
+  },
+  price: moneyAttribute('priceMinor'),
+  currency: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return config.currency;
+    }
+  },
+  inventory: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['sku'] },
+    { fields: ['productId'] }
+  ]
+});
+
+// Variants go when their product is deleted
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants', onDelete: 'CASCADE' });
+
+module.exports = ProductVariant;
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Category = require('./category');
+const Product = require('./product');
+const { moneyAttribute } = require('../utils/money');
+
+// A discount applied automatically to carts whose contents match it. Amounts
+// are in the store currency and converted for carts priced in another currency.
+const Promotion = sequelize.define('Promotion', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['buy_x_get_y', 'quantity_tier', 'spend_threshold']]
+    }
+  },
+  // Promotions with a higher priority are evaluated first
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // Whether the promotion combines with other promotions on the same item
+  stackable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+  },
+  // buy_x_get_y: out of every buyQuantity + getQuantity units, getQuantity are discounted
+  buyQuantity: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  getQuantity: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  // Share taken off as a decimal (0.1 for 10%). For buy_x_get_y it applies to
+  // the discounted units and defaults to 1 (free)
+  rate: {
+    type: DataTypes.FLOAT,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  // spend_threshold: amount taken off instead of a rate
+  amountMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  amount: moneyAttribute('amountMinor'),
+  // spend_threshold: what the items in scope must add up to
+  minSubtotalMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  minSubtotal: moneyAttribute('minSubtotalMinor'),
+  // quantity_tier: [{ minQuantity, rate }], the highest tier reached applies
+  tiers: {
+    type: DataTypes.JSON,
+    validate: {
+      isValidTiers(tiers) {
+        if (tiers === null || tiers === undefined) {
+          return;
+        }
+        const valid = Array.isArray(tiers) && tiers.length && tiers.every(tier =>
+          Number.isInteger(tier.minQuantity) && tier.minQuantity >= 1 &&
+          typeof tier.rate === 'number' && tier.rate >= 0 && tier.rate <= 1
+        );
+        if (!valid) {
+          throw new Error('tiers must be a list of { minQuantity, rate } with a positive whole minQuantity and a rate between 0 and 1');
+        }
+      }
+    }
+  },
+}, {
+  validate: {
+    hasRuleSettings() {
+      const missing = {
+        buy_x_get_y: ['buyQuantity', 'getQuantity'],
+        quantity_tier: ['tiers'],
+        spend_threshold: ['minSubtotalMinor'],
+      }[this.type] || [];
+
+      const unset = missing.filter(field => this[field] === null || this[field] === undefined);
+      if (unset.length) {
+        throw new Error(`${this.type} promotions require ${unset.map(field => field.replace(/Minor$/, '')).join(', ')}`);
+      }
+
+      if (this.type === 'spend_threshold' && (this.rate === null || this.rate === undefined) &&
+        (this.amountMinor === null || this.amountMinor === undefined)) {
+        throw new Error('spend_threshold promotions require a rate or an amount');
+      }
+    }
+  }
+});
+
+// Optional scope: one product, or a category and its subcategories. Without
+// a scope a promotion covers the whole store, so the scope is never cleared:
+// promotions go with their product, and categories they are scoped to can't
+// be deleted.
+Promotion.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
+Promotion.belongsTo(Category, { foreignKey: 'categoryId', onDelete: 'RESTRICT' });
+
+module.exports = Promotion;
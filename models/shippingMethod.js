@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const { moneyAttribute, toMinor, fromMinor } = require('../utils/money');
+
+// A way of shipping carts. Amounts are in the store currency and converted for
+// carts priced in another currency.
+const ShippingMethod = sequelize.define('ShippingMethod', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // flat: the same amount for any cart; weight: the amount of the lightest
+  // tier the cart's weight fits in
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['flat', 'weight']]
+    }
+  },
+  // flat: amount charged
+  amountMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  amount: moneyAttribute('amountMinor'),
+  // weight: [{ maxWeightGrams, amount }], read back with amountMinor too
+  tiers: {
+    type: DataTypes.JSON,
+    get() {
+      const tiers = this.getDataValue('tiers');
+      if (!Array.isArray(tiers)) {
+        return tiers;
+      }
+      return tiers.map(tier => ({ ...tier, amount: fromMinor(tier.amountMinor) }));
+    },
+    set(tiers) {
+      this.setDataValue('tiers', Array.isArray(tiers)
+        ? tiers.map(({ maxWeightGrams, amount, amountMinor }) => ({
+          maxWeightGrams,
+          amountMinor: amountMinor === undefined && amount !== undefined ? toMinor(amount) : amountMinor
+        }))
+        : tiers);
+    },
+    validate: {
+      isValidTiers(tiers) {
+        if (tiers === null || tiers === undefined) {
+          return;
+        }
+        const valid = Array.isArray(tiers) && tiers.length && tiers.every(tier =>
+          Number.isInteger(tier.maxWeightGrams) && tier.maxWeightGrams > 0 &&
+          Number.isInteger(tier.amountMinor) && tier.amountMinor >= 0
+        );
+        if (!valid) {
+          throw new Error('tiers must be a list of { maxWeightGrams, amount } with a positive whole maxWeightGrams');
+        }
+      }
+    }
+  },
+  // Shipping is free when the goods cost at least this much after discounts
+  freeAboveMinor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  freeAbove: moneyAttribute('freeAboveMinor'),
+  // Charge the volumetric weight (volume in cm³ / divisor, in kg) when it is
+  // higher than the actual weight, e.g. 5000
+  volumetricDivisor: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  // ISO 3166 codes of the countries served; all when not set
+  countries: {
+    type: DataTypes.JSON,
+    set(countries) {
+      this.setDataValue('countries', Array.isArray(countries)
+        ? countries.map(country => (typeof country === 'string' ? country.trim().toUpperCase() : country))
+        : countries);
+    },
+    validate: {
+      isCountryList(countries) {
+        if (countries === null || countries === undefined) {
+          return;
+        }
+        if (!Array.isArray(countries) || !countries.every(country => /^[A-Z]{2}$/.test(country))) {
+          throw new Error('countries must be a list of two-letter ISO 3166 codes');
+        }
+      }
+    }
+  },
+  // Tax rules for this class apply to the shipping charge
+  taxClass: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'shipping',
+    validate: {
+      notEmpty: true
+    }
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  validate: {
+    hasPricing() {
+      if (this.type === 'flat' && (this.amountMinor === null || this.amountMinor === undefined)) {
+        throw new Error('Flat shipping methods require an amount');
+      }
+      if (this.type === 'weight' && !this.tiers) {
+        throw new Error('Weight shipping methods require tiers');
+      }
+    }
+  }
+});
+
+module.exports = ShippingMethod;
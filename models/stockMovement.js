@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Product = require('./product');
+const ProductVariant = require('./productVariant');
+const Order = require('./order');
+
+// Append-only ledger of stock changes. A product's inventory is the sum of
+// the quantities of its movements without a variant, and a variant's the sum
+// of those of its own: receipts and returns add stock, sales take it away and
+// adjustments go either way.
+const StockMovement = sequelize.define('StockMovement', {
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['receipt', 'sale', 'return', 'adjustment']]
+    }
+  },
+  // Signed change in units
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: true,
+      notZero(value) {
+        if (Number(value) === 0) {
+          throw new Error('quantity must not be zero');
+        }
+      }
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+  },
+  actor: {
+    type: DataTypes.STRING,
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['productId', 'id'] },
+    { fields: ['variantId'] }
+  ],
+  hooks: {
+    // Mistakes are corrected with a new adjustment, never by editing history
+    beforeUpdate() {
+      throw new Error('Stock movements cannot be changed');
+    },
+    beforeDestroy() {
+      throw new Error('Stock movements cannot be deleted');
+    },
+    beforeBulkUpdate() {
+      throw new Error('Stock movements cannot be changed');
+    },
+    beforeBulkDestroy() {
+      throw new Error('Stock movements cannot be deleted');
+    },
+  }
+});
+
+StockMovement.belongsTo(Product, { foreignKey: 'productId' });
+// Set for movements of a variant's stock. Without a constraint the movements
+// keep the id once the variant is deleted, and stay out of the product's
+// own count.
+StockMovement.belongsTo(ProductVariant, { foreignKey: 'variantId', constraints: false });
+// Set for sales and for returns of cancelled orders
+StockMovement.belongsTo(Order, { foreignKey: 'orderId' });
+
+module.exports = StockMovement;
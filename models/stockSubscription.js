@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Product = require('./product');
+
+// A shopper waiting to hear that an out-of-stock product is available again
+const StockSubscription = sequelize.define('StockSubscription', {
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() : value);
+    },
+    validate: {
+      isEmail: { msg: 'email must be a valid email address' }
+    }
+  },
+  // Set once the shopper has been told; they have to subscribe again to hear
+  // about the next restock
+  notifiedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [
+    { fields: ['productId', 'notifiedAt'] }
+  ]
+});
+
+StockSubscription.belongsTo(Product, { foreignKey: 'productId' });
+
+module.exports = StockSubscription;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const { DEFAULT_TAX_CLASS, normalizePostalCode } = require('../utils/tax');
+
+const upperCase = (field) => function (value) {
+  this.setDataValue(field, typeof value === 'string' ? value.trim().toUpperCase() || null : value);
+};
+
+// A tax charged on products of a tax class shipped to a jurisdiction: a
+// country, a region of it (state, province, ...) or the postal codes starting
+// with a prefix. Every rule covering an address applies.
+const TaxRule = sequelize.define('TaxRule', {
+  // Shown in the cart's tax breakdown, e.g. "California state tax"
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  taxClass: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: DEFAULT_TAX_CLASS,
+  },
+  // ISO 3166 alpha-2 code
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    set: upperCase('country'),
+    validate: {
+      is: {
+        args: /^[A-Z]{2}$/,
+        msg: 'country must be a two-letter ISO 3166 code'
+      }
+    }
+  },
+  region: {
+    type: DataTypes.STRING,
+    set: upperCase('region'),
+  },
+  postalPrefix: {
+    type: DataTypes.STRING,
+    set(value) {
+      this.setDataValue('postalPrefix', normalizePostalCode(value) || null);
+    }
+  },
+  // Represents tax rate as decimal (e.g., 0.1 for 10%)
+  rate: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+}, {
+  indexes: [
+    { fields: ['country'] }
+  ]
+});
+
+module.exports = TaxRule;
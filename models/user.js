@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const { ROLES } = require('../utils/permissions');
+
+// A shopper account. Carts and orders refer to it by userId.
+const User = sequelize.define('User', {
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    // Emails are matched case-insensitively
+    set(value) {
+      this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() : value);
+    },
+    validate: {
+      isEmail: { msg: 'email must be a valid email address' }
+    }
+  },
+  // See utils/auth.js. Never returned by the API.
+  passwordHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Decides what the user may do besides shopping; see utils/permissions.js
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'customer',
+    validate: {
+      isIn: {
+        args: [ROLES],
+        msg: `role must be one of: ${ROLES.join(', ')}`
+      }
+    }
+  },
+});
+
+User.prototype.toJSON = function () {
+  const values = this.get({ plain: true });
+  delete values.passwordHash;
+  return values;
+};
+
+module.exports = User;
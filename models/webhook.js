@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const { isEventFilter } = require('../utils/webhooks');
+
+// An endpoint that is sent the events it subscribes to
+const Webhook = sequelize.define('Webhook', {
+  url: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isHttpUrl(url) {
+        let parsed;
+        try {
+          parsed = new URL(url);
+        } catch {
+          parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+          throw new Error('url must be an http or https URL');
+        }
+      }
+    }
+  },
+  // Shared secret deliveries are signed with. Never returned by the API.
+  secret: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: {
+        args: [16, 255],
+        msg: 'secret must be at least 16 characters long'
+      }
+    }
+  },
+  // Event types to send, e.g. ["product.created", "cart.*"]; "*" for all
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ['*'],
+    validate: {
+      isEventList(events) {
+        if (!Array.isArray(events) || !events.length || !events.every(isEventFilter)) {
+          throw new Error('events must be a non-empty list of event types');
+        }
+      }
+    }
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+});
+
+Webhook.prototype.toJSON = function () {
+  const values = this.get({ plain: true });
+  delete values.secret;
+  return values;
+};
+
+module.exports = Webhook;
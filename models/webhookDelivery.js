@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Webhook = require('./webhook');
+
+// One event to send to one webhook. Deliveries are written in the same
+// transaction as the change they report and sent afterwards, so an event is
+// never sent for a change that was rolled back nor lost if sending fails.
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  // Same for every webhook the event is sent to, so receivers can deduplicate
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // pending until sent; dead once every attempt has failed
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'delivered', 'dead']]
+    }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  // HTTP status and error of the last failed attempt
+  lastStatusCode: {
+    type: DataTypes.INTEGER,
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] }
+  ]
+});
+
+WebhookDelivery.belongsTo(Webhook, { foreignKey: 'webhookId', onDelete: 'CASCADE' });
+Webhook.hasMany(WebhookDelivery, { foreignKey: 'webhookId', onDelete: 'CASCADE' });
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+
+// A named list of products a user wants to buy later, without holding stock
+const Wishlist = sequelize.define('Wishlist', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('name', typeof value === 'string' ? value.trim() : value);
+    },
+    validate: {
+      notEmpty: { msg: 'name is required' }
+    }
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['userId', 'name'] }
+  ]
+});
+
+module.exports = Wishlist;
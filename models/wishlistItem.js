@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./index');
+const Wishlist = require('./wishlist');
+const Product = require('./product');
+const ProductVariant = require('./productVariant');
+
+const WishlistItem = sequelize.define('WishlistItem', {
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      isInt: { msg: 'quantity must be a whole number' },
+      min: { args: [1], msg: 'quantity must be at least 1' }
+    }
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['wishlistId', 'productId', 'variantId'] },
+    // SQLite treats NULLs as distinct, so the index above doesn't cover items
+    // without a variant
+    {
+      name: 'wishlist_items_wishlist_id_product_id_without_variant',
+      unique: true,
+      fields: ['wishlistId', 'productId'],
+      where: { variantId: null }
+    }
+  ]
+});
+
+WishlistItem.belongsTo(Wishlist, { foreignKey: 'wishlistId' });
+WishlistItem.belongsTo(Product, { foreignKey: 'productId' });
+WishlistItem.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+Wishlist.hasMany(WishlistItem, { foreignKey: 'wishlistId', as: 'items' });
+
+module.exports = WishlistItem;
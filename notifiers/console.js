@@ -0,0 +1,8 @@
+// Prints notifications to the console, for local development
+const createConsoleNotifier = () => ({
+  async send({ type, to, subject, text }) {
+    console.log(`[notification] ${type} to ${to || '(no recipient)'}: ${subject}\n${text}`);
+  }
+});
+
+module.exports = createConsoleNotifier;
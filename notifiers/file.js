@@ -0,0 +1,12 @@
+const fs = require('fs/promises');
+
+// Appends each notification to a file as a line of JSON, so local setups can
+// see what would have been sent
+const createFileNotifier = ({ path }) => ({
+  async send(notification) {
+    const line = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+    await fs.appendFile(path, `${line}\n`);
+  }
+});
+
+module.exports = createFileNotifier;
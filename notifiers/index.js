@@ -0,0 +1,17 @@
+// Notification transports. A notifier is any object with an async
+// send({ type, to, subject, text, data }) method; other transports (email,
+// SMS, ...) can be added here or plugged in with NotificationService.setNotifier.
+const TRANSPORTS = {
+  console: require('./console'),
+  file: require('./file'),
+};
+
+const createNotifier = (name, options = {}) => {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown notifier: ${name}. Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return transport(options);
+};
+
+module.exports = { createNotifier, TRANSPORTS };
@@ -0,0 +1,44 @@
+const express = require('express');
+const AuthService = require('../services/authService');
+const router = express.Router();
+
+// Create an account
+router.post('/register', async (req, res) => {
+  try {
+    const session = await AuthService.register(req.body);
+    res.status(201).json(session);
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Sign in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const session = await AuthService.login(req.body);
+    res.json(session);
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      return res.status(401).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get new tokens with a refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await AuthService.refresh(req.body.refreshToken);
+    res.json(session);
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      return res.status(401).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,79 @@
 const express = require('express');
 const CartService = require('../services/cartService');
+const WishlistService = require('../services/wishlistService');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { tokensMatch } = require('../utils/auth');
 const router = express.Router();
 
-// Create a new cart for a user
-router.post('/:userId', async (req, res) => {
+// Carts belong to the signed-in user, or to a guest who holds the cart's token
+router.use(optionalAuth);
+
+// Loads the cart of every /:cartId route into req.cart, refusing carts that
+// belong to someone else. Guest carts are accessed with their token in the
+// X-Cart-Token header. Expired carts can still be read but no longer changed,
+// so their stock isn't held again and they stay in the abandoned cart report
+// as they were.
+router.param('cartId', async (req, res, next, cartId) => {
+  try {
+    const cart = await CartService.getCart(cartId);
+    if (!cart) {
+      return res.status(404).json({ error: `Cart with id ${cartId} does not exist` });
+    }
+
+    const guestToken = req.get('X-Cart-Token');
+    const isGuestCart = cart.userId === null || cart.userId === undefined;
+    const allowed = isGuestCart ? tokensMatch(guestToken, cart.guestToken) : Boolean(req.user) && cart.userId === req.user.id;
+    if (!allowed) {
+      if (!req.user && !guestToken) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      return res.status(403).json({ error: 'This cart belongs to another user' });
+    }
+    if (cart.status === 'archived' && req.method !== 'GET') {
+      return res.status(409).json({ error: 'Cart has expired; create a new cart' });
+    }
+    req.cart = cart;
+    next();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a new cart for the signed-in user, or a guest cart whose guestToken
+// is returned
+router.post('/', async (req, res) => {
+  try {
+    const options = { currency: req.body.currency };
+    const cart = req.user
+      ? await CartService.createCart(req.user.id, options)
+      : await CartService.createGuestCart(options);
+    res.status(201).json(cart);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Move a guest cart's items into the signed-in user's cart
+router.post('/merge', requireAuth, async (req, res) => {
+  try {
+    const { cart, adjustments } = await CartService.mergeGuestCart(req.user.id, req.body.guestToken || req.get('X-Cart-Token'));
+    res.json({ cart, adjustments });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create a new cart for a user; kept for older clients, and only allowed for
+// the signed-in user
+router.post('/:userId', requireAuth, async (req, res) => {
+  if (Number(req.params.userId) !== req.user.id) {
+    return res.status(403).json({ error: 'Carts can only be created for the signed-in user' });
+  }
   try {
-    const cart = await CartService.createCart(req.params.userId);
+    const cart = await CartService.createCart(req.user.id, { currency: req.body.currency });
     res.status(201).json(cart);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -15,8 +83,8 @@ router.post('/:userId', async (req, res) => {
 // Add an item to the cart
 router.post('/:cartId/items', async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
-    const cartItem = await CartService.addItemToCart(req.params.cartId, productId, quantity);
+    const { productId, quantity, variantId } = req.body;
+    const cartItem = await CartService.addItemToCart(req.params.cartId, productId, quantity, variantId);
     res.status(201).json(cartItem);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -26,7 +94,7 @@ router.post('/:cartId/items', async (req, res) => {
 // Get all items in a cart
 router.get('/:cartId/items', async (req, res) => {
   try {
-    const items = await CartService.getCartItems(req.params.cartId);
+    const items = await CartService.getCartItems(req.params.cartId, { currency: req.query.currency });
     res.json(items);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -37,7 +105,7 @@ router.get('/:cartId/items', async (req, res) => {
 router.put('/:cartId/items/:itemId', async (req, res) => {
   try {
     const { quantity } = req.body;
-    const cartItem = await CartService.updateCartItem(req.params.itemId, quantity);
+    const cartItem = await CartService.updateCartItem(req.params.itemId, quantity, req.params.cartId);
     res.json(cartItem);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -47,11 +115,106 @@ router.put('/:cartId/items/:itemId', async (req, res) => {
 // Remove an item from the cart
 router.delete('/:cartId/items/:itemId', async (req, res) => {
   try {
-    await CartService.removeCartItem(req.params.itemId);
+    await CartService.removeCartItem(req.params.itemId, req.params.cartId);
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Move a cart item to one of the signed-in user's wishlists, "Saved for
+// later" unless another is given
+router.post('/:cartId/items/:itemId/save-for-later', requireAuth, async (req, res) => {
+  try {
+    const item = await WishlistService.saveForLater(req.user.id, req.params.cartId, req.params.itemId, req.body.wishlistId);
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Apply a coupon code to a cart
+router.post('/:cartId/coupons', async (req, res) => {
+  try {
+    const cart = await CartService.applyCoupon(req.params.cartId, req.body.code);
+    res.status(201).json(cart);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'CouponError') {
+      return res.status(400).json({ error: error.message, reason: error.reason });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a coupon from a cart
+router.delete('/:cartId/coupons/:code', async (req, res) => {
+  try {
+    const removed = await CartService.removeCoupon(req.params.cartId, req.params.code);
+    if (!removed) {
+      return res.status(404).json({ error: `Coupon ${req.params.code} is not applied to this cart` });
+    }
     res.status(204).send();
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Set the address the cart ships to
+router.put('/:cartId/shipping-address', async (req, res) => {
+  try {
+    const cart = await CartService.setShippingAddress(req.params.cartId, req.body.shippingAddress);
+    res.json(cart);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Quote the shipping methods available for a cart
+router.get('/:cartId/shipping-options', async (req, res) => {
+  try {
+    const options = await CartService.getShippingOptions(req.params.cartId, { currency: req.query.currency });
+    res.json(options);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Pick the shipping method of a cart
+router.put('/:cartId/shipping-method', async (req, res) => {
+  try {
+    const cart = await CartService.setShippingMethod(req.params.cartId, req.body.shippingMethodId);
+    res.json(cart);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Check out a cart, turning its items into an order
+router.post('/:cartId/checkout', async (req, res) => {
+  try {
+    const order = await CartService.checkout(req.params.cartId);
+    res.status(201).json(order);
+  } catch (error) {
+    if (error.name === 'CouponError') {
+      return res.status(400).json({ error: error.message, reason: error.reason });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
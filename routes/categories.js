@@ -1,9 +1,11 @@
 const express = require('express');
 const Category = require('../models/category');
+const CategoryService = require('../services/categoryService');
+const { requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
 // Create a category
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('catalog:manage'), async (req, res) => {
   try {
     const category = await Category.create(req.body);
     res.status(201).json(category);
@@ -21,4 +23,59 @@ router.get('/', async (req, res) => {
   res.json(categories);
 });
 
+// Get all categories nested under their parents
+router.get('/tree', async (req, res) => {
+  try {
+    const tree = await CategoryService.getCategoryTree();
+    res.json(tree);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get a category with its parent and subcategories
+router.get('/:id', async (req, res) => {
+  try {
+    const category = await CategoryService.getCategoryById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: `Category with id ${req.params.id} does not exist` });
+    }
+    res.json(category);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update a category
+router.put('/:id', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const category = await CategoryService.updateCategory(req.params.id, req.body);
+    if (!category) {
+      return res.status(404).json({ error: `Category with id ${req.params.id} does not exist` });
+    }
+    res.json(category);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a category
+router.delete('/:id', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const category = await CategoryService.deleteCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: `Category with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const CouponService = require('../services/couponService');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Coupon codes are only for staff to see
+router.use(requirePermission('store:manage'));
+
+// List coupons
+router.get('/', async (req, res) => {
+  try {
+    const coupons = await CouponService.getCoupons();
+    res.json(coupons);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a coupon
+router.post('/', async (req, res) => {
+  try {
+    const coupon = await CouponService.createCoupon(req.body);
+    res.status(201).json(coupon);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a coupon
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await CouponService.deleteCoupon(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Coupon with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const CurrencyService = require('../services/currencyService');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// List the exchange rates from the store currency
+router.get('/', async (req, res) => {
+  try {
+    const rates = await CurrencyService.getRates();
+    res.json(rates);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create or replace the exchange rate of a currency
+router.put('/:currency', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const { rate, roundingMode } = req.body;
+    const exchangeRate = await CurrencyService.setRate(req.params.currency.toUpperCase(), { rate, roundingMode });
+    res.json(exchangeRate);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete the exchange rate of a currency
+router.delete('/:currency', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const deleted = await CurrencyService.deleteRate(currency);
+    if (!deleted) {
+      return res.status(404).json({ error: `No exchange rate for ${currency}` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const OrderService = require('../services/orderService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const router = express.Router();
+
+// Get the orders of the signed-in user. Staff who manage the store can ask
+// for another user's orders with ?userId=.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const userId = can(req.user, 'store:manage') && req.query.userId ? req.query.userId : req.user.id;
+    const orders = await OrderService.getOrdersByUser(userId);
+    res.json(orders);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get an order with its items and status history; only its customer and
+// staff who manage the store may see it
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const order = await OrderService.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: `Order with id ${req.params.id} does not exist` });
+    }
+    if (order.userId !== req.user.id && !can(req.user, 'store:manage')) {
+      return res.status(403).json({ error: 'This order belongs to another user' });
+    }
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move an order to a new status
+router.post('/:id/transitions', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const order = await OrderService.transition(req.params.id, status, { actor: req.user.email, reason });
+    res.json(order);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
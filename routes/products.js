@@ -1,11 +1,50 @@
 const express = require('express');
+const multer = require('multer');
+const { requirePermission } = require('../middleware/auth');
 const router = express.Router();
 const ProductService = require('../services/productService');
+const InventoryService = require('../services/inventoryService');
+const StockService = require('../services/stockService');
+const StockAlertService = require('../services/stockAlertService');
+const VariantService = require('../services/variantService');
+const ImageService = require('../services/imageService');
+const config = require('../config');
+const { buildLinkHeader } = require('../utils/pagination');
+
+// Most image files accepted in one upload
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Parses a multipart upload of up to MAX_IMAGES_PER_UPLOAD files in the
+// "images" field, keeping them in memory until ImageService has checked them
+const receiveImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.imageMaxBytes, files: MAX_IMAGES_PER_UPLOAD }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+// Sort, pagination and filter options shared by the product listings
+const listOptions = (query) => ({
+  sort: query.sort,
+  limit: query.limit,
+  offset: query.offset,
+  cursor: query.cursor,
+  minPrice: query.minPrice,
+  maxPrice: query.maxPrice,
+  inStock: query.inStock,
+  taxRate: query.taxRate,
+  name: query.name,
+  currency: query.currency
+});
+
+// Sends a page of products along with its RFC 5988 Link header
+const sendPage = (req, res, result) => {
+  res.set('Link', buildLinkHeader(req, result.page));
+  res.json(result);
+};
 
 // Create a product
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('catalog:manage'), async (req, res) => {
   try {
-    const product = await ProductService.createProduct(req.body);
+    const product = await ProductService.createProduct(req.body, { actor: req.user.email });
     res.status(201).json(product);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -15,20 +54,40 @@ router.post('/', async (req, res) => {
 // Get all products
 router.get('/', async (req, res) => {
   try {
-    const products = await ProductService.getAllProducts();
-    res.json(products);
+    const products = await ProductService.getAllProducts(listOptions(req.query));
+    sendPage(req, res, products);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get products by category
-router.get('/category/:categoryId', async (req, res) => {
+// Search products by name and description
+router.get('/search', async (req, res) => {
   try {
     const options = {
       sort: req.query.sort,
       limit: req.query.limit,
-      offset: req.query.offset
+      offset: req.query.offset,
+      currency: req.query.currency
+    };
+
+    const products = await ProductService.searchProducts(req.query.q, options);
+
+    sendPage(req, res, products);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get products by category
+router.get('/category/:categoryId', async (req, res) => {
+  try {
+    const options = {
+      ...listOptions(req.query),
+      includeDescendants: req.query.includeDescendants
     };
     
     const products = await ProductService.getProductsByCategory(
@@ -36,7 +95,7 @@ router.get('/category/:categoryId', async (req, res) => {
       options
     );
     
-    res.json(products);
+    sendPage(req, res, products);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -45,21 +104,237 @@ router.get('/category/:categoryId', async (req, res) => {
 // Get products by multiple categories
 router.get('/categories', async (req, res) => {
   try {
-    const options = {
-      sort: req.query.sort,
-      limit: req.query.limit,
-      offset: req.query.offset
-    };
+    const options = listOptions(req.query);
     
     const products = await ProductService.getProductsByCategories(
       req.query.categories,
       options
     );
     
-    res.json(products);
+    sendPage(req, res, products);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Products whose inventory doesn't match their stock movements
+router.get('/stock-consistency', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    res.json(await StockService.checkConsistency());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a product by id
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await ProductService.getProductById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: `Product with id ${req.params.id} does not exist` });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stock of a product not held by carts
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const availability = await InventoryService.getAvailability(req.params.id);
+    if (!availability) {
+      return res.status(404).json({ error: `Product with id ${req.params.id} does not exist` });
+    }
+    res.json(availability);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a receipt, return or manual adjustment of a product's stock, or of
+// one of its variants'
+router.post('/:id/stock-adjustments', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { type, quantity, reason, variantId } = req.body;
+    // Always recorded as made by the signed-in user
+    const movement = await StockService.adjustStock(req.params.id, { type, quantity, reason, variantId, actor: req.user.email });
+    res.status(201).json(movement);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Stock movements of a product, newest first
+router.get('/:id/stock-movements', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const movements = await StockService.getMovements(req.params.id, {
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    sendPage(req, res, movements);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ask to be notified when an out-of-stock product is restocked
+router.post('/:id/stock-subscriptions', async (req, res) => {
+  try {
+    const subscription = await StockAlertService.subscribe(req.params.id, req.body.email);
+    res.status(201).json(subscription);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Add a variant to a product
+router.post('/:id/variants', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const variant = await VariantService.createVariant(req.params.id, req.body);
+    res.status(201).json(variant);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a variant's SKU, options, price or stock
+router.put('/:id/variants/:variantId', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const variant = await VariantService.updateVariant(req.params.id, req.params.variantId, req.body);
+    res.json(variant);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a variant
+router.delete('/:id/variants/:variantId', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    await VariantService.deleteVariant(req.params.id, req.params.variantId);
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload images of a product
+router.post('/:id/images', requirePermission('catalog:manage'), (req, res, next) => {
+  receiveImages(req, res, (error) => {
+    if (error) {
+      // Too large, too many files or not multipart
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const images = await ImageService.addImages(req.params.id, req.files, { altText: req.body.altText });
+    res.status(201).json(images);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change an image's alt text or position
+router.put('/:id/images/:imageId', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const image = await ImageService.updateImage(req.params.id, req.params.imageId, req.body);
+    res.json(image);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete an image and its files
+router.delete('/:id/images/:imageId', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    await ImageService.deleteImage(req.params.id, req.params.imageId);
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a product
+router.put('/:id', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const product = await ProductService.replaceProduct(req.params.id, req.body, { actor: req.user.email });
+    if (!product) {
+      return res.status(404).json({ error: `Product with id ${req.params.id} does not exist` });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update some fields of a product
+router.patch('/:id', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const product = await ProductService.updateProduct(req.params.id, req.body, { actor: req.user.email });
+    if (!product) {
+      return res.status(404).json({ error: `Product with id ${req.params.id} does not exist` });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a product
+router.delete('/:id', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const deletedCount = await ProductService.deleteProduct(req.params.id);
+    if (!deletedCount) {
+      return res.status(404).json({ error: `Product with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
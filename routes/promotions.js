@@ -0,0 +1,55 @@
+const express = require('express');
+const PromotionService = require('../services/promotionService');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// List promotions, highest priority first
+router.get('/', async (req, res) => {
+  try {
+    const promotions = await PromotionService.getPromotions();
+    res.json(promotions);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a promotion
+router.post('/', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const promotion = await PromotionService.createPromotion(req.body);
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a promotion
+router.put('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const promotion = await PromotionService.updatePromotion(req.params.id, req.body);
+    if (!promotion) {
+      return res.status(404).json({ error: `Promotion with id ${req.params.id} does not exist` });
+    }
+    res.json(promotion);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a promotion
+router.delete('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const deleted = await PromotionService.deletePromotion(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Promotion with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const CartExpiryService = require('../services/cartExpiryService');
+const { requirePermission } = require('../middleware/auth');
+const { buildLinkHeader } = require('../utils/pagination');
+const router = express.Router();
+
+router.use(requirePermission('reports:view'));
+
+// Carts shoppers left items in, with what they are worth
+router.get('/abandoned-carts', async (req, res) => {
+  try {
+    const report = await CartExpiryService.getAbandonedCarts({
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.set('Link', buildLinkHeader(req, report.page));
+    res.json(report);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const ShippingService = require('../services/shippingService');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// List shipping methods
+router.get('/', async (req, res) => {
+  try {
+    const shippingMethods = await ShippingService.getShippingMethods();
+    res.json(shippingMethods);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a shipping method
+router.post('/', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const shippingMethod = await ShippingService.createShippingMethod(req.body);
+    res.status(201).json(shippingMethod);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a shipping method
+router.put('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const shippingMethod = await ShippingService.updateShippingMethod(req.params.id, req.body);
+    if (!shippingMethod) {
+      return res.status(404).json({ error: `Shipping method with id ${req.params.id} does not exist` });
+    }
+    res.json(shippingMethod);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError' || error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a shipping method
+router.delete('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const deleted = await ShippingService.deleteShippingMethod(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Shipping method with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
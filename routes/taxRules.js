@@ -0,0 +1,58 @@
+const express = require('express');
+const TaxService = require('../services/taxService');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// List tax rules, optionally of one country
+router.get('/', async (req, res) => {
+  try {
+    const taxRules = await TaxService.getTaxRules({ country: req.query.country });
+    res.json(taxRules);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a tax rule
+router.post('/', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const taxRule = await TaxService.createTaxRule(req.body);
+    res.status(201).json(taxRule);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update a tax rule
+router.put('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const taxRule = await TaxService.updateTaxRule(req.params.id, req.body);
+    if (!taxRule) {
+      return res.status(404).json({ error: `Tax rule with id ${req.params.id} does not exist` });
+    }
+    res.json(taxRule);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a tax rule
+router.delete('/:id', requirePermission('store:manage'), async (req, res) => {
+  try {
+    const deleted = await TaxService.deleteTaxRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Tax rule with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
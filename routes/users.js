@@ -0,0 +1,27 @@
+const express = require('express');
+const UserService = require('../services/userService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// The signed-in user, with their role
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// Change what a user may do
+router.put('/:id/role', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await UserService.setRole(req.params.id, req.body.role);
+    if (!user) {
+      return res.status(404).json({ error: `User with id ${req.params.id} does not exist` });
+    }
+    res.json(user);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const WebhookService = require('../services/webhookService');
+const { buildLinkHeader } = require('../utils/pagination');
+const { requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Webhooks carry secrets and store data; only staff may manage them
+router.use(requirePermission('store:manage'));
+
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await WebhookService.getWebhooks();
+    res.json(webhooks);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a webhook
+router.post('/', async (req, res) => {
+  try {
+    const webhook = await WebhookService.createWebhook(req.body);
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Deliveries that failed every attempt
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deliveries = await WebhookService.getDeadLetters({
+      webhookId: req.query.webhookId,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.set('Link', buildLinkHeader(req, deliveries.page));
+    res.json(deliveries);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Queue a dead delivery again
+router.post('/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const delivery = await WebhookService.retryDelivery(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update a webhook
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await WebhookService.updateWebhook(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({ error: `Webhook with id ${req.params.id} does not exist` });
+    }
+    res.json(webhook);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a webhook
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await WebhookService.deleteWebhook(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Webhook with id ${req.params.id} does not exist` });
+    }
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
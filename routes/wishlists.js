@@ -0,0 +1,114 @@
+const express = require('express');
+const WishlistService = require('../services/wishlistService');
+const { requireAuth } = require('../middleware/auth');
+const router = express.Router();
+
+// Wishlists belong to the signed-in user
+router.use(requireAuth);
+
+// List the user's wishlists with their items
+router.get('/', async (req, res) => {
+  try {
+    const wishlists = await WishlistService.getWishlists(req.user.id);
+    res.json(wishlists);
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a named wishlist
+router.post('/', async (req, res) => {
+  try {
+    const wishlist = await WishlistService.createWishlist(req.user.id, req.body);
+    res.status(201).json(wishlist);
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get a wishlist with its items
+router.get('/:id', async (req, res) => {
+  try {
+    const wishlist = await WishlistService.getWishlist(req.user.id, req.params.id);
+    res.json(wishlist);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Rename a wishlist
+router.put('/:id', async (req, res) => {
+  try {
+    const wishlist = await WishlistService.renameWishlist(req.user.id, req.params.id, req.body);
+    res.json(wishlist);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a wishlist and its items
+router.delete('/:id', async (req, res) => {
+  try {
+    await WishlistService.deleteWishlist(req.user.id, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Add a product to a wishlist
+router.post('/:id/items', async (req, res) => {
+  try {
+    const item = await WishlistService.addItem(req.user.id, req.params.id, req.body);
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove an item from a wishlist
+router.delete('/:id/items/:itemId', async (req, res) => {
+  try {
+    await WishlistService.removeItem(req.user.id, req.params.id, req.params.itemId);
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Move a wishlist item into one of the user's carts
+router.post('/:id/items/:itemId/move-to-cart', async (req, res) => {
+  try {
+    const cartItem = await WishlistService.moveToCart(req.user.id, req.params.id, req.params.itemId, req.body.cartId);
+    res.status(201).json(cartItem);
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+    // Not enough stock, or a product that no longer exists
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Gives a registered user a role, e.g. to make the first admin:
+//   npm run set-role -- ana@example.com admin
+const { sequelize } = require('../app');
+const { runMigrations } = require('../migrations');
+const UserService = require('../services/userService');
+const { ROLES } = require('../utils/permissions');
+
+const [email, role] = process.argv.slice(2);
+
+const main = async () => {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  }
+  await runMigrations(sequelize);
+  await sequelize.sync({ alter: true });
+
+  const user = await UserService.getUserByEmail(email);
+  if (!user) {
+    throw new Error(`No user is registered with ${email}`);
+  }
+  await UserService.setRole(user.id, role);
+  console.log(`${user.email} is now ${role}`);
+};
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -1,8 +1,19 @@
 const { app, sequelize } = require('./app');
+const { runMigrations } = require('./migrations');
+const InventoryService = require('./services/inventoryService');
+const WebhookService = require('./services/webhookService');
+const CartExpiryService = require('./services/cartExpiryService');
 const PORT = process.env.PORT || 3000;
 
-sequelize.sync({ alter: true }) // or use { alter: true } for less destructive changes
+runMigrations(sequelize)
+  .then(() => sequelize.sync({ alter: true })) // or use { alter: true } for less destructive changes
   .then(() => {
+    // Releases stock held by carts whose reservations have expired
+    InventoryService.startSweeper();
+    // Sends webhook deliveries that are due, including retries
+    WebhookService.startDispatcher();
+    // Archives or deletes carts nobody has used for a while
+    CartExpiryService.startCleanupJob();
     app.listen(PORT, () => {
         console.log(`Server is running on http://localhost:${PORT}`);
       console.log('Database synced successfully');
@@ -0,0 +1,67 @@
+const User = require('../models/user');
+const { ConflictError, ValidationError, UnauthorizedError } = require('./errors');
+const { hashPassword, verifyPassword, signToken, verifyToken } = require('../utils/auth');
+const config = require('../config');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : email);
+
+// A short-lived access token for API calls and a long-lived refresh token to
+// get new ones with. `type` keeps one from being used as the other.
+const issueTokens = (user) => ({
+  user,
+  tokenType: 'Bearer',
+  accessToken: signToken({ sub: user.id, type: 'access' }, config.authSecret, config.accessTokenTtlSeconds),
+  expiresIn: config.accessTokenTtlSeconds,
+  refreshToken: signToken({ sub: user.id, type: 'refresh' }, config.authSecret, config.refreshTokenTtlSeconds),
+});
+
+// The user a token of the given type was issued to, or null
+const userFromToken = async (token, type) => {
+  const claims = verifyToken(token, config.authSecret);
+  if (!claims || claims.type !== type) {
+    return null;
+  }
+  return await User.findByPk(claims.sub);
+};
+
+class AuthService {
+  // Creates an account and signs it in
+  static async register({ email, password } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+    if (await User.findOne({ where: { email: normalizeEmail(email) } })) {
+      throw new ConflictError(`A user with email ${normalizeEmail(email)} already exists`);
+    }
+
+    const user = await User.create({ email, passwordHash: await hashPassword(password) });
+    return issueTokens(user);
+  }
+
+  static async login({ email, password } = {}) {
+    const user = await User.findOne({ where: { email: normalizeEmail(email) || null } });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+    return issueTokens(user);
+  }
+
+  // Trades a refresh token for a new pair of tokens
+  static async refresh(refreshToken) {
+    const user = await userFromToken(refreshToken, 'refresh');
+    if (!user) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+    return issueTokens(user);
+  }
+
+  // The user an access token was issued to, or null if it is invalid or
+  // expired or the user no longer exists
+  static async authenticate(accessToken) {
+    return await userFromToken(accessToken, 'access');
+  }
+}
+
+module.exports = AuthService;
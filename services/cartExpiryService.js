@@ -0,0 +1,192 @@
+const { Op, fn, literal } = require('sequelize');
+const { sequelize } = require('../models');
+const Cart = require('../models/cart');
+const CartItem = require('../models/cartItem');
+const CartCoupon = require('../models/cartCoupon');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const config = require('../config');
+const { fromMinor } = require('../utils/money');
+const { parseLimit, parseOffset } = require('../utils/pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+let cleanupJob = null;
+
+// Active carts nobody has changed since their expiry: guest carts expire
+// sooner than signed-in users' carts
+const staleWhere = (now) => ({
+  status: 'active',
+  [Op.or]: [
+    { userId: { [Op.ne]: null }, lastActivityAt: { [Op.lt]: new Date(now - config.cartExpiryDays * DAY_MS) } },
+    { userId: null, lastActivityAt: { [Op.lt]: new Date(now - config.guestCartExpiryDays * DAY_MS) } }
+  ]
+});
+
+// Price of a cart line's unit: its variant's price when the variant has one
+const unitPriceMinor = item => (item.ProductVariant && item.ProductVariant.priceMinor !== null
+  ? item.ProductVariant.priceMinor
+  : item.Product.priceMinor);
+
+// Carts with items left behind: active ones idle for longer than the
+// abandoned threshold, and expired ones that were archived
+const abandonedWhere = (now) => ({
+  [Op.or]: [
+    { status: 'active', lastActivityAt: { [Op.lt]: new Date(now - config.cartAbandonedAfterHours * HOUR_MS) } },
+    { status: 'archived' }
+  ],
+  id: { [Op.in]: literal('(SELECT DISTINCT "cartId" FROM "CartItems")') }
+});
+
+const deleteCart = async (cart, transaction) => {
+  await InventoryService.releaseCart(cart.id, transaction);
+  await CartItem.destroy({ where: { cartId: cart.id }, transaction });
+  await CartCoupon.destroy({ where: { cartId: cart.id }, transaction });
+  await cart.destroy({ transaction });
+};
+
+class CartExpiryService {
+  // Archives or deletes, as config.cartExpiryAction says, the active carts
+  // that have expired, releasing the stock they hold. Also deletes the empty
+  // carts left behind by guest carts merged before the guest cart expiry.
+  // Checked out carts are kept for their orders. Returns the number of carts
+  // archived and deleted.
+  static async expireStale(now = new Date()) {
+    const action = config.cartExpiryAction;
+    if (action !== 'archive' && action !== 'delete') {
+      throw new Error(`Unknown cart expiry action: ${action}`);
+    }
+
+    const result = { archived: 0, deleted: 0 };
+    const stale = await Cart.findAll({ where: staleWhere(now), attributes: ['id'] });
+    for (const { id } of stale) {
+      await sequelize.transaction(async (transaction) => {
+        // The shopper may have come back since the carts were listed
+        const cart = await Cart.findOne({ where: { ...staleWhere(now), id }, transaction });
+        if (!cart) {
+          return;
+        }
+
+        if (action === 'delete') {
+          await deleteCart(cart, transaction);
+          result.deleted++;
+          return;
+        }
+        await InventoryService.releaseCart(cart.id, transaction);
+        await cart.update({ status: 'archived', archivedAt: now, guestToken: null }, { transaction });
+        result.archived++;
+      });
+    }
+
+    const mergedBefore = new Date(now - config.guestCartExpiryDays * DAY_MS);
+    const merged = await Cart.findAll({ where: { status: 'merged', updatedAt: { [Op.lt]: mergedBefore } } });
+    for (const cart of merged) {
+      await sequelize.transaction(transaction => deleteCart(cart, transaction));
+      result.deleted++;
+    }
+
+    return result;
+  }
+
+  // Carts shoppers left items in, most recently active first, with what the
+  // items are worth at current prices in the store currency. Lines of
+  // products that no longer exist are left out of the value.
+  static async getAbandonedCarts(options = {}, now = new Date()) {
+    const limit = parseLimit(options.limit);
+    const offset = parseOffset(options.offset);
+    const currency = config.currency;
+
+    const { rows, count } = await Cart.findAndCountAll({
+      where: abandonedWhere(now),
+      order: [['lastActivityAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    const cartIds = rows.map(cart => cart.id);
+    const items = cartIds.length
+      ? await CartItem.findAll({ where: { cartId: cartIds }, include: [Product, ProductVariant], order: [['id', 'ASC']] })
+      : [];
+    const userIds = [...new Set(rows.map(cart => cart.userId).filter(userId => userId !== null))];
+    const users = userIds.length ? await User.findAll({ where: { id: userIds } }) : [];
+    const emails = new Map(users.map(user => [user.id, user.email]));
+
+    const data = rows.map(cart => {
+      const lines = items
+        .filter(item => item.cartId === cart.id)
+        .map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          name: item.Product ? item.Product.name : null,
+          quantity: item.quantity,
+          valueMinor: item.Product ? unitPriceMinor(item) * item.quantity : 0
+        }));
+      const valueMinor = lines.reduce((sum, line) => sum + line.valueMinor, 0);
+
+      return {
+        cartId: cart.id,
+        userId: cart.userId,
+        email: cart.userId === null ? null : emails.get(cart.userId) || null,
+        guest: cart.userId === null,
+        status: cart.status,
+        lastActivityAt: cart.lastActivityAt,
+        archivedAt: cart.archivedAt || null,
+        itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+        value: fromMinor(valueMinor, currency),
+        currency,
+        items: lines.map(({ valueMinor: lineValueMinor, ...line }) => ({
+          ...line,
+          value: fromMinor(lineValueMinor, currency)
+        }))
+      };
+    });
+
+    const [totals] = await CartItem.findAll({
+      attributes: [[
+        fn('SUM', literal('"CartItem"."quantity" * COALESCE("ProductVariant"."priceMinor", "Product"."priceMinor")')),
+        'valueMinor'
+      ]],
+      include: [
+        { model: Product, attributes: [], required: true },
+        { model: ProductVariant, attributes: [] },
+        { model: Cart, attributes: [], where: abandonedWhere(now), required: true }
+      ],
+      raw: true
+    });
+
+    return {
+      data,
+      summary: {
+        carts: count,
+        value: fromMinor(Number(totals && totals.valueMinor) || 0, currency),
+        currency
+      },
+      page: { total: count, limit, offset, nextCursor: null }
+    };
+  }
+
+  // Expires stale carts periodically until stopCleanupJob is called
+  static startCleanupJob(intervalMs = config.cartCleanupIntervalMinutes * 60 * 1000) {
+    CartExpiryService.stopCleanupJob();
+    cleanupJob = setInterval(() => {
+      CartExpiryService.expireStale().catch(error => {
+        console.error('Unable to expire stale carts:', error);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for the cleanup job
+    cleanupJob.unref();
+    return cleanupJob;
+  }
+
+  static stopCleanupJob() {
+    if (cleanupJob) {
+      clearInterval(cleanupJob);
+      cleanupJob = null;
+    }
+  }
+}
+
+module.exports = CartExpiryService;
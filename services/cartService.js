@@ -1,97 +1,752 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../models');
 const Cart = require('../models/cart');
 const CartItem = require('../models/cartItem');
 const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const Order = require('../models/order');
+const OrderItem = require('../models/orderItem');
+const OrderStatusHistory = require('../models/orderStatusHistory');
+const CurrencyService = require('./currencyService');
+const CouponService = require('./couponService');
+const PromotionService = require('./promotionService');
+const TaxService = require('./taxService');
+const ShippingService = require('./shippingService');
+const InventoryService = require('./inventoryService');
+const StockService = require('./stockService');
+const WebhookService = require('./webhookService');
+const ImageService = require('./imageService');
+const { NotFoundError, ConflictError, ValidationError, CouponError } = require('./errors');
+const config = require('../config');
+const { fromMinor } = require('../utils/money');
+const { generateToken } = require('../utils/auth');
+const { calculateDiscounts, rejectionMessage } = require('../utils/discounts');
+const { applyPromotions } = require('../utils/promotions');
+const { calculateTax, summarizeTax } = require('../utils/tax');
+const { measureItems, quoteShipping, unavailableMessage } = require('../utils/shipping');
+
+// Quotes a shipping method for a cart and taxes the charge with the method's
+// tax class. goods is { measures, goodsMinor, freeShipping } from the cart's totals.
+const priceShipping = (method, goods, { converter, address, taxRules }) => {
+  const quote = quoteShipping(method, {
+    measures: goods.measures,
+    address,
+    subtotalMinor: goods.goodsMinor,
+    convert: converter.convert,
+    freeShipping: goods.freeShipping
+  });
+  const tax = quote.reason
+    ? { taxMinor: 0, parts: [] }
+    : calculateTax(quote.amountMinor, { taxClass: method.taxClass }, taxRules, config.roundingMode);
+
+  return { method, ...quote, taxMinor: tax.taxMinor, taxes: tax.parts };
+};
+
+const formatShipping = (shipping, currency) => ({
+  id: shipping.method.id,
+  name: shipping.method.name,
+  type: shipping.method.type,
+  available: !shipping.reason,
+  amount: shipping.reason ? null : fromMinor(shipping.amountMinor, currency),
+  tax: fromMinor(shipping.taxMinor, currency),
+  free: shipping.free,
+  weightGrams: shipping.weightGrams,
+  reason: shipping.reason,
+  message: shipping.reason ? unavailableMessage(shipping.method, shipping.reason) : null
+});
+
+// Price of one unit of a cart line in the store currency: its variant's
+// price, or the product's when the variant doesn't override it
+const basePriceMinor = (item) => (item.ProductVariant && item.ProductVariant.priceMinor !== null && item.ProductVariant.priceMinor !== undefined
+  ? item.ProductVariant.priceMinor
+  : item.Product.priceMinor);
+
+// Stock a cart line draws on: its variant's, or the product's. Null if the
+// variant no longer exists.
+const stockOf = (item) => {
+  if (item.variantId === null || item.variantId === undefined) {
+    return item.Product ? item.Product.inventory : null;
+  }
+  return item.ProductVariant ? item.ProductVariant.inventory : null;
+};
+
+// Computes per-item and cart-level totals for items loaded with their Product
+// (and ProductVariant). Lines whose product no longer exists are left out.
+// Amounts are integer minor units of the converter's currency: unit prices are
+// converted first, then automatic promotions and coupon discounts (on what the
+// promotions left) are spread over the lines, and tax is computed per line on
+// the discounted amount with the tax rules that cover the shipping address.
+// The shipping method, if any, is quoted on what the goods cost after discounts.
+const calculateTotals = (items, converter, {
+  promotions = [], coupons = [], taxRules = [], address = null, shippingMethod = null
+} = {}) => {
+  const pricesIncludeTax = Boolean(address) && config.taxInclusiveCountries.includes(address.country);
+  const purchasable = items.filter(item => item.Product);
+
+  const priced = purchasable.map(item => {
+    const unitPriceMinor = converter.convert(basePriceMinor(item));
+    return { item, unitPriceMinor, itemSubtotalMinor: item.quantity * unitPriceMinor };
+  });
+
+  const promotionResult = applyPromotions(
+    promotions,
+    priced.map(({ item, unitPriceMinor, itemSubtotalMinor }) => ({
+      productId: item.productId,
+      categoryId: item.Product.categoryId,
+      quantity: item.quantity,
+      unitPriceMinor,
+      itemSubtotalMinor
+    })),
+    { convert: converter.convert, policy: config.promotionPolicy }
+  );
+
+  const discounts = calculateDiscounts(
+    coupons,
+    priced.map(({ item, itemSubtotalMinor }, index) => ({
+      categoryId: item.Product.categoryId,
+      itemSubtotalMinor: itemSubtotalMinor - promotionResult.lineSavings[index]
+    })),
+    { convert: converter.convert, currency: converter.currency }
+  );
+
+  let subtotalMinor = 0;
+  let totalTaxMinor = 0;
+
+  const lines = priced.map((line, index) => {
+    const itemPromotions = promotionResult.applied[index];
+    const itemSavingsMinor = promotionResult.lineSavings[index];
+    const itemDiscountMinor = discounts.lineDiscounts[index];
+    const taxableMinor = line.itemSubtotalMinor - itemSavingsMinor - itemDiscountMinor;
+    const tax = calculateTax(taxableMinor, line.item.Product, taxRules, config.roundingMode);
+
+    // Where prices are shown with tax, the unit price includes the tax it
+    // would pay on its own
+    const displayUnitPriceMinor = pricesIncludeTax
+      ? line.unitPriceMinor + calculateTax(line.unitPriceMinor, line.item.Product, taxRules, config.roundingMode).taxMinor
+      : line.unitPriceMinor;
+
+    subtotalMinor += line.itemSubtotalMinor;
+    totalTaxMinor += tax.taxMinor;
+
+    return {
+      ...line,
+      displayUnitPriceMinor,
+      itemPromotions,
+      itemSavingsMinor,
+      itemDiscountMinor,
+      taxableMinor,
+      taxRate: tax.rate,
+      taxes: tax.parts,
+      itemTaxMinor: tax.taxMinor
+    };
+  });
+
+  const savingsMinor = promotionResult.savingsMinor;
+  const goods = {
+    measures: measureItems(purchasable),
+    goodsMinor: subtotalMinor - savingsMinor - discounts.discountMinor,
+    freeShipping: discounts.freeShipping
+  };
+
+  const shipping = shippingMethod ? priceShipping(shippingMethod, goods, { converter, address, taxRules }) : null;
+  const shippingMinor = shipping && !shipping.reason ? shipping.amountMinor : 0;
+  const taxedLines = shipping ? [...lines, { taxableMinor: shippingMinor, taxes: shipping.taxes }] : lines;
+  if (shipping) {
+    totalTaxMinor += shipping.taxMinor;
+  }
+
+  return {
+    lines,
+    coupons: discounts.coupons,
+    ...goods,
+    shipping,
+    taxes: summarizeTax(taxedLines),
+    pricesIncludeTax,
+    subtotalMinor,
+    savingsMinor,
+    discountMinor: discounts.discountMinor,
+    shippingMinor,
+    totalTaxMinor,
+    totalMinor: goods.goodsMinor + shippingMinor + totalTaxMinor
+  };
+};
+
+// Loads a cart's items, coupons, shipping method, the running promotions and
+// the tax rules for its shipping address, and prices them.
+// Items and totals are in options.currency if given, else in the cart's
+// currency, else in the store currency. overrides.coupons are priced as if
+// they had been applied last, and overrides.shippingMethod instead of the
+// cart's own method.
+const priceCart = async (cartId, options = {}, overrides = {}) => {
+  const cart = await Cart.findByPk(cartId);
+  const converter = await CurrencyService.getConverter(options.currency || (cart && cart.currency));
+
+  const items = await CartItem.findAll({
+    where: { cartId },
+    include: [Product, ProductVariant],
+  });
+  const promotions = await PromotionService.getActivePromotions();
+  const coupons = [...await CouponService.getCartCoupons(cartId), ...(overrides.coupons || [])];
+  const address = cart ? cart.shippingAddress : null;
+  const taxRules = await TaxService.getApplicableRules(address);
+
+  let shippingMethod = overrides.shippingMethod;
+  if (shippingMethod === undefined) {
+    shippingMethod = cart && cart.shippingMethodId ? await ShippingService.getMethod(cart.shippingMethodId) : null;
+  }
+
+  const totals = calculateTotals(items, converter, { promotions, coupons, taxRules, address, shippingMethod });
+  return { cart, converter, taxRules, totals };
+};
+
+// What a cart line shows of its product's main image; null for products
+// without images
+const imageSummary = image => (image
+  ? { url: image.url, thumbnailUrl: image.thumbnailUrl, altText: image.altText }
+  : null);
+
+const inCart = (cartItem, cartId) => cartId === undefined || String(cartItem.cartId) === String(cartId);
+
+// Records that the shopper changed the cart, which keeps it from expiring.
+// Validation is skipped because the cart's owner validator can't run on a
+// bulk update of this one column.
+const touch = (cartId, transaction) => Cart.update(
+  { lastActivityAt: new Date() },
+  { where: { id: cartId }, transaction, validate: false }
+);
+
+// Quantities of a cart line are whole units, at least one. Numeric strings
+// are accepted.
+const parseQuantity = (quantity) => {
+  const parsed = Number(quantity);
+  if (quantity === null || quantity === '' || !Number.isInteger(parsed) || parsed < 1) {
+    throw new ValidationError('quantity must be a positive integer');
+  }
+  return parsed;
+};
+
+const EXPIRED_MESSAGE = 'Cart has expired; create a new cart';
+
+// The cart a change is made to. Only active carts can be changed; checked
+// out, merged and expired ones are kept as they are. Shoppers coming back to
+// an expired cart have to start a new one.
+const findActiveCart = async (cartId, transaction) => {
+  const cart = await Cart.findByPk(cartId, { transaction });
+  if (!cart) {
+    throw new NotFoundError('Cart not found');
+  }
+  if (cart.status === 'checked_out') {
+    throw new Error('Cart has already been checked out');
+  }
+  if (cart.status === 'merged') {
+    throw new Error('Cart has been merged into another cart');
+  }
+  if (cart.status !== 'active') {
+    throw new ConflictError(EXPIRED_MESSAGE);
+  }
+  return cart;
+};
 
 class CartService {
-  static async createCart(userId) {
-    return await Cart.create({ userId });
+  static async createCart(userId, { currency } = {}) {
+    return await Cart.create({ userId, currency });
+  }
+
+  // A cart for a shopper who hasn't signed in, accessed with its guestToken
+  static async createGuestCart({ currency } = {}) {
+    return await Cart.create({ userId: null, guestToken: generateToken(), currency });
+  }
+
+  static async getCart(cartId) {
+    return await Cart.findByPk(cartId);
+  }
+
+  // Moves the items of a guest cart into the user's active cart once the
+  // guest signs in, or gives the guest cart to the user if they have none.
+  // Quantities of the same product are summed, as far as stock not held by
+  // other carts allows; the user's own quantities are never lowered. Returns
+  // the user's cart and the guest lines that were reduced or dropped.
+  static async mergeGuestCart(userId, guestToken) {
+    return await sequelize.transaction(async (transaction) => {
+      const guestCart = typeof guestToken === 'string'
+        ? await Cart.findOne({ where: { guestToken, status: 'active' }, transaction })
+        : null;
+      if (!guestCart) {
+        throw new NotFoundError('Guest cart not found');
+      }
+
+      const cart = await Cart.findOne({
+        where: { userId, status: 'active' },
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+      if (!cart) {
+        await guestCart.update({ userId, guestToken: null, lastActivityAt: new Date() }, { transaction });
+        return { cart: guestCart, adjustments: [] };
+      }
+
+      const guestItems = await CartItem.findAll({ where: { cartId: guestCart.id }, include: [Product, ProductVariant], transaction });
+      // The guest cart's holds shouldn't count against the stock it moves
+      await InventoryService.releaseCart(guestCart.id, transaction);
+
+      const adjustments = [];
+      for (const guestItem of guestItems) {
+        const variantId = guestItem.variantId || null;
+        const existing = await CartItem.findOne({ where: { cartId: cart.id, productId: guestItem.productId, variantId }, transaction });
+        const current = existing ? existing.quantity : 0;
+        const requested = current + guestItem.quantity;
+
+        const stock = stockOf(guestItem);
+        let available = 0;
+        if (stock !== null) {
+          const reserved = await InventoryService.getReservedQuantity(guestItem.productId, { variantId, excludeCartId: cart.id, transaction });
+          available = stock - reserved;
+        }
+        const quantity = Math.max(Math.min(requested, available), current);
+
+        if (quantity < requested) {
+          adjustments.push({
+            productId: guestItem.productId,
+            variantId,
+            requested,
+            quantity,
+            status: quantity > current ? 'reduced' : 'dropped',
+            reason: stock !== null ? 'insufficient_inventory' : 'product_unavailable'
+          });
+        }
+        if (quantity === current) {
+          continue;
+        }
+
+        if (existing) {
+          await existing.update({ quantity }, { transaction });
+        } else {
+          await CartItem.create({ cartId: cart.id, productId: guestItem.productId, variantId, quantity }, { transaction });
+        }
+        await InventoryService.reserve(cart.id, guestItem.productId, quantity, { variantId, transaction });
+      }
+
+      await CartItem.destroy({ where: { cartId: guestCart.id }, transaction });
+      await guestCart.update({ status: 'merged', guestToken: null }, { transaction });
+      await touch(cart.id, transaction);
+      return { cart, adjustments };
+    });
   }
 
-  static async addItemToCart(cartId, productId, quantity) {
+  // Products with variants are added as one of their variants, whose stock
+  // is checked instead of the product's
+  static async addItemToCart(cartId, productId, requestedQuantity, variantId) {
+    const quantity = parseQuantity(requestedQuantity);
+    await findActiveCart(cartId);
     const product = await Product.findByPk(productId);
     if (!product) {
       throw new Error('Product not found');
     }
-    
-    if (product.inventory < quantity) {
+
+    let variant = null;
+    if (variantId !== undefined && variantId !== null) {
+      variant = await ProductVariant.findOne({ where: { id: variantId, productId: product.id } });
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+    } else if (await ProductVariant.count({ where: { productId: product.id } })) {
+      throw new ValidationError(`Product ${product.id} has variants; choose one with variantId`);
+    }
+    const inventory = variant ? variant.inventory : product.inventory;
+    const lineVariantId = variant ? variant.id : null;
+
+    if (inventory < quantity) {
       throw new Error('Not enough inventory available');
     }
 
     // Check if item already exists in cart
     const existingItem = await CartItem.findOne({
-      where: { cartId, productId }
+      where: { cartId, productId, variantId: lineVariantId }
     });
 
     if (existingItem) {
       const newQuantity = existingItem.quantity + quantity;
-      if (product.inventory < newQuantity) {
+      if (inventory < newQuantity) {
         throw new Error('Not enough inventory available');
       }
+      // Holds the stock for this cart, or throws if other carts hold too
+      // much of it
+      await InventoryService.reserve(cartId, productId, newQuantity, { variantId: lineVariantId });
       existingItem.quantity = newQuantity;
       await existingItem.save();
+      await touch(cartId);
+      await WebhookService.emit('cart.item_added', {
+        cartId: Number(cartId),
+        productId,
+        variantId: lineVariantId,
+        quantity,
+        itemQuantity: newQuantity
+      });
       return existingItem;
     }
 
-    return await CartItem.create({ cartId, productId, quantity });
+    await InventoryService.reserve(cartId, productId, quantity, { variantId: lineVariantId });
+    const item = await CartItem.create({ cartId, productId, variantId: lineVariantId, quantity });
+    await touch(cartId);
+    await WebhookService.emit('cart.item_added', {
+      cartId: Number(cartId),
+      productId,
+      variantId: lineVariantId,
+      quantity,
+      itemQuantity: quantity
+    });
+    return item;
   }
 
-  static async getCartItems(cartId) {
-    const items = await CartItem.findAll({
-      where: { cartId },
-      include: Product,
-    });
+  static async getCartItems(cartId, options = {}) {
+    const { cart, converter, totals } = await priceCart(cartId, options);
+    const { currency } = converter;
+    const reservations = await InventoryService.getCartReservations(cartId);
+    const reservedUntil = new Map(reservations.map(({ productId, variantId, expiresAt }) => [`${productId}:${variantId || ''}`, expiresAt]));
+    const images = await ImageService.getPrimaryImages([...new Set(totals.lines.map(line => line.item.productId))]);
 
-    let subtotal = 0;
-    let totalTax = 0;
-
-    const itemsWithTotals = items.map(item => {
-      const itemSubtotal = item.quantity * item.Product.price;
-      const itemTax = itemSubtotal * item.Product.taxRate;
-      
-      subtotal += itemSubtotal;
-      totalTax += itemTax;
-
-      return {
-        ...item.toJSON(),
-        itemSubtotal,
-        itemTax
-      };
+    return {
+      items: totals.lines.map(line => ({
+        ...line.item.toJSON(),
+        unitPrice: fromMinor(line.unitPriceMinor, currency),
+        displayPrice: fromMinor(line.displayUnitPriceMinor, currency),
+        itemSubtotal: fromMinor(line.itemSubtotalMinor, currency),
+        promotions: line.itemPromotions.map(({ promotion, savingsMinor }) => ({
+          id: promotion.id,
+          name: promotion.name,
+          type: promotion.type,
+          savings: fromMinor(savingsMinor, currency)
+        })),
+        itemSavings: fromMinor(line.itemSavingsMinor, currency),
+        itemDiscount: fromMinor(line.itemDiscountMinor, currency),
+        taxRate: line.taxRate,
+        taxes: line.taxes.map(({ rule, rate, taxMinor }) => ({
+          name: rule ? rule.name : 'Tax',
+          rate,
+          tax: fromMinor(taxMinor, currency)
+        })),
+        itemTax: fromMinor(line.itemTaxMinor, currency),
+        // Null once the reservation has expired; the stock may then have
+        // been taken by another cart
+        reservedUntil: reservedUntil.get(`${line.item.productId}:${line.item.variantId || ''}`) || null,
+        image: imageSummary(images.get(line.item.productId))
+      })),
+      summary: {
+        subtotal: fromMinor(totals.subtotalMinor, currency),
+        promotions: fromMinor(totals.savingsMinor, currency),
+        discounts: fromMinor(totals.discountMinor, currency),
+        shipping: fromMinor(totals.shippingMinor, currency),
+        totalTax: fromMinor(totals.totalTaxMinor, currency),
+        total: fromMinor(totals.totalMinor, currency),
+        currency,
+        pricesIncludeTax: totals.pricesIncludeTax
+      },
+      taxes: totals.taxes.map(({ taxableMinor, taxMinor, ...jurisdiction }) => ({
+        ...jurisdiction,
+        taxable: fromMinor(taxableMinor, currency),
+        tax: fromMinor(taxMinor, currency)
+      })),
+      shippingAddress: cart ? cart.shippingAddress || null : null,
+      shippingMethod: totals.shipping ? formatShipping(totals.shipping, currency) : null,
+      coupons: totals.coupons.map(({ coupon, discountMinor, reason, message }) => ({
+        code: coupon.code,
+        type: coupon.type,
+        applied: !reason,
+        discount: fromMinor(discountMinor, currency),
+        reason,
+        message
+      })),
+      exchange: converter.exchange
+    };
+  }
+
+  // Applies a coupon code to a cart after checking it against the cart's
+  // current contents. Returns the repriced cart.
+  static async applyCoupon(cartId, code) {
+    if (!code || !String(code).trim()) {
+      throw new ValidationError('Coupon code is required');
+    }
+
+    await findActiveCart(cartId);
+
+    const coupon = await CouponService.findByCode(code);
+    if (!coupon) {
+      throw new CouponError(rejectionMessage({ code }, 'not_found'), 'not_found');
+    }
+
+    const applied = await CouponService.getCartCoupons(cartId);
+    if (applied.some(({ id }) => id === coupon.id)) {
+      throw new CouponError(rejectionMessage(coupon, 'already_applied'), 'already_applied');
+    }
+
+    const { totals } = await priceCart(cartId, {}, { coupons: [await CouponService.withScope(coupon)] });
+    const { reason, message } = totals.coupons[totals.coupons.length - 1];
+    if (reason) {
+      throw new CouponError(message, reason);
+    }
+
+    await CouponService.addToCart(cartId, coupon.id);
+    await touch(cartId);
+    return await CartService.getCartItems(cartId);
+  }
+
+  // Returns the number of coupons removed
+  static async removeCoupon(cartId, code) {
+    await findActiveCart(cartId);
+    const removed = await CouponService.removeFromCart(cartId, code);
+    if (removed) {
+      await touch(cartId);
+    }
+    return removed;
+  }
+
+  // Sets the address the cart ships to, which decides the tax rules that
+  // apply. A null address clears it.
+  static async setShippingAddress(cartId, address) {
+    const cart = await findActiveCart(cartId);
+
+    return await cart.update({
+      shippingAddress: address === undefined ? null : address,
+      lastActivityAt: new Date()
     });
+  }
+
+  // Quotes every active shipping method for the cart's contents and address
+  static async getShippingOptions(cartId, options = {}) {
+    const { cart, converter, taxRules, totals } = await priceCart(cartId, options);
+    if (!cart) {
+      throw new NotFoundError('Cart not found');
+    }
 
+    const methods = await ShippingService.getActiveMethods();
+    const context = { converter, address: cart.shippingAddress || null, taxRules };
     return {
-      items: itemsWithTotals,
-      summary: {
-        subtotal,
-        totalTax,
-        total: subtotal + totalTax
-      }
+      currency: converter.currency,
+      shippingMethodId: cart.shippingMethodId || null,
+      options: methods.map(method => formatShipping(priceShipping(method, totals, context), converter.currency))
     };
   }
 
-  static async updateCartItem(itemId, quantity) {
+  // Picks the shipping method of a cart after checking it can ship the cart.
+  // A null id clears it. Returns the repriced cart.
+  static async setShippingMethod(cartId, shippingMethodId) {
+    const cart = await findActiveCart(cartId);
+
+    if (shippingMethodId === null || shippingMethodId === undefined) {
+      await cart.update({ shippingMethodId: null, lastActivityAt: new Date() });
+      return await CartService.getCartItems(cartId);
+    }
+
+    const method = await ShippingService.getMethod(shippingMethodId);
+    if (!method) {
+      throw new NotFoundError(`Shipping method with id ${shippingMethodId} does not exist`);
+    }
+
+    const { totals } = await priceCart(cartId, {}, { shippingMethod: method });
+    if (totals.shipping.reason) {
+      throw new ValidationError(unavailableMessage(method, totals.shipping.reason));
+    }
+
+    await cart.update({ shippingMethodId: method.id, lastActivityAt: new Date() });
+    return await CartService.getCartItems(cartId);
+  }
+
+  // cartId, when given, is the cart the item has to be in
+  static async updateCartItem(itemId, requestedQuantity, cartId) {
+    const quantity = parseQuantity(requestedQuantity);
     const cartItem = await CartItem.findByPk(itemId, {
-      include: Product
+      include: [Product, ProductVariant]
     });
     
-    if (!cartItem) {
+    if (!cartItem || !inCart(cartItem, cartId)) {
       throw new Error('Item not found');
     }
+    await findActiveCart(cartItem.cartId);
 
-    if (cartItem.Product.inventory < quantity) {
+    const inventory = stockOf(cartItem);
+    if (inventory === null) {
+      throw new Error('Product not found');
+    }
+    if (inventory < quantity) {
       throw new Error('Not enough inventory available');
     }
 
+    await InventoryService.reserve(cartItem.cartId, cartItem.productId, quantity, { variantId: cartItem.variantId || null });
     cartItem.quantity = quantity;
     await cartItem.save();
+    await touch(cartItem.cartId);
+    await WebhookService.emit('cart.item_updated', {
+      cartId: cartItem.cartId,
+      itemId: cartItem.id,
+      productId: cartItem.productId,
+      variantId: cartItem.variantId || null,
+      itemQuantity: quantity
+    });
     return cartItem;
   }
 
-  static async removeCartItem(itemId) {
-    const cartItem = await CartItem.findByPk(itemId);
-    if (!cartItem) {
+  static async removeCartItem(itemId, cartId, transaction) {
+    const cartItem = await CartItem.findByPk(itemId, { transaction });
+    if (!cartItem || !inCart(cartItem, cartId)) {
       throw new Error('Item not found');
     }
-    await cartItem.destroy();
+    await findActiveCart(cartItem.cartId, transaction);
+    await cartItem.destroy({ transaction });
+    await InventoryService.release(cartItem.cartId, cartItem.productId, { variantId: cartItem.variantId || null, transaction });
+    await touch(cartItem.cartId, transaction);
+    await WebhookService.emit('cart.item_removed', {
+      cartId: cartItem.cartId,
+      itemId: cartItem.id,
+      productId: cartItem.productId,
+      variantId: cartItem.variantId || null
+    }, transaction);
+  }
+
+  static async checkout(cartId) {
+    return await sequelize.transaction(async (transaction) => {
+      const cart = await Cart.findByPk(cartId, { transaction });
+      if (!cart) {
+        throw new Error('Cart not found');
+      }
+
+      if (cart.status === 'checked_out') {
+        throw new Error('Cart has already been checked out');
+      }
+
+      if (cart.status === 'merged') {
+        throw new Error('Cart has been merged into another cart');
+      }
+
+      if (cart.status === 'archived') {
+        throw new ConflictError(EXPIRED_MESSAGE);
+      }
+
+      if (cart.userId === null || cart.userId === undefined) {
+        throw new Error('Guest carts have to be merged into a signed-in user\'s cart before checkout');
+      }
+
+      // Lines whose product has since been deleted can't be bought
+      const items = (await CartItem.findAll({
+        where: { cartId },
+        include: [Product, ProductVariant],
+        transaction
+      })).filter(item => item.Product);
+
+      if (!items.length) {
+        throw new Error('Cart is empty');
+      }
+
+      const converter = await CurrencyService.getConverter(cart.currency);
+      const promotions = await PromotionService.getActivePromotions(new Date(), transaction);
+      const coupons = await CouponService.getCartCoupons(cartId, transaction);
+      const address = cart.shippingAddress || null;
+      const taxRules = await TaxService.getApplicableRules(address, transaction);
+      const shippingMethod = cart.shippingMethodId
+        ? await ShippingService.getMethod(cart.shippingMethodId, transaction)
+        : null;
+      const totals = calculateTotals(items, converter, { promotions, coupons, taxRules, address, shippingMethod });
+
+      // A coupon that stopped applying since it was added (expired, subtotal
+      // now too low, ...) must be removed before checking out
+      const rejected = totals.coupons.find(({ reason }) => reason);
+      if (rejected) {
+        throw new CouponError(rejected.message, rejected.reason);
+      }
+
+      // Same for a shipping method that can no longer ship the cart
+      if (totals.shipping && totals.shipping.reason) {
+        throw new ValidationError(unavailableMessage(shippingMethod, totals.shipping.reason));
+      }
+
+      // Check and decrement stock in a single statement per product (or
+      // variant) so two concurrent checkouts can't both take the last unit.
+      // Stock other carts still hold is not available, whether or not this
+      // cart's own reservation has expired.
+      for (const item of items) {
+        const variantId = item.variantId || null;
+        const quantity = parseInt(item.quantity);
+        const reserved = await InventoryService.getReservedQuantity(item.productId, { variantId, excludeCartId: cartId, transaction });
+        const [affectedCount] = await (variantId ? ProductVariant : Product).update(
+          { inventory: sequelize.literal(`inventory - ${quantity}`) },
+          {
+            where: { id: variantId || item.productId, inventory: { [Op.gte]: quantity + reserved } },
+            transaction
+          }
+        );
+        if (!affectedCount) {
+          throw new Error(variantId
+            ? `Not enough inventory available for variant ${variantId} of product ${item.productId}`
+            : `Not enough inventory available for product ${item.productId}`);
+        }
+      }
+
+      await CouponService.redeem(coupons, transaction);
+      await InventoryService.releaseCart(cartId, transaction);
+
+      const { lines, subtotalMinor, shippingMinor, totalTaxMinor, totalMinor } = totals;
+
+      const order = await Order.create({
+        userId: cart.userId,
+        cartId: cart.id,
+        currency: converter.currency,
+        exchangeRate: converter.exchange ? converter.exchange.rate : null,
+        shippingAddress: address,
+        shippingMethodId: shippingMethod ? shippingMethod.id : null,
+        shippingMethodName: shippingMethod ? shippingMethod.name : null,
+        subtotalMinor,
+        // Promotions and coupons together
+        discountMinor: totals.savingsMinor + totals.discountMinor,
+        shippingMinor,
+        totalTaxMinor,
+        taxBreakdown: totals.taxes,
+        totalMinor
+      }, { transaction });
+
+      await OrderItem.bulkCreate(lines.map(({ item, unitPriceMinor, itemSubtotalMinor, itemSavingsMinor, itemDiscountMinor, taxRate, itemTaxMinor }) => ({
+        orderId: order.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.Product.name,
+        sku: item.ProductVariant ? item.ProductVariant.sku : null,
+        options: item.ProductVariant ? item.ProductVariant.options : null,
+        currency: converter.currency,
+        priceMinor: unitPriceMinor,
+        taxRate,
+        quantity: item.quantity,
+        itemSubtotalMinor,
+        itemDiscountMinor: itemSavingsMinor + itemDiscountMinor,
+        itemTaxMinor
+      })), { transaction });
+
+      await StockService.record(items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        orderId: order.id,
+        type: 'sale',
+        quantity: -item.quantity,
+        reason: 'Checkout'
+      })), transaction);
+
+      await OrderStatusHistory.create({
+        orderId: order.id,
+        toStatus: order.status,
+        reason: 'Checkout'
+      }, { transaction });
+
+      cart.status = 'checked_out';
+      cart.checkedOutAt = new Date();
+      await cart.save({ transaction });
+
+      await WebhookService.emit('cart.checked_out', {
+        cartId: cart.id,
+        userId: cart.userId,
+        orderId: order.id,
+        currency: converter.currency,
+        total: fromMinor(totalMinor, converter.currency)
+      }, transaction);
+
+      return await Order.findByPk(order.id, { include: OrderItem, transaction });
+    });
   }
 }
 
@@ -0,0 +1,105 @@
+const { sequelize } = require('../models');
+const Category = require('../models/category');
+const Product = require('../models/product');
+const Promotion = require('../models/promotion');
+const Coupon = require('../models/coupon');
+const { ConflictError } = require('./errors');
+
+class CategoryService {
+    static async getCategoryById(id) {
+        return await Category.findByPk(id, {
+            include: [
+                { model: Category, as: 'parent' },
+                { model: Category, as: 'children' }
+            ]
+        });
+    }
+
+    // Returns root categories with their subcategories nested under `children`
+    static async getCategoryTree() {
+        const categories = await Category.findAll({ order: [['name', 'ASC']] });
+
+        const nodes = new Map(categories.map(category => [
+            category.id,
+            { ...category.toJSON(), children: [] }
+        ]));
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parentId && nodes.get(node.parentId);
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        return roots;
+    }
+
+    // Returns the id of the category followed by the ids of all its descendants
+    static async getDescendantIds(categoryId) {
+        const categories = await Category.findAll({ attributes: ['id', 'parentId'] });
+
+        const childrenByParent = new Map();
+        categories.forEach(({ id, parentId }) => {
+            if (!childrenByParent.has(parentId)) {
+                childrenByParent.set(parentId, []);
+            }
+            childrenByParent.get(parentId).push(id);
+        });
+
+        const ids = [parseInt(categoryId)];
+        for (let i = 0; i < ids.length; i++) {
+            ids.push(...(childrenByParent.get(ids[i]) || []));
+        }
+
+        return ids;
+    }
+
+    // Replaces the name and parent of a category. Returns null if it does not exist
+    static async updateCategory(id, { name = null, parentId = null } = {}) {
+        const category = await Category.findByPk(id);
+        if (!category) {
+            return null;
+        }
+
+        return await category.update({ name, parentId });
+    }
+
+    // Deletes a category, moving its subcategories up to its parent. Categories
+    // that still have products can't be deleted. Returns null if it does not exist
+    static async deleteCategory(id) {
+        return await sequelize.transaction(async (transaction) => {
+            const category = await Category.findByPk(id, { transaction });
+            if (!category) {
+                return null;
+            }
+
+            const productCount = await Product.count({ where: { categoryId: id }, transaction });
+            if (productCount > 0) {
+                throw new ConflictError(`Category with id ${id} still has ${productCount} products`);
+            }
+
+            const promotionCount = await Promotion.count({ where: { categoryId: id }, transaction });
+            if (promotionCount > 0) {
+                throw new ConflictError(`Category with id ${id} still has ${promotionCount} promotions`);
+            }
+
+            const couponCount = await Coupon.count({ where: { categoryId: id }, transaction });
+            if (couponCount > 0) {
+                throw new ConflictError(`Category with id ${id} still has ${couponCount} coupons`);
+            }
+
+            await Category.update(
+                { parentId: category.parentId },
+                { where: { parentId: id }, transaction }
+            );
+            await category.destroy({ transaction });
+
+            return category;
+        });
+    }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,95 @@
+const { Op, col } = require('sequelize');
+const { sequelize } = require('../models');
+const Coupon = require('../models/coupon');
+const CartCoupon = require('../models/cartCoupon');
+const Category = require('../models/category');
+const CategoryService = require('./categoryService');
+const { CouponError } = require('./errors');
+
+class CouponService {
+  static async getCoupons() {
+    return await Coupon.findAll({ order: [['code', 'ASC']] });
+  }
+
+  static async createCoupon(coupon) {
+    if (coupon.categoryId) {
+      const category = await Category.findByPk(coupon.categoryId);
+      if (!category) {
+        throw new Error(`Category with id ${coupon.categoryId} does not exist`);
+      }
+    }
+
+    return await Coupon.create(coupon);
+  }
+
+  // Returns the number of coupons deleted. The coupon is removed from any cart it was applied to
+  static async deleteCoupon(id) {
+    return await sequelize.transaction(async (transaction) => {
+      await CartCoupon.destroy({ where: { couponId: id }, transaction });
+      return await Coupon.destroy({ where: { id }, transaction });
+    });
+  }
+
+  static async findByCode(code) {
+    return await Coupon.findOne({ where: { code: String(code).trim().toUpperCase() } });
+  }
+
+  // The coupon as a plain object with the ids of the categories its scope
+  // covers (null when unscoped), as used by the discount calculation
+  static async withScope(coupon) {
+    return {
+      ...coupon.get({ plain: true }),
+      categoryIds: coupon.categoryId ? await CategoryService.getDescendantIds(coupon.categoryId) : null
+    };
+  }
+
+  // Coupons applied to a cart in the order they were applied, with their scope
+  static async getCartCoupons(cartId, transaction) {
+    const cartCoupons = await CartCoupon.findAll({
+      where: { cartId },
+      include: Coupon,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    return await Promise.all(cartCoupons.map(({ Coupon: coupon }) => CouponService.withScope(coupon)));
+  }
+
+  static async addToCart(cartId, couponId) {
+    return await CartCoupon.create({ cartId, couponId });
+  }
+
+  // Returns the number of coupons removed from the cart
+  static async removeFromCart(cartId, code) {
+    const coupon = await CouponService.findByCode(code);
+    if (!coupon) {
+      return 0;
+    }
+    return await CartCoupon.destroy({ where: { cartId, couponId: coupon.id } });
+  }
+
+  // Counts one use of each coupon. The limit is checked in the same statement
+  // so two checkouts can't both take a coupon's last use.
+  static async redeem(coupons, transaction) {
+    for (const coupon of coupons) {
+      const [affectedCount] = await Coupon.update(
+        { usageCount: sequelize.literal('usageCount + 1') },
+        {
+          where: {
+            id: coupon.id,
+            [Op.or]: [
+              { usageLimit: null },
+              { usageCount: { [Op.lt]: col('usageLimit') } }
+            ]
+          },
+          transaction
+        }
+      );
+      if (!affectedCount) {
+        throw new CouponError(`Coupon ${coupon.code} has reached its usage limit`, 'usage_limit_reached');
+      }
+    }
+  }
+}
+
+module.exports = CouponService;
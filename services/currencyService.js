@@ -0,0 +1,56 @@
+const ExchangeRate = require('../models/exchangeRate');
+const config = require('../config');
+const { CURRENCIES, convert } = require('../utils/money');
+const { ValidationError } = require('./errors');
+
+class CurrencyService {
+  static async getRates() {
+    return await ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+  }
+
+  // Creates or replaces the rate of a currency
+  static async setRate(currency, { rate, roundingMode = null }) {
+    const existing = await ExchangeRate.findOne({ where: { currency } });
+    if (existing) {
+      return await existing.update({ rate, roundingMode });
+    }
+    return await ExchangeRate.create({ currency, rate, roundingMode });
+  }
+
+  // Returns the number of rates deleted
+  static async deleteRate(currency) {
+    return await ExchangeRate.destroy({ where: { currency } });
+  }
+
+  // Returns a converter from the store currency to the given currency:
+  // `convert(minor)` turns store-currency minor units into minor units of
+  // `currency`, and `exchange` describes the rate used. Without a currency,
+  // or for the store currency itself, amounts are returned unchanged. Codes
+  // are case-insensitive, as when rates are set.
+  static async getConverter(requested) {
+    const currency = typeof requested === 'string' ? requested.trim().toUpperCase() : requested;
+    const base = config.currency;
+    if (!currency || currency === base) {
+      return { currency: base, exchange: null, convert: minor => minor };
+    }
+
+    if (!CURRENCIES[currency]) {
+      throw new ValidationError(`Unsupported currency: ${currency}`);
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({ where: { currency } });
+    if (!exchangeRate) {
+      throw new ValidationError(`No exchange rate available for ${currency}`);
+    }
+
+    const { rate } = exchangeRate;
+    const roundingMode = exchangeRate.roundingMode || config.roundingMode;
+    return {
+      currency,
+      exchange: { base, currency, rate, roundingMode, updatedAt: exchangeRate.updatedAt },
+      convert: minor => convert(minor, rate, base, currency, roundingMode)
+    };
+  }
+}
+
+module.exports = CurrencyService;
@@ -0,0 +1,46 @@
+// Raised when a requested resource does not exist, so routes can answer 404
+// instead of the generic 400 used for invalid requests.
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Raised when a request is valid but conflicts with the current state of a
+// resource (409).
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+// Raised when request input such as a query parameter is malformed (400).
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Raised when a coupon can't be used on a cart (400). `reason` is a stable
+// code such as 'expired' that clients can branch on; the message is meant
+// for the shopper.
+class CouponError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'CouponError';
+    this.reason = reason;
+  }
+}
+
+// Raised when credentials or a token are missing or invalid (401).
+class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+module.exports = { NotFoundError, ConflictError, ValidationError, CouponError, UnauthorizedError };
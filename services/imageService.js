@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { sequelize } = require('../models');
+const Product = require('../models/product');
+const ProductImage = require('../models/productImage');
+const { NotFoundError, ValidationError } = require('./errors');
+const config = require('../config');
+
+// Formats accepted, by the name sharp reports them under, with the extension
+// and content type their files are stored with
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+};
+
+const displayOrder = [['position', 'ASC'], ['id', 'ASC']];
+
+// Reads the format and dimensions of an uploaded file from its contents; the
+// file name and content type sent with it aren't trusted
+const inspect = async (file) => {
+  let metadata = null;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    // Not an image sharp can read
+  }
+  const format = metadata && FORMATS[metadata.format];
+  if (!format) {
+    throw new ValidationError(`${file.originalname} is not a JPEG, PNG, WebP or GIF image`);
+  }
+  return { ...format, format: metadata.format, width: metadata.width, height: metadata.height };
+};
+
+// Scales an image down to fit the thumbnail box, turned upright as its EXIF
+// orientation says. Smaller images keep their size.
+const thumbnail = (buffer, format) => sharp(buffer)
+  .rotate()
+  .resize({
+    width: config.thumbnailSize,
+    height: config.thumbnailSize,
+    fit: 'inside',
+    withoutEnlargement: true
+  })
+  .toFormat(format)
+  .toBuffer();
+
+// Files already gone are ignored
+const removeFiles = async (filenames) => {
+  for (const filename of filenames) {
+    await fs.rm(path.join(config.imageDir, filename), { force: true });
+  }
+};
+
+// An image of the given product; images of other products are reported as
+// missing
+const findImage = async (productId, id) => {
+  const image = await ProductImage.findOne({ where: { id, productId } });
+  if (!image) {
+    throw new NotFoundError(`Image with id ${id} does not exist`);
+  }
+  return image;
+};
+
+class ImageService {
+  // Stores uploaded files (as parsed by multer, with their contents in
+  // memory) as images of a product, after the ones it already has, each
+  // with a thumbnail. altText is one text for all the files or a list with
+  // one per file. If any file isn't an image, none are kept.
+  static async addImages(productId, files = [], { altText } = {}) {
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new NotFoundError(`Product with id ${productId} does not exist`);
+    }
+    if (!files.length) {
+      throw new ValidationError('No image files were uploaded');
+    }
+
+    const inspected = [];
+    for (const file of files) {
+      inspected.push(await inspect(file));
+    }
+
+    const last = await ProductImage.max('position', { where: { productId: product.id } });
+    const firstPosition = last === null ? 0 : last + 1;
+
+    await fs.mkdir(config.imageDir, { recursive: true });
+    const written = [];
+    try {
+      const images = [];
+      for (const [index, file] of files.entries()) {
+        const { extension, contentType, format, width, height } = inspected[index];
+        const name = crypto.randomUUID();
+        const filename = `${name}.${extension}`;
+        const thumbnailFilename = `${name}-thumb.${extension}`;
+
+        await fs.writeFile(path.join(config.imageDir, filename), file.buffer);
+        written.push(filename);
+        await fs.writeFile(path.join(config.imageDir, thumbnailFilename), await thumbnail(file.buffer, format));
+        written.push(thumbnailFilename);
+
+        images.push({
+          productId: product.id,
+          filename,
+          thumbnailFilename,
+          contentType,
+          width,
+          height,
+          size: file.size,
+          altText: Array.isArray(altText) ? altText[index] : altText,
+          position: firstPosition + index
+        });
+      }
+
+      return await sequelize.transaction(async (transaction) => {
+        const created = [];
+        for (const image of images) {
+          created.push(await ProductImage.create(image, { transaction }));
+        }
+        return created;
+      });
+    } catch (error) {
+      await removeFiles(written);
+      throw error;
+    }
+  }
+
+  // The first image of each of the given products, by product id. Products
+  // without images are left out.
+  static async getPrimaryImages(productIds) {
+    const images = productIds.length
+      ? await ProductImage.findAll({ where: { productId: productIds }, order: displayOrder })
+      : [];
+    const primary = new Map();
+    for (const image of images) {
+      if (!primary.has(image.productId)) {
+        primary.set(image.productId, image);
+      }
+    }
+    return primary;
+  }
+
+  // Changes an image's alt text, or moves it to another position among the
+  // product's images (0 being the first), shifting the others along
+  static async updateImage(productId, id, { altText, position } = {}) {
+    const image = await findImage(productId, id);
+
+    let target;
+    if (position !== undefined) {
+      target = Number(position);
+      if (position === null || position === '' || !Number.isInteger(target) || target < 0) {
+        throw new ValidationError('position must be a non-negative integer');
+      }
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      if (altText !== undefined) {
+        image.altText = altText;
+      }
+      if (target !== undefined) {
+        const others = (await ProductImage.findAll({
+          where: { productId: image.productId },
+          order: displayOrder,
+          transaction
+        })).filter(other => other.id !== image.id);
+        const ordered = [...others];
+        ordered.splice(Math.min(target, others.length), 0, image);
+
+        for (const [index, other] of ordered.entries()) {
+          if (other !== image && other.position !== index) {
+            await other.update({ position: index }, { transaction });
+          }
+        }
+        image.position = ordered.indexOf(image);
+      }
+      return await image.save({ transaction });
+    });
+  }
+
+  static async deleteImage(productId, id) {
+    const image = await findImage(productId, id);
+    await image.destroy();
+    await removeFiles([image.filename, image.thumbnailFilename]);
+  }
+
+  // Removes all of a product's images, before the product itself is
+  // deleted. Within a transaction the files are only removed once it
+  // commits, so a delete that is rolled back leaves them in place.
+  static async deleteProductImages(productId, transaction) {
+    const images = await ProductImage.findAll({ where: { productId }, transaction });
+    if (!images.length) {
+      return;
+    }
+    await ProductImage.destroy({ where: { productId }, transaction });
+    const remove = () => removeFiles(images.flatMap(image => [image.filename, image.thumbnailFilename]));
+    if (transaction && transaction.afterCommit) {
+      transaction.afterCommit(remove);
+    } else {
+      await remove();
+    }
+  }
+}
+
+module.exports = ImageService;
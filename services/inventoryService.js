@@ -0,0 +1,130 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../models');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const InventoryReservation = require('../models/inventoryReservation');
+const config = require('../config');
+
+let sweeper = null;
+
+class InventoryService {
+  // Units of a product, or of one of its variants, held by unexpired
+  // reservations, optionally leaving out those of one cart
+  static async getReservedQuantity(productId, { variantId = null, excludeCartId, now = new Date(), transaction } = {}) {
+    const where = { productId, variantId, expiresAt: { [Op.gt]: now } };
+    if (excludeCartId !== undefined && excludeCartId !== null) {
+      where.cartId = { [Op.ne]: excludeCartId };
+    }
+
+    const reserved = await InventoryReservation.sum('quantity', { where, transaction });
+    return reserved || 0;
+  }
+
+  // Stock of a product and of each of its variants, and how much of it carts
+  // are holding. Returns null if the product does not exist.
+  static async getAvailability(productId) {
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      return null;
+    }
+
+    const reserved = await InventoryService.getReservedQuantity(product.id);
+    const variants = await ProductVariant.findAll({ where: { productId: product.id }, order: [['id', 'ASC']] });
+    const variantAvailability = [];
+    for (const variant of variants) {
+      const variantReserved = await InventoryService.getReservedQuantity(product.id, { variantId: variant.id });
+      variantAvailability.push({
+        variantId: variant.id,
+        sku: variant.sku,
+        inventory: variant.inventory,
+        reserved: variantReserved,
+        available: Math.max(variant.inventory - variantReserved, 0)
+      });
+    }
+
+    return {
+      productId: product.id,
+      inventory: product.inventory,
+      reserved,
+      available: Math.max(product.inventory - reserved, 0),
+      variants: variantAvailability
+    };
+  }
+
+  // Sets how many units of a product, or of the given variant of it, a cart
+  // holds and restarts the hold's expiry. Throws if other carts' reservations
+  // leave too little stock. Runs in the given transaction, or in its own.
+  static async reserve(cartId, productId, quantity, { variantId = null, transaction } = {}) {
+    if (!transaction) {
+      return await sequelize.transaction(t => InventoryService.reserve(cartId, productId, quantity, { variantId, transaction: t }));
+    }
+
+    const product = await Product.findByPk(productId, { transaction });
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    // A variant's stock is its own, not the product's
+    let inventory = product.inventory;
+    if (variantId !== null) {
+      const variant = await ProductVariant.findOne({ where: { id: variantId, productId }, transaction });
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+      inventory = variant.inventory;
+    }
+
+    const reserved = await InventoryService.getReservedQuantity(productId, { variantId, excludeCartId: cartId, transaction });
+    if (inventory - reserved < quantity) {
+      throw new Error('Not enough inventory available');
+    }
+
+    const expiresAt = new Date(Date.now() + config.reservationTtlMinutes * 60 * 1000);
+    const existing = await InventoryReservation.findOne({ where: { cartId, productId, variantId }, transaction });
+    if (existing) {
+      return await existing.update({ quantity, expiresAt }, { transaction });
+    }
+    return await InventoryReservation.create({ cartId, productId, variantId, quantity, expiresAt }, { transaction });
+  }
+
+  // Returns the number of reservations released
+  static async release(cartId, productId, { variantId = null, transaction } = {}) {
+    return await InventoryReservation.destroy({ where: { cartId, productId, variantId }, transaction });
+  }
+
+  static async releaseCart(cartId, transaction) {
+    return await InventoryReservation.destroy({ where: { cartId }, transaction });
+  }
+
+  // Unexpired reservations of a cart
+  static async getCartReservations(cartId, now = new Date()) {
+    return await InventoryReservation.findAll({ where: { cartId, expiresAt: { [Op.gt]: now } } });
+  }
+
+  // Deletes expired reservations. Returns the number deleted
+  static async sweepExpired(now = new Date()) {
+    return await InventoryReservation.destroy({ where: { expiresAt: { [Op.lte]: now } } });
+  }
+
+  // Sweeps expired reservations periodically until stopSweeper is called
+  static startSweeper(intervalMs = config.reservationSweepIntervalSeconds * 1000) {
+    InventoryService.stopSweeper();
+    sweeper = setInterval(() => {
+      InventoryService.sweepExpired().catch(error => {
+        console.error('Unable to release expired inventory reservations:', error);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for the sweeper
+    sweeper.unref();
+    return sweeper;
+  }
+
+  static stopSweeper() {
+    if (sweeper) {
+      clearInterval(sweeper);
+      sweeper = null;
+    }
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,34 @@
+const config = require('../config');
+const { createNotifier } = require('../notifiers');
+
+let notifier = null;
+
+class NotificationService {
+  // The notifier in use, created from the configuration on first use
+  static getNotifier() {
+    if (!notifier) {
+      notifier = createNotifier(config.notifier, { path: config.notificationFile });
+    }
+    return notifier;
+  }
+
+  // Replaces the configured transport, e.g. with an email provider
+  static setNotifier(replacement) {
+    notifier = replacement;
+  }
+
+  // Sends a notification. Failures are logged rather than thrown: by the time
+  // a notification goes out, the change it reports has already happened.
+  // Returns whether it was sent.
+  static async notify(notification) {
+    try {
+      await NotificationService.getNotifier().send(notification);
+      return true;
+    } catch (error) {
+      console.error(`Unable to send ${notification.type} notification:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,119 @@
+const { sequelize } = require('../models');
+const Order = require('../models/order');
+const OrderItem = require('../models/orderItem');
+const OrderStatusHistory = require('../models/orderStatusHistory');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const StockService = require('./stockService');
+const { NotFoundError } = require('./errors');
+
+// Allowed next statuses for each order status
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+class OrderService {
+  static async getOrder(id, transaction) {
+    return await Order.findByPk(id, {
+      include: [
+        OrderItem,
+        { model: OrderStatusHistory, as: 'statusHistory' }
+      ],
+      order: [[{ model: OrderStatusHistory, as: 'statusHistory' }, 'id', 'ASC']],
+      transaction
+    });
+  }
+
+  static async getOrdersByUser(userId) {
+    if (!userId) {
+      throw new Error('userId query parameter is required');
+    }
+
+    return await Order.findAll({
+      where: { userId },
+      include: OrderItem,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  static async transition(id, toStatus, { actor, reason } = {}) {
+    if (!TRANSITIONS[toStatus]) {
+      throw new Error(`Unknown order status: ${toStatus}`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(id, { include: OrderItem, transaction });
+      if (!order) {
+        throw new NotFoundError(`Order with id ${id} does not exist`);
+      }
+
+      const fromStatus = order.status;
+      if (!TRANSITIONS[fromStatus].includes(toStatus)) {
+        throw new Error(`Cannot transition order from ${fromStatus} to ${toStatus}`);
+      }
+
+      // Cancelled orders never ship, so their units go back on the shelf.
+      // Variant lines (the ones with a SKU) go back to their variant, if it
+      // still exists.
+      if (toStatus === 'cancelled') {
+        const restocked = order.OrderItems.filter(item => item.productId && (!item.sku || item.variantId));
+        for (const item of restocked) {
+          await (item.sku ? ProductVariant : Product).increment('inventory', {
+            by: item.quantity,
+            where: { id: item.sku ? item.variantId : item.productId },
+            transaction
+          });
+        }
+        await StockService.record(restocked.map(item => ({
+          productId: item.productId,
+          variantId: item.sku ? item.variantId : null,
+          orderId: order.id,
+          type: 'return',
+          quantity: item.quantity,
+          reason: reason || 'Order cancelled',
+          actor
+        })), transaction);
+      }
+
+      order.status = toStatus;
+      await order.save({ transaction });
+
+      await OrderStatusHistory.create({
+        orderId: order.id,
+        fromStatus,
+        toStatus,
+        actor,
+        reason
+      }, { transaction });
+
+      return await OrderService.getOrder(order.id, transaction);
+    });
+  }
+
+  static async markPaid(id, details) {
+    return await OrderService.transition(id, 'paid', details);
+  }
+
+  static async ship(id, details) {
+    return await OrderService.transition(id, 'shipped', details);
+  }
+
+  static async deliver(id, details) {
+    return await OrderService.transition(id, 'delivered', details);
+  }
+
+  static async cancel(id, details) {
+    return await OrderService.transition(id, 'cancelled', details);
+  }
+
+  static async refund(id, details) {
+    return await OrderService.transition(id, 'refunded', details);
+  }
+}
+
+module.exports = OrderService;
@@ -1,27 +1,272 @@
+const { sequelize } = require('../models');
 const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const ProductImage = require('../models/productImage');
 const Category = require('../models/category');
-const { Op } = require('sequelize');
+const CartItem = require('../models/cartItem');
+const InventoryReservation = require('../models/inventoryReservation');
+const WishlistItem = require('../models/wishlistItem');
+const Promotion = require('../models/promotion');
+const CategoryService = require('./categoryService');
+const SearchService = require('./searchService');
+const CurrencyService = require('./currencyService');
+const StockService = require('./stockService');
+const WebhookService = require('./webhookService');
+const ImageService = require('./imageService');
+const { ValidationError } = require('./errors');
+const { parseLimit, parseOffset, encodeCursor, decodeCursor, cursorWhere } = require('../utils/pagination');
+const { parseSort } = require('../utils/sort');
+const { toMinor, fromMinor } = require('../utils/money');
+const { DEFAULT_TAX_CLASS } = require('../utils/tax');
+const { Op, fn, col, literal } = require('sequelize');
+
+// Lower bounds of the price ranges reported in facets, in minor units; the last
+// range is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000].map(amount => toMinor(amount));
+
+// A product's images in display order, loaded with a query of their own so
+// they don't count towards a listing's limit
+const imagesInclude = {
+    model: ProductImage,
+    as: 'images',
+    separate: true,
+    order: [['position', 'ASC'], ['id', 'ASC']]
+};
+
+// Query parameters arrive as strings; an empty string means "not set"
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Parses a price query parameter into minor units
+const parsePrice = (name, value) => {
+    try {
+        return toMinor(value);
+    } catch {
+        throw new ValidationError(`Invalid ${name}: ${value}`);
+    }
+};
+
+const parseNumber = (name, value) => {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        throw new ValidationError(`Invalid ${name}: ${value}`);
+    }
+    return number;
+};
+
+// A product with variants is in stock when its variants are; SUM gives null
+// for a product without any, which then counts its own inventory
+const IN_STOCK = literal(
+    'COALESCE((SELECT SUM("inventory") FROM "ProductVariants" WHERE "ProductVariants"."productId" = "Product"."id"), "Product"."inventory") > 0'
+);
+
+// Builds the where clause for the optional listing filters
+const buildFilters = ({ minPrice, maxPrice, inStock, taxRate, name }) => {
+    const where = {};
+
+    if (isSet(minPrice) || isSet(maxPrice)) {
+        where.priceMinor = {};
+        if (isSet(minPrice)) {
+            where.priceMinor[Op.gte] = parsePrice('minPrice', minPrice);
+        }
+        if (isSet(maxPrice)) {
+            where.priceMinor[Op.lte] = parsePrice('maxPrice', maxPrice);
+        }
+    }
+
+    if (String(inStock) === 'true') {
+        where[Op.and] = [IN_STOCK];
+    }
+
+    if (isSet(taxRate)) {
+        where.taxRate = parseNumber('taxRate', taxRate);
+    }
+
+    if (isSet(name)) {
+        where.name = { [Op.like]: `%${name}%` };
+    }
+
+    return where;
+};
+
+// Fields products can be sorted by: how to order by them, the column used in
+// cursor conditions, and how to read the value from a row
+const SORT_FIELDS = {
+    name: { order: ['name'], column: 'name', value: row => row.name },
+    price: { order: ['priceMinor'], column: 'priceMinor', value: row => row.priceMinor },
+    createdAt: { order: ['createdAt'], column: 'createdAt', value: row => row.createdAt },
+    inventory: { order: ['inventory'], column: 'inventory', value: row => row.inventory },
+    category: { order: [Category, 'name'], column: '$Category.name$', value: row => (row.Category ? row.Category.name : null) },
+    id: { order: ['id'], column: 'id', value: row => row.id },
+};
+
+// Parses the sort option into sort keys. id is always the last key so that
+// rows with equal values keep a stable order across pages
+const parseSortKeys = (sort) => {
+    const keys = sort ? parseSort(sort, Object.keys(SORT_FIELDS).filter(field => field !== 'id')) : [];
+    const lastDirection = keys.length ? keys[keys.length - 1].direction : 'ASC';
+    return [...keys, { field: 'id', direction: lastDirection }];
+};
+
+const toOrder = (keys) => keys.map(({ field, direction }) => [...SORT_FIELDS[field].order, direction]);
+
+// Presents the products of a listing result in another currency when one was
+// requested, recording the exchange rate used on the result
+const applyCurrency = async (result, currency) => {
+    if (!currency) {
+        return result;
+    }
+
+    const converter = await CurrencyService.getConverter(currency);
+    return {
+        ...result,
+        data: result.data.map(product => {
+            const priceMinor = converter.convert(product.priceMinor);
+            return {
+                ...product.toJSON(),
+                priceMinor,
+                price: fromMinor(priceMinor, converter.currency),
+                currency: converter.currency
+            };
+        }),
+        exchange: converter.exchange
+    };
+};
 
 class ProductService {
-    static async getAllProducts() {
-        return await Product.findAll();
+    static async getAllProducts(options = {}) {
+        return await ProductService.listProducts({}, options);
     }
 
+    // Runs a product listing: applies the filters in options on top of the given
+    // where clause and returns one page of matching products with its facets.
+    // Pages are addressed either by offset or by the cursor of a previous page.
+    // Filters and facets use the store currency; options.currency only changes
+    // how the returned prices are presented.
+    static async listProducts(where, options = {}) {
+        const { sort, cursor } = options;
+        const limit = parseLimit(options.limit);
+        const offset = cursor ? null : parseOffset(options.offset);
+        const filteredWhere = { ...where, ...buildFilters(options) };
+        const keys = parseSortKeys(sort);
+
+        let pageWhere = filteredWhere;
+        if (cursor) {
+            const values = decodeCursor(cursor, keys.length);
+            const columns = keys.map(({ field, direction }) => [SORT_FIELDS[field].column, direction]);
+            pageWhere = { [Op.and]: [filteredWhere, cursorWhere(columns, values)] };
+        }
+
+        const queryOptions = {
+            where: pageWhere,
+            include: [Category, imagesInclude],
+            order: toOrder(keys),
+            limit: limit + 1,  // One extra row tells whether there is a next page
+        };
+        if (offset) {
+            queryOptions.offset = offset;
+        }
+
+        const rows = await Product.findAll(queryOptions);
+        const data = rows.slice(0, limit);
+        const total = await Product.count({ where: filteredWhere });
+        const facets = await ProductService.getFacets(filteredWhere);
+
+        const lastRow = data[data.length - 1];
+        return await applyCurrency({
+            data,
+            page: {
+                total,
+                limit,
+                offset,
+                nextCursor: rows.length > limit
+                    ? encodeCursor(keys.map(({ field }) => SORT_FIELDS[field].value(lastRow)))
+                    : null
+            },
+            facets
+        }, options.currency);
+    }
+
+    // Counts the products matching a where clause per category and per price range
+    static async getFacets(where) {
+        const categoryRows = await Product.findAll({
+            where,
+            attributes: ['categoryId', [fn('COUNT', col('Product.id')), 'count']],
+            include: { model: Category, attributes: ['name'] },
+            group: ['Product.categoryId', 'Category.id'],
+            raw: true
+        });
+
+        const bucketCase = PRICE_BUCKETS.slice(1)
+            .map((bound, index) => `WHEN priceMinor < ${bound} THEN ${index}`)
+            .join(' ');
+        const priceRows = await Product.findAll({
+            where,
+            attributes: [
+                [literal(`CASE ${bucketCase} ELSE ${PRICE_BUCKETS.length - 1} END`), 'bucket'],
+                [fn('COUNT', col('id')), 'count']
+            ],
+            group: ['bucket'],
+            raw: true
+        });
+
+        return {
+            categories: categoryRows.map(row => ({
+                id: row.categoryId,
+                name: row['Category.name'],
+                count: row.count
+            })),
+            priceRanges: PRICE_BUCKETS.map((min, index) => {
+                const row = priceRows.find(priceRow => priceRow.bucket === index);
+                return {
+                    min: fromMinor(min),
+                    max: index < PRICE_BUCKETS.length - 1 ? fromMinor(PRICE_BUCKETS[index + 1]) : null,
+                    count: row ? row.count : 0
+                };
+            })
+        };
+    }
+
+    // Includes the product's images and its variants, if it has any
     static async getProductById(id) {
-        return await Product.findByPk(id);
+        return await Product.findByPk(id, {
+            include: [{ model: ProductVariant, as: 'variants' }, imagesInclude],
+            order: [[{ model: ProductVariant, as: 'variants' }, 'id', 'ASC']]
+        });
     }
 
-    static async createProduct(product) {
+    // actor, who is making the change, is recorded with the opening stock
+    static async createProduct(product, { actor } = {}) {
         // Check if category exists
         const category = await Category.findByPk(product.categoryId);
         if (!category) {
             throw new Error(`Category with id ${product.categoryId} does not exist`);
         }
-        
-        return await Product.create(product);
+
+        return await sequelize.transaction(async (transaction) => {
+            const created = await Product.create(product, { transaction });
+            // Opening stock goes through the ledger like any later change
+            if (created.inventory) {
+                await StockService.record([{
+                    productId: created.id,
+                    type: 'receipt',
+                    quantity: created.inventory,
+                    reason: 'Initial stock',
+                    actor
+                }], transaction);
+            }
+            await WebhookService.emit('product.created', created, transaction);
+            return created;
+        });
     }
 
-    static async updateProduct(id, product) {
+    // Partial update: only the given fields change. Returns null if the product does not exist.
+    // actor, who is making the change, is recorded with any inventory adjustment
+    static async updateProduct(id, product, { actor } = {}) {
+        const existing = await Product.findByPk(id);
+        if (!existing) {
+            return null;
+        }
+
         // If categoryId is being updated, check if new category exists
         if (product.categoryId) {
             const category = await Category.findByPk(product.categoryId);
@@ -30,37 +275,71 @@ class ProductService {
             }
         }
 
-        return await Product.update(product, { where: { id } });
+        return await sequelize.transaction(async (transaction) => {
+            const previousInventory = existing.inventory;
+            const updated = await existing.update(product, { transaction });
+
+            // Overwriting inventory is recorded as an adjustment so the
+            // ledger still adds up
+            const change = product.inventory === undefined ? 0 : existing.inventory - previousInventory;
+            if (change) {
+                await StockService.record([{
+                    productId: existing.id,
+                    type: 'adjustment',
+                    quantity: change,
+                    reason: 'Product update',
+                    actor
+                }], transaction);
+            }
+            await WebhookService.emit('product.updated', updated, transaction);
+            return updated;
+        });
     }
 
+    // Full replacement: required fields must be present and omitted optional fields are reset to their defaults
+    static async replaceProduct(id, product, { actor } = {}) {
+        const missing = ['name', 'price', 'categoryId'].filter(field => product[field] === undefined);
+        if (missing.length) {
+            throw new Error(`Missing required fields: ${missing.join(', ')}`);
+        }
+
+        const {
+            name, price, categoryId, description = null, inventory = 0, taxClass = DEFAULT_TAX_CLASS, taxRate = 0,
+            weightGrams = null, lengthMm = null, widthMm = null, heightMm = null, reorderThreshold = null
+        } = product;
+        return await ProductService.updateProduct(id, {
+            name, price, categoryId, description, inventory, taxClass, taxRate, weightGrams, lengthMm, widthMm, heightMm,
+            reorderThreshold
+        }, { actor });
+    }
+
+    // Deletes a product with its images and the promotions scoped to it, and
+    // takes it out of carts and wishlists, releasing the stock carts hold of
+    // it. Image files are removed once the delete has committed.
     static async deleteProduct(id) {
-        return await Product.destroy({ where: { id } });
+        const deletedCount = await sequelize.transaction(async (transaction) => {
+            await ImageService.deleteProductImages(id, transaction);
+            await InventoryReservation.destroy({ where: { productId: id }, transaction });
+            await CartItem.destroy({ where: { productId: id }, transaction });
+            await WishlistItem.destroy({ where: { productId: id }, transaction });
+            await Promotion.destroy({ where: { productId: id }, transaction });
+            return await Product.destroy({ where: { id }, transaction });
+        });
+        if (deletedCount) {
+            await WebhookService.emit('product.deleted', { id: Number(id) });
+        }
+        return deletedCount;
     }
 
     static async getProductsByCategory(categoryId, options = {}) {
-        const { sort, limit, offset } = options;
-        
-        const queryOptions = {
-            where: { categoryId },
-            include: Category,
-        };
+        const { includeDescendants } = options;
 
-        // Add sorting if specified
-        if (sort) {
-            //queryOptions.order = [sort.split(',')];  // e.g. "price,DESC"
-            const [field, direction] = sort.split(',');  // Destructure the field and direction
-            queryOptions.order = [[field, direction || 'ASC']];  // Default to ASC if direction is missing
-        }
+        // Optionally widen the category to its whole subtree
+        const where = String(includeDescendants) === 'true'
+            ? { categoryId: { [Op.in]: await CategoryService.getDescendantIds(categoryId) } }
+            : { categoryId };
 
-        // Add pagination if specified
-        if (limit) {
-            queryOptions.limit = parseInt(limit);
-        }
-        if (offset) {
-            queryOptions.offset = parseInt(offset);
-        }
-
-        return await Product.findAll(queryOptions);
+        return await ProductService.listProducts(where, options);
     }
 
     static async getProductsByCategories(categoryIdsStr, options = {}) {
@@ -73,34 +352,52 @@ class ProductService {
             throw new Error('Categories parameter is required');
         }
 
-        const { sort, limit, offset } = options;
-        
-        const queryOptions = {
-            where: {
-                categoryId: {
-                    [Op.in]: Array.isArray(categoryIds) ? categoryIds : [categoryIds]
-                }
-            },
-            include: Category,
-        };
+        return await ProductService.listProducts({
+            categoryId: {
+                [Op.in]: Array.isArray(categoryIds) ? categoryIds : [categoryIds]
+            }
+        }, options);
+    }
 
-        // Add sorting if specified
-        if (sort) {
-            //queryOptions.order = [sort.split(',')];
-            const [field, direction] = sort.split(',');  // Destructure the field and direction
-            queryOptions.order = [[field, direction || 'ASC']];  // Default to ASC if direction is missing
+    static async searchProducts(query, options = {}) {
+        if (!query || !query.trim()) {
+            throw new Error('Search query is required');
         }
 
-        // Add pagination if specified
-        if (limit) {
-            queryOptions.limit = parseInt(limit);
+        const limit = parseLimit(options.limit);
+        const offset = parseOffset(options.offset);
+        const ids = await SearchService.searchProductIds(query);
+        const page = { total: ids.length, limit, offset, nextCursor: null };
+
+        if (!ids.length) {
+            return await applyCurrency({ data: [], page }, options.currency);
         }
-        if (offset) {
-            queryOptions.offset = parseInt(offset);
+
+        // An explicit sort replaces relevance ranking and can be done by the database
+        if (options.sort) {
+            const data = await Product.findAll({
+                where: { id: { [Op.in]: ids } },
+                include: [Category, imagesInclude],
+                order: toOrder(parseSortKeys(options.sort)),
+                limit,
+                offset,
+            });
+            return await applyCurrency({ data, page }, options.currency);
         }
 
-        return await Product.findAll(queryOptions);
+        // Otherwise page through the ids in relevance order
+        const pageIds = ids.slice(offset, offset + limit);
+
+        const products = await Product.findAll({
+            where: { id: { [Op.in]: pageIds } },
+            include: [Category, imagesInclude],
+        });
+
+        return await applyCurrency({
+            data: products.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id)),
+            page
+        }, options.currency);
     }
 }
 
-module.exports = ProductService;
\ No newline at end of file
+module.exports = ProductService;
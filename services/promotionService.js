@@ -0,0 +1,65 @@
+const { Op } = require('sequelize');
+const Promotion = require('../models/promotion');
+const Product = require('../models/product');
+const Category = require('../models/category');
+const CategoryService = require('./categoryService');
+
+class PromotionService {
+  static async getPromotions() {
+    return await Promotion.findAll({ order: [['priority', 'DESC'], ['id', 'ASC']] });
+  }
+
+  static async createPromotion(promotion) {
+    if (promotion.productId) {
+      const product = await Product.findByPk(promotion.productId);
+      if (!product) {
+        throw new Error(`Product with id ${promotion.productId} does not exist`);
+      }
+    }
+
+    if (promotion.categoryId) {
+      const category = await Category.findByPk(promotion.categoryId);
+      if (!category) {
+        throw new Error(`Category with id ${promotion.categoryId} does not exist`);
+      }
+    }
+
+    return await Promotion.create(promotion);
+  }
+
+  // Partial update. Returns null if the promotion does not exist
+  static async updatePromotion(id, promotion) {
+    const existing = await Promotion.findByPk(id);
+    if (!existing) {
+      return null;
+    }
+    return await existing.update(promotion);
+  }
+
+  // Returns the number of promotions deleted
+  static async deletePromotion(id) {
+    return await Promotion.destroy({ where: { id } });
+  }
+
+  // Promotions running at the given time, as plain objects with the ids of
+  // the categories their scope covers (null when they have no category scope)
+  static async getActivePromotions(now = new Date(), transaction) {
+    const promotions = await Promotion.findAll({
+      where: {
+        active: true,
+        [Op.and]: [
+          { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+          { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }] }
+        ]
+      },
+      transaction
+    });
+
+    return await Promise.all(promotions.map(async promotion => ({
+      ...promotion.get({ plain: true }),
+      categoryIds: promotion.categoryId ? await CategoryService.getDescendantIds(promotion.categoryId) : null
+    })));
+  }
+}
+
+module.exports = PromotionService;
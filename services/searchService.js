@@ -0,0 +1,83 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+const { TABLE, VOCAB_TABLE } = require('../models/productSearch');
+
+// Splits a free-text query into lowercase word tokens
+const tokenize = (query) => (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+// Number of single-character edits (insertions, deletions, substitutions and
+// swaps of adjacent characters) needed to turn one word into another
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+// How many typos a token may contain: none for short words, more for long ones
+const maxTypos = (token) => {
+  if (token.length < 4) return 0;
+  if (token.length < 8) return 1;
+  return 2;
+};
+
+const quote = (term) => `"${term.replace(/"/g, '""')}"`;
+
+class SearchService {
+  // Returns the ids of the products matching every token of the query, best match first
+  static async searchProductIds(query) {
+    const tokens = tokenize(query || '');
+    if (!tokens.length) {
+      return [];
+    }
+
+    // Prefix match on every token, so "lap" finds "laptop"
+    const ids = await SearchService.match(tokens.map(token => `${quote(token)}*`).join(' AND '));
+    if (ids.length) {
+      return ids;
+    }
+
+    return await SearchService.fuzzyMatch(tokens);
+  }
+
+  // Typo-tolerant fallback: replaces each token with the indexed terms within
+  // its edit distance, e.g. "lptop" -> "laptop"
+  static async fuzzyMatch(tokens) {
+    const terms = (await sequelize.query(`SELECT term FROM ${VOCAB_TABLE}`, { type: QueryTypes.SELECT }))
+      .map(row => row.term);
+
+    const clauses = [];
+    for (const token of tokens) {
+      const candidates = terms.filter(term => editDistance(token, term) <= maxTypos(token));
+      if (!candidates.length) {
+        return [];
+      }
+      clauses.push(`(${candidates.map(quote).join(' OR ')})`);
+    }
+
+    return await SearchService.match(clauses.join(' AND '));
+  }
+
+  static async match(expression) {
+    // bm25 ranks lower scores first; matches in the name weigh more than in the description
+    const rows = await sequelize.query(
+      `SELECT rowid AS id FROM ${TABLE} WHERE ${TABLE} MATCH :expression ORDER BY bm25(${TABLE}, 10.0, 1.0)`,
+      { replacements: { expression }, type: QueryTypes.SELECT }
+    );
+    return rows.map(row => row.id);
+  }
+}
+
+module.exports = SearchService;
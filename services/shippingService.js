@@ -0,0 +1,45 @@
+const ShippingMethod = require('../models/shippingMethod');
+
+class ShippingService {
+  static async getShippingMethods() {
+    return await ShippingMethod.findAll({ order: [['name', 'ASC']] });
+  }
+
+  static async createShippingMethod(shippingMethod) {
+    return await ShippingMethod.create(shippingMethod);
+  }
+
+  // Partial update. Returns null if the method does not exist
+  static async updateShippingMethod(id, shippingMethod) {
+    const existing = await ShippingMethod.findByPk(id);
+    if (!existing) {
+      return null;
+    }
+    return await existing.update(shippingMethod);
+  }
+
+  // Returns the number of methods deleted. Carts that had picked the method
+  // go back to having none.
+  static async deleteShippingMethod(id) {
+    return await ShippingMethod.destroy({ where: { id } });
+  }
+
+  // Methods shoppers can pick from, as plain objects
+  static async getActiveMethods(transaction) {
+    const methods = await ShippingMethod.findAll({
+      where: { active: true },
+      order: [['name', 'ASC']],
+      transaction
+    });
+    return methods.map(method => method.get({ plain: true }));
+  }
+
+  // A method as a plain object, or null. Inactive methods are returned too so
+  // carts that picked one can be told it is no longer available.
+  static async getMethod(id, transaction) {
+    const method = await ShippingMethod.findByPk(id, { transaction });
+    return method ? method.get({ plain: true }) : null;
+  }
+}
+
+module.exports = ShippingService;
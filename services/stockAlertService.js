@@ -0,0 +1,142 @@
+const { Op } = require('sequelize');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const StockSubscription = require('../models/stockSubscription');
+const NotificationService = require('./notificationService');
+const { NotFoundError, ConflictError } = require('./errors');
+const config = require('../config');
+
+const variantsInclude = { model: ProductVariant, as: 'variants', attributes: ['id', 'inventory'] };
+
+const hasVariants = product => Boolean(product.variants && product.variants.length);
+
+// Units of a product loaded with its variants that are in stock: the sum of
+// its variants' stock for a product with variants, its own otherwise
+const stockLevel = product => (hasVariants(product)
+  ? product.variants.reduce((total, variant) => total + variant.inventory, 0)
+  : product.inventory);
+
+// Events raised by a product's stock moving from `before` to `after`. Each
+// fires once when the level is crossed, not on every later change.
+const stockEvents = (product, before, after) => {
+  const events = [];
+  const threshold = product.reorderThreshold;
+  if (threshold !== null && threshold !== undefined && before >= threshold && after < threshold) {
+    events.push({ type: 'low_stock', product, inventory: after });
+  }
+  if (before <= 0 && after > 0) {
+    events.push({ type: 'back_in_stock', product, inventory: after });
+  }
+  return events;
+};
+
+class StockAlertService {
+  // Asks to be told when an out-of-stock product is restocked. Subscribing
+  // twice before the restock returns the existing subscription.
+  static async subscribe(productId, email) {
+    const product = await Product.findByPk(productId, { include: [variantsInclude] });
+    if (!product) {
+      throw new NotFoundError(`Product with id ${productId} does not exist`);
+    }
+    if (stockLevel(product) > 0) {
+      throw new ConflictError(`Product ${product.id} is in stock`);
+    }
+
+    const [subscription] = await StockSubscription.findOrCreate({
+      where: {
+        productId: product.id,
+        email: typeof email === 'string' ? email.trim().toLowerCase() : email,
+        notifiedAt: null
+      }
+    });
+    return subscription;
+  }
+
+  // Looks for low-stock and back-in-stock events in stock movements just
+  // recorded, and sends their notifications once the transaction commits.
+  // For a product with variants, the movements of its variants count.
+  static async checkLevels(movements, transaction) {
+    const changes = new Map();
+    for (const { productId, variantId, quantity } of movements) {
+      if (productId) {
+        const change = changes.get(productId) || { product: 0, variants: 0 };
+        change[variantId ? 'variants' : 'product'] += quantity;
+        changes.set(productId, change);
+      }
+    }
+    if (!changes.size) {
+      return [];
+    }
+
+    const products = await Product.findAll({ where: { id: [...changes.keys()] }, include: [variantsInclude], transaction });
+    const events = products.flatMap((product) => {
+      const change = changes.get(product.id);
+      const after = stockLevel(product);
+      return stockEvents(product, after - (hasVariants(product) ? change.variants : change.product), after);
+    });
+
+    if (events.length) {
+      const send = () => StockAlertService.sendAlerts(events);
+      if (transaction && transaction.afterCommit) {
+        transaction.afterCommit(send);
+      } else {
+        await send();
+      }
+    }
+    return events;
+  }
+
+  static async sendAlerts(events) {
+    try {
+      for (const { type, product, inventory } of events) {
+        if (type === 'low_stock') {
+          await StockAlertService.sendLowStock(product, inventory);
+        } else {
+          await StockAlertService.sendBackInStock(product);
+        }
+      }
+    } catch (error) {
+      console.error('Unable to send stock notifications:', error);
+    }
+  }
+
+  // inventory is the product's stock, summed over its variants if it has any
+  static async sendLowStock(product, inventory) {
+    return await NotificationService.notify({
+      type: 'low_stock',
+      to: config.stockAlertRecipient,
+      subject: `Low stock: ${product.name}`,
+      text: `${product.name} is down to ${inventory} units, below its reorder threshold of ${product.reorderThreshold}.`,
+      data: { productId: product.id, inventory, reorderThreshold: product.reorderThreshold }
+    });
+  }
+
+  // Tells everyone waiting for the product. Subscriptions whose notification
+  // failed stay pending for the next restock.
+  static async sendBackInStock(product) {
+    const subscriptions = await StockSubscription.findAll({
+      where: { productId: product.id, notifiedAt: null }
+    });
+
+    const notified = [];
+    for (const subscription of subscriptions) {
+      const sent = await NotificationService.notify({
+        type: 'back_in_stock',
+        to: subscription.email,
+        subject: `${product.name} is back in stock`,
+        text: `${product.name} is available again.`,
+        data: { productId: product.id }
+      });
+      if (sent) {
+        notified.push(subscription.id);
+      }
+    }
+
+    if (notified.length) {
+      await StockSubscription.update({ notifiedAt: new Date() }, { where: { id: { [Op.in]: notified } } });
+    }
+    return notified.length;
+  }
+}
+
+module.exports = StockAlertService;
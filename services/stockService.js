@@ -0,0 +1,183 @@
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../models');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const StockMovement = require('../models/stockMovement');
+const StockAlertService = require('./stockAlertService');
+const WebhookService = require('./webhookService');
+const { NotFoundError, ConflictError, ValidationError } = require('./errors');
+const { parseLimit, parseOffset } = require('../utils/pagination');
+
+// Movement types that can be recorded by hand; sales are only recorded by
+// checkout
+const ADJUSTMENT_TYPES = ['receipt', 'return', 'adjustment'];
+
+// Raises the notifications and events for movements just recorded. The
+// event's inventory is that of the variant for movements of a variant.
+const afterChange = async (movements, transaction) => {
+  await StockAlertService.checkLevels(movements, transaction);
+
+  const ids = (key, variants) => [...new Set(movements
+    .filter(movement => Boolean(movement.variantId) === variants)
+    .map(movement => movement[key])
+    .filter(Boolean))];
+  const productIds = ids('productId', false);
+  const variantIds = ids('variantId', true);
+  const products = productIds.length
+    ? await Product.findAll({ where: { id: productIds }, attributes: ['id', 'inventory'], transaction })
+    : [];
+  const variants = variantIds.length
+    ? await ProductVariant.findAll({ where: { id: variantIds }, attributes: ['id', 'inventory'], transaction })
+    : [];
+  const inventory = new Map(products.map(product => [product.id, product.inventory]));
+  const variantInventory = new Map(variants.map(variant => [variant.id, variant.inventory]));
+  for (const movement of movements) {
+    await WebhookService.emit('inventory.changed', {
+      productId: movement.productId,
+      variantId: movement.variantId || null,
+      movementId: movement.id,
+      type: movement.type,
+      quantity: movement.quantity,
+      reason: movement.reason || null,
+      orderId: movement.orderId || null,
+      inventory: movement.variantId ? variantInventory.get(movement.variantId) : inventory.get(movement.productId)
+    }, transaction);
+  }
+};
+
+const parseQuantity = (type, quantity) => {
+  const parsed = Number(quantity);
+  if (!Number.isInteger(parsed) || parsed === 0) {
+    throw new ValidationError('quantity must be a non-zero integer');
+  }
+  if (type !== 'adjustment' && parsed < 0) {
+    throw new ValidationError(`quantity of a ${type} must be positive`);
+  }
+  return parsed;
+};
+
+class StockService {
+  // Appends movements to the ledger without touching inventory, for callers
+  // that already changed it in the same transaction
+  static async record(movements, transaction) {
+    const recorded = await StockMovement.bulkCreate(movements, { validate: true, transaction });
+    await afterChange(recorded, transaction);
+    return recorded;
+  }
+
+  // Changes a product's inventory, or that of one of its variants, by hand
+  // and records why. Products with variants are adjusted by variant.
+  // Receipts and returns add stock; adjustments are signed and can't take
+  // inventory below zero.
+  static async adjustStock(productId, { type, quantity, reason, actor, variantId } = {}) {
+    if (!ADJUSTMENT_TYPES.includes(type)) {
+      throw new ValidationError(`type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`);
+    }
+    const change = parseQuantity(type, quantity);
+
+    return await sequelize.transaction(async (transaction) => {
+      const product = await Product.findByPk(productId, { transaction });
+      if (!product) {
+        throw new NotFoundError(`Product with id ${productId} does not exist`);
+      }
+
+      let variant = null;
+      if (variantId !== undefined && variantId !== null) {
+        variant = await ProductVariant.findOne({ where: { id: variantId, productId: product.id }, transaction });
+        if (!variant) {
+          throw new NotFoundError(`Variant with id ${variantId} does not exist`);
+        }
+      } else if (await ProductVariant.count({ where: { productId: product.id }, transaction })) {
+        throw new ValidationError(`Product ${product.id} has variants; choose one with variantId`);
+      }
+
+      // Conditional on the stock still being there, like checkout
+      const where = { id: variant ? variant.id : product.id };
+      if (change < 0) {
+        where.inventory = { [Op.gte]: -change };
+      }
+      const [affectedCount] = await (variant ? ProductVariant : Product).update(
+        { inventory: sequelize.literal(`inventory + ${change}`) },
+        { where, transaction }
+      );
+      if (!affectedCount) {
+        const stock = variant ? `variant ${variant.sku}` : `product ${product.id}`;
+        throw new ConflictError(`Not enough inventory to remove ${-change} units of ${stock}`);
+      }
+
+      const movement = await StockMovement.create({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        type,
+        quantity: change,
+        reason,
+        actor
+      }, { transaction });
+      await afterChange([movement], transaction);
+      return movement;
+    });
+  }
+
+  // A product's movements, newest first
+  static async getMovements(productId, options = {}) {
+    const limit = parseLimit(options.limit);
+    const offset = parseOffset(options.offset);
+
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new NotFoundError(`Product with id ${productId} does not exist`);
+    }
+
+    const { rows, count } = await StockMovement.findAndCountAll({
+      where: { productId: product.id },
+      order: [['id', 'DESC']],
+      limit,
+      offset
+    });
+    return { data: rows, page: { total: count, limit, offset, nextCursor: null } };
+  }
+
+  // Recomputes the inventory of every product and variant from the ledger
+  // and compares it with the stored inventory. drift is stored minus
+  // recomputed, so a positive drift means units nobody accounted for. Only
+  // the products and variants that drifted are returned; variantId is null
+  // for a product's own stock.
+  static async checkConsistency() {
+    const totals = await StockMovement.findAll({
+      attributes: ['productId', 'variantId', [fn('SUM', col('quantity')), 'ledgerInventory']],
+      where: { productId: { [Op.ne]: null } },
+      group: ['productId', 'variantId'],
+      raw: true
+    });
+    const ledger = new Map();
+    const variantLedger = new Map();
+    for (const row of totals) {
+      if (row.variantId) {
+        variantLedger.set(row.variantId, Number(row.ledgerInventory));
+      } else {
+        ledger.set(row.productId, Number(row.ledgerInventory));
+      }
+    }
+
+    const products = await Product.findAll({ attributes: ['id', 'name', 'inventory'], order: [['id', 'ASC']] });
+    const variants = await ProductVariant.findAll({ attributes: ['id', 'productId', 'sku', 'inventory'], order: [['id', 'ASC']] });
+    const names = new Map(products.map(product => [product.id, product.name]));
+    const compare = (productId, variant, inventory, ledgerInventory = 0) => ({
+      productId,
+      variantId: variant ? variant.id : null,
+      sku: variant ? variant.sku : null,
+      name: names.get(productId),
+      inventory,
+      ledgerInventory,
+      drift: inventory - ledgerInventory
+    });
+    const drifted = [
+      ...products.map(product => compare(product.id, null, product.inventory, ledger.get(product.id))),
+      ...variants.map(variant => compare(variant.productId, variant, variant.inventory, variantLedger.get(variant.id)))
+    ].filter(({ drift }) => drift !== 0);
+
+    return { checked: products.length + variants.length, drifted };
+  }
+}
+
+module.exports = StockService;
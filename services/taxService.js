@@ -0,0 +1,46 @@
+const TaxRule = require('../models/taxRule');
+const { ruleApplies } = require('../utils/tax');
+
+class TaxService {
+  // Tax rules, optionally only those of a country
+  static async getTaxRules({ country } = {}) {
+    const where = country ? { country: String(country).toUpperCase() } : {};
+    return await TaxRule.findAll({
+      where,
+      order: [['country', 'ASC'], ['region', 'ASC'], ['postalPrefix', 'ASC'], ['taxClass', 'ASC']]
+    });
+  }
+
+  static async createTaxRule(taxRule) {
+    return await TaxRule.create(taxRule);
+  }
+
+  // Partial update. Returns null if the rule does not exist
+  static async updateTaxRule(id, taxRule) {
+    const existing = await TaxRule.findByPk(id);
+    if (!existing) {
+      return null;
+    }
+    return await existing.update(taxRule);
+  }
+
+  // Returns the number of rules deleted
+  static async deleteTaxRule(id) {
+    return await TaxRule.destroy({ where: { id } });
+  }
+
+  // Rules of every tax class that cover a shipping address, as plain objects.
+  // Without an address no rule applies.
+  static async getApplicableRules(address, transaction) {
+    if (!address || !address.country) {
+      return [];
+    }
+
+    const rules = await TaxRule.findAll({ where: { country: address.country }, transaction });
+    return rules
+      .map(rule => rule.get({ plain: true }))
+      .filter(rule => ruleApplies(rule, address));
+  }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,18 @@
+const User = require('../models/user');
+
+class UserService {
+  static async getUserByEmail(email) {
+    return await User.findOne({ where: { email: typeof email === 'string' ? email.trim().toLowerCase() : null } });
+  }
+
+  // Returns null if the user does not exist
+  static async setRole(id, role) {
+    const user = await User.findByPk(id);
+    if (!user) {
+      return null;
+    }
+    return await user.update({ role });
+  }
+}
+
+module.exports = UserService;
@@ -0,0 +1,97 @@
+const { sequelize } = require('../models');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const CartItem = require('../models/cartItem');
+const InventoryReservation = require('../models/inventoryReservation');
+const WishlistItem = require('../models/wishlistItem');
+const StockService = require('./stockService');
+const { NotFoundError, ConflictError } = require('./errors');
+
+// Fields clients may set on a variant; the product is taken from the URL
+const EDITABLE = ['sku', 'options', 'price', 'inventory'];
+
+const pick = (data) => Object.fromEntries(
+  EDITABLE.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// A variant of the given product; variants of other products are reported
+// as missing
+const findVariant = async (productId, id) => {
+  const variant = await ProductVariant.findOne({ where: { id, productId } });
+  if (!variant) {
+    throw new NotFoundError(`Variant with id ${id} does not exist`);
+  }
+  return variant;
+};
+
+const ensureSkuFree = async (sku, exceptId) => {
+  const trimmed = typeof sku === 'string' ? sku.trim() : sku;
+  const existing = await ProductVariant.findOne({ where: { sku: trimmed || null } });
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`A variant with SKU ${trimmed} already exists`);
+  }
+};
+
+class VariantService {
+  // SKUs are unique across the catalog. A variant without a price sells at
+  // the product price.
+  static async createVariant(productId, data = {}) {
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new NotFoundError(`Product with id ${productId} does not exist`);
+    }
+    await ensureSkuFree(data.sku);
+    return await sequelize.transaction(async (transaction) => {
+      const variant = await ProductVariant.create({ ...pick(data), productId: product.id }, { transaction });
+      // Opening stock goes through the ledger, as for products
+      if (variant.inventory) {
+        await StockService.record([{
+          productId: product.id,
+          variantId: variant.id,
+          type: 'receipt',
+          quantity: variant.inventory,
+          reason: 'Initial stock'
+        }], transaction);
+      }
+      return variant;
+    });
+  }
+
+  static async updateVariant(productId, id, data = {}) {
+    const variant = await findVariant(productId, id);
+    if (data.sku !== undefined) {
+      await ensureSkuFree(data.sku, variant.id);
+    }
+    return await sequelize.transaction(async (transaction) => {
+      const previousInventory = variant.inventory;
+      await variant.update(pick(data), { transaction });
+
+      // Overwriting inventory is recorded as an adjustment, as for products
+      const change = variant.inventory - previousInventory;
+      if (change) {
+        await StockService.record([{
+          productId: variant.productId,
+          variantId: variant.id,
+          type: 'adjustment',
+          quantity: change,
+          reason: 'Variant update'
+        }], transaction);
+      }
+      return variant;
+    });
+  }
+
+  // Cart and wishlist lines for the variant go with it, along with the stock
+  // carts hold for it. Orders keep its SKU and options.
+  static async deleteVariant(productId, id) {
+    const variant = await findVariant(productId, id);
+    await sequelize.transaction(async (transaction) => {
+      await InventoryReservation.destroy({ where: { variantId: variant.id }, transaction });
+      await CartItem.destroy({ where: { variantId: variant.id }, transaction });
+      await WishlistItem.destroy({ where: { variantId: variant.id }, transaction });
+      await variant.destroy({ transaction });
+    });
+  }
+}
+
+module.exports = VariantService;
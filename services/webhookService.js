@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { NotFoundError, ConflictError } = require('./errors');
+const { parseLimit, parseOffset } = require('../utils/pagination');
+const { subscribesTo, sign, retryDelay } = require('../utils/webhooks');
+const config = require('../config');
+
+// Deliveries sent per pass, so a backlog doesn't hold one pass forever
+const BATCH_SIZE = 50;
+
+let dispatcher = null;
+let processing = null;
+let rerun = false;
+
+// Records the outcome of an attempt. Failed deliveries are retried with
+// exponential backoff until they run out of attempts and go to the dead
+// letters.
+const recordFailure = async (delivery, lastError, lastStatusCode) => {
+  const attempts = delivery.attempts + 1;
+  if (attempts >= config.webhookMaxAttempts) {
+    return await delivery.update({ status: 'dead', attempts, lastError, lastStatusCode });
+  }
+
+  const delayMs = retryDelay(attempts, config.webhookRetryBaseSeconds * 1000, config.webhookRetryMaxSeconds * 1000);
+  return await delivery.update({
+    attempts,
+    lastError,
+    lastStatusCode,
+    nextAttemptAt: new Date(Date.now() + delayMs)
+  });
+};
+
+// Sends every delivery that is due, in batches. Returns how many were sent.
+const deliverDue = async () => {
+  let sent = 0;
+  let batch;
+  do {
+    batch = await WebhookDelivery.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+      // Deliveries of paused webhooks wait until they are active again
+      include: { model: Webhook, where: { active: true } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    for (const delivery of batch) {
+      const result = await WebhookService.deliver(delivery);
+      if (result.status === 'delivered') {
+        sent++;
+      }
+    }
+  } while (batch.length === BATCH_SIZE);
+  return sent;
+};
+
+// Starts sending due deliveries without waiting for them; errors are logged
+const sendInBackground = () => {
+  WebhookService.processDue().catch(error => {
+    console.error('Unable to send webhook deliveries:', error);
+  });
+};
+
+class WebhookService {
+  static async getWebhooks() {
+    return await Webhook.findAll({ order: [['id', 'ASC']] });
+  }
+
+  static async createWebhook(webhook) {
+    return await Webhook.create(webhook);
+  }
+
+  // Partial update. Returns null if the webhook does not exist
+  static async updateWebhook(id, webhook) {
+    const existing = await Webhook.findByPk(id);
+    if (!existing) {
+      return null;
+    }
+    return await existing.update(webhook);
+  }
+
+  // Returns the number of webhooks deleted, along with their deliveries
+  static async deleteWebhook(id) {
+    return await Webhook.destroy({ where: { id } });
+  }
+
+  // Queues an event for every active webhook that subscribes to it. Within a
+  // transaction the deliveries are written with the change and sent once it
+  // commits.
+  static async emit(type, data, transaction) {
+    const webhooks = (await Webhook.findAll({ where: { active: true }, transaction }))
+      .filter(webhook => subscribesTo(webhook, type));
+    if (!webhooks.length) {
+      return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type,
+      createdAt: new Date().toISOString(),
+      // Model instances are sent as their JSON representation
+      data: JSON.parse(JSON.stringify(data))
+    };
+    const deliveries = await WebhookDelivery.bulkCreate(webhooks.map(webhook => ({
+      webhookId: webhook.id,
+      eventId,
+      eventType: type,
+      payload
+    })), { transaction });
+
+    if (transaction && transaction.afterCommit) {
+      transaction.afterCommit(sendInBackground);
+    } else {
+      sendInBackground();
+    }
+    return deliveries;
+  }
+
+  // Sends one delivery loaded with its Webhook and records the outcome.
+  // Receivers get the event as JSON with headers identifying and signing it;
+  // any 2xx response counts as delivered.
+  static async deliver(delivery) {
+    const webhook = delivery.Webhook;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhookTimeoutMs)
+      });
+      // The response body is not used, but has to be read to free the connection
+      await response.arrayBuffer();
+    } catch (error) {
+      return await recordFailure(delivery, error.message, null);
+    }
+
+    if (!response.ok) {
+      return await recordFailure(delivery, `Receiver responded with ${response.status}`, response.status);
+    }
+    return await delivery.update({
+      status: 'delivered',
+      attempts: delivery.attempts + 1,
+      deliveredAt: new Date(),
+      lastError: null,
+      lastStatusCode: response.status
+    });
+  }
+
+  // Sends the deliveries that are due. Calls made while a pass is running
+  // share it, and trigger one more pass so nothing queued meanwhile waits
+  // for the next interval.
+  static processDue() {
+    if (processing) {
+      rerun = true;
+      return processing;
+    }
+
+    processing = (async () => {
+      let sent = 0;
+      do {
+        rerun = false;
+        sent += await deliverDue();
+      } while (rerun);
+      return sent;
+    })().finally(() => {
+      processing = null;
+    });
+    return processing;
+  }
+
+  // Deliveries that failed every attempt, newest first
+  static async getDeadLetters(options = {}) {
+    const limit = parseLimit(options.limit);
+    const offset = parseOffset(options.offset);
+    const where = { status: 'dead' };
+    if (options.webhookId) {
+      where.webhookId = options.webhookId;
+    }
+
+    const { rows, count } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [['id', 'DESC']],
+      limit,
+      offset
+    });
+    return { data: rows, page: { total: count, limit, offset, nextCursor: null } };
+  }
+
+  // Puts a dead delivery back in the queue with a fresh set of attempts
+  static async retryDelivery(id) {
+    const delivery = await WebhookDelivery.findByPk(id);
+    if (!delivery) {
+      throw new NotFoundError(`Webhook delivery with id ${id} does not exist`);
+    }
+    if (delivery.status !== 'dead') {
+      throw new ConflictError(`Webhook delivery ${delivery.id} is ${delivery.status}, only dead deliveries can be retried`);
+    }
+
+    await delivery.update({ status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+    sendInBackground();
+    return delivery;
+  }
+
+  // Sends due deliveries periodically, picking up retries and anything left
+  // over from a restart, until stopDispatcher is called
+  static startDispatcher(intervalMs = config.webhookDispatchIntervalSeconds * 1000) {
+    WebhookService.stopDispatcher();
+    dispatcher = setInterval(sendInBackground, intervalMs);
+    // Don't keep the process alive just for the dispatcher
+    dispatcher.unref();
+    return dispatcher;
+  }
+
+  static stopDispatcher() {
+    if (dispatcher) {
+      clearInterval(dispatcher);
+      dispatcher = null;
+    }
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,157 @@
+const { sequelize } = require('../models');
+const Wishlist = require('../models/wishlist');
+const WishlistItem = require('../models/wishlistItem');
+const Cart = require('../models/cart');
+const CartItem = require('../models/cartItem');
+const Product = require('../models/product');
+const ProductVariant = require('../models/productVariant');
+const CartService = require('./cartService');
+const { NotFoundError, ConflictError, ValidationError } = require('./errors');
+
+// List that cart items saved for later go to when no list is picked
+const SAVED_FOR_LATER = 'Saved for later';
+
+const withItems = {
+  include: [{ model: WishlistItem, as: 'items', include: [Product, ProductVariant] }],
+  order: [['id', 'ASC'], [{ model: WishlistItem, as: 'items' }, 'id', 'ASC']]
+};
+
+// A list of the user's; other users' lists are reported as missing
+const findOwnWishlist = async (userId, id, transaction) => {
+  const wishlist = await Wishlist.findOne({ where: { id, userId }, transaction });
+  if (!wishlist) {
+    throw new NotFoundError(`Wishlist with id ${id} does not exist`);
+  }
+  return wishlist;
+};
+
+const findOwnItem = async (userId, wishlistId, itemId) => {
+  const wishlist = await findOwnWishlist(userId, wishlistId);
+  const item = await WishlistItem.findOne({ where: { id: itemId, wishlistId: wishlist.id } });
+  if (!item) {
+    throw new NotFoundError(`Wishlist item with id ${itemId} does not exist`);
+  }
+  return item;
+};
+
+const ensureNameFree = async (userId, name, exceptId) => {
+  const trimmed = typeof name === 'string' ? name.trim() : name;
+  const existing = await Wishlist.findOne({ where: { userId, name: trimmed || null } });
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`A wishlist named ${trimmed} already exists`);
+  }
+};
+
+// Adds units of a product, or of one of its variants, to a list, on top of
+// any already there
+const addToList = async (wishlist, productId, variantId, quantity, transaction) => {
+  const existing = await WishlistItem.findOne({ where: { wishlistId: wishlist.id, productId, variantId }, transaction });
+  if (existing) {
+    return await existing.update({ quantity: existing.quantity + quantity }, { transaction });
+  }
+  return await WishlistItem.create({ wishlistId: wishlist.id, productId, variantId, quantity }, { transaction });
+};
+
+class WishlistService {
+  static async getWishlists(userId) {
+    return await Wishlist.findAll({ where: { userId }, ...withItems });
+  }
+
+  static async getWishlist(userId, id) {
+    const wishlist = await Wishlist.findOne({ where: { id, userId }, ...withItems });
+    if (!wishlist) {
+      throw new NotFoundError(`Wishlist with id ${id} does not exist`);
+    }
+    return wishlist;
+  }
+
+  // List names are unique per user
+  static async createWishlist(userId, { name } = {}) {
+    await ensureNameFree(userId, name);
+    return await Wishlist.create({ userId, name });
+  }
+
+  static async renameWishlist(userId, id, { name } = {}) {
+    const wishlist = await findOwnWishlist(userId, id);
+    await ensureNameFree(userId, name, wishlist.id);
+    return await wishlist.update({ name });
+  }
+
+  static async deleteWishlist(userId, id) {
+    const wishlist = await findOwnWishlist(userId, id);
+    await WishlistItem.destroy({ where: { wishlistId: wishlist.id } });
+    await wishlist.destroy();
+  }
+
+  // Adding a product that is already on the list adds to its quantity. The
+  // variant is optional: it is asked for when the item is moved to a cart.
+  static async addItem(userId, wishlistId, { productId, variantId, quantity = 1 } = {}) {
+    const wishlist = await findOwnWishlist(userId, wishlistId);
+    const product = productId === undefined || productId === null ? null : await Product.findByPk(productId);
+    if (!product) {
+      throw new NotFoundError(`Product with id ${productId} does not exist`);
+    }
+
+    let variant = null;
+    if (variantId !== undefined && variantId !== null) {
+      variant = await ProductVariant.findOne({ where: { id: variantId, productId: product.id } });
+      if (!variant) {
+        throw new NotFoundError(`Variant with id ${variantId} does not exist`);
+      }
+    }
+    return await addToList(wishlist, product.id, variant ? variant.id : null, quantity);
+  }
+
+  static async removeItem(userId, wishlistId, itemId) {
+    const item = await findOwnItem(userId, wishlistId, itemId);
+    await item.destroy();
+  }
+
+  // Puts a list item in one of the user's active carts, their most recent
+  // one when no cart is given (a new one if they have none), and takes it
+  // off the list. Stock is checked and reserved as for any item added to a
+  // cart; the item stays on the list if that fails.
+  static async moveToCart(userId, wishlistId, itemId, cartId) {
+    const item = await findOwnItem(userId, wishlistId, itemId);
+
+    let cart;
+    if (cartId === undefined || cartId === null) {
+      cart = await Cart.findOne({ where: { userId, status: 'active' }, order: [['createdAt', 'DESC']] })
+        || await CartService.createCart(userId);
+    } else {
+      cart = await Cart.findOne({ where: { id: cartId, userId } });
+      if (!cart) {
+        throw new NotFoundError(`Cart with id ${cartId} does not exist`);
+      }
+      if (cart.status !== 'active') {
+        throw new ValidationError('Items can only be moved into an active cart');
+      }
+    }
+
+    const cartItem = await CartService.addItemToCart(cart.id, item.productId, item.quantity, item.variantId);
+    await item.destroy();
+    return cartItem;
+  }
+
+  // Takes an item out of a cart, releasing its stock, and puts it on one of
+  // the user's lists: the one given, or their "Saved for later" list. Only
+  // items of active carts can be saved; the list is left as it was otherwise.
+  static async saveForLater(userId, cartId, itemId, wishlistId) {
+    const cartItem = await CartItem.findOne({ where: { id: itemId, cartId } });
+    if (!cartItem) {
+      throw new NotFoundError('Item not found');
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      await CartService.removeCartItem(cartItem.id, cartId, transaction);
+
+      const wishlist = wishlistId === undefined || wishlistId === null
+        ? (await Wishlist.findOrCreate({ where: { userId, name: SAVED_FOR_LATER }, transaction }))[0]
+        : await findOwnWishlist(userId, wishlistId, transaction);
+
+      return await addToList(wishlist, cartItem.productId, cartItem.variantId, cartItem.quantity, transaction);
+    });
+  }
+}
+
+module.exports = WishlistService;
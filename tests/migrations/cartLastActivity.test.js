@@ -0,0 +1,30 @@
+const { Sequelize } = require('sequelize');
+const { runMigrations } = require('../../migrations');
+
+describe('003-cart-last-activity', () => {
+  let sequelize;
+
+  beforeEach(async () => {
+    // Base de datos independiente con carritos anteriores al registro de actividad
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await sequelize.query('CREATE TABLE Carts (id INTEGER PRIMARY KEY, userId INTEGER, status TEXT, createdAt DATETIME, updatedAt DATETIME)');
+    await sequelize.query("INSERT INTO Carts (userId, status, createdAt, updatedAt) VALUES (7, 'active', '2026-01-01 10:00:00', '2026-01-05 18:30:00')");
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('Debería tomar la última actualización como última actividad', async () => {
+    await runMigrations(sequelize);
+
+    const [carts] = await sequelize.query('SELECT id, lastActivityAt FROM Carts');
+    expect(carts).toEqual([{ id: 1, lastActivityAt: '2026-01-05 18:30:00' }]);
+  });
+
+  it('Debería ignorar las bases de datos sin carritos', async () => {
+    await sequelize.query('DROP TABLE Carts');
+
+    await expect(runMigrations(sequelize)).resolves.not.toThrow();
+  });
+});
@@ -0,0 +1,57 @@
+const { Sequelize } = require('sequelize');
+const { runMigrations } = require('../../migrations');
+
+describe('001-money-minor-units', () => {
+  let sequelize;
+
+  beforeEach(async () => {
+    // Base de datos independiente con el esquema anterior (precios FLOAT)
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await sequelize.query('CREATE TABLE Products (id INTEGER PRIMARY KEY, name TEXT, price FLOAT)');
+    await sequelize.query('CREATE TABLE Orders (id INTEGER PRIMARY KEY, subtotal FLOAT, totalTax FLOAT, total FLOAT)');
+    await sequelize.query("INSERT INTO Products (name, price) VALUES ('Laptop', 599.99), ('Mouse', 21.989999999)");
+    await sequelize.query('INSERT INTO Orders (subtotal, totalTax, total) VALUES (400, 28.000000000000004, 428.000000000000004)');
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('Debería convertir los importes existentes a unidades menores', async () => {
+    await runMigrations(sequelize);
+
+    const [products] = await sequelize.query('SELECT name, priceMinor FROM Products ORDER BY id');
+    expect(products).toEqual([
+      { name: 'Laptop', priceMinor: 59999 },
+      { name: 'Mouse', priceMinor: 2199 }
+    ]);
+
+    const [orders] = await sequelize.query('SELECT subtotalMinor, totalTaxMinor, totalMinor, currency FROM Orders');
+    expect(orders).toEqual([{ subtotalMinor: 40000, totalTaxMinor: 2800, totalMinor: 42800, currency: 'USD' }]);
+  });
+
+  it('Debería aplicar cada migración una sola vez', async () => {
+    await runMigrations(sequelize);
+    await sequelize.query('UPDATE Products SET priceMinor = 1');
+    await runMigrations(sequelize);
+
+    const [products] = await sequelize.query('SELECT priceMinor FROM Products');
+    expect(products.map(product => product.priceMinor)).toEqual([1, 1]);
+
+    const [applied] = await sequelize.query('SELECT name FROM Migrations');
+    expect(applied).toEqual([
+      { name: '001-money-minor-units' },
+      { name: '002-stock-opening-balances' },
+      { name: '003-cart-last-activity' },
+      { name: '004-variant-line-indexes' },
+      { name: '005-variant-stock-ledger' }
+    ]);
+  });
+
+  it('Debería ignorar las tablas que todavía no existen', async () => {
+    await sequelize.query('DROP TABLE Products');
+    await sequelize.query('DROP TABLE Orders');
+
+    await expect(runMigrations(sequelize)).resolves.not.toThrow();
+  });
+});
@@ -0,0 +1,35 @@
+const { Sequelize } = require('sequelize');
+const { runMigrations } = require('../../migrations');
+
+describe('002-stock-opening-balances', () => {
+  let sequelize;
+
+  beforeEach(async () => {
+    // Base de datos independiente con productos anteriores al historial de stock
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await sequelize.query('CREATE TABLE Products (id INTEGER PRIMARY KEY, name TEXT, priceMinor INTEGER, inventory INTEGER)');
+    await sequelize.query("INSERT INTO Products (name, priceMinor, inventory) VALUES ('Laptop', 59999, 5), ('Mouse', 2199, 0)");
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('Debería registrar el inventario existente como saldo inicial', async () => {
+    await runMigrations(sequelize);
+
+    const [movements] = await sequelize.query('SELECT productId, type, quantity, reason FROM StockMovements');
+    expect(movements).toEqual([
+      { productId: 1, type: 'adjustment', quantity: 5, reason: 'Opening balance' }
+    ]);
+  });
+
+  it('Debería ignorar las bases de datos sin productos', async () => {
+    await sequelize.query('DROP TABLE Products');
+
+    await runMigrations(sequelize);
+
+    const tables = await sequelize.getQueryInterface().showAllTables();
+    expect(tables).not.toContain('StockMovements');
+  });
+});
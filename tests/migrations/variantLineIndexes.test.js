@@ -0,0 +1,38 @@
+const { Sequelize } = require('sequelize');
+const { runMigrations } = require('../../migrations');
+
+describe('004-variant-line-indexes', () => {
+  let sequelize;
+
+  const indexNames = async (table) => {
+    const indexes = await sequelize.getQueryInterface().showIndex(table);
+    return indexes.map(({ name }) => name);
+  };
+
+  beforeEach(async () => {
+    // Base de datos independiente con los índices únicos por producto anteriores a las variantes
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await sequelize.query('CREATE TABLE InventoryReservations (id INTEGER PRIMARY KEY, cartId INTEGER, productId INTEGER, quantity INTEGER)');
+    await sequelize.query('CREATE UNIQUE INDEX inventory_reservations_cart_id_product_id ON InventoryReservations (cartId, productId)');
+    await sequelize.query('CREATE TABLE WishlistItems (id INTEGER PRIMARY KEY, wishlistId INTEGER, productId INTEGER, quantity INTEGER)');
+    await sequelize.query('CREATE UNIQUE INDEX wishlist_items_wishlist_id_product_id ON WishlistItems (wishlistId, productId)');
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('Debería quitar los índices únicos por producto', async () => {
+    await runMigrations(sequelize);
+
+    expect(await indexNames('InventoryReservations')).not.toContain('inventory_reservations_cart_id_product_id');
+    expect(await indexNames('WishlistItems')).not.toContain('wishlist_items_wishlist_id_product_id');
+  });
+
+  it('Debería ignorar las tablas que aún no existen', async () => {
+    await sequelize.query('DROP TABLE WishlistItems');
+
+    await expect(runMigrations(sequelize)).resolves.not.toThrow();
+    expect(await indexNames('InventoryReservations')).not.toContain('inventory_reservations_cart_id_product_id');
+  });
+});
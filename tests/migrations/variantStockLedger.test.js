@@ -0,0 +1,37 @@
+const { Sequelize } = require('sequelize');
+const { runMigrations } = require('../../migrations');
+
+describe('005-variant-stock-ledger', () => {
+  let sequelize;
+
+  beforeEach(async () => {
+    // Base de datos independiente con variantes cuyo stock no estaba en el historial
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await sequelize.query('CREATE TABLE Products (id INTEGER PRIMARY KEY, name TEXT, priceMinor INTEGER, inventory INTEGER)');
+    await sequelize.query("INSERT INTO Products (name, priceMinor, inventory) VALUES ('Camiseta', 2000, 0)");
+    await sequelize.query('CREATE TABLE ProductVariants (id INTEGER PRIMARY KEY, productId INTEGER, sku TEXT, inventory INTEGER)');
+    await sequelize.query("INSERT INTO ProductVariants (productId, sku, inventory) VALUES (1, 'TEE-M', 3), (1, 'TEE-L', 0)");
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('Debería registrar el inventario de las variantes como saldo inicial', async () => {
+    await runMigrations(sequelize);
+
+    const [movements] = await sequelize.query('SELECT productId, variantId, type, quantity, reason FROM StockMovements');
+    expect(movements).toEqual([
+      { productId: 1, variantId: 1, type: 'adjustment', quantity: 3, reason: 'Opening balance' }
+    ]);
+  });
+
+  it('Debería añadir la columna aunque aún no haya variantes', async () => {
+    await sequelize.query('DROP TABLE ProductVariants');
+
+    await runMigrations(sequelize);
+
+    const columns = await sequelize.getQueryInterface().describeTable('StockMovements');
+    expect(columns.variantId).toBeDefined();
+  });
+});
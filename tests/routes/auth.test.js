@@ -0,0 +1,155 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const authRouter = require('../../routes/auth');
+const cartRouter = require('../../routes/cart');
+const User = require('../../models/user');
+const Cart = require('../../models/cart');
+const CartItem = require('../../models/cartItem');
+const Product = require('../../models/product');
+const Category = require('../../models/category');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/auth', authRouter);
+app.use('/api/carts', cartRouter);
+
+const credentials = { email: 'ana@example.com', password: 'contraseña-segura' };
+
+describe('Auth Routes', () => {
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await CartItem.destroy({ where: {} });
+    await Cart.destroy({ where: {} });
+    await User.destroy({ where: {} });
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('Debería registrar al usuario sin devolver el hash de la contraseña', async () => {
+      const response = await request(app).post('/api/auth/register').send(credentials);
+
+      expect(response.status).toBe(201);
+      expect(response.body.user).toMatchObject({ email: 'ana@example.com' });
+      expect(response.body.user.passwordHash).toBeUndefined();
+      expect(response.body).toMatchObject({ tokenType: 'Bearer', accessToken: expect.any(String), refreshToken: expect.any(String) });
+    });
+
+    it('Debería registrar siempre a los usuarios como clientes', async () => {
+      const response = await request(app).post('/api/auth/register').send({ ...credentials, role: 'admin' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user.role).toBe('customer');
+    });
+
+    it('Debería devolver 409 si el correo ya está registrado', async () => {
+      await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app).post('/api/auth/register').send({ ...credentials, email: 'ANA@example.com' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('Debería devolver 400 con un correo o una contraseña no válidos', async () => {
+      expect((await request(app).post('/api/auth/register').send({ ...credentials, email: 'ana' })).status).toBe(400);
+      expect((await request(app).post('/api/auth/register').send({ ...credentials, password: 'corta' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('Debería iniciar sesión con las credenciales correctas', async () => {
+      await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app).post('/api/auth/login').send(credentials);
+
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toEqual(expect.any(String));
+    });
+
+    it('Debería devolver 401 con una contraseña incorrecta', async () => {
+      await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app).post('/api/auth/login').send({ ...credentials, password: 'otra-contraseña' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Invalid email or password' });
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('Debería emitir tokens nuevos', async () => {
+      const { body } = await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toEqual(expect.any(String));
+    });
+
+    it('Debería devolver 401 con un token de acceso', async () => {
+      const { body } = await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app).post('/api/auth/refresh').send({ refreshToken: body.accessToken });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Carritos', () => {
+    it('Debería crear el carrito para el usuario del token y negárselo a los demás', async () => {
+      const ana = (await request(app).post('/api/auth/register').send(credentials)).body;
+      const luis = (await request(app).post('/api/auth/register').send({ ...credentials, email: 'luis@example.com' })).body;
+
+      const cart = await request(app).post('/api/carts').set('Authorization', `Bearer ${ana.accessToken}`);
+      expect(cart.status).toBe(201);
+      expect(cart.body.userId).toBe(ana.user.id);
+
+      const own = await request(app).get(`/api/carts/${cart.body.id}/items`).set('Authorization', `Bearer ${ana.accessToken}`);
+      expect(own.status).toBe(200);
+
+      const other = await request(app).get(`/api/carts/${cart.body.id}/items`).set('Authorization', `Bearer ${luis.accessToken}`);
+      expect(other.status).toBe(403);
+
+      const anonymous = await request(app).get(`/api/carts/${cart.body.id}/items`);
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('Debería fusionar el carrito de invitado al iniciar sesión', async () => {
+      const category = await Category.create({ name: 'Electrónica' });
+      const product = await Product.create({ name: 'Mouse', price: '10.00', inventory: 3, categoryId: category.id });
+      const ana = (await request(app).post('/api/auth/register').send(credentials)).body;
+      const authorization = `Bearer ${ana.accessToken}`;
+
+      const userCart = await request(app).post('/api/carts').set('Authorization', authorization);
+      await request(app).post(`/api/carts/${userCart.body.id}/items`).set('Authorization', authorization).send({ productId: product.id, quantity: 2 });
+
+      const guestCart = await request(app).post('/api/carts');
+      expect(guestCart.body.userId).toBeNull();
+      const guestHeaders = { 'X-Cart-Token': guestCart.body.guestToken };
+      // El stock que retiene el carrito del usuario no cuenta para el invitado
+      const added = await request(app).post(`/api/carts/${guestCart.body.id}/items`).set(guestHeaders).send({ productId: product.id, quantity: 1 });
+      expect(added.status).toBe(201);
+
+      const login = await request(app).post('/api/auth/login').send(credentials);
+      const merge = await request(app)
+        .post('/api/carts/merge')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .send({ guestToken: guestCart.body.guestToken });
+
+      expect(merge.status).toBe(200);
+      expect(merge.body.cart.id).toBe(userCart.body.id);
+      expect(merge.body.adjustments).toEqual([]);
+      expect((await CartItem.findOne({ where: { cartId: userCart.body.id } })).quantity).toBe(3);
+
+      const reused = await request(app).get(`/api/carts/${guestCart.body.id}/items`).set(guestHeaders);
+      expect(reused.status).toBe(403);
+    });
+  });
+});
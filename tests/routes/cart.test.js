@@ -2,6 +2,9 @@ const request = require('supertest');
 const express = require('express');  
 const cartRouter = require('../../routes/cart');  
 const CartService = require('../../services/cartService');  
+const WishlistService = require('../../services/wishlistService');
+const AuthService = require('../../services/authService');
+const { NotFoundError, CouponError } = require('../../services/errors');
 
 const bodyParser = require('body-parser');  
 const { initTestDb, closeTestDb } = require('../setup/testDb');  
@@ -15,6 +18,12 @@ app.use('/api/carts', cartRouter);
 
 // Mock de CartService para simular el comportamiento del servicio en las pruebas
 jest.mock('../../services/cartService');
+jest.mock('../../services/wishlistService');
+jest.mock('../../services/authService');
+
+// Las rutas del carrito requieren un usuario autenticado
+const shopper = { id: 1, email: 'ana@example.com' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
 
 describe('Cart Routes', () => {
   // Inicialización de la base de datos de prueba antes de ejecutar las pruebas
@@ -29,6 +38,8 @@ describe('Cart Routes', () => {
 
   // Limpieza de datos de prueba antes de cada prueba
   beforeEach(async () => {
+    AuthService.authenticate.mockResolvedValue(shopper);
+    CartService.getCart.mockResolvedValue({ id: 'cart123', userId: shopper.id });
     await Cart.destroy({ where: {} });
     await Product.destroy({ where: {} });
     await Category.destroy({ where: {} });
@@ -39,24 +50,171 @@ describe('Cart Routes', () => {
     jest.clearAllMocks();
   });
 
-  describe('POST /api/carts/:userId', () => {
+  describe('Autenticación', () => {
+    it('Debería devolver 401 sin token', async () => {
+      const response = await request(app).get('/api/carts/cart123/items');
+
+      expect(response.status).toBe(401);
+      expect(CartService.getCartItems).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver 401 si el token no es válido', async () => {
+      AuthService.authenticate.mockResolvedValue(null);
+
+      const response = await agent.get('/api/carts/cart123/items');
+
+      expect(response.status).toBe(401);
+      expect(AuthService.authenticate).toHaveBeenCalledWith('token-de-prueba');
+    });
+
+    it('Debería devolver 403 si el carrito es de otro usuario', async () => {
+      CartService.getCart.mockResolvedValue({ id: 'cart123', userId: 2 });
+
+      const response = await agent.post('/api/carts/cart123/checkout');
+
+      expect(response.status).toBe(403);
+      expect(CartService.checkout).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver 404 si el carrito no existe', async () => {
+      CartService.getCart.mockResolvedValue(null);
+
+      const response = await agent.get('/api/carts/cart999/items');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Cart with id cart999 does not exist' });
+    });
+
+    it('Debería devolver 409 al modificar un carrito caducado', async () => {
+      CartService.getCart.mockResolvedValue({ id: 'cart123', userId: shopper.id, status: 'archived' });
+
+      const response = await agent.post('/api/carts/cart123/items').send({ productId: 1, quantity: 1 });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Cart has expired; create a new cart' });
+      expect(CartService.addItemToCart).not.toHaveBeenCalled();
+
+      CartService.getCartItems.mockResolvedValue({ items: [] });
+      expect((await agent.get('/api/carts/cart123/items')).status).toBe(200);
+    });
+  });
+
+  describe('Carritos de invitado', () => {
+    const guestCart = { id: 'cart123', userId: null, guestToken: 'token-invitado' };
+
+    it('Debería crear un carrito de invitado sin token de acceso', async () => {
+      CartService.createGuestCart.mockResolvedValue(guestCart);
+
+      const response = await request(app).post('/api/carts').send({ currency: 'EUR' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.guestToken).toBe('token-invitado');
+      expect(CartService.createGuestCart).toHaveBeenCalledWith({ currency: 'EUR' });
+      expect(CartService.createCart).not.toHaveBeenCalled();
+    });
+
+    it('Debería dar acceso al carrito con su token de invitado', async () => {
+      CartService.getCart.mockResolvedValue(guestCart);
+      CartService.getCartItems.mockResolvedValue({ items: [] });
+
+      const response = await request(app).get('/api/carts/cart123/items').set('X-Cart-Token', 'token-invitado');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('Debería devolver 403 con otro token y 401 sin token', async () => {
+      CartService.getCart.mockResolvedValue(guestCart);
+
+      const wrongToken = await request(app).get('/api/carts/cart123/items').set('X-Cart-Token', 'otro-token');
+      const noToken = await request(app).get('/api/carts/cart123/items');
+      const otherUser = await agent.get('/api/carts/cart123/items');
+
+      expect(wrongToken.status).toBe(403);
+      expect(noToken.status).toBe(401);
+      expect(otherUser.status).toBe(403);
+      expect(CartService.getCartItems).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/carts/merge', () => {
+    it('Debería fusionar el carrito de invitado con el del usuario', async () => {
+      const merged = { cart: { id: 9, userId: 1 }, adjustments: [{ productId: 2, requested: 3, quantity: 1, status: 'reduced', reason: 'insufficient_inventory' }] };
+      CartService.mergeGuestCart.mockResolvedValue(merged);
+
+      const response = await agent.post('/api/carts/merge').send({ guestToken: 'token-invitado' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(merged);
+      expect(CartService.mergeGuestCart).toHaveBeenCalledWith(1, 'token-invitado');
+    });
+
+    it('Debería aceptar el token en la cabecera X-Cart-Token', async () => {
+      CartService.mergeGuestCart.mockResolvedValue({ cart: { id: 9 }, adjustments: [] });
+
+      await agent.post('/api/carts/merge').set('X-Cart-Token', 'token-invitado');
+
+      expect(CartService.mergeGuestCart).toHaveBeenCalledWith(1, 'token-invitado');
+    });
+
+    it('Debería devolver 404 si el carrito de invitado no existe', async () => {
+      CartService.mergeGuestCart.mockRejectedValue(new NotFoundError('Guest cart not found'));
+
+      const response = await agent.post('/api/carts/merge').send({ guestToken: 'token-invitado' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('Debería devolver 401 si el usuario no inició sesión', async () => {
+      const response = await request(app).post('/api/carts/merge').send({ guestToken: 'token-invitado' });
+
+      expect(response.status).toBe(401);
+      expect(CartService.mergeGuestCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/carts', () => {
 
-    it('Debería crear un carrito para el usuario', async () => {
-      const mockCart = { id: 'cart123', userId: 'user1' };  // Mock de un carrito
+    it('Debería crear un carrito para el usuario autenticado', async () => {
+      const mockCart = { id: 'cart123', userId: 1 };  // Mock de un carrito
       CartService.createCart.mockResolvedValue(mockCart);  // Respuesta exitosa del servicio simulada
 
-      const response = await request(app).post('/api/carts/user1');  // Realiza una solicitud POST
+      const response = await agent.post('/api/carts');  // Realiza una solicitud POST
 
       // Verificar que la respuesta sea correcta
       expect(response.status).toBe(201);  // Código de estado 201 para creación exitosa
       expect(response.body).toEqual(mockCart);  // El cuerpo de la respuesta debe ser el carrito creado
-      expect(CartService.createCart).toHaveBeenCalledWith('user1');  // Verificar que el servicio fue llamado correctamente
+      expect(CartService.createCart).toHaveBeenCalledWith(1, { currency: undefined });  // Verificar que el servicio fue llamado correctamente
+    });
+
+    it('Debería crear el carrito en la moneda indicada', async () => {
+      CartService.createCart.mockResolvedValue({ id: 'cart123', userId: 1, currency: 'EUR' });
+
+      const response = await agent.post('/api/carts').send({ currency: 'EUR' });
+
+      expect(response.status).toBe(201);
+      expect(CartService.createCart).toHaveBeenCalledWith(1, { currency: 'EUR' });
+    });
+
+    it('Debería aceptar el id del usuario autenticado en la ruta', async () => {
+      CartService.createCart.mockResolvedValue({ id: 'cart123', userId: 1 });
+
+      const response = await agent.post('/api/carts/1');
+
+      expect(response.status).toBe(201);
+      expect(CartService.createCart).toHaveBeenCalledWith(1, { currency: undefined });
+    });
+
+    it('Debería devolver 403 al crear un carrito para otro usuario', async () => {
+      const response = await agent.post('/api/carts/2');
+
+      expect(response.status).toBe(403);
+      expect(CartService.createCart).not.toHaveBeenCalled();
     });
 
     it('Debería devolver 400 si ocurre un error', async () => {
       CartService.createCart.mockRejectedValue(new Error('Error al crear el carrito'));  // Error simulado en el servicio
 
-      const response = await request(app).post('/api/carts/user1');  // Realiza la solicitud POST
+      const response = await agent.post('/api/carts');  // Realiza la solicitud POST
 
       // Verificar que se maneje correctamente el error
       expect(response.status).toBe(400);  // Código de estado 400 para error
@@ -70,20 +228,31 @@ describe('Cart Routes', () => {
       const mockCartItem = { id: 'item1', productId: 'product1', quantity: 2 };  // Mock de un artículo en el carrito
       CartService.addItemToCart.mockResolvedValue(mockCartItem);  // Respuesta simulada exitosa del servicio
 
-      const response = await request(app)
+      const response = await agent
         .post('/api/carts/cart123/items')  // Realizar una solicitud POST
         .send({ productId: 'product1', quantity: 2 });  // Enviar los datos del artículo
 
       // Verificar que la respuesta sea correcta
       expect(response.status).toBe(201);  
       expect(response.body).toEqual(mockCartItem);  // El cuerpo de la respuesta debe ser el artículo añadido
-      expect(CartService.addItemToCart).toHaveBeenCalledWith('cart123', 'product1', 2);  // Verificar que el servicio fue llamado correctamente
+      expect(CartService.addItemToCart).toHaveBeenCalledWith('cart123', 'product1', 2, undefined);  // Verificar que el servicio fue llamado correctamente
+    });
+
+    it('Debería pasar la variante elegida al servicio', async () => {
+      CartService.addItemToCart.mockResolvedValueOnce({ id: 'item1', productId: 'product1', variantId: 4, quantity: 1 });
+
+      const response = await agent
+        .post('/api/carts/cart123/items')
+        .send({ productId: 'product1', variantId: 4, quantity: 1 });
+
+      expect(response.status).toBe(201);
+      expect(CartService.addItemToCart).toHaveBeenCalledWith('cart123', 'product1', 1, 4);
     });
 
     it('Debería devolver 400 si ocurre un error', async () => {
       CartService.addItemToCart.mockRejectedValue(new Error('Error al añadir el artículo'));  // Error simulado en el servicio
 
-      const response = await request(app)
+      const response = await agent
         .post('/api/carts/cart123/items')  // Realizar la solicitud POST
         .send({ productId: 'product1', quantity: 2 });  // Enviar los datos del artículo
 
@@ -104,18 +273,27 @@ describe('Cart Routes', () => {
       ];
       CartService.getCartItems.mockResolvedValue(mockItems);  // Simula la respuesta exitosa del servicio
 
-      const response = await request(app).get('/api/carts/cart123/items');  // Realiza la solicitud GET
+      const response = await agent.get('/api/carts/cart123/items');  // Realiza la solicitud GET
 
       // Verificar que la respuesta sea correcta
       expect(response.status).toBe(200);  // Código de estado 200 para éxito
       expect(response.body).toEqual(mockItems);  // Lista de artículos en la respuesta
-      expect(CartService.getCartItems).toHaveBeenCalledWith('cart123');  // Verificar que el servicio fue llamado correctamente
+      expect(CartService.getCartItems).toHaveBeenCalledWith('cart123', { currency: undefined });  // Verificar que el servicio fue llamado correctamente
+    });
+
+    it('Debería pasar la moneda solicitada al servicio', async () => {
+      CartService.getCartItems.mockResolvedValue({ items: [], summary: {} });
+
+      const response = await agent.get('/api/carts/cart123/items').query({ currency: 'EUR' });
+
+      expect(response.status).toBe(200);
+      expect(CartService.getCartItems).toHaveBeenCalledWith('cart123', { currency: 'EUR' });
     });
 
     it('Debería devolver 400 si ocurre un error', async () => {
       CartService.getCartItems.mockRejectedValue(new Error('Error al obtener los artículos'));  // Simula un error en el servicio
 
-      const response = await request(app).get('/api/carts/cart123/items');  // Realizar la solicitud GET
+      const response = await agent.get('/api/carts/cart123/items');  // Realizar la solicitud GET
 
       // Verificar que se maneje correctamente el error
       expect(response.status).toBe(400);  // Código de estado 400 para error
@@ -129,20 +307,20 @@ describe('Cart Routes', () => {
       const mockCartItem = { id: 'item1', productId: 'product1', quantity: 3 };  // Mock del artículo con cantidad actualizada
       CartService.updateCartItem.mockResolvedValue(mockCartItem);  // Simula la respuesta exitosa del servicio
 
-      const response = await request(app)
+      const response = await agent
         .put('/api/carts/cart123/items/item1')  // Realizar la solicitud PUT
         .send({ quantity: 3 });  // Enviar la nueva cantidad
 
       // Verificar que la respuesta sea correcta
       expect(response.status).toBe(200);  // Código de estado 200 para éxito
       expect(response.body).toEqual(mockCartItem);  // El cuerpo de la respuesta debe ser el artículo actualizado
-      expect(CartService.updateCartItem).toHaveBeenCalledWith('item1', 3);  // Verificar que el servicio fue llamado correctamente
+      expect(CartService.updateCartItem).toHaveBeenCalledWith('item1', 3, 'cart123');  // Verificar que el servicio fue llamado correctamente
     });
 
     it('Debería devolver 400 si ocurre un error', async () => {
       CartService.updateCartItem.mockRejectedValue(new Error('Error al actualizar el artículo'));  // Simula un error en el servicio
 
-      const response = await request(app)
+      const response = await agent
         .put('/api/carts/cart123/items/item1')  // Realizar la solicitud PUT
         .send({ quantity: 3 });  // Enviar la nueva cantidad
 
@@ -157,17 +335,17 @@ describe('Cart Routes', () => {
     it('debe eliminar un artículo del carrito', async () => {
       CartService.removeCartItem.mockResolvedValue();  // Simula la respuesta exitosa del servicio
 
-      const response = await request(app).delete('/api/carts/cart123/items/item1');  // Realizar la solicitud DELETE
+      const response = await agent.delete('/api/carts/cart123/items/item1');  // Realizar la solicitud DELETE
 
       // Verificar que la respuesta sea correcta
       expect(response.status).toBe(204);  // Código de estado 204 para eliminación exitosa
-      expect(CartService.removeCartItem).toHaveBeenCalledWith('item1');  // Verificar que el servicio fue llamado correctamente
+      expect(CartService.removeCartItem).toHaveBeenCalledWith('item1', 'cart123');  // Verificar que el servicio fue llamado correctamente
     });
 
     it('Debería devolver 400 si ocurre un error', async () => {
       CartService.removeCartItem.mockRejectedValue(new Error('Error al eliminar el artículo'));  // Simula un error en el servicio
 
-      const response = await request(app).delete('/api/carts/cart123/items/item1');  // Realizar la solicitud DELETE
+      const response = await agent.delete('/api/carts/cart123/items/item1');  // Realizar la solicitud DELETE
 
       // Verificar que se maneje correctamente el error
       expect(response.status).toBe(400);  // Código de estado 400 para error
@@ -175,4 +353,192 @@ describe('Cart Routes', () => {
     });
   });
 
-});
\ No newline at end of file
+  describe('POST /api/carts/:cartId/items/:itemId/save-for-later', () => {
+    it('Debería guardar el artículo en una lista del usuario', async () => {
+      WishlistService.saveForLater.mockResolvedValueOnce({ id: 3, wishlistId: 2, productId: 9, quantity: 1 });
+
+      const response = await agent.post('/api/carts/cart123/items/item1/save-for-later').send({ wishlistId: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 3, wishlistId: 2, productId: 9, quantity: 1 });
+      expect(WishlistService.saveForLater).toHaveBeenCalledWith(shopper.id, 'cart123', 'item1', 2);
+    });
+
+    it('Debería devolver 404 si el artículo no está en el carrito', async () => {
+      WishlistService.saveForLater.mockRejectedValueOnce(new NotFoundError('Item not found'));
+
+      const response = await agent.post('/api/carts/cart123/items/item1/save-for-later');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Item not found' });
+    });
+
+    it('Debería devolver 401 a los invitados', async () => {
+      CartService.getCart.mockResolvedValue({ id: 'cart123', userId: null, guestToken: 'token-invitado' });
+
+      const response = await request(app)
+        .post('/api/carts/cart123/items/item1/save-for-later')
+        .set('X-Cart-Token', 'token-invitado');
+
+      expect(response.status).toBe(401);
+      expect(WishlistService.saveForLater).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/carts/:cartId/checkout', () => {
+
+    it('Debería crear una orden a partir del carrito', async () => {
+      const mockOrder = { id: 1, cartId: 'cart123', status: 'pending', total: 220 };  // Mock de la orden creada
+      CartService.checkout.mockResolvedValue(mockOrder);
+
+      const response = await agent.post('/api/carts/cart123/checkout');
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(mockOrder);
+      expect(CartService.checkout).toHaveBeenCalledWith('cart123');
+    });
+
+    it('Debería devolver 400 si el carrito ya fue pagado', async () => {
+      CartService.checkout.mockRejectedValue(new Error('Cart has already been checked out'));
+
+      const response = await agent.post('/api/carts/cart123/checkout');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Cart has already been checked out' });
+    });
+
+    it('Debería devolver el motivo si un cupón dejó de aplicar', async () => {
+      CartService.checkout.mockRejectedValue(new CouponError('Coupon OLD expired on 2020-01-01T00:00:00.000Z', 'expired'));
+
+      const response = await agent.post('/api/carts/cart123/checkout');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Coupon OLD expired on 2020-01-01T00:00:00.000Z', reason: 'expired' });
+    });
+  });
+
+  describe('POST /api/carts/:cartId/coupons', () => {
+    it('Debería aplicar el cupón y devolver el carrito', async () => {
+      const mockCart = { items: [], summary: { discounts: '5.00' }, coupons: [{ code: 'SAVE10', applied: true }] };
+      CartService.applyCoupon.mockResolvedValue(mockCart);
+
+      const response = await agent.post('/api/carts/cart123/coupons').send({ code: 'SAVE10' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(mockCart);
+      expect(CartService.applyCoupon).toHaveBeenCalledWith('cart123', 'SAVE10');
+    });
+
+    it('Debería devolver 400 con el motivo si el cupón no es válido', async () => {
+      CartService.applyCoupon.mockRejectedValue(new CouponError('Coupon SAVE10 has reached its usage limit', 'usage_limit_reached'));
+
+      const response = await agent.post('/api/carts/cart123/coupons').send({ code: 'SAVE10' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Coupon SAVE10 has reached its usage limit', reason: 'usage_limit_reached' });
+    });
+
+    it('Debería devolver 404 si el carrito no existe', async () => {
+      CartService.applyCoupon.mockRejectedValue(new NotFoundError('Cart not found'));
+
+      const response = await agent.post('/api/carts/cart999/coupons').send({ code: 'SAVE10' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Cart not found' });
+    });
+  });
+
+  describe('DELETE /api/carts/:cartId/coupons/:code', () => {
+    it('Debería quitar el cupón del carrito', async () => {
+      CartService.removeCoupon.mockResolvedValue(1);
+
+      const response = await agent.delete('/api/carts/cart123/coupons/SAVE10');
+
+      expect(response.status).toBe(204);
+      expect(CartService.removeCoupon).toHaveBeenCalledWith('cart123', 'SAVE10');
+    });
+
+    it('Debería devolver 404 si el cupón no está aplicado', async () => {
+      CartService.removeCoupon.mockResolvedValue(0);
+
+      const response = await agent.delete('/api/carts/cart123/coupons/SAVE10');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Coupon SAVE10 is not applied to this cart' });
+    });
+  });
+
+  describe('PUT /api/carts/:cartId/shipping-address', () => {
+    it('Debería guardar la dirección de envío', async () => {
+      const address = { line1: '1 Market St', city: 'San Francisco', region: 'CA', postalCode: '94105', country: 'US' };
+      CartService.setShippingAddress.mockResolvedValue({ id: 1, shippingAddress: address });
+
+      const response = await agent.put('/api/carts/cart123/shipping-address').send({ shippingAddress: address });
+
+      expect(response.status).toBe(200);
+      expect(response.body.shippingAddress).toEqual(address);
+      expect(CartService.setShippingAddress).toHaveBeenCalledWith('cart123', address);
+    });
+
+    it('Debería devolver 400 si la dirección no es válida', async () => {
+      CartService.setShippingAddress.mockRejectedValue(new Error('Validation error: Address country must be a two-letter ISO 3166 code'));
+
+      const response = await agent.put('/api/carts/cart123/shipping-address').send({ shippingAddress: { country: 'USA' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Validation error: Address country must be a two-letter ISO 3166 code' });
+    });
+
+    it('Debería devolver 404 si el carrito no existe', async () => {
+      CartService.setShippingAddress.mockRejectedValue(new NotFoundError('Cart not found'));
+
+      const response = await agent.put('/api/carts/cart999/shipping-address').send({ shippingAddress: { country: 'US' } });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/carts/:cartId/shipping-options', () => {
+    it('Debería devolver los métodos de envío cotizados', async () => {
+      const mockOptions = { currency: 'USD', shippingMethodId: null, options: [{ id: 1, name: 'Ground', available: true, amount: '4.99' }] };
+      CartService.getShippingOptions.mockResolvedValue(mockOptions);
+
+      const response = await agent.get('/api/carts/cart123/shipping-options?currency=EUR');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockOptions);
+      expect(CartService.getShippingOptions).toHaveBeenCalledWith('cart123', { currency: 'EUR' });
+    });
+
+    it('Debería devolver 404 si el carrito no existe', async () => {
+      CartService.getShippingOptions.mockRejectedValue(new NotFoundError('Cart not found'));
+
+      const response = await agent.get('/api/carts/cart999/shipping-options');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/carts/:cartId/shipping-method', () => {
+    it('Debería elegir el método de envío', async () => {
+      const mockCart = { items: [], summary: { shipping: '4.99' } };
+      CartService.setShippingMethod.mockResolvedValue(mockCart);
+
+      const response = await agent.put('/api/carts/cart123/shipping-method').send({ shippingMethodId: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockCart);
+      expect(CartService.setShippingMethod).toHaveBeenCalledWith('cart123', 1);
+    });
+
+    it('Debería devolver 400 si el método no puede enviar el carrito', async () => {
+      CartService.setShippingMethod.mockRejectedValue(new Error('Ground does not ship to this country'));
+
+      const response = await agent.put('/api/carts/cart123/shipping-method').send({ shippingMethodId: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Ground does not ship to this country' });
+    });
+  });
+
+});
@@ -3,14 +3,27 @@ const express = require('express');
 const bodyParser = require('body-parser'); 
 const { initTestDb, closeTestDb } = require('../setup/testDb'); 
 const categoryRouter = require('../../routes/categories'); 
+const AuthService = require('../../services/authService');
 const Category = require('../../models/category'); 
+const Product = require('../../models/product');
+const Promotion = require('../../models/promotion');
+const Coupon = require('../../models/coupon');
 
 // Creamos una instancia de la aplicación Express
 const app = express();
 app.use(bodyParser.json()); 
 app.use('/api/categories', categoryRouter); 
 
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'catalogo@example.com', role: 'catalog_manager' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
 describe('Category Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
 
   // Antes de que se ejecuten todas las pruebas, inicializamos la base de datos de pruebas
   beforeAll(async () => {
@@ -24,9 +37,37 @@ describe('Category Routes', () => {
 
   // Antes de cada prueba, eliminamos todas las categorías de la base de datos de pruebas
   beforeEach(async () => {
+    await Promotion.destroy({ where: {} });
+    await Coupon.destroy({ where: {} });
+    await Product.destroy({ where: {} });
     await Category.destroy({ where: {} }); // Elimina todas las categorías en la base de datos de pruebas
   });
   
+  describe('Permisos', () => {
+    it('Debería retornar 401 al crear una categoría sin token', async () => {
+      const response = await request(app).post('/api/categories').send({ name: 'Electronics' });
+
+      expect(response.status).toBe(401);
+      expect(await Category.count()).toBe(0);
+    });
+
+    it('Debería retornar 403 si el usuario es un cliente', async () => {
+      AuthService.authenticate.mockResolvedValue({ id: 2, email: 'ana@example.com', role: 'customer' });
+
+      const response = await agent.post('/api/categories').send({ name: 'Electronics' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'This requires the catalog:manage permission' });
+      expect(await Category.count()).toBe(0);
+    });
+
+    it('Debería permitir listar las categorías sin token', async () => {
+      const response = await request(app).get('/api/categories');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
   describe('POST /api/categories', () => {
 
     it('Debería crear una nueva categoría', async () => {
@@ -35,7 +76,7 @@ describe('Category Routes', () => {
       };
 
       // Realizar una solicitud POST a la ruta de categorías con los datos de la nueva categoría
-      const response = await request(app)
+      const response = await agent
         .post('/api/categories')  // Realizar el POST
         .send(categoryData)  // Enviar los datos de la categoría
         .expect(201); // Esperar un código de estado 201 (creado)
@@ -49,7 +90,7 @@ describe('Category Routes', () => {
       const categoryData = {}; // Enviar datos vacíos (sin nombre de categoría)
 
       // Realizar una solicitud POST a la ruta de categorías con los datos vacíos
-      const response = await request(app)
+      const response = await agent
         .post('/api/categories')
         .send(categoryData)  // Enviar los datos vacíos
         .expect(400); // Esperar un código de estado 400 (solicitud incorrecta)
@@ -67,7 +108,7 @@ describe('Category Routes', () => {
       await Category.create(categoryData);
     
       // Intentar crear otra categoría con el mismo nombre
-      const response = await request(app)
+      const response = await agent
         .post('/api/categories')
         .send(categoryData)
         .expect(500);
@@ -83,7 +124,7 @@ describe('Category Routes', () => {
         throw new Error('Internal Server Error');
       });
     
-      const response = await request(app)
+      const response = await agent
         .post('/api/categories')
         .send({ name: 'Electronics' })
         .expect(500);
@@ -96,7 +137,7 @@ describe('Category Routes', () => {
     });
 
     it('Debería devolver una lista vacía si no hay categorías', async () => {
-      const response = await request(app)
+      const response = await agent
         .get('/api/categories')
         .expect(200);
     
@@ -116,7 +157,7 @@ describe('Category Routes', () => {
       ]);
 
       // Realizar una solicitud GET para obtener todas las categorías
-      const response = await request(app)
+      const response = await agent
         .get('/api/categories')
         .expect(200); // Esperar un código de estado 200 (OK)
 
@@ -131,5 +172,171 @@ describe('Category Routes', () => {
     
   });
 
+  describe('GET /api/categories/tree', () => {
+
+    it('Debería devolver las categorías anidadas bajo su padre', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const phones = await Category.create({ name: 'Phones', parentId: electronics.id });
+      await Category.create({ name: 'Smartphones', parentId: phones.id });
+      await Category.create({ name: 'Books' });
+
+      const response = await agent
+        .get('/api/categories/tree')
+        .expect(200);
+
+      // Las raíces se ordenan por nombre y los hijos quedan dentro de "children"
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0]).toHaveProperty('name', 'Books');
+      expect(response.body[1]).toHaveProperty('name', 'Electronics');
+      expect(response.body[1].children[0]).toHaveProperty('name', 'Phones');
+      expect(response.body[1].children[0].children[0]).toHaveProperty('name', 'Smartphones');
+    });
+  });
+
+  describe('GET /api/categories/:id', () => {
+
+    it('Debería devolver la categoría con su padre y subcategorías', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const phones = await Category.create({ name: 'Phones', parentId: electronics.id });
+      await Category.create({ name: 'Smartphones', parentId: phones.id });
+
+      const response = await agent
+        .get(`/api/categories/${phones.id}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('name', 'Phones');
+      expect(response.body.parent).toHaveProperty('name', 'Electronics');
+      expect(response.body.children).toHaveLength(1);
+    });
+
+    it('Debería devolver 404 si la categoría no existe', async () => {
+      const response = await agent
+        .get('/api/categories/999')
+        .expect(404);
+
+      expect(response.body).toEqual({ error: 'Category with id 999 does not exist' });
+    });
+  });
+
+  describe('PUT /api/categories/:id', () => {
+
+    it('Debería actualizar el nombre y el padre de la categoría', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const laptops = await Category.create({ name: 'Laptop' });
+
+      const response = await agent
+        .put(`/api/categories/${laptops.id}`)
+        .send({ name: 'Laptops', parentId: electronics.id })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('name', 'Laptops');
+      expect(response.body).toHaveProperty('parentId', electronics.id);
+    });
+
+    it('Debería devolver 400 si el padre no existe', async () => {
+      const laptops = await Category.create({ name: 'Laptops' });
+
+      const response = await agent
+        .put(`/api/categories/${laptops.id}`)
+        .send({ name: 'Laptops', parentId: 999 })
+        .expect(400);
+
+      expect(response.body.error).toMatch('Parent category with id 999 does not exist');
+    });
+
+    it('Debería devolver 400 si el cambio crea un ciclo', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const phones = await Category.create({ name: 'Phones', parentId: electronics.id });
+
+      const response = await agent
+        .put(`/api/categories/${electronics.id}`)
+        .send({ name: 'Electronics', parentId: phones.id })
+        .expect(400);
+
+      expect(response.body.error).toMatch('A category cannot be its own ancestor');
+    });
+
+    it('Debería devolver 400 si falta el nombre', async () => {
+      const laptops = await Category.create({ name: 'Laptops' });
+
+      const response = await agent
+        .put(`/api/categories/${laptops.id}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('Debería devolver 404 si la categoría no existe', async () => {
+      await agent
+        .put('/api/categories/999')
+        .send({ name: 'Laptops' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+
+    it('Debería eliminar la categoría y mover sus subcategorías al padre', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const computers = await Category.create({ name: 'Computers', parentId: electronics.id });
+      const laptops = await Category.create({ name: 'Laptops', parentId: computers.id });
+
+      await agent
+        .delete(`/api/categories/${computers.id}`)
+        .expect(204);
+
+      expect(await Category.findByPk(computers.id)).toBeNull();
+      expect((await Category.findByPk(laptops.id)).parentId).toBe(electronics.id);
+    });
+
+    it('Debería devolver 409 si la categoría todavía tiene productos', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      await Product.create({ name: 'Phone', price: 100, categoryId: electronics.id });
+
+      const response = await agent
+        .delete(`/api/categories/${electronics.id}`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: `Category with id ${electronics.id} still has 1 products` });
+      expect(await Category.findByPk(electronics.id)).not.toBeNull();
+    });
+
+    it('Debería devolver 409 y conservar las promociones limitadas a la categoría', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const promotion = await Promotion.create({
+        name: '3x2 en electrónica',
+        type: 'buy_x_get_y',
+        buyQuantity: 2,
+        getQuantity: 1,
+        categoryId: electronics.id
+      });
+
+      const response = await agent
+        .delete(`/api/categories/${electronics.id}`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: `Category with id ${electronics.id} still has 1 promotions` });
+      expect((await Promotion.findByPk(promotion.id)).categoryId).toBe(electronics.id);
+    });
+
+    it('Debería devolver 409 y conservar los cupones limitados a la categoría', async () => {
+      const electronics = await Category.create({ name: 'Electronics' });
+      const coupon = await Coupon.create({ code: 'TECH50', type: 'percentage', rate: 0.5, categoryId: electronics.id });
+
+      const response = await agent
+        .delete(`/api/categories/${electronics.id}`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: `Category with id ${electronics.id} still has 1 coupons` });
+      expect((await Coupon.findByPk(coupon.id)).categoryId).toBe(electronics.id);
+    });
+
+    it('Debería devolver 404 si la categoría no existe', async () => {
+      await agent
+        .delete('/api/categories/999')
+        .expect(404);
+    });
+  });
 
-});
\ No newline at end of file
+});
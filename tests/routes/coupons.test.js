@@ -0,0 +1,93 @@
+const request = require('supertest');
+const express = require('express');
+const couponRouter = require('../../routes/coupons');
+const AuthService = require('../../services/authService');
+const CouponService = require('../../services/couponService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/coupons', couponRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+// Mock de CouponService para simular el comportamiento del servicio en las pruebas
+jest.mock('../../services/couponService');
+
+describe('Coupon Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Permisos', () => {
+    it('Debería retornar 403 si el usuario solo gestiona el catálogo', async () => {
+      AuthService.authenticate.mockResolvedValue({ id: 2, email: 'catalogo@example.com', role: 'catalog_manager' });
+
+      const response = await agent.get('/api/coupons');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'This requires the store:manage permission' });
+      expect(CouponService.getCoupons).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/coupons', () => {
+    it('Debería devolver los cupones', async () => {
+      const mockCoupons = [{ id: 1, code: 'SAVE10', type: 'percentage', rate: 0.1 }];
+      CouponService.getCoupons.mockResolvedValue(mockCoupons);
+
+      const response = await agent.get('/api/coupons');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockCoupons);
+    });
+  });
+
+  describe('POST /api/coupons', () => {
+    it('Debería crear un cupón', async () => {
+      const couponData = { code: 'SAVE10', type: 'percentage', rate: 0.1, expiresAt: '2030-01-01T00:00:00.000Z' };
+      CouponService.createCoupon.mockResolvedValue({ id: 1, ...couponData });
+
+      const response = await agent.post('/api/coupons').send(couponData);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 1, ...couponData });
+      expect(CouponService.createCoupon).toHaveBeenCalledWith(couponData);
+    });
+
+    it('Debería devolver 400 si el cupón no es válido', async () => {
+      CouponService.createCoupon.mockRejectedValue(new Error('Validation error: Fixed coupons require an amount'));
+
+      const response = await agent.post('/api/coupons').send({ code: 'FIVE', type: 'fixed' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Validation error: Fixed coupons require an amount' });
+    });
+  });
+
+  describe('DELETE /api/coupons/:id', () => {
+    it('Debería eliminar el cupón', async () => {
+      CouponService.deleteCoupon.mockResolvedValue(1);
+
+      const response = await agent.delete('/api/coupons/1');
+
+      expect(response.status).toBe(204);
+      expect(CouponService.deleteCoupon).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería devolver 404 si el cupón no existe', async () => {
+      CouponService.deleteCoupon.mockResolvedValue(0);
+
+      const response = await agent.delete('/api/coupons/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Coupon with id 99 does not exist' });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const exchangeRatesRouter = require('../../routes/exchangeRates');
+const AuthService = require('../../services/authService');
+const ExchangeRate = require('../../models/exchangeRate');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/exchange-rates', exchangeRatesRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+describe('Exchange Rate Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await ExchangeRate.destroy({ where: {} });
+  });
+
+  describe('PUT /api/exchange-rates/:currency', () => {
+    it('Debería crear la tasa de cambio de una moneda', async () => {
+      const response = await agent
+        .put('/api/exchange-rates/eur')
+        .send({ rate: '0.92' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ currency: 'EUR', rate: '0.92', roundingMode: null });
+    });
+
+    it('Debería reemplazar una tasa existente', async () => {
+      await ExchangeRate.create({ currency: 'EUR', rate: '0.92' });
+
+      const response = await agent
+        .put('/api/exchange-rates/EUR')
+        .send({ rate: '0.95', roundingMode: 'HALF_EVEN' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ currency: 'EUR', rate: '0.95', roundingMode: 'HALF_EVEN' });
+      expect(await ExchangeRate.count()).toBe(1);
+    });
+
+    it('Debería devolver 400 para monedas o tasas no válidas', async () => {
+      const unsupported = await agent.put('/api/exchange-rates/XYZ').send({ rate: '1.5' });
+      expect(unsupported.status).toBe(400);
+      expect(unsupported.body.error).toContain('Unsupported currency: XYZ');
+
+      const storeCurrency = await agent.put('/api/exchange-rates/USD').send({ rate: '1' });
+      expect(storeCurrency.status).toBe(400);
+      expect(storeCurrency.body.error).toContain('USD is the store currency');
+
+      const negative = await agent.put('/api/exchange-rates/EUR').send({ rate: '-1' });
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toContain('Exchange rate must be a number greater than 0');
+    });
+  });
+
+  describe('GET /api/exchange-rates', () => {
+    it('Debería listar las tasas ordenadas por moneda', async () => {
+      await ExchangeRate.create({ currency: 'JPY', rate: '151.3' });
+      await ExchangeRate.create({ currency: 'EUR', rate: '0.92' });
+
+      const response = await agent.get('/api/exchange-rates');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(rate => rate.currency)).toEqual(['EUR', 'JPY']);
+    });
+  });
+
+  describe('DELETE /api/exchange-rates/:currency', () => {
+    it('Debería eliminar la tasa de una moneda', async () => {
+      await ExchangeRate.create({ currency: 'EUR', rate: '0.92' });
+
+      const response = await agent.delete('/api/exchange-rates/EUR');
+
+      expect(response.status).toBe(204);
+      expect(await ExchangeRate.count()).toBe(0);
+    });
+
+    it('Debería devolver 404 si la moneda no tiene tasa', async () => {
+      const response = await agent.delete('/api/exchange-rates/EUR');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'No exchange rate for EUR' });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const express = require('express');
+const orderRouter = require('../../routes/orders');
+const AuthService = require('../../services/authService');
+const OrderService = require('../../services/orderService');
+const { NotFoundError } = require('../../services/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const customer = { id: 2, email: 'ana@example.com', role: 'customer' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+// Mock de OrderService para simular el comportamiento del servicio en las pruebas
+jest.mock('../../services/orderService');
+
+describe('Order Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/orders', () => {
+    it('Debería devolver las órdenes del usuario', async () => {
+      const mockOrders = [{ id: 1, userId: 7, status: 'pending' }];
+      OrderService.getOrdersByUser.mockResolvedValue(mockOrders);
+
+      const response = await agent.get('/api/orders').query({ userId: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockOrders);
+      expect(OrderService.getOrdersByUser).toHaveBeenCalledWith('7');
+    });
+
+    it('Debería devolver las órdenes propias del personal si no indica usuario', async () => {
+      OrderService.getOrdersByUser.mockResolvedValue([]);
+
+      await agent.get('/api/orders');
+
+      expect(OrderService.getOrdersByUser).toHaveBeenCalledWith(1);
+    });
+
+    it('Debería limitar a un cliente a sus propias órdenes', async () => {
+      AuthService.authenticate.mockResolvedValue(customer);
+      OrderService.getOrdersByUser.mockResolvedValue([]);
+
+      const response = await agent.get('/api/orders').query({ userId: 7 });
+
+      expect(response.status).toBe(200);
+      expect(OrderService.getOrdersByUser).toHaveBeenCalledWith(2);
+    });
+
+    it('Debería devolver 401 sin token', async () => {
+      const response = await request(app).get('/api/orders').query({ userId: 7 });
+
+      expect(response.status).toBe(401);
+      expect(OrderService.getOrdersByUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/orders/:id', () => {
+    it('Debería devolver la orden', async () => {
+      const mockOrder = { id: 1, status: 'paid', statusHistory: [] };
+      OrderService.getOrder.mockResolvedValue(mockOrder);
+
+      const response = await agent.get('/api/orders/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockOrder);
+      expect(OrderService.getOrder).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería devolver a un cliente su propia orden', async () => {
+      AuthService.authenticate.mockResolvedValue(customer);
+      OrderService.getOrder.mockResolvedValue({ id: 1, userId: 2, status: 'paid' });
+
+      const response = await agent.get('/api/orders/1');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('Debería devolver 403 si la orden es de otro usuario', async () => {
+      AuthService.authenticate.mockResolvedValue(customer);
+      OrderService.getOrder.mockResolvedValue({ id: 1, userId: 7, status: 'paid' });
+
+      const response = await agent.get('/api/orders/1');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'This order belongs to another user' });
+    });
+
+    it('Debería devolver 401 sin token', async () => {
+      const response = await request(app).get('/api/orders/1');
+
+      expect(response.status).toBe(401);
+      expect(OrderService.getOrder).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver 404 si la orden no existe', async () => {
+      OrderService.getOrder.mockResolvedValue(null);
+
+      const response = await agent.get('/api/orders/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Order with id 99 does not exist' });
+    });
+  });
+
+  describe('POST /api/orders/:id/transitions', () => {
+    it('Debería cambiar el estado de la orden', async () => {
+      const mockOrder = { id: 1, status: 'shipped' };
+      OrderService.transition.mockResolvedValue(mockOrder);
+
+      const response = await agent
+        .post('/api/orders/1/transitions')
+        .send({ status: 'shipped', actor: 'warehouse', reason: 'Tracking 123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockOrder);
+      expect(OrderService.transition).toHaveBeenCalledWith('1', 'shipped', { actor: 'admin@example.com', reason: 'Tracking 123' });
+    });
+
+    it('Debería registrar siempre al usuario autenticado como autor', async () => {
+      OrderService.transition.mockResolvedValue({ id: 1, status: 'shipped' });
+
+      await agent.post('/api/orders/1/transitions').send({ status: 'shipped', actor: 'otra persona' });
+
+      expect(OrderService.transition).toHaveBeenCalledWith('1', 'shipped', { actor: 'admin@example.com', reason: undefined });
+    });
+
+    it('Debería devolver 401 sin token', async () => {
+      const response = await request(app).post('/api/orders/1/transitions').send({ status: 'shipped' });
+
+      expect(response.status).toBe(401);
+      expect(OrderService.transition).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver 400 si la transición no está permitida', async () => {
+      OrderService.transition.mockRejectedValue(new Error('Cannot transition order from delivered to paid'));
+
+      const response = await agent
+        .post('/api/orders/1/transitions')
+        .send({ status: 'paid' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Cannot transition order from delivered to paid' });
+    });
+
+    it('Debería devolver 404 si la orden no existe', async () => {
+      OrderService.transition.mockRejectedValue(new NotFoundError('Order with id 99 does not exist'));
+
+      const response = await agent
+        .post('/api/orders/99/transitions')
+        .send({ status: 'paid' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Order with id 99 does not exist' });
+    });
+  });
+});
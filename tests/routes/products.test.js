@@ -3,19 +3,43 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { initTestDb, closeTestDb } = require('../setup/testDb');
 const productRouter = require('../../routes/products');
+const AuthService = require('../../services/authService');
 const ProductService = require('../../services/productService');
+const InventoryService = require('../../services/inventoryService');
+const StockService = require('../../services/stockService');
+const StockAlertService = require('../../services/stockAlertService');
+const VariantService = require('../../services/variantService');
+const ImageService = require('../../services/imageService');
 const Product = require('../../models/product');
 const Category = require('../../models/category');
+const { ValidationError, NotFoundError, ConflictError } = require('../../services/errors');
 
 // Crear una instancia de la aplicación Express
 const app = express();
 app.use(bodyParser.json());
 app.use('/api/products', productRouter);
 
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'catalogo@example.com', role: 'catalog_manager' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
 // Mock de ProductService
 jest.mock('../../services/productService');
+jest.mock('../../services/inventoryService');
+jest.mock('../../services/stockService');
+jest.mock('../../services/stockAlertService');
+jest.mock('../../services/variantService');
+jest.mock('../../services/imageService');
 
 describe('Product Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  // Página simulada que acompaña a los listados de productos
+  const mockPage = { total: 2, limit: 20, offset: 0, nextCursor: null };
+
   // Configuración de la base de datos antes de las pruebas
   beforeAll(async () => {
     await initTestDb();
@@ -32,6 +56,38 @@ describe('Product Routes', () => {
     await Category.destroy({ where: {} });
   });
 
+  describe('Permisos', () => {
+    it('Debería retornar 401 al modificar el catálogo sin token', async () => {
+      const response = await request(app).post('/api/products').send({ name: 'Product 1' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Authentication required' });
+      expect(ProductService.createProduct).not.toHaveBeenCalled();
+    });
+
+    it('Debería retornar 403 si el usuario es un cliente', async () => {
+      AuthService.authenticate.mockResolvedValue({ id: 2, email: 'ana@example.com', role: 'customer' });
+
+      const updated = await agent.patch('/api/products/1').send({ price: 1 });
+      const adjusted = await agent.post('/api/products/1/stock-adjustments').send({ type: 'receipt', quantity: 10 });
+
+      expect(updated.status).toBe(403);
+      expect(updated.body).toEqual({ error: 'This requires the catalog:manage permission' });
+      expect(adjusted.status).toBe(403);
+      expect(adjusted.body).toEqual({ error: 'This requires the inventory:manage permission' });
+      expect(ProductService.updateProduct).not.toHaveBeenCalled();
+      expect(StockService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('Debería permitir consultar el catálogo sin token', async () => {
+      ProductService.getProductById.mockResolvedValue({ id: 1, name: 'Product 1' });
+
+      const response = await request(app).get('/api/products/1');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
   describe('POST /api/products', () => {
     it('Debería crear un nuevo producto', async () => {
       // Datos del producto mockeado
@@ -41,14 +97,14 @@ describe('Product Routes', () => {
       ProductService.createProduct.mockResolvedValue(mockProduct);
 
       // Enviar la solicitud POST para crear un producto
-      const response = await request(app)
+      const response = await agent
         .post('/api/products')
         .send(mockProduct);
 
       // Asegurar de que el código de estado sea 201 y la respuesta sea el producto
       expect(response.status).toBe(201);
       expect(response.body).toEqual(mockProduct);
-      expect(ProductService.createProduct).toHaveBeenCalledWith(mockProduct);
+      expect(ProductService.createProduct).toHaveBeenCalledWith(mockProduct, { actor: staff.email });
     });
 
     it('Debería retornar un error cuando la categoría no exista', async () => {
@@ -56,7 +112,7 @@ describe('Product Routes', () => {
       ProductService.createProduct.mockRejectedValue(new Error('Category does not exist'));
 
       // Enviar la solicitud POST
-      const response = await request(app)
+      const response = await agent
         .post('/api/products')
         .send({ name: 'Product 1', price: 100, categoryId: 999 });
 
@@ -69,7 +125,7 @@ describe('Product Routes', () => {
       // Intentar crear un producto sin un campo obligatorio
       const invalidProduct = { name: 'Product 1', price: 100 }; // Falta 'categoryId'
 
-      const response = await request(app)
+      const response = await agent
         .post('/api/products')
         .send(invalidProduct);
       
@@ -82,7 +138,7 @@ describe('Product Routes', () => {
       // Intentar crear un producto con un precio incorrecto (negativo)
       const invalidProduct = { name: 'Product 1', price: -100, categoryId: 1 };
 
-      const response = await request(app)
+      const response = await agent
         .post('/api/products')
         .send(invalidProduct);
 
@@ -102,14 +158,14 @@ describe('Product Routes', () => {
       ];
 
       // Simular que ProductService obtiene los productos por categoría
-      ProductService.getProductsByCategory.mockResolvedValue(mockProducts);
+      ProductService.getProductsByCategory.mockResolvedValue({ data: mockProducts, page: mockPage });
 
       // Enviar la solicitud GET para obtener los productos de una categoría
-      const response = await request(app).get('/api/products/category/1');
+      const response = await agent.get('/api/products/category/1');
 
       // Asegurar de que el código de estado sea 200 y los productos sean los esperados
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockProducts);
+      expect(response.body).toEqual({ data: mockProducts, page: mockPage });
       expect(ProductService.getProductsByCategory).toHaveBeenCalledWith('1', expect.any(Object));
     });
 
@@ -118,7 +174,7 @@ describe('Product Routes', () => {
       ProductService.getProductsByCategory.mockRejectedValue(new Error('Failed to get products'));
 
       // Enviar la solicitud GET
-      const response = await request(app).get('/api/products/category/1');
+      const response = await agent.get('/api/products/category/1');
 
       // Asegurar de que el código de estado sea 400 y el mensaje de error sea el adecuado
       expect(response.status).toBe(400);
@@ -127,13 +183,13 @@ describe('Product Routes', () => {
 
     it('Debería retornar un mensaje de error si no existen productos en la categoría', async () => {
       // Simular que no hay productos en la categoría con ID '1'
-      ProductService.getProductsByCategory.mockResolvedValue([]);
+      ProductService.getProductsByCategory.mockResolvedValue({ data: [], page: mockPage });
 
-      const response = await request(app).get('/api/products/category/1');
+      const response = await agent.get('/api/products/category/1');
 
       // Verificar que la respuesta sea un array vacío, indicando que no hay productos
       expect(response.status).toBe(200);
-      expect(response.body).toEqual([]);  // Debería retornar un array vacío
+      expect(response.body.data).toEqual([]);  // Debería retornar un array vacío
     });
 
     it('Debería retornar productos con paginación correcta', async () => {
@@ -143,10 +199,10 @@ describe('Product Routes', () => {
       ];
     
       // Simular la respuesta de ProductService
-      ProductService.getProductsByCategory = jest.fn().mockResolvedValue(mockProducts);
+      ProductService.getProductsByCategory = jest.fn().mockResolvedValue({ data: mockProducts, page: mockPage });
     
       // Realizar la solicitud GET con parámetros de paginación
-      const response = await request(app)
+      const response = await agent
         .get('/api/products/category/1')
         .query({ limit: 2, offset: 0, sort: 'name' });  // Pasar los parámetros correctos
     
@@ -154,7 +210,7 @@ describe('Product Routes', () => {
       expect(response.status).toBe(200);
     
       // Verificar que la respuesta tenga los productos correctos
-      expect(response.body).toEqual(mockProducts);
+      expect(response.body).toEqual({ data: mockProducts, page: mockPage });
     
       // Verificar que ProductService haya sido llamado con los parámetros de paginación correctos
       expect(ProductService.getProductsByCategory).toHaveBeenCalledWith('1', { limit: '2', offset: '0', sort: 'name' });
@@ -171,20 +227,59 @@ describe('Product Routes', () => {
       ];
 
       // Simular que ProductService obtiene todos los productos
-      ProductService.getAllProducts.mockResolvedValue(mockProducts);
+      ProductService.getAllProducts.mockResolvedValue({ data: mockProducts, page: mockPage });
 
-      const response = await request(app).get('/api/products');
+      const response = await agent.get('/api/products');
 
       // Verificar que la respuesta tenga el código de éxito 200 y los productos correctos
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockProducts);
+      expect(response.body).toEqual({ data: mockProducts, page: mockPage });
+    });
+
+    it('Debería pasar los filtros de la consulta al servicio', async () => {
+      const mockResult = { data: [], page: mockPage, facets: { categories: [], priceRanges: [] } };
+      ProductService.getAllProducts.mockResolvedValue(mockResult);
+
+      const response = await agent
+        .get('/api/products')
+        .query({ minPrice: 10, maxPrice: 100, inStock: true, name: 'phone' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(ProductService.getAllProducts).toHaveBeenCalledWith({
+        minPrice: '10',
+        maxPrice: '100',
+        inStock: 'true',
+        name: 'phone'
+      });
+    });
+
+    it('Debería retornar 400 si un filtro no es válido', async () => {
+      ProductService.getAllProducts.mockRejectedValue(new ValidationError('Invalid minPrice: abc'));
+
+      const response = await agent.get('/api/products').query({ minPrice: 'abc' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid minPrice: abc' });
+    });
+
+    it('Debería incluir la cabecera Link con los enlaces de paginación', async () => {
+      const page = { total: 45, limit: 20, offset: 0, nextCursor: 'abc' };
+      ProductService.getAllProducts.mockResolvedValue({ data: [], page });
+
+      const response = await agent.get('/api/products').query({ cursor: 'xyz' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.link).toContain('cursor=abc>; rel="next"');
+      expect(response.headers.link).toContain('offset=40>; rel="last"');
+      expect(ProductService.getAllProducts).toHaveBeenCalledWith({ cursor: 'xyz' });
     });
 
     it('Debería retornar un error si ocurre un fallo al obtener productos', async () => {
       // Simular un error al obtener todos los productos
       ProductService.getAllProducts.mockRejectedValue(new Error('Fallo al obtener productos'));
 
-      const response = await request(app).get('/api/products');
+      const response = await agent.get('/api/products');
 
       // Verificar que se retorne un error con el código de estado 500
       expect(response.status).toBe(500);
@@ -201,10 +296,10 @@ describe('Product Routes', () => {
       ];
     
       // Simular la respuesta de ProductService
-      ProductService.getProductsByCategories = jest.fn().mockResolvedValue(mockProducts);
+      ProductService.getProductsByCategories = jest.fn().mockResolvedValue({ data: mockProducts, page: mockPage });
     
       // Realizar la solicitud GET con las categorías en la consulta
-      const response = await request(app)
+      const response = await agent
         .get('/api/products/categories')
         .query({ categories: '1,2,3', limit: 3, offset: 0, sort: 'name' });
     
@@ -212,7 +307,7 @@ describe('Product Routes', () => {
       expect(response.status).toBe(200);
     
       // Verificar que la respuesta tenga los productos correctos
-      expect(response.body).toEqual(mockProducts);
+      expect(response.body).toEqual({ data: mockProducts, page: mockPage });
     
       // Verificar que ProductService haya sido llamado con los parámetros correctos
       expect(ProductService.getProductsByCategories).toHaveBeenCalledWith(
@@ -225,7 +320,7 @@ describe('Product Routes', () => {
       // Simular un error en ProductService
       ProductService.getProductsByCategories = jest.fn().mockRejectedValue(new Error('Error al obtener productos'));
     
-      const response = await request(app)
+      const response = await agent
         .get('/api/products/categories')
         .query({ categories: '1,2,3', limit: 3, offset: 0, sort: 'name' });
     
@@ -237,4 +332,393 @@ describe('Product Routes', () => {
     });
   });
 
-});
\ No newline at end of file
+  describe('GET /api/products/search', () => {
+    it('Debería retornar los productos que coinciden con la búsqueda', async () => {
+      const mockProducts = [{ id: 2, name: 'Laptop' }, { id: 1, name: 'Laptop bag' }];
+      ProductService.searchProducts.mockResolvedValue({ data: mockProducts, page: mockPage });
+
+      const response = await agent
+        .get('/api/products/search')
+        .query({ q: 'laptop', limit: 10, sort: 'price,ASC' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: mockProducts, page: mockPage });
+      expect(ProductService.searchProducts).toHaveBeenCalledWith('laptop', { limit: '10', sort: 'price,ASC' });
+    });
+
+    it('Debería retornar 400 si falta la consulta', async () => {
+      ProductService.searchProducts.mockRejectedValue(new Error('Search query is required'));
+
+      const response = await agent.get('/api/products/search');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Search query is required' });
+    });
+  });
+
+  describe('GET /api/products/:id', () => {
+    it('Debería retornar el producto', async () => {
+      const mockProduct = { id: 1, name: 'Producto 1', price: 100, categoryId: 1 };
+      ProductService.getProductById.mockResolvedValue(mockProduct);
+
+      const response = await agent.get('/api/products/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockProduct);
+      expect(ProductService.getProductById).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      ProductService.getProductById.mockResolvedValue(null);
+
+      const response = await agent.get('/api/products/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Product with id 99 does not exist' });
+    });
+  });
+
+  describe('GET /api/products/:id/availability', () => {
+    it('Debería retornar el inventario disponible descontando las reservas', async () => {
+      const availability = { productId: 1, inventory: 5, reserved: 2, available: 3 };
+      InventoryService.getAvailability.mockResolvedValue(availability);
+
+      const response = await agent.get('/api/products/1/availability');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(availability);
+      expect(InventoryService.getAvailability).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      InventoryService.getAvailability.mockResolvedValue(null);
+
+      const response = await agent.get('/api/products/99/availability');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Product with id 99 does not exist' });
+    });
+  });
+
+  describe('POST /api/products/:id/stock-adjustments', () => {
+    it('Debería registrar el ajuste y retornar el movimiento', async () => {
+      const movement = { id: 3, productId: 1, type: 'receipt', quantity: 10, reason: 'Pedido 12', actor: 'catalogo@example.com' };
+      StockService.adjustStock.mockResolvedValue(movement);
+
+      const response = await agent
+        .post('/api/products/1/stock-adjustments')
+        .send({ type: 'receipt', quantity: 10, reason: 'Pedido 12' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(movement);
+      expect(StockService.adjustStock).toHaveBeenCalledWith('1', { type: 'receipt', quantity: 10, reason: 'Pedido 12', actor: 'catalogo@example.com' });
+    });
+
+    it('Debería registrar siempre al usuario autenticado como autor', async () => {
+      StockService.adjustStock.mockResolvedValue({ id: 3 });
+
+      await agent.post('/api/products/1/stock-adjustments').send({ type: 'receipt', quantity: 10, actor: 'ana' });
+
+      expect(StockService.adjustStock).toHaveBeenCalledWith('1', { type: 'receipt', quantity: 10, reason: undefined, actor: 'catalogo@example.com' });
+    });
+
+    it('Debería pasar la variante a ajustar', async () => {
+      StockService.adjustStock.mockResolvedValue({ id: 4 });
+
+      await agent.post('/api/products/1/stock-adjustments').send({ type: 'receipt', quantity: 2, variantId: 7 });
+
+      expect(StockService.adjustStock).toHaveBeenCalledWith('1', expect.objectContaining({ variantId: 7, quantity: 2 }));
+    });
+
+    it('Debería retornar 409 si no hay inventario suficiente para descontar', async () => {
+      StockService.adjustStock.mockRejectedValue(new ConflictError('Not enough inventory to remove 8 units of product 1'));
+
+      const response = await agent.post('/api/products/1/stock-adjustments').send({ type: 'adjustment', quantity: -8 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('Debería retornar 400 si el ajuste no es válido', async () => {
+      StockService.adjustStock.mockRejectedValue(new ValidationError('quantity must be a non-zero integer'));
+
+      const response = await agent.post('/api/products/1/stock-adjustments').send({ type: 'adjustment', quantity: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'quantity must be a non-zero integer' });
+    });
+  });
+
+  describe('GET /api/products/:id/stock-movements', () => {
+    it('Debería retornar los movimientos paginados', async () => {
+      const page = { data: [{ id: 2, type: 'sale', quantity: -1 }], page: { total: 1, limit: 20, offset: 0, nextCursor: null } };
+      StockService.getMovements.mockResolvedValue(page);
+
+      const response = await agent.get('/api/products/1/stock-movements?limit=20');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(response.headers.link).toContain('rel="first"');
+      expect(StockService.getMovements).toHaveBeenCalledWith('1', { limit: '20', offset: undefined });
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      StockService.getMovements.mockRejectedValue(new NotFoundError('Product with id 99 does not exist'));
+
+      const response = await agent.get('/api/products/99/stock-movements');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/products/:id/stock-subscriptions', () => {
+    it('Debería suscribir el correo al aviso de reposición', async () => {
+      const subscription = { id: 1, productId: 1, email: 'ana@example.com', notifiedAt: null };
+      StockAlertService.subscribe.mockResolvedValue(subscription);
+
+      const response = await agent.post('/api/products/1/stock-subscriptions').send({ email: 'ana@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(subscription);
+      expect(StockAlertService.subscribe).toHaveBeenCalledWith('1', 'ana@example.com');
+    });
+
+    it('Debería retornar 409 si el producto tiene stock', async () => {
+      StockAlertService.subscribe.mockRejectedValue(new ConflictError('Product 1 is in stock'));
+
+      const response = await agent.post('/api/products/1/stock-subscriptions').send({ email: 'ana@example.com' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Product 1 is in stock' });
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      StockAlertService.subscribe.mockRejectedValue(new NotFoundError('Product with id 99 does not exist'));
+
+      const response = await agent.post('/api/products/99/stock-subscriptions').send({ email: 'ana@example.com' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/products/stock-consistency', () => {
+    it('Debería retornar los productos con diferencias de inventario', async () => {
+      const report = { checked: 2, drifted: [{ productId: 2, name: 'Mouse', inventory: 4, ledgerInventory: 3, drift: 1 }] };
+      StockService.checkConsistency.mockResolvedValue(report);
+
+      const response = await agent.get('/api/products/stock-consistency');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(report);
+    });
+  });
+
+  describe('PUT /api/products/:id', () => {
+    it('Debería reemplazar el producto y retornarlo actualizado', async () => {
+      const productData = { name: 'Producto 2', price: 150, categoryId: 1 };
+      ProductService.replaceProduct.mockResolvedValue({ id: 1, ...productData });
+
+      const response = await agent.put('/api/products/1').send(productData);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 1, ...productData });
+      expect(ProductService.replaceProduct).toHaveBeenCalledWith('1', productData, { actor: staff.email });
+    });
+
+    it('Debería retornar 400 si faltan campos requeridos', async () => {
+      ProductService.replaceProduct.mockRejectedValue(new Error('Missing required fields: price, categoryId'));
+
+      const response = await agent.put('/api/products/1').send({ name: 'Producto 2' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Missing required fields: price, categoryId' });
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      ProductService.replaceProduct.mockResolvedValue(null);
+
+      const response = await agent.put('/api/products/99').send({ name: 'Producto 2', price: 150, categoryId: 1 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/products/:id', () => {
+    it('Debería actualizar parcialmente el producto', async () => {
+      ProductService.updateProduct.mockResolvedValue({ id: 1, name: 'Producto 1', price: 80 });
+
+      const response = await agent.patch('/api/products/1').send({ price: 80 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 1, name: 'Producto 1', price: 80 });
+      expect(ProductService.updateProduct).toHaveBeenCalledWith('1', { price: 80 }, { actor: staff.email });
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      ProductService.updateProduct.mockResolvedValue(null);
+
+      const response = await agent.patch('/api/products/99').send({ price: 80 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Product with id 99 does not exist' });
+    });
+
+    it('Debería retornar 400 si la categoría no existe', async () => {
+      ProductService.updateProduct.mockRejectedValue(new Error('Category with id 999 does not exist'));
+
+      const response = await agent.patch('/api/products/1').send({ categoryId: 999 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Category with id 999 does not exist' });
+    });
+  });
+
+  describe('Variantes', () => {
+    it('Debería retornar 403 si el usuario no gestiona el catálogo', async () => {
+      AuthService.authenticate.mockResolvedValueOnce({ id: 2, email: 'ana@example.com', role: 'customer' });
+
+      const response = await agent.post('/api/products/1/variants').send({ sku: 'TEE-M' });
+
+      expect(response.status).toBe(403);
+      expect(VariantService.createVariant).not.toHaveBeenCalled();
+    });
+
+    it('Debería crear una variante del producto', async () => {
+      const mockVariant = { id: 4, productId: 1, sku: 'TEE-M', options: { size: 'M' }, inventory: 5 };
+      VariantService.createVariant.mockResolvedValueOnce(mockVariant);
+
+      const response = await agent.post('/api/products/1/variants').send({ sku: 'TEE-M', options: { size: 'M' }, inventory: 5 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(mockVariant);
+      expect(VariantService.createVariant).toHaveBeenCalledWith('1', { sku: 'TEE-M', options: { size: 'M' }, inventory: 5 });
+    });
+
+    it('Debería retornar 409 si el SKU ya existe y 404 si el producto no existe', async () => {
+      VariantService.createVariant.mockRejectedValueOnce(new ConflictError('A variant with SKU TEE-M already exists'));
+      VariantService.createVariant.mockRejectedValueOnce(new NotFoundError('Product with id 99 does not exist'));
+
+      const duplicate = await agent.post('/api/products/1/variants').send({ sku: 'TEE-M' });
+      const missing = await agent.post('/api/products/99/variants').send({ sku: 'TEE-L' });
+
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body).toEqual({ error: 'A variant with SKU TEE-M already exists' });
+      expect(missing.status).toBe(404);
+    });
+
+    it('Debería actualizar una variante', async () => {
+      VariantService.updateVariant.mockResolvedValueOnce({ id: 4, productId: 1, price: '21.00' });
+
+      const response = await agent.put('/api/products/1/variants/4').send({ price: '21.00' });
+
+      expect(response.status).toBe(200);
+      expect(VariantService.updateVariant).toHaveBeenCalledWith('1', '4', { price: '21.00' });
+    });
+
+    it('Debería retornar 400 si la variante no es válida', async () => {
+      VariantService.updateVariant.mockRejectedValueOnce(new Error('Validation error: option values must be non-empty strings'));
+
+      const response = await agent.put('/api/products/1/variants/4').send({ options: { size: '' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('Debería eliminar una variante y retornar 404 si no existe', async () => {
+      VariantService.deleteVariant.mockResolvedValueOnce();
+      VariantService.deleteVariant.mockRejectedValueOnce(new NotFoundError('Variant with id 9 does not exist'));
+
+      const deleted = await agent.delete('/api/products/1/variants/4');
+      const missing = await agent.delete('/api/products/1/variants/9');
+
+      expect(deleted.status).toBe(204);
+      expect(VariantService.deleteVariant).toHaveBeenCalledWith('1', '4');
+      expect(missing.status).toBe(404);
+      expect(missing.body).toEqual({ error: 'Variant with id 9 does not exist' });
+    });
+  });
+
+  describe('Imágenes', () => {
+    const mockImage = { id: 3, productId: 1, position: 0, altText: 'Vista frontal', url: '/images/a.jpg', thumbnailUrl: '/images/a-thumb.jpg' };
+
+    it('Debería subir las imágenes del formulario multipart', async () => {
+      ImageService.addImages.mockResolvedValueOnce([mockImage]);
+
+      const response = await agent
+        .post('/api/products/1/images')
+        .field('altText', 'Vista frontal')
+        .attach('images', Buffer.from('contenido'), 'frontal.jpg');
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual([mockImage]);
+      const [productId, files, options] = ImageService.addImages.mock.calls[0];
+      expect(productId).toBe('1');
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatchObject({ originalname: 'frontal.jpg', size: 9 });
+      expect(files[0].buffer.toString()).toBe('contenido');
+      expect(options).toEqual({ altText: 'Vista frontal' });
+    });
+
+    it('Debería retornar 400 si los archivos no vienen en el campo images', async () => {
+      const response = await agent
+        .post('/api/products/1/images')
+        .attach('foto', Buffer.from('contenido'), 'frontal.jpg');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unexpected file field' });
+    });
+
+    it('Debería retornar 400 si un archivo no es una imagen y 404 si el producto no existe', async () => {
+      ImageService.addImages.mockRejectedValueOnce(new ValidationError('notas.txt is not a JPEG, PNG, WebP or GIF image'));
+      ImageService.addImages.mockRejectedValueOnce(new NotFoundError('Product with id 99 does not exist'));
+
+      const invalid = await agent.post('/api/products/1/images').attach('images', Buffer.from('hola'), 'notas.txt');
+      const missing = await agent.post('/api/products/99/images').attach('images', Buffer.from('hola'), 'frontal.jpg');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'notas.txt is not a JPEG, PNG, WebP or GIF image' });
+      expect(missing.status).toBe(404);
+    });
+
+    it('Debería cambiar el texto alternativo o la posición de una imagen', async () => {
+      ImageService.updateImage.mockResolvedValueOnce({ ...mockImage, position: 2 });
+
+      const response = await agent.put('/api/products/1/images/3').send({ position: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.position).toBe(2);
+      expect(ImageService.updateImage).toHaveBeenCalledWith('1', '3', { position: 2 });
+    });
+
+    it('Debería eliminar una imagen y retornar 404 si no existe', async () => {
+      ImageService.deleteImage.mockResolvedValueOnce();
+      ImageService.deleteImage.mockRejectedValueOnce(new NotFoundError('Image with id 9 does not exist'));
+
+      const deleted = await agent.delete('/api/products/1/images/3');
+      const missing = await agent.delete('/api/products/1/images/9');
+
+      expect(deleted.status).toBe(204);
+      expect(ImageService.deleteImage).toHaveBeenCalledWith('1', '3');
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/products/:id', () => {
+    it('Debería eliminar el producto', async () => {
+      ProductService.deleteProduct.mockResolvedValue(1);
+
+      const response = await agent.delete('/api/products/1');
+
+      expect(response.status).toBe(204);
+      expect(ProductService.deleteProduct).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería retornar 404 si el producto no existe', async () => {
+      ProductService.deleteProduct.mockResolvedValue(0);
+
+      const response = await agent.delete('/api/products/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Product with id 99 does not exist' });
+    });
+  });
+
+});
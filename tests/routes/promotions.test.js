@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+const promotionRouter = require('../../routes/promotions');
+const AuthService = require('../../services/authService');
+const PromotionService = require('../../services/promotionService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/promotions', promotionRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+// Mock de PromotionService para simular el comportamiento del servicio en las pruebas
+jest.mock('../../services/promotionService');
+
+describe('Promotion Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/promotions', () => {
+    it('Debería devolver las promociones', async () => {
+      const mockPromotions = [{ id: 1, name: '3x2', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }];
+      PromotionService.getPromotions.mockResolvedValue(mockPromotions);
+
+      const response = await agent.get('/api/promotions');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockPromotions);
+    });
+  });
+
+  describe('POST /api/promotions', () => {
+    it('Debería crear una promoción', async () => {
+      const promotionData = { name: '10% desde 5 unidades', type: 'quantity_tier', tiers: [{ minQuantity: 5, rate: 0.1 }] };
+      PromotionService.createPromotion.mockResolvedValue({ id: 1, ...promotionData });
+
+      const response = await agent.post('/api/promotions').send(promotionData);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 1, ...promotionData });
+      expect(PromotionService.createPromotion).toHaveBeenCalledWith(promotionData);
+    });
+
+    it('Debería devolver 400 si la promoción no es válida', async () => {
+      PromotionService.createPromotion.mockRejectedValue(new Error('Validation error: quantity_tier promotions require tiers'));
+
+      const response = await agent.post('/api/promotions').send({ name: 'Tramos', type: 'quantity_tier' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Validation error: quantity_tier promotions require tiers' });
+    });
+  });
+
+  describe('PUT /api/promotions/:id', () => {
+    it('Debería actualizar la promoción', async () => {
+      PromotionService.updatePromotion.mockResolvedValue({ id: 1, active: false });
+
+      const response = await agent.put('/api/promotions/1').send({ active: false });
+
+      expect(response.status).toBe(200);
+      expect(PromotionService.updatePromotion).toHaveBeenCalledWith('1', { active: false });
+    });
+
+    it('Debería devolver 404 si la promoción no existe', async () => {
+      PromotionService.updatePromotion.mockResolvedValue(null);
+
+      const response = await agent.put('/api/promotions/99').send({ active: false });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Promotion with id 99 does not exist' });
+    });
+  });
+
+  describe('DELETE /api/promotions/:id', () => {
+    it('Debería eliminar la promoción', async () => {
+      PromotionService.deletePromotion.mockResolvedValue(1);
+
+      const response = await agent.delete('/api/promotions/1');
+
+      expect(response.status).toBe(204);
+      expect(PromotionService.deletePromotion).toHaveBeenCalledWith('1');
+    });
+
+    it('Debería devolver 404 si la promoción no existe', async () => {
+      PromotionService.deletePromotion.mockResolvedValue(0);
+
+      const response = await agent.delete('/api/promotions/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Promotion with id 99 does not exist' });
+    });
+  });
+});
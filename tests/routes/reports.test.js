@@ -0,0 +1,66 @@
+const request = require('supertest');
+const express = require('express');
+const reportsRouter = require('../../routes/reports');
+const AuthService = require('../../services/authService');
+const CartExpiryService = require('../../services/cartExpiryService');
+const { ValidationError } = require('../../services/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportsRouter);
+
+// Los informes requieren un usuario con permiso para verlos
+jest.mock('../../services/authService');
+const marketer = { id: 3, email: 'marketing@example.com', role: 'marketing' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+jest.mock('../../services/cartExpiryService');
+
+describe('Report Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(marketer);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Permisos', () => {
+    it('Debería retornar 403 si el usuario no puede ver informes', async () => {
+      AuthService.authenticate.mockResolvedValue({ id: 2, email: 'catalogo@example.com', role: 'catalog_manager' });
+
+      const response = await agent.get('/api/reports/abandoned-carts');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'This requires the reports:view permission' });
+      expect(CartExpiryService.getAbandonedCarts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/reports/abandoned-carts', () => {
+    it('Debería devolver los carritos abandonados con enlaces de paginación', async () => {
+      const report = {
+        data: [{ cartId: 4, email: 'ana@example.com', guest: false, status: 'active', value: '25.00', currency: 'USD' }],
+        summary: { carts: 3, value: '60.00', currency: 'USD' },
+        page: { total: 3, limit: 1, offset: 0, nextCursor: null }
+      };
+      CartExpiryService.getAbandonedCarts.mockResolvedValueOnce(report);
+
+      const response = await agent.get('/api/reports/abandoned-carts?limit=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(report);
+      expect(CartExpiryService.getAbandonedCarts).toHaveBeenCalledWith({ limit: '1', offset: undefined });
+      expect(response.headers.link).toContain('offset=1>; rel="next"');
+    });
+
+    it('Debería retornar 400 si la paginación no es válida', async () => {
+      CartExpiryService.getAbandonedCarts.mockRejectedValueOnce(new ValidationError('Invalid limit: x'));
+
+      const response = await agent.get('/api/reports/abandoned-carts?limit=x');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid limit: x' });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const shippingMethodsRouter = require('../../routes/shippingMethods');
+const AuthService = require('../../services/authService');
+const ShippingMethod = require('../../models/shippingMethod');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/shipping-methods', shippingMethodsRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+describe('Shipping Method Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await ShippingMethod.destroy({ where: {} });
+  });
+
+  describe('POST /api/shipping-methods', () => {
+    it('Debería crear un método por tramos de peso', async () => {
+      const response = await agent
+        .post('/api/shipping-methods')
+        .send({
+          name: 'Ground',
+          type: 'weight',
+          tiers: [{ maxWeightGrams: 1000, amount: '4.99' }, { maxWeightGrams: 5000, amount: '9.99' }],
+          freeAbove: '75',
+          countries: ['us', 'ca']
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        name: 'Ground',
+        tiers: [
+          { maxWeightGrams: 1000, amountMinor: 499, amount: '4.99' },
+          { maxWeightGrams: 5000, amountMinor: 999, amount: '9.99' }
+        ],
+        freeAbove: '75.00',
+        countries: ['US', 'CA'],
+        taxClass: 'shipping',
+        active: true
+      });
+    });
+
+    it('Debería devolver 400 si el método no es válido', async () => {
+      const flat = await agent.post('/api/shipping-methods').send({ name: 'Flat', type: 'flat' });
+      expect(flat.status).toBe(400);
+      expect(flat.body.error).toContain('Flat shipping methods require an amount');
+
+      const tiers = await agent.post('/api/shipping-methods').send({ name: 'Ground', type: 'weight', tiers: [{ amount: '5' }] });
+      expect(tiers.status).toBe(400);
+      expect(tiers.body.error).toContain('tiers must be a list');
+
+      const amount = await agent.post('/api/shipping-methods').send({ name: 'Flat', type: 'flat', amount: '4.999' });
+      expect(amount.status).toBe(400);
+      expect(amount.body.error).toBe('Amount 4.999 has more than 2 decimal places for USD');
+    });
+  });
+
+  describe('PUT /api/shipping-methods/:id', () => {
+    it('Debería actualizar el método', async () => {
+      const method = await ShippingMethod.create({ name: 'Flat', type: 'flat', amount: '5' });
+
+      const response = await agent.put(`/api/shipping-methods/${method.id}`).send({ amount: '6.50', active: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ amount: '6.50', active: false });
+    });
+
+    it('Debería devolver 404 si el método no existe', async () => {
+      const response = await agent.put('/api/shipping-methods/999').send({ active: false });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Shipping method with id 999 does not exist' });
+    });
+  });
+
+  describe('DELETE /api/shipping-methods/:id', () => {
+    it('Debería eliminar el método', async () => {
+      const method = await ShippingMethod.create({ name: 'Flat', type: 'flat', amount: '5' });
+
+      const response = await agent.delete(`/api/shipping-methods/${method.id}`);
+
+      expect(response.status).toBe(204);
+      expect(await ShippingMethod.count()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const taxRulesRouter = require('../../routes/taxRules');
+const AuthService = require('../../services/authService');
+const TaxRule = require('../../models/taxRule');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/tax-rules', taxRulesRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+describe('Tax Rule Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await TaxRule.destroy({ where: {} });
+  });
+
+  describe('POST /api/tax-rules', () => {
+    it('Debería crear una regla normalizando los códigos', async () => {
+      const response = await agent
+        .post('/api/tax-rules')
+        .send({ name: 'San Francisco', country: 'us', region: 'ca', postalPrefix: '941 ', rate: 0.01 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        name: 'San Francisco',
+        taxClass: 'standard',
+        country: 'US',
+        region: 'CA',
+        postalPrefix: '941',
+        rate: 0.01
+      });
+    });
+
+    it('Debería devolver 400 si la regla no es válida', async () => {
+      const response = await agent
+        .post('/api/tax-rules')
+        .send({ name: 'IVA', country: 'ESP', rate: 1.21 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('country must be a two-letter ISO 3166 code');
+      expect(response.body.error).toContain('Validation max on rate failed');
+    });
+  });
+
+  describe('GET /api/tax-rules', () => {
+    it('Debería listar las reglas de un país', async () => {
+      await TaxRule.bulkCreate([
+        { name: 'IVA', country: 'ES', rate: 0.21 },
+        { name: 'VAT', country: 'GB', rate: 0.2 }
+      ]);
+
+      const response = await agent.get('/api/tax-rules?country=gb');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(rule => rule.name)).toEqual(['VAT']);
+    });
+  });
+
+  describe('PUT /api/tax-rules/:id', () => {
+    it('Debería actualizar la regla', async () => {
+      const rule = await TaxRule.create({ name: 'IVA', country: 'ES', rate: 0.21 });
+
+      const response = await agent.put(`/api/tax-rules/${rule.id}`).send({ rate: 0.1, taxClass: 'reduced' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ rate: 0.1, taxClass: 'reduced' });
+    });
+
+    it('Debería devolver 404 si la regla no existe', async () => {
+      const response = await agent.put('/api/tax-rules/999').send({ rate: 0.1 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Tax rule with id 999 does not exist' });
+    });
+  });
+
+  describe('DELETE /api/tax-rules/:id', () => {
+    it('Debería eliminar la regla', async () => {
+      const rule = await TaxRule.create({ name: 'IVA', country: 'ES', rate: 0.21 });
+
+      const response = await agent.delete(`/api/tax-rules/${rule.id}`);
+
+      expect(response.status).toBe(204);
+      expect(await TaxRule.count()).toBe(0);
+    });
+
+    it('Debería devolver 404 si la regla no existe', async () => {
+      const response = await agent.delete('/api/tax-rules/999');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
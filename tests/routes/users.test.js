@@ -0,0 +1,92 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const usersRouter = require('../../routes/users');
+const AuthService = require('../../services/authService');
+const User = require('../../models/user');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', usersRouter);
+
+// Registra un usuario con el rol indicado y devuelve su cabecera de autorización
+const signUp = async (email, role) => {
+  const { user, accessToken } = await AuthService.register({ email, password: 'contraseña-segura' });
+  await user.update({ role });
+  return { user, authorization: `Bearer ${accessToken}` };
+};
+
+describe('User Routes', () => {
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await User.destroy({ where: {} });
+  });
+
+  describe('GET /api/users/me', () => {
+    it('Debería devolver el usuario autenticado con su rol', async () => {
+      const { authorization } = await signUp('ana@example.com', 'customer');
+
+      const response = await request(app).get('/api/users/me').set('Authorization', authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ email: 'ana@example.com', role: 'customer' });
+      expect(response.body.passwordHash).toBeUndefined();
+    });
+
+    it('Debería retornar 401 sin token', async () => {
+      expect((await request(app).get('/api/users/me')).status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('Debería permitir a un administrador cambiar el rol de un usuario', async () => {
+      const admin = await signUp('admin@example.com', 'admin');
+      const { user } = await signUp('luis@example.com', 'customer');
+
+      const response = await request(app)
+        .put(`/api/users/${user.id}/role`)
+        .set('Authorization', admin.authorization)
+        .send({ role: 'catalog_manager' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe('catalog_manager');
+    });
+
+    it('Debería retornar 403 si el usuario no es administrador', async () => {
+      const manager = await signUp('catalogo@example.com', 'catalog_manager');
+
+      const response = await request(app)
+        .put(`/api/users/${manager.user.id}/role`)
+        .set('Authorization', manager.authorization)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'This requires the users:manage permission' });
+      expect((await User.findByPk(manager.user.id)).role).toBe('catalog_manager');
+    });
+
+    it('Debería retornar 400 con un rol desconocido y 404 si el usuario no existe', async () => {
+      const admin = await signUp('admin@example.com', 'admin');
+
+      const invalid = await request(app)
+        .put(`/api/users/${admin.user.id}/role`)
+        .set('Authorization', admin.authorization)
+        .send({ role: 'superuser' });
+      const missing = await request(app)
+        .put('/api/users/999/role')
+        .set('Authorization', admin.authorization)
+        .send({ role: 'admin' });
+
+      expect(invalid.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+  });
+});
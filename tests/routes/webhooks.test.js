@@ -0,0 +1,180 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const webhooksRouter = require('../../routes/webhooks');
+const AuthService = require('../../services/authService');
+const WebhookService = require('../../services/webhookService');
+const Webhook = require('../../models/webhook');
+const WebhookDelivery = require('../../models/webhookDelivery');
+const config = require('../../config');
+const { sign } = require('../../utils/webhooks');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/webhooks', webhooksRouter);
+
+// Las rutas de gestión requieren un usuario del personal con permiso
+jest.mock('../../services/authService');
+const staff = { id: 1, email: 'admin@example.com', role: 'admin' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+const SECRET = 'secreto-compartido-123';
+
+describe('Webhook Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(staff);
+  });
+
+  // Receptor HTTP local que guarda lo que recibe y responde con receiverStatus
+  let receiver;
+  let receiverUrl;
+  let received;
+  let receiverStatus;
+
+  beforeAll(async () => {
+    await initTestDb();
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = receiverStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await WebhookDelivery.destroy({ where: {} });
+    await Webhook.destroy({ where: {} });
+    received = [];
+    receiverStatus = 200;
+  });
+
+  describe('POST /api/webhooks', () => {
+    it('Debería crear el webhook sin devolver el secreto', async () => {
+      const response = await agent
+        .post('/api/webhooks')
+        .send({ url: receiverUrl, secret: SECRET, events: ['product.created', 'cart.*'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ url: receiverUrl, events: ['product.created', 'cart.*'], active: true });
+      expect(response.body.secret).toBeUndefined();
+    });
+
+    it('Debería rechazar URLs, secretos y eventos no válidos', async () => {
+      const invalid = [
+        { url: 'ftp://erp.local', secret: SECRET },
+        { url: receiverUrl, secret: 'corto' },
+        { url: receiverUrl, secret: SECRET, events: ['order.created'] },
+        { url: receiverUrl, secret: SECRET, events: [] }
+      ];
+
+      for (const webhook of invalid) {
+        const response = await agent.post('/api/webhooks').send(webhook);
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+
+  describe('PUT /api/webhooks/:id', () => {
+    it('Debería actualizar el webhook', async () => {
+      const webhook = await Webhook.create({ url: receiverUrl, secret: SECRET });
+
+      const response = await agent.put(`/api/webhooks/${webhook.id}`).send({ active: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body.active).toBe(false);
+    });
+
+    it('Debería retornar 404 si el webhook no existe', async () => {
+      const response = await agent.put('/api/webhooks/999').send({ active: false });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/webhooks/:id', () => {
+    it('Debería eliminar el webhook', async () => {
+      const webhook = await Webhook.create({ url: receiverUrl, secret: SECRET });
+
+      expect((await agent.delete(`/api/webhooks/${webhook.id}`)).status).toBe(204);
+      expect((await agent.get('/api/webhooks')).body).toEqual([]);
+    });
+  });
+
+  describe('Entrega de eventos', () => {
+    it('Debería enviar al receptor el evento firmado con el secreto compartido', async () => {
+      await Webhook.create({ url: receiverUrl, secret: SECRET, events: ['product.*'] });
+
+      await WebhookService.emit('product.created', { id: 3, name: 'Laptop' });
+      await WebhookService.emit('cart.item_added', { cartId: 1 });
+      await WebhookService.processDue();
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(JSON.parse(body)).toMatchObject({ type: 'product.created', data: { id: 3, name: 'Laptop' } });
+      expect(headers['x-webhook-event']).toBe('product.created');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${sign(SECRET, headers['x-webhook-timestamp'], body)}`);
+
+      const [delivery] = await WebhookDelivery.findAll();
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200 });
+    });
+
+    it('Debería llevar a las cartas muertas lo que falla todos los intentos y permitir reintentarlo', async () => {
+      const maxAttempts = config.webhookMaxAttempts;
+      config.webhookMaxAttempts = 1;
+      receiverStatus = 500;
+      try {
+        await Webhook.create({ url: receiverUrl, secret: SECRET });
+        await WebhookService.emit('inventory.changed', { productId: 3, inventory: 0 });
+        await WebhookService.processDue();
+      } finally {
+        config.webhookMaxAttempts = maxAttempts;
+      }
+
+      const deadLetters = await agent.get('/api/webhooks/dead-letters');
+      expect(deadLetters.status).toBe(200);
+      expect(deadLetters.body.page.total).toBe(1);
+      expect(deadLetters.body.data[0]).toMatchObject({
+        eventType: 'inventory.changed',
+        status: 'dead',
+        attempts: 1,
+        lastStatusCode: 500,
+        lastError: 'Receiver responded with 500'
+      });
+
+      receiverStatus = 200;
+      const retry = await agent.post(`/api/webhooks/dead-letters/${deadLetters.body.data[0].id}/retry`);
+      expect(retry.status).toBe(200);
+      await WebhookService.processDue();
+
+      expect(received).toHaveLength(2);
+      expect((await agent.get('/api/webhooks/dead-letters')).body.page.total).toBe(0);
+    });
+
+    it('Debería retornar 409 al reintentar una entrega que no está muerta', async () => {
+      const webhook = await Webhook.create({ url: receiverUrl, secret: SECRET });
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook.id,
+        eventId: '6f1c1a4e-2b0c-4c71-9a55-3c1f0f0b8a11',
+        eventType: 'product.created',
+        payload: {},
+        status: 'delivered'
+      });
+
+      const response = await agent.post(`/api/webhooks/dead-letters/${delivery.id}/retry`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const express = require('express');
+const wishlistsRouter = require('../../routes/wishlists');
+const AuthService = require('../../services/authService');
+const WishlistService = require('../../services/wishlistService');
+const { NotFoundError, ConflictError } = require('../../services/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api/wishlists', wishlistsRouter);
+
+// Las listas pertenecen al usuario autenticado
+jest.mock('../../services/authService');
+const shopper = { id: 1, email: 'ana@example.com', role: 'customer' };
+const agent = request.agent(app).set('Authorization', 'Bearer token-de-prueba');
+
+jest.mock('../../services/wishlistService');
+
+describe('Wishlist Routes', () => {
+  beforeEach(() => {
+    AuthService.authenticate.mockResolvedValue(shopper);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('Debería devolver 401 sin token', async () => {
+    const response = await request(app).get('/api/wishlists');
+
+    expect(response.status).toBe(401);
+    expect(WishlistService.getWishlists).not.toHaveBeenCalled();
+  });
+
+  describe('GET /api/wishlists', () => {
+    it('Debería devolver las listas del usuario', async () => {
+      const wishlists = [{ id: 2, userId: 1, name: 'Casa', items: [] }];
+      WishlistService.getWishlists.mockResolvedValueOnce(wishlists);
+
+      const response = await agent.get('/api/wishlists');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(wishlists);
+      expect(WishlistService.getWishlists).toHaveBeenCalledWith(shopper.id);
+    });
+  });
+
+  describe('POST /api/wishlists', () => {
+    it('Debería crear una lista', async () => {
+      WishlistService.createWishlist.mockResolvedValueOnce({ id: 2, userId: 1, name: 'Casa' });
+
+      const response = await agent.post('/api/wishlists').send({ name: 'Casa' });
+
+      expect(response.status).toBe(201);
+      expect(WishlistService.createWishlist).toHaveBeenCalledWith(shopper.id, { name: 'Casa' });
+    });
+
+    it('Debería devolver 409 si ya existe una lista con ese nombre', async () => {
+      WishlistService.createWishlist.mockRejectedValueOnce(new ConflictError('A wishlist named Casa already exists'));
+
+      const response = await agent.post('/api/wishlists').send({ name: 'Casa' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'A wishlist named Casa already exists' });
+    });
+  });
+
+  describe('GET /api/wishlists/:id', () => {
+    it('Debería devolver 404 si la lista no es del usuario', async () => {
+      WishlistService.getWishlist.mockRejectedValueOnce(new NotFoundError('Wishlist with id 9 does not exist'));
+
+      const response = await agent.get('/api/wishlists/9');
+
+      expect(response.status).toBe(404);
+      expect(WishlistService.getWishlist).toHaveBeenCalledWith(shopper.id, '9');
+    });
+  });
+
+  describe('PUT /api/wishlists/:id', () => {
+    it('Debería renombrar la lista', async () => {
+      WishlistService.renameWishlist.mockResolvedValueOnce({ id: 2, userId: 1, name: 'Regalos' });
+
+      const response = await agent.put('/api/wishlists/2').send({ name: 'Regalos' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Regalos');
+    });
+  });
+
+  describe('DELETE /api/wishlists/:id', () => {
+    it('Debería eliminar la lista', async () => {
+      WishlistService.deleteWishlist.mockResolvedValueOnce();
+
+      const response = await agent.delete('/api/wishlists/2');
+
+      expect(response.status).toBe(204);
+      expect(WishlistService.deleteWishlist).toHaveBeenCalledWith(shopper.id, '2');
+    });
+  });
+
+  describe('POST /api/wishlists/:id/items', () => {
+    it('Debería añadir un producto a la lista', async () => {
+      WishlistService.addItem.mockResolvedValueOnce({ id: 5, wishlistId: 2, productId: 9, quantity: 1 });
+
+      const response = await agent.post('/api/wishlists/2/items').send({ productId: 9 });
+
+      expect(response.status).toBe(201);
+      expect(WishlistService.addItem).toHaveBeenCalledWith(shopper.id, '2', { productId: 9 });
+    });
+
+    it('Debería devolver 404 si el producto no existe', async () => {
+      WishlistService.addItem.mockRejectedValueOnce(new NotFoundError('Product with id 99 does not exist'));
+
+      const response = await agent.post('/api/wishlists/2/items').send({ productId: 99 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/wishlists/:id/items/:itemId', () => {
+    it('Debería quitar el artículo de la lista', async () => {
+      WishlistService.removeItem.mockResolvedValueOnce();
+
+      const response = await agent.delete('/api/wishlists/2/items/5');
+
+      expect(response.status).toBe(204);
+      expect(WishlistService.removeItem).toHaveBeenCalledWith(shopper.id, '2', '5');
+    });
+  });
+
+  describe('POST /api/wishlists/:id/items/:itemId/move-to-cart', () => {
+    it('Debería pasar el artículo al carrito indicado', async () => {
+      WishlistService.moveToCart.mockResolvedValueOnce({ id: 11, cartId: 4, productId: 9, quantity: 1 });
+
+      const response = await agent.post('/api/wishlists/2/items/5/move-to-cart').send({ cartId: 4 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.cartId).toBe(4);
+      expect(WishlistService.moveToCart).toHaveBeenCalledWith(shopper.id, '2', '5', 4);
+    });
+
+    it('Debería devolver 400 si no hay inventario suficiente', async () => {
+      WishlistService.moveToCart.mockRejectedValueOnce(new Error('Not enough inventory available'));
+
+      const response = await agent.post('/api/wishlists/2/items/5/move-to-cart');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Not enough inventory available' });
+    });
+  });
+});
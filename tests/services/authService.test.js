@@ -0,0 +1,102 @@
+jest.mock('../../models/user', () => ({
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+  create: jest.fn()
+}));
+
+const AuthService = require('../../services/authService');
+const User = require('../../models/user');
+const { hashPassword, signToken, verifyToken } = require('../../utils/auth');
+const config = require('../../config');
+
+describe('AuthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('register', () => {
+    it('Debería crear el usuario con la contraseña cifrada y devolver sus tokens', async () => {
+      const user = { id: 1, email: 'ana@example.com' };
+      User.findOne.mockResolvedValueOnce(null);
+      User.create.mockResolvedValue(user);
+
+      const session = await AuthService.register({ email: ' Ana@Example.com ', password: 'contraseña-segura' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ where: { email: 'ana@example.com' } });
+      const { passwordHash } = User.create.mock.calls[0][0];
+      expect(passwordHash).toMatch(/^scrypt\$/);
+      expect(passwordHash).not.toContain('contraseña-segura');
+      expect(session).toMatchObject({ user, tokenType: 'Bearer', expiresIn: config.accessTokenTtlSeconds });
+      expect(verifyToken(session.accessToken, config.authSecret)).toMatchObject({ sub: 1, type: 'access' });
+      expect(verifyToken(session.refreshToken, config.authSecret)).toMatchObject({ sub: 1, type: 'refresh' });
+    });
+
+    it('Debería rechazar contraseñas cortas', async () => {
+      await expect(AuthService.register({ email: 'ana@example.com', password: 'corta' }))
+        .rejects.toThrow('password must be at least 8 characters long');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar ConflictError si el correo ya está registrado', async () => {
+      User.findOne.mockResolvedValueOnce({ id: 1 });
+
+      await expect(AuthService.register({ email: 'ana@example.com', password: 'contraseña-segura' }))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+    });
+  });
+
+  describe('login', () => {
+    it('Debería devolver los tokens si la contraseña es correcta', async () => {
+      User.findOne.mockResolvedValueOnce({ id: 1, passwordHash: await hashPassword('contraseña-segura') });
+
+      const session = await AuthService.login({ email: 'ANA@example.com', password: 'contraseña-segura' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ where: { email: 'ana@example.com' } });
+      expect(verifyToken(session.accessToken, config.authSecret)).toMatchObject({ sub: 1, type: 'access' });
+    });
+
+    it('Debería lanzar UnauthorizedError si la contraseña o el correo no son correctos', async () => {
+      User.findOne.mockResolvedValueOnce({ id: 1, passwordHash: await hashPassword('contraseña-segura') });
+      await expect(AuthService.login({ email: 'ana@example.com', password: 'otra-contraseña' }))
+        .rejects.toMatchObject({ name: 'UnauthorizedError', message: 'Invalid email or password' });
+
+      User.findOne.mockResolvedValueOnce(null);
+      await expect(AuthService.login({ email: 'nadie@example.com', password: 'contraseña-segura' }))
+        .rejects.toMatchObject({ name: 'UnauthorizedError', message: 'Invalid email or password' });
+    });
+  });
+
+  describe('refresh', () => {
+    it('Debería emitir tokens nuevos con un token de refresco', async () => {
+      User.findByPk.mockResolvedValueOnce({ id: 1 });
+      const refreshToken = signToken({ sub: 1, type: 'refresh' }, config.authSecret, 60);
+
+      const session = await AuthService.refresh(refreshToken);
+
+      expect(User.findByPk).toHaveBeenCalledWith(1);
+      expect(verifyToken(session.accessToken, config.authSecret)).toMatchObject({ sub: 1, type: 'access' });
+    });
+
+    it('Debería rechazar un token de acceso como token de refresco', async () => {
+      const accessToken = signToken({ sub: 1, type: 'access' }, config.authSecret, 60);
+
+      await expect(AuthService.refresh(accessToken)).rejects.toMatchObject({ name: 'UnauthorizedError' });
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('Debería devolver el usuario del token de acceso', async () => {
+      const user = { id: 1 };
+      User.findByPk.mockResolvedValueOnce(user);
+
+      expect(await AuthService.authenticate(signToken({ sub: 1, type: 'access' }, config.authSecret, 60))).toBe(user);
+    });
+
+    it('Debería devolver null con un token no válido o de refresco', async () => {
+      expect(await AuthService.authenticate('no-es-un-token')).toBeNull();
+      expect(await AuthService.authenticate(signToken({ sub: 1, type: 'refresh' }, config.authSecret, 60))).toBeNull();
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const CartExpiryService = require('../../services/cartExpiryService');
+const CartService = require('../../services/cartService');
+const Cart = require('../../models/cart');
+const CartItem = require('../../models/cartItem');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const User = require('../../models/user');
+const InventoryReservation = require('../../models/inventoryReservation');
+const config = require('../../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('CartExpiryService', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const daysAgo = days => new Date(now - days * DAY_MS);
+  let product;
+
+  // Crea un carrito cuya última actividad fue hace `days` días, con los artículos indicados
+  const createCart = async (values, days, quantities = []) => {
+    const cart = await Cart.create({ ...values, lastActivityAt: daysAgo(days) });
+    for (const quantity of quantities) {
+      await CartItem.create({ cartId: cart.id, productId: product.id, quantity });
+      await InventoryReservation.create({ cartId: cart.id, productId: product.id, quantity, expiresAt: daysAgo(-1) });
+    }
+    return cart;
+  };
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await InventoryReservation.destroy({ where: {} });
+    await CartItem.destroy({ where: {} });
+    await Cart.destroy({ where: {} });
+    await ProductVariant.destroy({ where: {} });
+    await Product.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    product = await Product.create({ name: 'Taza', price: '12.50', inventory: 20 });
+  });
+
+  afterEach(() => {
+    config.cartExpiryAction = 'archive';
+  });
+
+  describe('expireStale', () => {
+    it('Debería archivar los carritos caducados y liberar su inventario', async () => {
+      const stale = await createCart({ userId: 7 }, config.cartExpiryDays + 1, [2]);
+      const recent = await createCart({ userId: 8 }, config.cartExpiryDays - 1, [1]);
+      const staleGuest = await createCart({ userId: null, guestToken: 'token-invitado' }, config.guestCartExpiryDays + 1, [1]);
+
+      const result = await CartExpiryService.expireStale(now);
+
+      expect(result).toEqual({ archived: 2, deleted: 0 });
+      await stale.reload();
+      expect(stale.status).toBe('archived');
+      expect(stale.archivedAt).toEqual(now);
+      expect(await CartItem.count({ where: { cartId: stale.id } })).toBe(1);
+      expect(await InventoryReservation.count({ where: { cartId: stale.id } })).toBe(0);
+      await staleGuest.reload();
+      expect(staleGuest).toMatchObject({ status: 'archived', guestToken: null });
+      await recent.reload();
+      expect(recent.status).toBe('active');
+      expect(await InventoryReservation.count({ where: { cartId: recent.id } })).toBe(1);
+    });
+
+    it('Debería borrar los carritos caducados con sus artículos si así se configura', async () => {
+      config.cartExpiryAction = 'delete';
+      const stale = await createCart({ userId: 7 }, config.cartExpiryDays + 1, [2]);
+
+      const result = await CartExpiryService.expireStale(now);
+
+      expect(result).toEqual({ archived: 0, deleted: 1 });
+      expect(await Cart.findByPk(stale.id)).toBeNull();
+      expect(await CartItem.count({ where: { cartId: stale.id } })).toBe(0);
+      expect(await InventoryReservation.count({ where: { cartId: stale.id } })).toBe(0);
+    });
+
+    it('Debería borrar los carritos de invitado ya fusionados', async () => {
+      const merged = await createCart({ userId: null, status: 'merged' }, 0);
+      await Cart.sequelize.query('UPDATE "Carts" SET "updatedAt" = ? WHERE id = ?', {
+        replacements: [daysAgo(config.guestCartExpiryDays + 1).toISOString(), merged.id]
+      });
+      const recentlyMerged = await createCart({ userId: null, status: 'merged' }, 0);
+
+      expect(await CartExpiryService.expireStale(now)).toEqual({ archived: 0, deleted: 1 });
+      expect(await Cart.findByPk(merged.id)).toBeNull();
+      expect(await Cart.findByPk(recentlyMerged.id)).not.toBeNull();
+    });
+
+    it('Debería conservar los carritos pagados', async () => {
+      const checkedOut = await createCart({ userId: 7, status: 'checked_out' }, config.cartExpiryDays + 1, [1]);
+
+      expect(await CartExpiryService.expireStale(now)).toEqual({ archived: 0, deleted: 0 });
+      await checkedOut.reload();
+      expect(checkedOut.status).toBe('checked_out');
+    });
+
+    it('Debería impedir que los carritos archivados vuelvan a reservar inventario', async () => {
+      const stale = await createCart({ userId: 7 }, config.cartExpiryDays + 1, [2]);
+      await CartExpiryService.expireStale(now);
+      const [item] = await CartItem.findAll({ where: { cartId: stale.id } });
+
+      const expired = { name: 'ConflictError', message: 'Cart has expired; create a new cart' };
+      await expect(CartService.addItemToCart(stale.id, product.id, 1)).rejects.toMatchObject(expired);
+      await expect(CartService.updateCartItem(item.id, 3, stale.id)).rejects.toMatchObject(expired);
+      await expect(CartService.removeCartItem(item.id, stale.id)).rejects.toMatchObject(expired);
+
+      expect(await InventoryReservation.count({ where: { cartId: stale.id } })).toBe(0);
+      expect(await CartItem.count({ where: { cartId: stale.id } })).toBe(1);
+      await stale.reload();
+      expect(stale.lastActivityAt).toEqual(daysAgo(config.cartExpiryDays + 1));
+    });
+
+    it('Debería rechazar una acción de caducidad desconocida', async () => {
+      config.cartExpiryAction = 'ignore';
+
+      await expect(CartExpiryService.expireStale(now)).rejects.toThrow('Unknown cart expiry action: ignore');
+    });
+  });
+
+  describe('getAbandonedCarts', () => {
+    it('Debería listar los carritos abandonados con artículos y su valor', async () => {
+      const user = await User.create({ email: 'ana@example.com', passwordHash: 'hash' });
+      const abandoned = await createCart({ userId: user.id }, 2, [2]);
+      const archived = await createCart({ userId: null, guestToken: 'token-invitado' }, 3, [1]);
+      await archived.update({ status: 'archived', archivedAt: now, guestToken: null });
+      await createCart({ userId: 8 }, 0, [1]);
+      await createCart({ userId: 9 }, 5);
+
+      const report = await CartExpiryService.getAbandonedCarts({}, now);
+
+      expect(report.summary).toEqual({ carts: 2, value: '37.50', currency: config.currency });
+      expect(report.page).toMatchObject({ total: 2, offset: 0 });
+      expect(report.data).toHaveLength(2);
+      expect(report.data[0]).toMatchObject({
+        cartId: abandoned.id,
+        userId: user.id,
+        email: 'ana@example.com',
+        guest: false,
+        status: 'active',
+        itemCount: 2,
+        value: '25.00',
+        items: [{ productId: product.id, variantId: null, name: 'Taza', quantity: 2, value: '25.00' }]
+      });
+      expect(report.data[1]).toMatchObject({ cartId: archived.id, email: null, guest: true, status: 'archived', value: '12.50' });
+    });
+
+    it('Debería valorar las variantes a su propio precio', async () => {
+      const variant = await ProductVariant.create({ productId: product.id, sku: 'MUG-XL', options: { size: 'XL' }, price: '15.00', inventory: 5 });
+      const cart = await createCart({ userId: 7 }, 2, [1]);
+      await CartItem.create({ cartId: cart.id, productId: product.id, variantId: variant.id, quantity: 2 });
+
+      const report = await CartExpiryService.getAbandonedCarts({}, now);
+
+      expect(report.data[0].value).toBe('42.50');
+      expect(report.data[0].items[1]).toMatchObject({ variantId: variant.id, value: '30.00' });
+      expect(report.summary.value).toBe('42.50');
+    });
+
+    it('Debería paginar el informe', async () => {
+      await createCart({ userId: 7 }, 2, [1]);
+      const older = await createCart({ userId: 8 }, 3, [1]);
+
+      const report = await CartExpiryService.getAbandonedCarts({ limit: '1', offset: '1' }, now);
+
+      expect(report.data.map(({ cartId }) => cartId)).toEqual([older.id]);
+      expect(report.summary.carts).toBe(2);
+      expect(report.page).toEqual({ total: 2, limit: 1, offset: 1, nextCursor: null });
+    });
+  });
+});
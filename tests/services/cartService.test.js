@@ -1,24 +1,133 @@
+const { Op } = require('sequelize');
+
 // Mock the models
 jest.mock('../../models/cart', () => ({
   create: jest.fn(),
-  findByPk: jest.fn()
+  findByPk: jest.fn(),
+  findOne: jest.fn(),
+  update: jest.fn()
 }));
 
 jest.mock('../../models/cartItem', () => ({
   findOne: jest.fn(),
   findAll: jest.fn(),
   create: jest.fn(),
-  findByPk: jest.fn()
+  findByPk: jest.fn(),
+  destroy: jest.fn()
 }));
 
 jest.mock('../../models/product', () => ({
+  findByPk: jest.fn(),
+  update: jest.fn()
+}));
+
+// Por defecto los productos no tienen variantes
+jest.mock('../../models/productVariant', () => ({
+  findOne: jest.fn(),
+  count: jest.fn(async () => 0),
+  update: jest.fn()
+}));
+
+jest.mock('../../models/order', () => ({
+  create: jest.fn(),
   findByPk: jest.fn()
 }));
 
+jest.mock('../../models/orderItem', () => ({
+  bulkCreate: jest.fn()
+}));
+
+jest.mock('../../models/orderStatusHistory', () => ({
+  create: jest.fn()
+}));
+
+// Sin moneda indicada los importes se mantienen en la moneda de la tienda
+jest.mock('../../services/currencyService', () => ({
+  getConverter: jest.fn(async () => ({ currency: 'USD', exchange: null, convert: minor => minor }))
+}));
+
+// Por defecto el carrito no tiene cupones
+jest.mock('../../services/couponService', () => ({
+  getCartCoupons: jest.fn(async () => []),
+  findByCode: jest.fn(),
+  withScope: jest.fn(async coupon => ({ ...coupon, categoryIds: null })),
+  addToCart: jest.fn(),
+  removeFromCart: jest.fn(),
+  redeem: jest.fn()
+}));
+
+// Por defecto no hay promociones en curso
+jest.mock('../../services/promotionService', () => ({
+  getActivePromotions: jest.fn(async () => [])
+}));
+
+// Por defecto no hay reglas de impuestos y se usa la tasa del producto
+jest.mock('../../services/taxService', () => ({
+  getApplicableRules: jest.fn(async () => [])
+}));
+
+// Por defecto el carrito no tiene método de envío
+jest.mock('../../services/shippingService', () => ({
+  getMethod: jest.fn(),
+  getActiveMethods: jest.fn(async () => [])
+}));
+
+// Por defecto las reservas de inventario siempre se conceden
+jest.mock('../../services/inventoryService', () => ({
+  reserve: jest.fn(),
+  release: jest.fn(),
+  releaseCart: jest.fn(),
+  getReservedQuantity: jest.fn(async () => 0),
+  getCartReservations: jest.fn(async () => [])
+}));
+
+jest.mock('../../services/stockService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../../services/webhookService', () => ({
+  emit: jest.fn()
+}));
+
+// Por defecto los productos no tienen imágenes
+jest.mock('../../services/imageService', () => ({
+  getPrimaryImages: jest.fn(async () => new Map())
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction')),
+    literal: jest.fn(value => value)
+  }
+}));
+
 const CartService = require('../../services/cartService');
 const Cart = require('../../models/cart');
 const CartItem = require('../../models/cartItem');
 const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const Order = require('../../models/order');
+const OrderItem = require('../../models/orderItem');
+const OrderStatusHistory = require('../../models/orderStatusHistory');
+const CurrencyService = require('../../services/currencyService');
+const CouponService = require('../../services/couponService');
+const PromotionService = require('../../services/promotionService');
+const TaxService = require('../../services/taxService');
+const ShippingService = require('../../services/shippingService');
+const InventoryService = require('../../services/inventoryService');
+const StockService = require('../../services/stockService');
+const WebhookService = require('../../services/webhookService');
+const ImageService = require('../../services/imageService');
+const config = require('../../config');
+const { convert } = require('../../utils/money');
+
+// Conversor a EUR con una tasa de 0.9
+const eurConverter = {
+  currency: 'EUR',
+  exchange: { base: 'USD', currency: 'EUR', rate: '0.9', roundingMode: 'HALF_UP' },
+  convert: minor => convert(minor, '0.9', 'USD', 'EUR')
+};
 
 describe('CartService', () => {
   beforeEach(() => {
@@ -42,10 +151,98 @@ describe('CartService', () => {
     });
   });
 
+  describe('createGuestCart', () => {
+    it('Debería crear un carrito de invitado con un token aleatorio', async () => {
+      Cart.create.mockImplementation(async values => ({ id: 1, ...values }));
+
+      const first = await CartService.createGuestCart({ currency: 'EUR' });
+      const second = await CartService.createGuestCart();
+
+      expect(Cart.create).toHaveBeenCalledWith({ userId: null, guestToken: expect.stringMatching(/^[\w-]{43}$/), currency: 'EUR' });
+      expect(first.guestToken).not.toBe(second.guestToken);
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    const guestCart = () => ({ id: 5, userId: null, guestToken: 'token-invitado', status: 'active', update: jest.fn() });
+
+    it('Debería lanzar NotFoundError si el carrito de invitado no existe o ya se fusionó', async () => {
+      Cart.findOne.mockResolvedValueOnce(null);
+
+      await expect(CartService.mergeGuestCart(7, 'token-invitado')).rejects.toMatchObject({ name: 'NotFoundError' });
+      expect(Cart.findOne).toHaveBeenCalledWith({ where: { guestToken: 'token-invitado', status: 'active' }, transaction: 'mockTransaction' });
+    });
+
+    it('Debería asignar el carrito de invitado al usuario si no tiene uno activo', async () => {
+      const cart = guestCart();
+      Cart.findOne.mockResolvedValueOnce(cart).mockResolvedValueOnce(null);
+
+      const result = await CartService.mergeGuestCart(7, 'token-invitado');
+
+      expect(cart.update).toHaveBeenCalledWith(
+        { userId: 7, guestToken: null, lastActivityAt: expect.any(Date) },
+        { transaction: 'mockTransaction' }
+      );
+      expect(result).toEqual({ cart, adjustments: [] });
+      expect(CartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería sumar las cantidades respetando el inventario e informar de las líneas reducidas o descartadas', async () => {
+      const guest = guestCart();
+      const userCart = { id: 9, userId: 7, status: 'active' };
+      const existing = { id: 20, cartId: 9, productId: 1, quantity: 2, update: jest.fn() };
+      Cart.findOne.mockResolvedValueOnce(guest).mockResolvedValueOnce(userCart);
+      CartItem.findAll.mockResolvedValueOnce([
+        { productId: 1, quantity: 3, Product: { id: 1, inventory: 4 } },
+        { productId: 2, quantity: 2, Product: { id: 2, inventory: 5 } },
+        { productId: 3, quantity: 1, Product: { id: 3, inventory: 10 } }
+      ]);
+      CartItem.findOne.mockResolvedValueOnce(existing).mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      // Otros carritos retienen todo el stock del producto 2
+      InventoryService.getReservedQuantity.mockResolvedValueOnce(0).mockResolvedValueOnce(5).mockResolvedValueOnce(0);
+
+      const result = await CartService.mergeGuestCart(7, 'token-invitado');
+
+      expect(InventoryService.releaseCart).toHaveBeenCalledWith(5, 'mockTransaction');
+      expect(InventoryService.getReservedQuantity).toHaveBeenCalledWith(1, { variantId: null, excludeCartId: 9, transaction: 'mockTransaction' });
+      expect(existing.update).toHaveBeenCalledWith({ quantity: 4 }, { transaction: 'mockTransaction' });
+      expect(CartItem.create).toHaveBeenCalledTimes(1);
+      expect(CartItem.create).toHaveBeenCalledWith({ cartId: 9, productId: 3, variantId: null, quantity: 1 }, { transaction: 'mockTransaction' });
+      expect(InventoryService.reserve).toHaveBeenCalledWith(9, 1, 4, { variantId: null, transaction: 'mockTransaction' });
+      expect(InventoryService.reserve).toHaveBeenCalledWith(9, 3, 1, { variantId: null, transaction: 'mockTransaction' });
+      expect(CartItem.destroy).toHaveBeenCalledWith({ where: { cartId: 5 }, transaction: 'mockTransaction' });
+      expect(guest.update).toHaveBeenCalledWith({ status: 'merged', guestToken: null }, { transaction: 'mockTransaction' });
+      expect(result).toEqual({
+        cart: userCart,
+        adjustments: [
+          { productId: 1, variantId: null, requested: 5, quantity: 4, status: 'reduced', reason: 'insufficient_inventory' },
+          { productId: 2, variantId: null, requested: 2, quantity: 0, status: 'dropped', reason: 'insufficient_inventory' }
+        ]
+      });
+    });
+
+    it('Debería conservar la cantidad del usuario aunque el stock ya no alcance', async () => {
+      const existing = { id: 20, cartId: 9, productId: 1, quantity: 3, update: jest.fn() };
+      Cart.findOne.mockResolvedValueOnce(guestCart()).mockResolvedValueOnce({ id: 9, userId: 7 });
+      CartItem.findAll.mockResolvedValueOnce([{ productId: 1, quantity: 2, Product: { id: 1, inventory: 2 } }]);
+      CartItem.findOne.mockResolvedValueOnce(existing);
+
+      const { adjustments } = await CartService.mergeGuestCart(7, 'token-invitado');
+
+      expect(existing.update).not.toHaveBeenCalled();
+      expect(InventoryService.reserve).not.toHaveBeenCalled();
+      expect(adjustments).toEqual([{ productId: 1, variantId: null, requested: 5, quantity: 3, status: 'dropped', reason: 'insufficient_inventory' }]);
+    });
+  });
+
   describe('addItemToCart', () => {
     const mockProduct = { id: 1, inventory: 10, price: 100 };
     const mockCartItem = { cartId: 1, productId: 1, quantity: 2 };
 
+    beforeEach(() => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'active' });
+    });
+
     it('Debería agregar un nuevo artículo al carrito cuando el producto existe y tiene suficiente inventario', async () => {
       Product.findByPk.mockResolvedValue(mockProduct);  // Mock de producto encontrado
       CartItem.findOne.mockResolvedValue(null);  // No existe el item previamente en el carrito
@@ -54,10 +251,24 @@ describe('CartService', () => {
       const result = await CartService.addItemToCart(1, 1, 2); // Agregar 2 unidades
   
       expect(Product.findByPk).toHaveBeenCalledWith(1);
-      expect(CartItem.create).toHaveBeenCalledWith({ cartId: 1, productId: 1, quantity: 2 });
+      expect(CartItem.create).toHaveBeenCalledWith({ cartId: 1, productId: 1, variantId: null, quantity: 2 });
       expect(result).toEqual(mockCartItem);  // Verificar que el cart item se haya creado correctamente
     });
 
+    it('Debería registrar la actividad del carrito al agregar un artículo', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+      CartItem.findOne.mockResolvedValue(null);
+      CartItem.create.mockResolvedValue(mockCartItem);
+
+      await CartService.addItemToCart(1, 1, 2);
+
+      expect(Cart.update).toHaveBeenCalledWith({ lastActivityAt: expect.any(Date) }, {
+        where: { id: 1 },
+        transaction: undefined,
+        validate: false
+      });
+    });
+
     it('Debería lanzar un error si el producto no se encuentra', async () => {
       Product.findByPk.mockResolvedValue(null);  // Producto no encontrado
       await expect(CartService.addItemToCart(1, 999, 2)).rejects.toThrow('Product not found');
@@ -88,8 +299,91 @@ describe('CartService', () => {
       const result = await CartService.addItemToCart(1, 1, 2);
 
       // Verificar la actualización de la cantidad
-      expect(CartItem.findOne).toHaveBeenCalledWith({ where: { cartId: 1, productId: 1 } });
+      expect(CartItem.findOne).toHaveBeenCalledWith({ where: { cartId: 1, productId: 1, variantId: null } });
       expect(result.quantity).toBe(5); // La nueva cantidad es 3 (existente) + 2 (agregados)
+      expect(InventoryService.reserve).toHaveBeenCalledWith(1, 1, 5, { variantId: null });
+    });
+
+    it('Debería reservar el inventario al agregar un artículo nuevo', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+      CartItem.findOne.mockResolvedValue(null);
+
+      await CartService.addItemToCart(1, 1, 2);
+
+      expect(InventoryService.reserve).toHaveBeenCalledWith(1, 1, 2, { variantId: null });
+      expect(WebhookService.emit).toHaveBeenCalledWith('cart.item_added', { cartId: 1, productId: 1, variantId: null, quantity: 2, itemQuantity: 2 });
+    });
+
+    it('Debería rechazar el artículo si otros carritos tienen reservado el inventario', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+      CartItem.findOne.mockResolvedValue(null);
+      InventoryService.reserve.mockRejectedValueOnce(new Error('Not enough inventory available'));
+
+      await expect(CartService.addItemToCart(1, 1, 2)).rejects.toThrow('Not enough inventory available');
+      expect(CartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería exigir una variante si el producto tiene variantes', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+      ProductVariant.count.mockResolvedValueOnce(2);
+
+      await expect(CartService.addItemToCart(1, 1, 2)).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Product 1 has variants; choose one with variantId'
+      });
+      expect(CartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería usar y reservar el inventario de la variante elegida', async () => {
+      Product.findByPk.mockResolvedValue({ ...mockProduct, inventory: 0 });
+      ProductVariant.findOne.mockResolvedValueOnce({ id: 4, productId: 1, inventory: 3 });
+      CartItem.findOne.mockResolvedValue(null);
+
+      await CartService.addItemToCart(1, 1, 2, 4);
+
+      expect(ProductVariant.findOne).toHaveBeenCalledWith({ where: { id: 4, productId: 1 } });
+      expect(CartItem.findOne).toHaveBeenCalledWith({ where: { cartId: 1, productId: 1, variantId: 4 } });
+      expect(InventoryService.reserve).toHaveBeenCalledWith(1, 1, 2, { variantId: 4 });
+      expect(CartItem.create).toHaveBeenCalledWith({ cartId: 1, productId: 1, variantId: 4, quantity: 2 });
+    });
+
+    it('Debería rechazar variantes de otro producto o sin inventario suficiente', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+      ProductVariant.findOne.mockResolvedValueOnce(null);
+      await expect(CartService.addItemToCart(1, 1, 2, 99)).rejects.toThrow('Variant not found');
+
+      ProductVariant.findOne.mockResolvedValueOnce({ id: 4, productId: 1, inventory: 1 });
+      await expect(CartService.addItemToCart(1, 1, 2, 4)).rejects.toThrow('Not enough inventory available');
+      expect(InventoryService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar artículos en un carrito que ya no está activo', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'checked_out' });
+      await expect(CartService.addItemToCart(1, 1, 2)).rejects.toThrow('Cart has already been checked out');
+
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'merged' });
+      await expect(CartService.addItemToCart(1, 1, 2)).rejects.toThrow('Cart has been merged into another cart');
+
+      Cart.findByPk.mockResolvedValueOnce(null);
+      await expect(CartService.addItemToCart(99, 1, 2)).rejects.toThrow('Cart not found');
+
+      expect(InventoryService.reserve).not.toHaveBeenCalled();
+      expect(CartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar cantidades que no sean enteros positivos', async () => {
+      Product.findByPk.mockResolvedValue(mockProduct);
+
+      for (const quantity of [1.5, 0, -1, '2.5', 'dos', null, undefined]) {
+        await expect(CartService.addItemToCart(1, 1, quantity)).rejects.toMatchObject({
+          name: 'ValidationError',
+          message: 'quantity must be a positive integer'
+        });
+      }
+      expect(InventoryService.reserve).not.toHaveBeenCalled();
+      expect(CartItem.create).not.toHaveBeenCalled();
     });
 
   });
@@ -98,8 +392,8 @@ describe('CartService', () => {
     it('Debería devolver los elementos del carrito con totales calculados', async () => {
       // Mock de items en el carrito con precios e impuestos
       const mockItems = [
-        { quantity: 2, Product: { price: 100, taxRate: 0.07 }, toJSON: jest.fn() },
-        { quantity: 1, Product: { price: 200, taxRate: 0.07 }, toJSON: jest.fn() }
+        { quantity: 2, Product: { priceMinor: 10000, taxRate: 0.07 }, toJSON: jest.fn() },
+        { quantity: 1, Product: { priceMinor: 20000, taxRate: 0.07 }, toJSON: jest.fn() }
       ];
       CartItem.findAll.mockResolvedValue(mockItems);
   
@@ -107,18 +401,314 @@ describe('CartService', () => {
   
       expect(CartItem.findAll).toHaveBeenCalledWith({
         where: { cartId: 1 },
-        include: Product,
+        include: [Product, ProductVariant],
       });
   
       expect(result.items).toHaveLength(2);
-      expect(result.summary.subtotal).toBe(400);
-      expect(result.summary.totalTax).toBe(28.000000000000004);
-      expect(result.summary.total).toBe(428);
+      expect(result.items[0]).toMatchObject({ unitPrice: '100.00', itemSubtotal: '200.00', itemTax: '14.00' });
+      expect(result.summary).toEqual({
+        subtotal: '400.00',
+        promotions: '0.00',
+        discounts: '0.00',
+        shipping: '0.00',
+        totalTax: '28.00',
+        total: '428.00',
+        currency: 'USD',
+        pricesIncludeTax: false
+      });
+      expect(result.exchange).toBeNull();
+
+    });
+
+    it('Debería indicar hasta cuándo está reservado cada artículo', async () => {
+      const expiresAt = new Date('2026-01-01T10:15:00Z');
+      CartItem.findAll.mockResolvedValue([
+        { productId: 1, quantity: 1, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() },
+        { productId: 2, quantity: 1, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+      InventoryService.getCartReservations.mockResolvedValueOnce([{ productId: 1, expiresAt }]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(InventoryService.getCartReservations).toHaveBeenCalledWith(1);
+      expect(result.items.map(item => item.reservedUntil)).toEqual([expiresAt, null]);
+    });
+
+    it('Debería dejar fuera las líneas cuyo producto ya no existe', async () => {
+      CartItem.findAll.mockResolvedValue([
+        { productId: null, quantity: 1, Product: null, toJSON: jest.fn() },
+        { productId: 2, quantity: 2, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(result.items).toHaveLength(1);
+      expect(result.summary).toMatchObject({ subtotal: '20.00', total: '20.00' });
+    });
+
+    it('Debería incluir la imagen principal de cada producto', async () => {
+      CartItem.findAll.mockResolvedValue([
+        { productId: 1, quantity: 1, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() },
+        { productId: 2, quantity: 1, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() },
+        { productId: 1, variantId: 4, quantity: 1, Product: { priceMinor: 1000, taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+      const image = { id: 3, url: '/images/a.jpg', thumbnailUrl: '/images/a-thumb.jpg', altText: 'Vista frontal', position: 0 };
+      ImageService.getPrimaryImages.mockResolvedValueOnce(new Map([[1, image]]));
+
+      const result = await CartService.getCartItems(1);
+
+      expect(ImageService.getPrimaryImages).toHaveBeenCalledWith([1, 2]);
+      expect(result.items.map(item => item.image)).toEqual([
+        { url: '/images/a.jpg', thumbnailUrl: '/images/a-thumb.jpg', altText: 'Vista frontal' },
+        null,
+        { url: '/images/a.jpg', thumbnailUrl: '/images/a-thumb.jpg', altText: 'Vista frontal' }
+      ]);
+    });
+
+    it('Debería convertir los precios a la moneda solicitada y registrar la tasa usada', async () => {
+      CurrencyService.getConverter.mockResolvedValueOnce(eurConverter);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 3, Product: { priceMinor: 1999, taxRate: 0.1 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1, { currency: 'EUR' });
+
+      expect(CurrencyService.getConverter).toHaveBeenCalledWith('EUR');
+      // 19.99 USD * 0.9 = 17.991 -> 17.99 EUR por unidad
+      expect(result.items[0]).toMatchObject({ unitPrice: '17.99', itemSubtotal: '53.97', itemTax: '5.40' });
+      expect(result.summary).toEqual({ subtotal: '53.97', promotions: '0.00', discounts: '0.00', shipping: '0.00', totalTax: '5.40', total: '59.37', currency: 'EUR', pricesIncludeTax: false });
+      expect(result.exchange).toEqual(eurConverter.exchange);
+    });
+
+    it('Debería usar la moneda del carrito si no se indica otra', async () => {
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, currency: 'EUR' });
+      CartItem.findAll.mockResolvedValue([]);
+
+      await CartService.getCartItems(1);
+
+      expect(CurrencyService.getConverter).toHaveBeenCalledWith('EUR');
+    });
+
+    it('Debería descontar los cupones y calcular el impuesto sobre el importe descontado', async () => {
+      CouponService.getCartCoupons.mockResolvedValueOnce([
+        { id: 1, code: 'SAVE10', type: 'percentage', rate: 0.1, active: true, usageCount: 0, categoryIds: null },
+        { id: 2, code: 'OLD', type: 'fixed', amountMinor: 500, active: true, usageCount: 0, expiresAt: '2020-01-01T00:00:00.000Z', categoryIds: null }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 2, Product: { priceMinor: 10000, taxRate: 0.07 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(result.items[0]).toMatchObject({ itemSubtotal: '200.00', itemDiscount: '20.00', itemTax: '12.60' });
+      expect(result.summary).toEqual({
+        subtotal: '200.00',
+        promotions: '0.00',
+        discounts: '20.00',
+        shipping: '0.00',
+        totalTax: '12.60',
+        total: '192.60',
+        currency: 'USD',
+        pricesIncludeTax: false
+      });
+      expect(result.coupons).toEqual([
+        { code: 'SAVE10', type: 'percentage', applied: true, discount: '20.00', reason: null, message: null },
+        {
+          code: 'OLD',
+          type: 'fixed',
+          applied: false,
+          discount: '0.00',
+          reason: 'expired',
+          message: 'Coupon OLD expired on 2020-01-01T00:00:00.000Z'
+        }
+      ]);
+    });
+
+    it('Debería anotar las promociones de cada elemento y aplicar los cupones sobre lo que dejan', async () => {
+      PromotionService.getActivePromotions.mockResolvedValueOnce([
+        { id: 1, name: '3x2 en camisetas', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, rate: null, priority: 0, stackable: false, productId: 1, categoryIds: null }
+      ]);
+      CouponService.getCartCoupons.mockResolvedValueOnce([
+        { id: 1, code: 'SAVE10', type: 'percentage', rate: 0.1, active: true, usageCount: 0, categoryIds: null }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { productId: 1, quantity: 3, Product: { priceMinor: 1000, taxRate: 0.1 }, toJSON: jest.fn() },
+        { productId: 2, quantity: 1, Product: { priceMinor: 5000, taxRate: 0.1 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(result.items[0]).toMatchObject({
+        itemSubtotal: '30.00',
+        promotions: [{ id: 1, name: '3x2 en camisetas', type: 'buy_x_get_y', savings: '10.00' }],
+        itemSavings: '10.00',
+        itemDiscount: '2.00',
+        itemTax: '1.80'
+      });
+      expect(result.items[1]).toMatchObject({ promotions: [], itemSavings: '0.00', itemDiscount: '5.00' });
+      expect(result.summary).toEqual({
+        subtotal: '80.00',
+        promotions: '10.00',
+        discounts: '7.00',
+        shipping: '0.00',
+        totalTax: '6.30',
+        total: '69.30',
+        currency: 'USD',
+        pricesIncludeTax: false
+      });
+    });
+
+    it('Debería calcular el impuesto de cada jurisdicción según la dirección de envío', async () => {
+      const address = { country: 'US', region: 'CA', postalCode: '94107' };
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, shippingAddress: address });
+      TaxService.getApplicableRules.mockResolvedValueOnce([
+        { id: 1, name: 'California', taxClass: 'standard', country: 'US', region: 'CA', postalPrefix: null, rate: 0.0725 },
+        { id: 2, name: 'San Francisco', taxClass: 'standard', country: 'US', region: 'CA', postalPrefix: '941', rate: 0.01 },
+        { id: 3, name: 'Alimentos', taxClass: 'food', country: 'US', region: 'CA', postalPrefix: null, rate: 0 }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 1, Product: { priceMinor: 10000, taxClass: 'standard', taxRate: 0.2 }, toJSON: jest.fn() },
+        { quantity: 2, Product: { priceMinor: 500, taxClass: 'food', taxRate: 0.2 }, toJSON: jest.fn() },
+        { quantity: 1, Product: { priceMinor: 1000, taxClass: 'digital', taxRate: 0.05 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(TaxService.getApplicableRules).toHaveBeenCalledWith(address);
+      expect(result.items[0]).toMatchObject({
+        taxRate: 0.0825,
+        taxes: [{ name: 'California', rate: 0.0725, tax: '7.25' }, { name: 'San Francisco', rate: 0.01, tax: '1.00' }],
+        itemTax: '8.25'
+      });
+      expect(result.items[1]).toMatchObject({ taxRate: 0, itemTax: '0.00' });
+      // Sin regla para su clase se usa la tasa del producto
+      expect(result.items[2]).toMatchObject({ taxRate: 0.05, taxes: [{ name: 'Tax', rate: 0.05, tax: '0.50' }] });
+      expect(result.taxes).toEqual([
+        { taxRuleId: 1, name: 'California', country: 'US', region: 'CA', postalPrefix: null, rate: 0.0725, taxable: '100.00', tax: '7.25' },
+        { taxRuleId: 2, name: 'San Francisco', country: 'US', region: 'CA', postalPrefix: '941', rate: 0.01, taxable: '100.00', tax: '1.00' },
+        { taxRuleId: 3, name: 'Alimentos', country: 'US', region: 'CA', postalPrefix: null, rate: 0, taxable: '10.00', tax: '0.00' },
+        { taxRuleId: null, name: 'Tax', country: null, region: null, postalPrefix: null, rate: 0.05, taxable: '10.00', tax: '0.50' }
+      ]);
+      expect(result.summary).toMatchObject({ subtotal: '120.00', totalTax: '8.75', total: '128.75' });
+      expect(result.shippingAddress).toEqual(address);
+    });
+
+    it('Debería mostrar los precios con impuestos en los países que lo exigen', async () => {
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, shippingAddress: { country: 'GB' } });
+      TaxService.getApplicableRules.mockResolvedValueOnce([
+        { id: 1, name: 'VAT', taxClass: 'standard', country: 'GB', region: null, postalPrefix: null, rate: 0.2 }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 2, Product: { priceMinor: 1000, taxClass: 'standard', taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+
+      config.taxInclusiveCountries = ['GB'];
+      try {
+        const result = await CartService.getCartItems(1);
+
+        expect(result.items[0]).toMatchObject({ unitPrice: '10.00', displayPrice: '12.00', itemTax: '4.00' });
+        expect(result.summary).toMatchObject({ total: '24.00', pricesIncludeTax: true });
+      } finally {
+        config.taxInclusiveCountries = [];
+      }
+    });
+
+    it('Debería sumar el envío elegido y gravarlo con la clase de impuesto del método', async () => {
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, shippingMethodId: 4, shippingAddress: { country: 'GB' } });
+      ShippingService.getMethod.mockResolvedValueOnce(
+        { id: 4, name: 'Royal Mail', type: 'flat', amountMinor: 500, taxClass: 'shipping', active: true }
+      );
+      TaxService.getApplicableRules.mockResolvedValueOnce([
+        { id: 1, name: 'VAT', taxClass: 'standard', country: 'GB', rate: 0.2 },
+        { id: 2, name: 'VAT on shipping', taxClass: 'shipping', country: 'GB', rate: 0.2 }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 1, Product: { priceMinor: 2000, taxClass: 'standard', taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(ShippingService.getMethod).toHaveBeenCalledWith(4);
+      expect(result.summary).toMatchObject({ subtotal: '20.00', shipping: '5.00', totalTax: '5.00', total: '30.00' });
+      expect(result.shippingMethod).toEqual({
+        id: 4,
+        name: 'Royal Mail',
+        type: 'flat',
+        available: true,
+        amount: '5.00',
+        tax: '1.00',
+        free: false,
+        weightGrams: 0,
+        reason: null,
+        message: null
+      });
+      expect(result.taxes.map(({ name, taxable, tax }) => [name, taxable, tax])).toEqual([
+        ['VAT', '20.00', '4.00'],
+        ['VAT on shipping', '5.00', '1.00']
+      ]);
+    });
+
+    it('Debería no cobrar el envío con un cupón de envío gratis', async () => {
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, shippingMethodId: 4 });
+      ShippingService.getMethod.mockResolvedValueOnce({ id: 4, name: 'Express', type: 'flat', amountMinor: 1500, active: true });
+      CouponService.getCartCoupons.mockResolvedValueOnce([
+        { id: 1, code: 'SHIPFREE', type: 'free_shipping', active: true, usageCount: 0, categoryIds: null }
+      ]);
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 1, Product: { priceMinor: 2000, taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+
+      const result = await CartService.getCartItems(1);
+
+      expect(result.summary).toMatchObject({ shipping: '0.00', total: '20.00' });
+      expect(result.shippingMethod).toMatchObject({ amount: '0.00', free: true });
+    });
 
+    it('Debería redondear el impuesto por línea con el modo de redondeo configurado', async () => {
+      // Cada línea tiene un impuesto de medio centavo
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 1, Product: { priceMinor: 10, taxRate: 0.05 }, toJSON: jest.fn() },
+        { quantity: 1, Product: { priceMinor: 10, taxRate: 0.05 }, toJSON: jest.fn() }
+      ]);
+
+      const halfUp = await CartService.getCartItems(1);
+      expect(halfUp.summary.totalTax).toBe('0.02');
+
+      config.roundingMode = 'HALF_EVEN';
+      try {
+        const halfEven = await CartService.getCartItems(1);
+        expect(halfEven.summary.totalTax).toBe('0.00');
+      } finally {
+        config.roundingMode = 'HALF_UP';
+      }
     });
   });
 
   describe('updateCartItem', () => {
+    beforeEach(() => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'active' });
+    });
+
+    it('Debería rechazar cantidades que no sean enteros positivos', async () => {
+      const mockCartItem = { id: 1, cartId: 1, productId: 1, quantity: 2, Product: { id: 1, inventory: 10 }, save: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+
+      await expect(CartService.updateCartItem(1, 1.5)).rejects.toThrow('quantity must be a positive integer');
+      await expect(CartService.updateCartItem(1, 0)).rejects.toThrow('quantity must be a positive integer');
+      expect(mockCartItem.save).not.toHaveBeenCalled();
+      expect(mockCartItem.quantity).toBe(2);
+    });
+
+    it('Debería aceptar la cantidad como texto numérico', async () => {
+      const mockCartItem = { id: 1, cartId: 1, productId: 1, quantity: 2, Product: { id: 1, inventory: 10 }, save: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+
+      await CartService.updateCartItem(1, '3');
+
+      expect(mockCartItem.quantity).toBe(3);
+      expect(InventoryService.reserve).toHaveBeenCalledWith(1, 1, 3, { variantId: null });
+    });
+
     it('Debería actualizar la cantidad del artículo del carrito cuando el inventario suficiente', async () => {
       // Simular un producto con inventario suficiente (por ejemplo, 10 unidades)
       const mockProduct = { id: 1, inventory: 10, price: 100 };
@@ -136,8 +726,19 @@ describe('CartService', () => {
       const result = await CartService.updateCartItem(1, 5);
 
       // Verificar de la llamada a findByPk con el ID correcto y el include
-      expect(CartItem.findByPk).toHaveBeenCalledWith(1, { include: Product });  // Cambiar la expectativa para incluir el objeto `include`
+      expect(CartItem.findByPk).toHaveBeenCalledWith(1, { include: [Product, ProductVariant] });  // Cambiar la expectativa para incluir el objeto `include`
       expect(result.quantity).toBe(5); // La cantidad debe haberse actualizado a 5
+      expect(InventoryService.reserve).toHaveBeenCalledWith(1, 1, 5, { variantId: null });
+    });
+
+    it('Debería mantener la cantidad si no se puede reservar el inventario', async () => {
+      const mockCartItem = { id: 1, cartId: 1, productId: 1, quantity: 2, Product: { inventory: 10 }, save: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+      InventoryService.reserve.mockRejectedValueOnce(new Error('Not enough inventory available'));
+
+      await expect(CartService.updateCartItem(1, 5)).rejects.toThrow('Not enough inventory available');
+      expect(mockCartItem.quantity).toBe(2);
+      expect(mockCartItem.save).not.toHaveBeenCalled();
     });
   
     it('Debería lanzar un error si no hay suficiente inventario disponible', async () => {
@@ -195,22 +796,58 @@ describe('CartService', () => {
       await expect(CartService.updateCartItem(itemId, quantity)).rejects.toThrow('Item not found');
   
       // Validar que la función findByPk haya sido llamada con el ID correcto
-      expect(CartItem.findByPk).toHaveBeenCalledWith(itemId, { include: Product });
+      expect(CartItem.findByPk).toHaveBeenCalledWith(itemId, { include: [Product, ProductVariant] });
     });
 
-    
+    it('Debería arrojar un error si el artículo es de otro carrito', async () => {
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, quantity: 1, Product: { inventory: 10 }, save: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+
+      await expect(CartService.updateCartItem(9, 2, '2')).rejects.toThrow('Item not found');
+      expect(mockCartItem.save).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar cambios en un carrito ya pagado', async () => {
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, quantity: 1, Product: { inventory: 10 }, save: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'checked_out' });
+
+      await expect(CartService.updateCartItem(9, 3, '1')).rejects.toThrow('Cart has already been checked out');
+      expect(Cart.findByPk).toHaveBeenCalledWith(1, { transaction: undefined });
+      expect(InventoryService.reserve).not.toHaveBeenCalled();
+      expect(mockCartItem.save).not.toHaveBeenCalled();
+    });
   });
 
   describe('removeCartItem', () => {
+    beforeEach(() => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'active' });
+    });
+
     it('Debería eliminar el artículo del carrito con éxito', async () => {
-      const mockCartItem = { destroy: jest.fn() };
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, destroy: jest.fn() };
 
       CartItem.findByPk.mockResolvedValue(mockCartItem);
 
       await CartService.removeCartItem(1);
 
-      expect(CartItem.findByPk).toHaveBeenCalledWith(1);
+      expect(CartItem.findByPk).toHaveBeenCalledWith(1, { transaction: undefined });
       expect(mockCartItem.destroy).toHaveBeenCalled();
+      expect(InventoryService.release).toHaveBeenCalledWith(1, 4, { variantId: null });
+      expect(WebhookService.emit).toHaveBeenCalledWith('cart.item_removed', { cartId: 1, itemId: 9, productId: 4, variantId: null }, undefined);
+    });
+
+    it('Debería eliminar el artículo dentro de la transacción indicada', async () => {
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, destroy: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+
+      await CartService.removeCartItem(9, 1, 'mockTransaction');
+
+      expect(CartItem.findByPk).toHaveBeenCalledWith(9, { transaction: 'mockTransaction' });
+      expect(Cart.findByPk).toHaveBeenCalledWith(1, { transaction: 'mockTransaction' });
+      expect(mockCartItem.destroy).toHaveBeenCalledWith({ transaction: 'mockTransaction' });
+      expect(InventoryService.release).toHaveBeenCalledWith(1, 4, { variantId: null, transaction: 'mockTransaction' });
+      expect(WebhookService.emit).toHaveBeenCalledWith('cart.item_removed', expect.anything(), 'mockTransaction');
 
     });
 
@@ -220,5 +857,513 @@ describe('CartService', () => {
       await expect(CartService.removeCartItem(999)).rejects.toThrow('Item not found');
     });
 
+    it('Debería arrojar un error si el artículo es de otro carrito', async () => {
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, destroy: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+
+      await expect(CartService.removeCartItem(9, '2')).rejects.toThrow('Item not found');
+      expect(mockCartItem.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar cambios en un carrito ya pagado', async () => {
+      const mockCartItem = { id: 9, cartId: 1, productId: 4, destroy: jest.fn() };
+      CartItem.findByPk.mockResolvedValue(mockCartItem);
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'checked_out' });
+
+      await expect(CartService.removeCartItem(9, '1')).rejects.toThrow('Cart has already been checked out');
+      expect(mockCartItem.destroy).not.toHaveBeenCalled();
+      expect(InventoryService.release).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('applyCoupon', () => {
+    const mockCoupon = { id: 3, code: 'SAVE10', type: 'percentage', rate: 0.1, active: true, usageCount: 0 };
+
+    beforeEach(() => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'active' });
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 1, Product: { priceMinor: 5000, taxRate: 0 }, toJSON: jest.fn() }
+      ]);
+    });
+
+    it('Debería aplicar el cupón y devolver el carrito con el descuento', async () => {
+      CouponService.findByCode.mockResolvedValue(mockCoupon);
+      CouponService.getCartCoupons
+        .mockResolvedValueOnce([])  // Cupones ya aplicados
+        .mockResolvedValueOnce([])  // Precio con el cupón candidato
+        .mockResolvedValueOnce([{ ...mockCoupon, categoryIds: null }]);  // Carrito final
+
+      const result = await CartService.applyCoupon(1, 'save10');
+
+      expect(CouponService.findByCode).toHaveBeenCalledWith('save10');
+      expect(CouponService.addToCart).toHaveBeenCalledWith(1, 3);
+      expect(result.summary.discounts).toBe('5.00');
+    });
+
+    it('Debería rechazar el cupón con el motivo si no aplica al carrito', async () => {
+      CouponService.findByCode.mockResolvedValue({ ...mockCoupon, minSubtotalMinor: 10000 });
+
+      await expect(CartService.applyCoupon(1, 'SAVE10')).rejects.toMatchObject({
+        name: 'CouponError',
+        reason: 'min_subtotal_not_met',
+        message: 'Coupon SAVE10 requires a subtotal of at least 100.00 USD'
+      });
+      expect(CouponService.addToCart).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar códigos inexistentes o ya aplicados', async () => {
+      CouponService.findByCode.mockResolvedValueOnce(null);
+      await expect(CartService.applyCoupon(1, 'NOPE')).rejects.toMatchObject({
+        reason: 'not_found',
+        message: 'Coupon NOPE does not exist'
+      });
+
+      CouponService.findByCode.mockResolvedValueOnce(mockCoupon);
+      CouponService.getCartCoupons.mockResolvedValueOnce([{ ...mockCoupon, categoryIds: null }]);
+      await expect(CartService.applyCoupon(1, 'SAVE10')).rejects.toMatchObject({
+        reason: 'already_applied',
+        message: 'Coupon SAVE10 is already applied to this cart'
+      });
+    });
+
+    it('Debería validar el código y el carrito', async () => {
+      await expect(CartService.applyCoupon(1, '')).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Coupon code is required'
+      });
+
+      Cart.findByPk.mockResolvedValueOnce(null);
+      await expect(CartService.applyCoupon(99, 'SAVE10')).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Cart not found'
+      });
+
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'checked_out' });
+      await expect(CartService.applyCoupon(1, 'SAVE10')).rejects.toThrow('Cart has already been checked out');
+    });
+  });
+
+  describe('removeCoupon', () => {
+    it('Debería quitar el cupón del carrito', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'active' });
+      CouponService.removeFromCart.mockResolvedValue(1);
+
+      expect(await CartService.removeCoupon(1, 'SAVE10')).toBe(1);
+      expect(CouponService.removeFromCart).toHaveBeenCalledWith(1, 'SAVE10');
+    });
+  });
+
+  describe('setShippingAddress', () => {
+    it('Debería guardar la dirección de envío del carrito', async () => {
+      const mockCart = { id: 1, status: 'active', update: jest.fn().mockResolvedValue({ id: 1 }) };
+      Cart.findByPk.mockResolvedValue(mockCart);
+
+      await CartService.setShippingAddress(1, { country: 'us', postalCode: '94107' });
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        shippingAddress: { country: 'us', postalCode: '94107' },
+        lastActivityAt: expect.any(Date)
+      });
+    });
+
+    it('Debería lanzar un error si el carrito no existe o ya fue pagado', async () => {
+      Cart.findByPk.mockResolvedValueOnce(null);
+      await expect(CartService.setShippingAddress(999, { country: 'US' })).rejects.toThrow('Cart not found');
+
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, status: 'checked_out' });
+      await expect(CartService.setShippingAddress(1, { country: 'US' })).rejects.toThrow('Cart has already been checked out');
+    });
+  });
+
+  describe('getShippingOptions', () => {
+    it('Debería cotizar cada método activo para el carrito', async () => {
+      Cart.findByPk.mockResolvedValueOnce({ id: 1, shippingMethodId: null, shippingAddress: { country: 'US' } });
+      CartItem.findAll.mockResolvedValue([
+        { quantity: 2, Product: { priceMinor: 2000, taxRate: 0, weightGrams: 1500 }, toJSON: jest.fn() }
+      ]);
+      ShippingService.getActiveMethods.mockResolvedValueOnce([
+        { id: 1, name: 'Ground', type: 'weight', tiers: [{ maxWeightGrams: 5000, amountMinor: 800 }], freeAboveMinor: 3000, active: true },
+        { id: 2, name: 'Canada Post', type: 'flat', amountMinor: 1200, countries: ['CA'], active: true }
+      ]);
+
+      const result = await CartService.getShippingOptions(1);
+
+      expect(result).toEqual({
+        currency: 'USD',
+        shippingMethodId: null,
+        options: [
+          { id: 1, name: 'Ground', type: 'weight', available: true, amount: '0.00', tax: '0.00', free: true, weightGrams: 3000, reason: null, message: null },
+          {
+            id: 2,
+            name: 'Canada Post',
+            type: 'flat',
+            available: false,
+            amount: null,
+            tax: '0.00',
+            free: false,
+            weightGrams: 3000,
+            reason: 'country_not_served',
+            message: 'Canada Post does not ship to this country'
+          }
+        ]
+      });
+    });
+
+    it('Debería lanzar un error si el carrito no existe', async () => {
+      Cart.findByPk.mockResolvedValueOnce(null);
+      CartItem.findAll.mockResolvedValue([]);
+
+      await expect(CartService.getShippingOptions(999)).rejects.toThrow('Cart not found');
+    });
+  });
+
+  describe('setShippingMethod', () => {
+    const mockCart = () => ({ id: 1, status: 'active', shippingAddress: { country: 'US' }, update: jest.fn() });
+
+    it('Debería guardar el método y devolver el carrito recalculado', async () => {
+      const cart = mockCart();
+      Cart.findByPk.mockResolvedValue(cart);
+      CartItem.findAll.mockResolvedValue([]);
+      ShippingService.getMethod.mockResolvedValue({ id: 2, name: 'Flat', type: 'flat', amountMinor: 500, active: true });
+
+      const result = await CartService.setShippingMethod(1, 2);
+
+      expect(cart.update).toHaveBeenCalledWith({ shippingMethodId: 2, lastActivityAt: expect.any(Date) });
+      expect(result.summary).toBeDefined();
+    });
+
+    it('Debería rechazar un método que no puede enviar el carrito', async () => {
+      const cart = mockCart();
+      Cart.findByPk.mockResolvedValue(cart);
+      CartItem.findAll.mockResolvedValue([]);
+      ShippingService.getMethod.mockResolvedValueOnce({ id: 2, name: 'Canada Post', type: 'flat', amountMinor: 500, countries: ['CA'], active: true });
+
+      await expect(CartService.setShippingMethod(1, 2)).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Canada Post does not ship to this country'
+      });
+      expect(cart.update).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el método no existe', async () => {
+      Cart.findByPk.mockResolvedValue(mockCart());
+      ShippingService.getMethod.mockResolvedValueOnce(null);
+
+      await expect(CartService.setShippingMethod(1, 99)).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Shipping method with id 99 does not exist'
+      });
+    });
+  });
+
+  describe('checkout', () => {
+    const mockItem = {
+      productId: 1,
+      quantity: 2,
+      Product: { name: 'Product A', priceMinor: 10000, taxRate: 0.1 },
+      toJSON() {
+        return { productId: 1, quantity: 2, Product: this.Product };
+      }
+    };
+
+    it('Debería crear una orden, descontar inventario y marcar el carrito como pagado', async () => {
+      const mockCart = { id: 1, userId: 7, status: 'active', save: jest.fn() };
+      const mockOrder = { id: 10, status: 'pending', OrderItems: [] };
+
+      Cart.findByPk.mockResolvedValue(mockCart);
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+      Order.findByPk.mockResolvedValue(mockOrder);
+
+      const result = await CartService.checkout(1);
+
+      // Verificar que el descuento de inventario esté condicionado al stock disponible
+      expect(Product.update).toHaveBeenCalledWith(
+        { inventory: 'inventory - 2' },
+        expect.objectContaining({ transaction: 'mockTransaction' })
+      );
+      expect(Order.create).toHaveBeenCalledWith(
+        {
+          userId: 7,
+          cartId: 1,
+          currency: 'USD',
+          exchangeRate: null,
+          shippingAddress: null,
+          shippingMethodId: null,
+          shippingMethodName: null,
+          subtotalMinor: 20000,
+          discountMinor: 0,
+          shippingMinor: 0,
+          totalTaxMinor: 2000,
+          taxBreakdown: [{
+            taxRuleId: null,
+            name: 'Tax',
+            country: null,
+            region: null,
+            postalPrefix: null,
+            rate: 0.1,
+            taxableMinor: 20000,
+            taxMinor: 2000
+          }],
+          totalMinor: 22000
+        },
+        { transaction: 'mockTransaction' }
+      );
+      expect(OrderItem.bulkCreate).toHaveBeenCalledWith([{
+        orderId: 10,
+        productId: 1,
+        variantId: null,
+        name: 'Product A',
+        sku: null,
+        options: null,
+        currency: 'USD',
+        priceMinor: 10000,
+        taxRate: 0.1,
+        quantity: 2,
+        itemSubtotalMinor: 20000,
+        itemDiscountMinor: 0,
+        itemTaxMinor: 2000
+      }], { transaction: 'mockTransaction' });
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith(
+        { orderId: 10, toStatus: 'pending', reason: 'Checkout' },
+        { transaction: 'mockTransaction' }
+      );
+      expect(mockCart.status).toBe('checked_out');
+      expect(mockCart.save).toHaveBeenCalledWith({ transaction: 'mockTransaction' });
+      expect(InventoryService.releaseCart).toHaveBeenCalledWith(1, 'mockTransaction');
+      expect(WebhookService.emit).toHaveBeenCalledWith('cart.checked_out', {
+        cartId: 1,
+        userId: 7,
+        orderId: 10,
+        currency: 'USD',
+        total: '220.00'
+      }, 'mockTransaction');
+      expect(StockService.record).toHaveBeenCalledWith([
+        { productId: 1, variantId: null, orderId: 10, type: 'sale', quantity: -2, reason: 'Checkout' }
+      ], 'mockTransaction');
+      expect(result).toEqual(mockOrder);
+    });
+
+    it('Debería descontar el inventario de la variante y cobrar su precio', async () => {
+      const variantItem = {
+        productId: 1,
+        variantId: 4,
+        quantity: 2,
+        Product: mockItem.Product,
+        ProductVariant: { id: 4, sku: 'A-RED', options: { color: 'red' }, priceMinor: 12000 },
+        toJSON() {
+          return { productId: 1, variantId: 4, quantity: 2 };
+        }
+      };
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([variantItem]);
+      ProductVariant.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+      Order.findByPk.mockResolvedValue({ id: 10 });
+
+      await CartService.checkout(1);
+
+      expect(ProductVariant.update).toHaveBeenCalledWith(
+        { inventory: 'inventory - 2' },
+        expect.objectContaining({ transaction: 'mockTransaction' })
+      );
+      expect(ProductVariant.update.mock.calls[0][1].where.id).toBe(4);
+      expect(Product.update).not.toHaveBeenCalled();
+      expect(OrderItem.bulkCreate.mock.calls[0][0][0]).toMatchObject({
+        variantId: 4,
+        sku: 'A-RED',
+        options: { color: 'red' },
+        priceMinor: 12000,
+        itemSubtotalMinor: 24000
+      });
+      expect(StockService.record).toHaveBeenCalledWith([
+        { productId: 1, variantId: 4, orderId: 10, type: 'sale', quantity: -2, reason: 'Checkout' }
+      ], 'mockTransaction');
+    });
+
+    it('Debería exigir que el inventario cubra también lo reservado por otros carritos', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      InventoryService.getReservedQuantity.mockResolvedValueOnce(3);
+      Product.update.mockResolvedValue([0]);
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Not enough inventory available for product 1');
+
+      expect(InventoryService.getReservedQuantity).toHaveBeenCalledWith(1, { variantId: null, excludeCartId: 1, transaction: 'mockTransaction' });
+      expect(Product.update.mock.calls[0][1].where.inventory).toEqual({ [Op.gte]: 5 });
+      expect(InventoryService.releaseCart).not.toHaveBeenCalled();
+    });
+
+    it('Debería registrar el uso de los cupones aplicados', async () => {
+      const coupon = { id: 3, code: 'SAVE10', type: 'percentage', rate: 0.1, active: true, usageCount: 0, categoryIds: null };
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      CouponService.getCartCoupons.mockResolvedValueOnce([coupon]);
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+
+      await CartService.checkout(1);
+
+      expect(CouponService.getCartCoupons).toHaveBeenCalledWith(1, 'mockTransaction');
+      expect(CouponService.redeem).toHaveBeenCalledWith([coupon], 'mockTransaction');
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({ subtotalMinor: 20000, discountMinor: 2000, totalTaxMinor: 1800, totalMinor: 19800 }),
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería guardar el ahorro de las promociones como descuento de la orden', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      PromotionService.getActivePromotions.mockResolvedValueOnce([
+        { id: 1, name: 'Lleva 2', type: 'quantity_tier', tiers: [{ minQuantity: 2, rate: 0.25 }], priority: 0, stackable: false, productId: null, categoryIds: null }
+      ]);
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+
+      await CartService.checkout(1);
+
+      expect(PromotionService.getActivePromotions).toHaveBeenCalledWith(expect.any(Date), 'mockTransaction');
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({ subtotalMinor: 20000, discountMinor: 5000, totalTaxMinor: 1500, totalMinor: 16500 }),
+        { transaction: 'mockTransaction' }
+      );
+      expect(OrderItem.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ itemSubtotalMinor: 20000, itemDiscountMinor: 5000, itemTaxMinor: 1500 })],
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería guardar la dirección y el desglose de impuestos en la orden', async () => {
+      const address = { country: 'US', region: 'CA' };
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', shippingAddress: address, save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      TaxService.getApplicableRules.mockResolvedValueOnce([
+        { id: 1, name: 'California', taxClass: 'standard', country: 'US', region: 'CA', postalPrefix: null, rate: 0.0725 }
+      ]);
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+
+      await CartService.checkout(1);
+
+      expect(TaxService.getApplicableRules).toHaveBeenCalledWith(address, 'mockTransaction');
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shippingAddress: address,
+          totalTaxMinor: 1450,
+          taxBreakdown: [expect.objectContaining({ taxRuleId: 1, name: 'California', taxableMinor: 20000, taxMinor: 1450 })]
+        }),
+        { transaction: 'mockTransaction' }
+      );
+      expect(OrderItem.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ taxRate: 0.0725, itemTaxMinor: 1450 })],
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería cobrar el envío elegido en la orden', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', shippingMethodId: 4, save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      ShippingService.getMethod.mockResolvedValueOnce({ id: 4, name: 'Express', type: 'flat', amountMinor: 1500, active: true });
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+
+      await CartService.checkout(1);
+
+      expect(ShippingService.getMethod).toHaveBeenCalledWith(4, 'mockTransaction');
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shippingMethodId: 4,
+          shippingMethodName: 'Express',
+          shippingMinor: 1500,
+          totalMinor: 23500
+        }),
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería rechazar la compra si el método de envío ya no está disponible', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', shippingMethodId: 4, save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      ShippingService.getMethod.mockResolvedValueOnce({ id: 4, name: 'Express', type: 'flat', amountMinor: 1500, active: false });
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Express is no longer available');
+      expect(Product.update).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar la compra si un cupón dejó de aplicar', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      CouponService.getCartCoupons.mockResolvedValueOnce([
+        { id: 3, code: 'OLD', type: 'fixed', amountMinor: 500, active: true, usageCount: 0, expiresAt: '2020-01-01T00:00:00.000Z', categoryIds: null }
+      ]);
+
+      await expect(CartService.checkout(1)).rejects.toMatchObject({ name: 'CouponError', reason: 'expired' });
+      expect(Product.update).not.toHaveBeenCalled();
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el carrito no existe', async () => {
+      Cart.findByPk.mockResolvedValue(null);
+
+      await expect(CartService.checkout(999)).rejects.toThrow('Cart not found');
+    });
+
+    it('Debería lanzar un error si el carrito ya fue pagado', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, status: 'checked_out' });
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Cart has already been checked out');
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el carrito caducó', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'archived' });
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Cart has expired');
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el carrito es de un invitado', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: null, guestToken: 'token-invitado', status: 'active' });
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Guest carts have to be merged into a signed-in user\'s cart before checkout');
+      expect(CartItem.findAll).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el carrito está vacío', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active' });
+      CartItem.findAll.mockResolvedValue([]);
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Cart is empty');
+    });
+
+    it('Debería pagar solo las líneas cuyo producto aún existe', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([{ productId: null, quantity: 1, Product: null }, mockItem]);
+      Product.update.mockResolvedValue([1]);
+      Order.create.mockResolvedValue({ id: 10, status: 'pending' });
+      Order.findByPk.mockResolvedValue({ id: 10 });
+
+      await CartService.checkout(1);
+
+      expect(Product.update).toHaveBeenCalledTimes(1);
+      expect(OrderItem.bulkCreate.mock.calls[0][0]).toHaveLength(1);
+      expect(Order.create.mock.calls[0][0]).toMatchObject({ subtotalMinor: 20000, totalMinor: 22000 });
+
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active' });
+      CartItem.findAll.mockResolvedValue([{ productId: null, quantity: 1, Product: null }]);
+      await expect(CartService.checkout(1)).rejects.toThrow('Cart is empty');
+    });
+
+    it('Debería lanzar un error si otro cliente se llevó el inventario', async () => {
+      Cart.findByPk.mockResolvedValue({ id: 1, userId: 7, status: 'active', save: jest.fn() });
+      CartItem.findAll.mockResolvedValue([mockItem]);
+      Product.update.mockResolvedValue([0]);  // Ninguna fila actualizada: no hay stock suficiente
+
+      await expect(CartService.checkout(1)).rejects.toThrow('Not enough inventory available for product 1');
+      expect(Order.create).not.toHaveBeenCalled();
+    });
   });
-});
\ No newline at end of file
+});
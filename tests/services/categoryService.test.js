@@ -0,0 +1,212 @@
+// Mock de los modelos antes de importar el servicio
+jest.mock('../../models/category', () => ({
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../../models/product', () => ({
+  count: jest.fn()
+}));
+
+jest.mock('../../models/promotion', () => ({
+  count: jest.fn()
+}));
+
+jest.mock('../../models/coupon', () => ({
+  count: jest.fn()
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction'))
+  }
+}));
+
+const CategoryService = require('../../services/categoryService');
+const Category = require('../../models/category');
+const Product = require('../../models/product');
+const Promotion = require('../../models/promotion');
+const Coupon = require('../../models/coupon');
+
+// Crea una categoría simulada con toJSON como las instancias de Sequelize
+const buildCategory = (id, name, parentId = null) => ({
+  id,
+  name,
+  parentId,
+  toJSON: () => ({ id, name, parentId })
+});
+
+describe('CategoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Promotion.count.mockResolvedValue(0);
+    Coupon.count.mockResolvedValue(0);
+  });
+
+  describe('getCategoryTree', () => {
+    it('Debería anidar las subcategorías bajo su padre', async () => {
+      Category.findAll.mockResolvedValue([
+        buildCategory(1, 'Electronics'),
+        buildCategory(2, 'Laptops', 1),
+        buildCategory(3, 'Phones', 1),
+        buildCategory(4, 'Smartphones', 3)
+      ]);
+
+      const result = await CategoryService.getCategoryTree();
+
+      expect(result).toEqual([{
+        id: 1,
+        name: 'Electronics',
+        parentId: null,
+        children: [
+          { id: 2, name: 'Laptops', parentId: 1, children: [] },
+          {
+            id: 3,
+            name: 'Phones',
+            parentId: 1,
+            children: [{ id: 4, name: 'Smartphones', parentId: 3, children: [] }]
+          }
+        ]
+      }]);
+    });
+  });
+
+  describe('getDescendantIds', () => {
+    it('Debería devolver la categoría y todos sus descendientes', async () => {
+      Category.findAll.mockResolvedValue([
+        { id: 1, parentId: null },
+        { id: 2, parentId: 1 },
+        { id: 3, parentId: 2 },
+        { id: 4, parentId: null }
+      ]);
+
+      const result = await CategoryService.getDescendantIds('1');
+
+      expect(result).toEqual([1, 2, 3]);
+    });
+
+    it('Debería devolver solo la categoría si no tiene hijos', async () => {
+      Category.findAll.mockResolvedValue([{ id: 4, parentId: null }]);
+
+      const result = await CategoryService.getDescendantIds(4);
+
+      expect(result).toEqual([4]);
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('Debería reemplazar el nombre y el padre', async () => {
+      const mockCategory = { id: 2, update: jest.fn().mockResolvedValue({ id: 2, name: 'Laptops', parentId: 1 }) };
+      Category.findByPk.mockResolvedValue(mockCategory);
+
+      const result = await CategoryService.updateCategory(2, { name: 'Laptops', parentId: 1 });
+
+      expect(mockCategory.update).toHaveBeenCalledWith({ name: 'Laptops', parentId: 1 });
+      expect(result).toEqual({ id: 2, name: 'Laptops', parentId: 1 });
+    });
+
+    it('Debería lanzar ConflictError si la categoría limita promociones', async () => {
+      const mockCategory = { id: 2, parentId: null, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(0);
+      Promotion.count.mockResolvedValue(1);
+
+      await expect(CategoryService.deleteCategory(2)).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Category with id 2 still has 1 promotions'
+      });
+      expect(Promotion.count).toHaveBeenCalledWith({ where: { categoryId: 2 }, transaction: 'mockTransaction' });
+      expect(mockCategory.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar ConflictError si la categoría limita cupones', async () => {
+      const mockCategory = { id: 2, parentId: null, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(0);
+      Coupon.count.mockResolvedValue(2);
+
+      await expect(CategoryService.deleteCategory(2)).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Category with id 2 still has 2 coupons'
+      });
+      expect(Coupon.count).toHaveBeenCalledWith({ where: { categoryId: 2 }, transaction: 'mockTransaction' });
+      expect(mockCategory.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver nulo si la categoría no existe', async () => {
+      Category.findByPk.mockResolvedValue(null);
+
+      const result = await CategoryService.updateCategory(99, { name: 'Laptops' });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('deleteCategory', () => {
+    it('Debería mover las subcategorías al padre y eliminar la categoría', async () => {
+      const mockCategory = { id: 2, parentId: 1, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(0);
+
+      const result = await CategoryService.deleteCategory(2);
+
+      expect(Category.update).toHaveBeenCalledWith(
+        { parentId: 1 },
+        { where: { parentId: 2 }, transaction: 'mockTransaction' }
+      );
+      expect(mockCategory.destroy).toHaveBeenCalledWith({ transaction: 'mockTransaction' });
+      expect(result).toBe(mockCategory);
+    });
+
+    it('Debería lanzar ConflictError si la categoría tiene productos', async () => {
+      const mockCategory = { id: 2, parentId: null, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(3);
+
+      await expect(CategoryService.deleteCategory(2)).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Category with id 2 still has 3 products'
+      });
+      expect(mockCategory.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar ConflictError si la categoría limita promociones', async () => {
+      const mockCategory = { id: 2, parentId: null, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(0);
+      Promotion.count.mockResolvedValue(1);
+
+      await expect(CategoryService.deleteCategory(2)).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Category with id 2 still has 1 promotions'
+      });
+      expect(Promotion.count).toHaveBeenCalledWith({ where: { categoryId: 2 }, transaction: 'mockTransaction' });
+      expect(mockCategory.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar ConflictError si la categoría limita cupones', async () => {
+      const mockCategory = { id: 2, parentId: null, destroy: jest.fn() };
+      Category.findByPk.mockResolvedValue(mockCategory);
+      Product.count.mockResolvedValue(0);
+      Coupon.count.mockResolvedValue(2);
+
+      await expect(CategoryService.deleteCategory(2)).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Category with id 2 still has 2 coupons'
+      });
+      expect(Coupon.count).toHaveBeenCalledWith({ where: { categoryId: 2 }, transaction: 'mockTransaction' });
+      expect(mockCategory.destroy).not.toHaveBeenCalled();
+    });
+
+    it('Debería devolver nulo si la categoría no existe', async () => {
+      Category.findByPk.mockResolvedValue(null);
+
+      const result = await CategoryService.deleteCategory(99);
+
+      expect(result).toBeNull();
+      expect(Product.count).not.toHaveBeenCalled();
+    });
+  });
+});
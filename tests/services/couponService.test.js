@@ -0,0 +1,145 @@
+jest.mock('../../models/coupon', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  update: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.mock('../../models/cartCoupon', () => ({
+  findAll: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.mock('../../models/category', () => ({
+  findByPk: jest.fn()
+}));
+
+jest.mock('../../services/categoryService', () => ({
+  getDescendantIds: jest.fn()
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction')),
+    literal: jest.fn(value => value)
+  }
+}));
+
+const { Op, col } = require('sequelize');
+const CouponService = require('../../services/couponService');
+const Coupon = require('../../models/coupon');
+const CartCoupon = require('../../models/cartCoupon');
+const Category = require('../../models/category');
+const CategoryService = require('../../services/categoryService');
+
+// Cupón simulado con el método get de Sequelize
+const buildCoupon = (values) => ({ ...values, get: () => values });
+
+describe('CouponService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createCoupon', () => {
+    it('Debería crear el cupón', async () => {
+      Coupon.create.mockResolvedValue({ id: 1, code: 'SAVE10' });
+
+      const result = await CouponService.createCoupon({ code: 'save10', type: 'percentage', rate: 0.1 });
+
+      expect(Coupon.create).toHaveBeenCalledWith({ code: 'save10', type: 'percentage', rate: 0.1 });
+      expect(result).toEqual({ id: 1, code: 'SAVE10' });
+    });
+
+    it('Debería lanzar un error si la categoría del alcance no existe', async () => {
+      Category.findByPk.mockResolvedValue(null);
+
+      await expect(CouponService.createCoupon({ code: 'PHONES', type: 'fixed', amount: '5', categoryId: 99 }))
+        .rejects.toThrow('Category with id 99 does not exist');
+      expect(Coupon.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteCoupon', () => {
+    it('Debería quitar el cupón de los carritos antes de eliminarlo', async () => {
+      Coupon.destroy.mockResolvedValue(1);
+
+      const result = await CouponService.deleteCoupon(1);
+
+      expect(CartCoupon.destroy).toHaveBeenCalledWith({ where: { couponId: 1 }, transaction: 'mockTransaction' });
+      expect(Coupon.destroy).toHaveBeenCalledWith({ where: { id: 1 }, transaction: 'mockTransaction' });
+      expect(result).toBe(1);
+    });
+  });
+
+  describe('findByCode', () => {
+    it('Debería buscar el código sin distinguir mayúsculas', async () => {
+      await CouponService.findByCode(' save10 ');
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ where: { code: 'SAVE10' } });
+    });
+  });
+
+  describe('getCartCoupons', () => {
+    it('Debería devolver los cupones del carrito con las categorías de su alcance', async () => {
+      CartCoupon.findAll.mockResolvedValue([
+        { Coupon: buildCoupon({ id: 1, code: 'SAVE10', categoryId: null }) },
+        { Coupon: buildCoupon({ id: 2, code: 'PHONES', categoryId: 3 }) }
+      ]);
+      CategoryService.getDescendantIds.mockResolvedValue([3, 4]);
+
+      const result = await CouponService.getCartCoupons(1);
+
+      expect(CartCoupon.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { cartId: 1 },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      }));
+      expect(result).toEqual([
+        { id: 1, code: 'SAVE10', categoryId: null, categoryIds: null },
+        { id: 2, code: 'PHONES', categoryId: 3, categoryIds: [3, 4] }
+      ]);
+    });
+  });
+
+  describe('removeFromCart', () => {
+    it('Debería devolver 0 si el cupón no existe', async () => {
+      Coupon.findOne.mockResolvedValue(null);
+
+      expect(await CouponService.removeFromCart(1, 'NOPE')).toBe(0);
+      expect(CartCoupon.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeem', () => {
+    it('Debería contar un uso de cada cupón respetando su límite', async () => {
+      Coupon.update.mockResolvedValue([1]);
+
+      await CouponService.redeem([{ id: 1, code: 'SAVE10' }], 'mockTransaction');
+
+      expect(Coupon.update).toHaveBeenCalledWith(
+        { usageCount: 'usageCount + 1' },
+        {
+          where: {
+            id: 1,
+            [Op.or]: [
+              { usageLimit: null },
+              { usageCount: { [Op.lt]: col('usageLimit') } }
+            ]
+          },
+          transaction: 'mockTransaction'
+        }
+      );
+    });
+
+    it('Debería lanzar CouponError si el cupón ya no tiene usos disponibles', async () => {
+      Coupon.update.mockResolvedValue([0]);
+
+      await expect(CouponService.redeem([{ id: 1, code: 'SAVE10' }], 'mockTransaction')).rejects.toMatchObject({
+        name: 'CouponError',
+        reason: 'usage_limit_reached',
+        message: 'Coupon SAVE10 has reached its usage limit'
+      });
+    });
+  });
+});
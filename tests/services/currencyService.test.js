@@ -0,0 +1,66 @@
+jest.mock('../../models/exchangeRate', () => ({
+  findOne: jest.fn()
+}));
+
+const CurrencyService = require('../../services/currencyService');
+const ExchangeRate = require('../../models/exchangeRate');
+
+describe('CurrencyService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getConverter', () => {
+    it('Debería dejar los importes sin cambios para la moneda de la tienda', async () => {
+      const converter = await CurrencyService.getConverter(undefined);
+
+      expect(converter.currency).toBe('USD');
+      expect(converter.exchange).toBeNull();
+      expect(converter.convert(1999)).toBe(1999);
+      expect(ExchangeRate.findOne).not.toHaveBeenCalled();
+    });
+
+    it('Debería convertir con la tasa y el redondeo de la moneda', async () => {
+      const updatedAt = new Date('2024-03-20T10:00:00Z');
+      ExchangeRate.findOne.mockResolvedValue({ currency: 'EUR', rate: '0.925', roundingMode: 'DOWN', updatedAt });
+
+      const converter = await CurrencyService.getConverter('EUR');
+
+      expect(converter.currency).toBe('EUR');
+      expect(converter.exchange).toEqual({ base: 'USD', currency: 'EUR', rate: '0.925', roundingMode: 'DOWN', updatedAt });
+      expect(converter.convert(1999)).toBe(1849);  // 1849.075
+    });
+
+    it('Debería aceptar el código de la moneda en minúsculas', async () => {
+      ExchangeRate.findOne.mockResolvedValue({ currency: 'EUR', rate: '0.925', roundingMode: null });
+
+      const converter = await CurrencyService.getConverter(' eur ');
+
+      expect(ExchangeRate.findOne).toHaveBeenCalledWith({ where: { currency: 'EUR' } });
+      expect(converter.currency).toBe('EUR');
+      expect((await CurrencyService.getConverter('usd')).exchange).toBeNull();
+    });
+
+    it('Debería redondear al incremento mínimo de la moneda', async () => {
+      ExchangeRate.findOne.mockResolvedValue({ currency: 'CHF', rate: '0.88', roundingMode: null });
+
+      const converter = await CurrencyService.getConverter('CHF');
+
+      expect(converter.exchange.roundingMode).toBe('HALF_UP');
+      expect(converter.convert(1999)).toBe(1760);  // 17.5912 -> 17.60
+    });
+
+    it('Debería lanzar ValidationError para monedas sin tasa o no soportadas', async () => {
+      ExchangeRate.findOne.mockResolvedValue(null);
+
+      await expect(CurrencyService.getConverter('EUR')).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'No exchange rate available for EUR'
+      });
+      await expect(CurrencyService.getConverter('XYZ')).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Unsupported currency: XYZ'
+      });
+    });
+  });
+});
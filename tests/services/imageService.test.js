@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const { sequelize } = require('../../models');
+const ImageService = require('../../services/imageService');
+const Product = require('../../models/product');
+const ProductImage = require('../../models/productImage');
+const config = require('../../config');
+
+// Archivo subido con multer: una imagen de las dimensiones indicadas en memoria
+const upload = async (name, width, height, format = 'jpeg') => {
+  const buffer = await sharp({ create: { width, height, channels: 3, background: '#336699' } }).toFormat(format).toBuffer();
+  return { originalname: name, buffer, size: buffer.length };
+};
+
+describe('ImageService', () => {
+  const originalDir = config.imageDir;
+  let product;
+
+  beforeAll(async () => {
+    await initTestDb();
+    config.imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-images-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(config.imageDir, { recursive: true, force: true });
+    config.imageDir = originalDir;
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    fs.rmSync(config.imageDir, { recursive: true, force: true });
+    await ProductImage.destroy({ where: {} });
+    await Product.destroy({ where: {} });
+    product = await Product.create({ name: 'Lámpara', price: '40.00', inventory: 3 });
+  });
+
+  // El directorio se crea con la primera subida
+  const storedFiles = () => (fs.existsSync(config.imageDir) ? fs.readdirSync(config.imageDir).sort() : []);
+
+  describe('addImages', () => {
+    it('Debería guardar las imágenes con sus miniaturas después de las existentes', async () => {
+      const [first] = await ImageService.addImages(product.id, [await upload('frontal.jpg', 1200, 800)], { altText: ' Vista frontal ' });
+      const [second, third] = await ImageService.addImages(product.id, [
+        await upload('lateral.png', 100, 50, 'png'),
+        await upload('detalle.webp', 400, 400, 'webp')
+      ], { altText: ['Lateral', 'Detalle'] });
+
+      expect(first).toMatchObject({
+        productId: product.id,
+        contentType: 'image/jpeg',
+        width: 1200,
+        height: 800,
+        altText: 'Vista frontal',
+        position: 0,
+        url: `${config.imageBaseUrl}/${first.filename}`,
+        thumbnailUrl: `${config.imageBaseUrl}/${first.thumbnailFilename}`
+      });
+      expect(first.filename).toMatch(/\.jpg$/);
+      expect(second).toMatchObject({ contentType: 'image/png', altText: 'Lateral', position: 1 });
+      expect(third).toMatchObject({ contentType: 'image/webp', altText: 'Detalle', position: 2 });
+
+      // La miniatura cabe en el tamaño configurado y las imágenes pequeñas no se amplían
+      const thumbnail = await sharp(path.join(config.imageDir, first.thumbnailFilename)).metadata();
+      expect(thumbnail).toMatchObject({ format: 'jpeg', width: config.thumbnailSize, height: Math.round(config.thumbnailSize * 800 / 1200) });
+      expect(await sharp(path.join(config.imageDir, second.thumbnailFilename)).metadata()).toMatchObject({ width: 100, height: 50 });
+      expect(storedFiles()).toHaveLength(6);
+    });
+
+    it('Debería rechazar la subida entera si un archivo no es una imagen', async () => {
+      const text = { originalname: 'notas.txt', buffer: Buffer.from('hola'), size: 4 };
+
+      await expect(ImageService.addImages(product.id, [await upload('frontal.jpg', 10, 10), text])).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'notas.txt is not a JPEG, PNG, WebP or GIF image'
+      });
+      expect(await ProductImage.count()).toBe(0);
+      expect(storedFiles()).toEqual([]);
+    });
+
+    it('Debería lanzar un error si el producto no existe o no hay archivos', async () => {
+      await expect(ImageService.addImages(999, [await upload('frontal.jpg', 10, 10)])).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Product with id 999 does not exist'
+      });
+      await expect(ImageService.addImages(product.id, [])).rejects.toThrow('No image files were uploaded');
+    });
+  });
+
+  describe('updateImage', () => {
+    it('Debería mover la imagen a la posición indicada y desplazar las demás', async () => {
+      const [a, b, c] = await ImageService.addImages(product.id, [
+        await upload('a.jpg', 10, 10),
+        await upload('b.jpg', 10, 10),
+        await upload('c.jpg', 10, 10)
+      ]);
+
+      const moved = await ImageService.updateImage(product.id, c.id, { position: 0, altText: 'Principal' });
+
+      expect(moved).toMatchObject({ position: 0, altText: 'Principal' });
+      const ordered = await ProductImage.findAll({ where: { productId: product.id }, order: [['position', 'ASC']] });
+      expect(ordered.map(({ id, position }) => [id, position])).toEqual([[c.id, 0], [a.id, 1], [b.id, 2]]);
+      expect((await ImageService.getPrimaryImages([product.id])).get(product.id).id).toBe(c.id);
+    });
+
+    it('Debería rechazar posiciones no válidas e imágenes de otros productos', async () => {
+      const [image] = await ImageService.addImages(product.id, [await upload('a.jpg', 10, 10)]);
+      const other = await Product.create({ name: 'Mesa', price: '90.00', inventory: 1 });
+
+      await expect(ImageService.updateImage(product.id, image.id, { position: -1 })).rejects.toThrow('position must be a non-negative integer');
+      await expect(ImageService.updateImage(other.id, image.id, { altText: 'Mesa' })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: `Image with id ${image.id} does not exist`
+      });
+    });
+  });
+
+  describe('deleteImage', () => {
+    it('Debería borrar la imagen y sus archivos', async () => {
+      const [image, kept] = await ImageService.addImages(product.id, [await upload('a.jpg', 10, 10), await upload('b.jpg', 10, 10)]);
+
+      await ImageService.deleteImage(product.id, image.id);
+
+      expect(await ProductImage.findByPk(image.id)).toBeNull();
+      expect(storedFiles()).toEqual([kept.filename, kept.thumbnailFilename].sort());
+
+      await ImageService.deleteProductImages(product.id);
+      expect(await ProductImage.count()).toBe(0);
+      expect(storedFiles()).toEqual([]);
+    });
+
+    it('Debería borrar los archivos de un producto solo si la transacción se confirma', async () => {
+      await ImageService.addImages(product.id, [await upload('a.jpg', 10, 10)]);
+      const files = storedFiles();
+
+      await expect(sequelize.transaction(async (transaction) => {
+        await ImageService.deleteProductImages(product.id, transaction);
+        expect(storedFiles()).toEqual(files);
+        throw new Error('rollback');
+      })).rejects.toThrow('rollback');
+      expect(await ProductImage.count()).toBe(1);
+      expect(storedFiles()).toEqual(files);
+
+      await sequelize.transaction(transaction => ImageService.deleteProductImages(product.id, transaction));
+      expect(await ProductImage.count()).toBe(0);
+      expect(storedFiles()).toEqual([]);
+    });
+  });
+});
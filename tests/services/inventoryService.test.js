@@ -0,0 +1,196 @@
+const { Op } = require('sequelize');
+
+jest.mock('../../models/product', () => ({
+  findByPk: jest.fn()
+}));
+
+jest.mock('../../models/productVariant', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(async () => [])
+}));
+
+jest.mock('../../models/inventoryReservation', () => ({
+  sum: jest.fn(),
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn()
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction'))
+  }
+}));
+
+const InventoryService = require('../../services/inventoryService');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const InventoryReservation = require('../../models/inventoryReservation');
+const config = require('../../config');
+
+describe('InventoryService', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getReservedQuantity', () => {
+    it('Debería sumar solo las reservas vigentes de otros carritos', async () => {
+      InventoryReservation.sum.mockResolvedValueOnce(4);
+
+      const result = await InventoryService.getReservedQuantity(1, { excludeCartId: 2, now, transaction: 'mockTransaction' });
+
+      expect(result).toBe(4);
+      expect(InventoryReservation.sum).toHaveBeenCalledWith('quantity', {
+        where: { productId: 1, variantId: null, expiresAt: { [Op.gt]: now }, cartId: { [Op.ne]: 2 } },
+        transaction: 'mockTransaction'
+      });
+    });
+
+    it('Debería devolver 0 si no hay reservas', async () => {
+      InventoryReservation.sum.mockResolvedValueOnce(null);
+
+      expect(await InventoryService.getReservedQuantity(1)).toBe(0);
+    });
+
+    it('Debería sumar solo las reservas de la variante indicada', async () => {
+      InventoryReservation.sum.mockResolvedValueOnce(1);
+
+      await InventoryService.getReservedQuantity(1, { variantId: 3, now });
+
+      expect(InventoryReservation.sum).toHaveBeenCalledWith('quantity', {
+        where: { productId: 1, variantId: 3, expiresAt: { [Op.gt]: now } },
+        transaction: undefined
+      });
+    });
+  });
+
+  describe('getAvailability', () => {
+    it('Debería descontar las reservas del inventario', async () => {
+      Product.findByPk.mockResolvedValue({ id: 1, inventory: 5 });
+      InventoryReservation.sum.mockResolvedValueOnce(2);
+
+      expect(await InventoryService.getAvailability(1)).toEqual({ productId: 1, inventory: 5, reserved: 2, available: 3, variants: [] });
+    });
+
+    it('Debería informar la disponibilidad de cada variante', async () => {
+      Product.findByPk.mockResolvedValue({ id: 1, inventory: 0 });
+      ProductVariant.findAll.mockResolvedValueOnce([{ id: 3, sku: 'CAMISETA-M', inventory: 4 }]);
+      InventoryReservation.sum.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+      const availability = await InventoryService.getAvailability(1);
+
+      expect(availability.variants).toEqual([{ variantId: 3, sku: 'CAMISETA-M', inventory: 4, reserved: 1, available: 3 }]);
+    });
+
+    it('Debería devolver null si el producto no existe', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      expect(await InventoryService.getAvailability(99)).toBeNull();
+    });
+  });
+
+  describe('reserve', () => {
+    beforeEach(() => {
+      Product.findByPk.mockResolvedValue({ id: 1, inventory: 5 });
+    });
+
+    it('Debería crear la reserva con la expiración configurada', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(now.getTime());
+      InventoryReservation.sum.mockResolvedValueOnce(3);
+      InventoryReservation.findOne.mockResolvedValue(null);
+
+      await InventoryService.reserve(2, 1, 2);
+
+      expect(InventoryReservation.create).toHaveBeenCalledWith(
+        { cartId: 2, productId: 1, variantId: null, quantity: 2, expiresAt: new Date(now.getTime() + config.reservationTtlMinutes * 60000) },
+        { transaction: 'mockTransaction' }
+      );
+      Date.now.mockRestore();
+    });
+
+    it('Debería actualizar la reserva existente del carrito', async () => {
+      const existing = { update: jest.fn(async () => existing) };
+      InventoryReservation.sum.mockResolvedValueOnce(0);
+      InventoryReservation.findOne.mockResolvedValue(existing);
+
+      await InventoryService.reserve(2, 1, 5);
+
+      expect(existing.update).toHaveBeenCalledWith(
+        expect.objectContaining({ quantity: 5 }),
+        { transaction: 'mockTransaction' }
+      );
+      expect(InventoryReservation.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar la reserva si otros carritos retienen el inventario', async () => {
+      InventoryReservation.sum.mockResolvedValueOnce(4);
+
+      await expect(InventoryService.reserve(2, 1, 2)).rejects.toThrow('Not enough inventory available');
+      expect(InventoryReservation.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar un error si el producto no existe', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      await expect(InventoryService.reserve(2, 99, 1)).rejects.toThrow('Product not found');
+    });
+
+    it('Debería comprobar el inventario de la variante y no el del producto', async () => {
+      ProductVariant.findOne.mockResolvedValueOnce({ id: 3, inventory: 1 });
+      InventoryReservation.sum.mockResolvedValueOnce(0);
+
+      await expect(InventoryService.reserve(2, 1, 2, { variantId: 3 })).rejects.toThrow('Not enough inventory available');
+      expect(ProductVariant.findOne).toHaveBeenCalledWith({ where: { id: 3, productId: 1 }, transaction: 'mockTransaction' });
+    });
+
+    it('Debería reservar la variante por separado', async () => {
+      ProductVariant.findOne.mockResolvedValueOnce({ id: 3, inventory: 4 });
+      InventoryReservation.sum.mockResolvedValueOnce(0);
+      InventoryReservation.findOne.mockResolvedValue(null);
+
+      await InventoryService.reserve(2, 1, 2, { variantId: 3 });
+
+      expect(InventoryReservation.findOne).toHaveBeenCalledWith({ where: { cartId: 2, productId: 1, variantId: 3 }, transaction: 'mockTransaction' });
+      expect(InventoryReservation.create).toHaveBeenCalledWith(
+        expect.objectContaining({ cartId: 2, productId: 1, variantId: 3, quantity: 2 }),
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería lanzar un error si la variante no es del producto', async () => {
+      ProductVariant.findOne.mockResolvedValueOnce(null);
+
+      await expect(InventoryService.reserve(2, 1, 1, { variantId: 9 })).rejects.toThrow('Variant not found');
+    });
+  });
+
+  describe('sweepExpired', () => {
+    it('Debería eliminar las reservas vencidas', async () => {
+      InventoryReservation.destroy.mockResolvedValueOnce(3);
+
+      expect(await InventoryService.sweepExpired(now)).toBe(3);
+      expect(InventoryReservation.destroy).toHaveBeenCalledWith({ where: { expiresAt: { [Op.lte]: now } } });
+    });
+  });
+
+  describe('startSweeper', () => {
+    afterEach(() => {
+      InventoryService.stopSweeper();
+      jest.useRealTimers();
+    });
+
+    it('Debería barrer las reservas vencidas en cada intervalo', async () => {
+      jest.useFakeTimers();
+      InventoryReservation.destroy.mockResolvedValue(0);
+
+      InventoryService.startSweeper(1000);
+      jest.advanceTimersByTime(2500);
+
+      expect(InventoryReservation.destroy).toHaveBeenCalledTimes(2);
+    });
+  });
+});
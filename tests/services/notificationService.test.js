@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationService = require('../../services/notificationService');
+const { createNotifier } = require('../../notifiers');
+
+describe('NotificationService', () => {
+  const notification = { type: 'low_stock', to: 'ops@example.com', subject: 'Low stock: Laptop', text: 'Quedan 2', data: { productId: 1 } };
+
+  afterEach(() => {
+    NotificationService.setNotifier(null);
+    jest.restoreAllMocks();
+  });
+
+  it('Debería enviar la notificación con el notificador configurado', async () => {
+    const notifier = { send: jest.fn() };
+    NotificationService.setNotifier(notifier);
+
+    expect(await NotificationService.notify(notification)).toBe(true);
+    expect(notifier.send).toHaveBeenCalledWith(notification);
+  });
+
+  it('Debería registrar el error sin lanzarlo si el envío falla', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    NotificationService.setNotifier({ send: jest.fn().mockRejectedValue(new Error('SMTP caído')) });
+
+    expect(await NotificationService.notify(notification)).toBe(false);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('Debería usar la consola por defecto', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await NotificationService.notify(notification);
+
+    expect(console.log).toHaveBeenCalledWith('[notification] low_stock to ops@example.com: Low stock: Laptop\nQuedan 2');
+  });
+
+  describe('notifiers', () => {
+    it('Debería agregar cada notificación como una línea JSON al archivo', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-')), 'notifications.log');
+      const notifier = createNotifier('file', { path: file });
+
+      await notifier.send(notification);
+      await notifier.send({ ...notification, type: 'back_in_stock' });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.type)).toEqual(['low_stock', 'back_in_stock']);
+      expect(lines[0]).toMatchObject({ ...notification, sentAt: expect.any(String) });
+    });
+
+    it('Debería rechazar un notificador desconocido', () => {
+      expect(() => createNotifier('pigeon')).toThrow('Unknown notifier: pigeon. Use one of: console, file');
+    });
+  });
+});
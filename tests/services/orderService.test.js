@@ -0,0 +1,195 @@
+// Mock de los modelos antes de importar el servicio
+jest.mock('../../models/order', () => ({
+  findByPk: jest.fn(),
+  findAll: jest.fn()
+}));
+
+jest.mock('../../models/orderItem', () => ({}));
+
+jest.mock('../../models/orderStatusHistory', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../../models/product', () => ({
+  increment: jest.fn()
+}));
+
+jest.mock('../../models/productVariant', () => ({
+  increment: jest.fn()
+}));
+
+jest.mock('../../services/stockService', () => ({
+  record: jest.fn()
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction'))
+  }
+}));
+
+const OrderService = require('../../services/orderService');
+const Order = require('../../models/order');
+const OrderStatusHistory = require('../../models/orderStatusHistory');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const StockService = require('../../services/stockService');
+
+describe('OrderService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Crea una orden simulada con el estado indicado
+  const buildOrder = (status) => ({
+    id: 1,
+    status,
+    OrderItems: [
+      { productId: 5, quantity: 2 },
+      { productId: null, quantity: 1 }  // Producto eliminado después de la compra
+    ],
+    save: jest.fn()
+  });
+
+  describe('getOrder', () => {
+    it('Debería devolver la orden con sus artículos e historial', async () => {
+      const mockOrder = { id: 1, status: 'pending' };
+      Order.findByPk.mockResolvedValue(mockOrder);
+
+      const result = await OrderService.getOrder(1);
+
+      expect(Order.findByPk).toHaveBeenCalledWith(1, expect.objectContaining({ include: expect.any(Array) }));
+      expect(result).toEqual(mockOrder);
+    });
+
+    it('Debería devolver nulo si la orden no existe', async () => {
+      Order.findByPk.mockResolvedValue(null);
+
+      const result = await OrderService.getOrder(99);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getOrdersByUser', () => {
+    it('Debería devolver las órdenes del usuario', async () => {
+      const mockOrders = [{ id: 1, userId: 7 }, { id: 2, userId: 7 }];
+      Order.findAll.mockResolvedValue(mockOrders);
+
+      const result = await OrderService.getOrdersByUser(7);
+
+      expect(Order.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7 } }));
+      expect(result).toEqual(mockOrders);
+    });
+
+    it('Debería lanzar un error si no se indica el usuario', async () => {
+      await expect(OrderService.getOrdersByUser(undefined)).rejects.toThrow('userId query parameter is required');
+      expect(Order.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transition', () => {
+    it('Debería cambiar el estado y registrar el historial', async () => {
+      const mockOrder = buildOrder('pending');
+      Order.findByPk.mockResolvedValueOnce(mockOrder).mockResolvedValueOnce({ ...mockOrder, status: 'paid' });
+
+      const result = await OrderService.markPaid(1, { actor: 'ops@example.com', reason: 'Payment received' });
+
+      expect(mockOrder.status).toBe('paid');
+      expect(mockOrder.save).toHaveBeenCalledWith({ transaction: 'mockTransaction' });
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith({
+        orderId: 1,
+        fromStatus: 'pending',
+        toStatus: 'paid',
+        actor: 'ops@example.com',
+        reason: 'Payment received'
+      }, { transaction: 'mockTransaction' });
+      expect(Product.increment).not.toHaveBeenCalled();
+      expect(result.status).toBe('paid');
+    });
+
+    it('Debería devolver el inventario al cancelar una orden', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder('paid'));
+
+      await OrderService.cancel(1);
+
+      // Solo se devuelve el stock de los productos que aún existen
+      expect(Product.increment).toHaveBeenCalledTimes(1);
+      expect(Product.increment).toHaveBeenCalledWith('inventory', {
+        by: 2,
+        where: { id: 5 },
+        transaction: 'mockTransaction'
+      });
+    });
+
+    it('Debería registrar la devolución en el historial de stock', async () => {
+      Order.findByPk.mockResolvedValue(buildOrder('paid'));
+
+      await OrderService.cancel(1, { actor: 'admin', reason: 'Pedido duplicado' });
+
+      expect(StockService.record).toHaveBeenCalledWith([
+        { productId: 5, variantId: null, orderId: 1, type: 'return', quantity: 2, reason: 'Pedido duplicado', actor: 'admin' }
+      ], 'mockTransaction');
+    });
+
+    it('Debería devolver a su variante el inventario de las líneas con variante', async () => {
+      const mockOrder = buildOrder('pending');
+      mockOrder.OrderItems = [
+        { productId: 5, quantity: 2 },
+        { productId: 6, variantId: 9, sku: 'TEE-M', quantity: 3 },
+        { productId: 6, variantId: null, sku: 'TEE-XL', quantity: 1 }  // Variante eliminada después de la compra
+      ];
+      Order.findByPk.mockResolvedValue(mockOrder);
+
+      await OrderService.cancel(1);
+
+      expect(Product.increment).toHaveBeenCalledTimes(1);
+      expect(ProductVariant.increment).toHaveBeenCalledTimes(1);
+      expect(ProductVariant.increment).toHaveBeenCalledWith('inventory', {
+        by: 3,
+        where: { id: 9 },
+        transaction: 'mockTransaction'
+      });
+      expect(StockService.record.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ productId: 5, variantId: null, quantity: 2 }),
+        expect.objectContaining({ productId: 6, variantId: 9, type: 'return', quantity: 3 })
+      ]);
+    });
+
+    it('Debería rechazar una transición no permitida', async () => {
+      const mockOrder = buildOrder('shipped');
+      Order.findByPk.mockResolvedValue(mockOrder);
+
+      await expect(OrderService.cancel(1)).rejects.toThrow('Cannot transition order from shipped to cancelled');
+      expect(mockOrder.save).not.toHaveBeenCalled();
+      expect(OrderStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar un estado desconocido', async () => {
+      await expect(OrderService.transition(1, 'lost')).rejects.toThrow('Unknown order status: lost');
+      expect(Order.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar NotFoundError si la orden no existe', async () => {
+      Order.findByPk.mockResolvedValue(null);
+
+      await expect(OrderService.ship(99)).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Order with id 99 does not exist'
+      });
+    });
+
+    it('Debería permitir el flujo completo hasta la entrega', async () => {
+      const mockOrder = buildOrder('paid');
+      Order.findByPk.mockResolvedValue(mockOrder);
+
+      await OrderService.ship(1);
+      await OrderService.deliver(1);
+      await OrderService.refund(1);
+
+      expect(mockOrder.status).toBe('refunded');
+      expect(OrderStatusHistory.create).toHaveBeenCalledTimes(3);
+    });
+  });
+});
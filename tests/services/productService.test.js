@@ -2,27 +2,86 @@
 jest.mock('../../models/product', () => ({
     findAll: jest.fn(),
     findByPk: jest.fn(),
+    count: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
     destroy: jest.fn(),
     belongsTo: jest.fn()  // Mock the association method
   }));
 
+  jest.mock('../../models/productVariant', () => ({}));
+
+  jest.mock('../../models/productImage', () => ({}));
+
   jest.mock('../../models/category', () => ({
     findAll: jest.fn(),
     findByPk: jest.fn(),
     create: jest.fn()
   }));
 
+  jest.mock('../../models/promotion', () => ({
+    destroy: jest.fn()
+  }));
+
+  jest.mock('../../models/coupon', () => ({}));
+
+  jest.mock('../../models/cartItem', () => ({
+    destroy: jest.fn()
+  }));
+
+  jest.mock('../../models/inventoryReservation', () => ({
+    destroy: jest.fn()
+  }));
+
+  jest.mock('../../models/wishlistItem', () => ({
+    destroy: jest.fn()
+  }));
+
+  jest.mock('../../services/searchService', () => ({
+    searchProductIds: jest.fn()
+  }));
+
+  jest.mock('../../services/stockService', () => ({
+    record: jest.fn()
+  }));
+
+  jest.mock('../../services/webhookService', () => ({
+    emit: jest.fn()
+  }));
+
+  jest.mock('../../services/imageService', () => ({
+    deleteProductImages: jest.fn()
+  }));
+
   const { Op } = require('sequelize'); // Importar Op desde Sequelize: Objeto de Sequelize que se usa para hacer comparaciones más complejas en las consultas, como el operador IN.
   const ProductService = require('../../services/productService');
   const Product = require('../../models/product');
+  const ProductVariant = require('../../models/productVariant');
+  const ProductImage = require('../../models/productImage');
   const Category = require('../../models/category');
+  const CartItem = require('../../models/cartItem');
+  const InventoryReservation = require('../../models/inventoryReservation');
+  const WishlistItem = require('../../models/wishlistItem');
+  const Promotion = require('../../models/promotion');
+  const SearchService = require('../../services/searchService');
+  const StockService = require('../../services/stockService');
+  const WebhookService = require('../../services/webhookService');
+  const ImageService = require('../../services/imageService');
+  const CurrencyService = require('../../services/currencyService');
+  const { convert } = require('../../utils/money');
+
+  // Las imágenes de los productos se cargan en una consulta aparte
+  const imagesInclude = expect.objectContaining({ model: ProductImage, as: 'images', separate: true });
 
 describe('ProductService', () => {
+    const mockFacets = { categories: [], priceRanges: [] };
+
     // Clear all mocks before each test
     beforeEach(() => {
         jest.clearAllMocks();
+
+        // Las facetas se prueban por separado; aquí solo interesa la consulta de productos
+        jest.spyOn(ProductService, 'getFacets').mockResolvedValue(mockFacets);
     });
 
     describe('getAllProducts', () => {
@@ -30,15 +89,210 @@ describe('ProductService', () => {
             const mockProducts = [{ id: 1, name: 'Product A' }, { id: 2, name: 'Product B' }];
             // Simular la respuesta del modelo Product
             Product.findAll.mockResolvedValue(mockProducts);
+            Product.count.mockResolvedValue(2);
 
             // Llamar al método que se esta probando
             const result = await ProductService.getAllProducts();
 
             // Verifir que el método findAll fue llamado correctamente
             expect(Product.findAll).toHaveBeenCalledTimes(1);
+            expect(Product.findAll).toHaveBeenCalledWith({ where: {}, include: [Category, imagesInclude], order: [['id', 'ASC']], limit: 21 });
 
             // Comprobar que el resultado es el esperado
-            expect(result).toEqual(mockProducts);
+            expect(result).toEqual({
+                data: mockProducts,
+                page: { total: 2, limit: 20, offset: 0, nextCursor: null },
+                facets: mockFacets
+            });
+        });
+    });
+
+    describe('moneda de los listados', () => {
+        it('Debería convertir los precios a la moneda solicitada y registrar la tasa usada', async () => {
+            const exchange = { base: 'USD', currency: 'EUR', rate: '0.9', roundingMode: 'HALF_UP' };
+            jest.spyOn(CurrencyService, 'getConverter').mockResolvedValueOnce({
+                currency: 'EUR',
+                exchange,
+                convert: minor => convert(minor, '0.9', 'USD', 'EUR')
+            });
+            const product = { id: 1, priceMinor: 1999, toJSON: () => ({ id: 1, price: '19.99', priceMinor: 1999, currency: 'USD' }) };
+            Product.findAll.mockResolvedValue([product]);
+            Product.count.mockResolvedValue(1);
+
+            const result = await ProductService.getAllProducts({ currency: 'EUR' });
+
+            expect(CurrencyService.getConverter).toHaveBeenCalledWith('EUR');
+            expect(result.data).toEqual([{ id: 1, price: '17.99', priceMinor: 1799, currency: 'EUR' }]);
+            expect(result.exchange).toEqual(exchange);
+        });
+    });
+
+    describe('filtros de listados', () => {
+        it('Debería filtrar por rango de precio, stock, impuesto y nombre', async () => {
+            Product.findAll.mockResolvedValue([]);
+
+            await ProductService.getAllProducts({
+                minPrice: '10',
+                maxPrice: '100',
+                inStock: 'true',
+                taxRate: '0.1',
+                name: 'phone'
+            });
+
+            const inStock = expect.objectContaining({ val: expect.stringContaining('"ProductVariants"') });
+            expect(Product.findAll).toHaveBeenCalledWith({
+                where: {
+                    priceMinor: { [Op.gte]: 1000, [Op.lte]: 10000 },
+                    [Op.and]: [inStock],
+                    taxRate: 0.1,
+                    name: { [Op.like]: '%phone%' }
+                },
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 21
+            });
+            expect(ProductService.getFacets).toHaveBeenCalledWith({
+                priceMinor: { [Op.gte]: 1000, [Op.lte]: 10000 },
+                [Op.and]: [inStock],
+                taxRate: 0.1,
+                name: { [Op.like]: '%phone%' }
+            });
+        });
+
+        it('Debería combinar los filtros con la categoría', async () => {
+            Product.findAll.mockResolvedValue([]);
+
+            await ProductService.getProductsByCategory(1, { minPrice: '5', inStock: 'false' });
+
+            expect(Product.findAll).toHaveBeenCalledWith({
+                where: { categoryId: 1, priceMinor: { [Op.gte]: 500 } },
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 21
+            });
+        });
+
+        it('Debería lanzar ValidationError si un filtro numérico no es válido', async () => {
+            await expect(ProductService.getAllProducts({ maxPrice: 'abc' })).rejects.toMatchObject({
+                name: 'ValidationError',
+                message: 'Invalid maxPrice: abc'
+            });
+            expect(Product.findAll).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('paginación de listados', () => {
+        it('Debería limitar el tamaño de página y devolver un cursor si hay más resultados', async () => {
+            const rows = Array.from({ length: 101 }, (_, i) => ({ id: i + 1 }));
+            Product.findAll.mockResolvedValue(rows);
+            Product.count.mockResolvedValue(250);
+
+            const result = await ProductService.getAllProducts({ limit: '1000' });
+
+            expect(Product.findAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 101 }));
+            expect(result.data).toHaveLength(100);
+            expect(result.page.limit).toBe(100);
+            expect(result.page.total).toBe(250);
+            expect(result.page.nextCursor).toEqual(expect.any(String));
+        });
+
+        it('Debería continuar desde el cursor de la página anterior', async () => {
+            Product.findAll
+                .mockResolvedValueOnce([{ id: 1, priceMinor: 500 }, { id: 2, priceMinor: 800 }])
+                .mockResolvedValueOnce([]);
+            Product.count.mockResolvedValue(2);
+
+            const firstPage = await ProductService.getAllProducts({ sort: 'price,ASC', limit: '1' });
+            const secondPage = await ProductService.getAllProducts({ sort: 'price,ASC', limit: '1', cursor: firstPage.page.nextCursor });
+
+            expect(Product.findAll).toHaveBeenLastCalledWith({
+                where: {
+                    [Op.and]: [{}, {
+                        [Op.or]: [
+                            { priceMinor: { [Op.gt]: 500 } },
+                            { priceMinor: 500, id: { [Op.gt]: 1 } }
+                        ]
+                    }]
+                },
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'ASC'], ['id', 'ASC']],
+                limit: 2
+            });
+            expect(secondPage.page).toEqual({ total: 2, limit: 1, offset: null, nextCursor: null });
+        });
+    });
+
+    describe('ordenamiento de listados', () => {
+        it('Debería ordenar por varias claves con el id como desempate', async () => {
+            Product.findAll.mockResolvedValue([]);
+
+            await ProductService.getProductsByCategories('1,2', { sort: 'price:desc,name:asc' });
+
+            expect(Product.findAll).toHaveBeenCalledWith(expect.objectContaining({
+                order: [['priceMinor', 'DESC'], ['name', 'ASC'], ['id', 'ASC']]
+            }));
+        });
+
+        it('Debería ordenar por el nombre de la categoría', async () => {
+            Product.findAll.mockResolvedValue([]);
+
+            await ProductService.getProductsByCategory(1, { sort: 'category:desc' });
+
+            expect(Product.findAll).toHaveBeenCalledWith(expect.objectContaining({
+                order: [[Category, 'name', 'DESC'], ['id', 'DESC']]
+            }));
+        });
+
+        it('Debería rechazar campos de ordenamiento no permitidos', async () => {
+            await expect(ProductService.getProductsByCategory(1, { sort: 'foo,SIDEWAYS' }))
+                .rejects
+                .toThrow('Invalid sort field: foo');
+
+            expect(Product.findAll).not.toHaveBeenCalled();
+        });
+
+        it('Debería rechazar direcciones de ordenamiento no válidas', async () => {
+            await expect(ProductService.getProductsByCategories('1', { sort: 'price:sideways' }))
+                .rejects
+                .toThrow('Invalid sort direction: sideways');
+        });
+    });
+
+    describe('getFacets', () => {
+        beforeEach(() => {
+            ProductService.getFacets.mockRestore();
+        });
+
+        it('Debería contar los productos por categoría y rango de precio', async () => {
+            Product.findAll
+                .mockResolvedValueOnce([
+                    { categoryId: 1, 'Category.name': 'Electronics', count: 3 },
+                    { categoryId: 2, 'Category.name': 'Books', count: 1 }
+                ])
+                .mockResolvedValueOnce([
+                    { bucket: 0, count: 1 },
+                    { bucket: 6, count: 3 }
+                ]);
+
+            const result = await ProductService.getFacets({ categoryId: { [Op.in]: [1, 2] } });
+
+            expect(result.categories).toEqual([
+                { id: 1, name: 'Electronics', count: 3 },
+                { id: 2, name: 'Books', count: 1 }
+            ]);
+            expect(result.priceRanges).toEqual([
+                { min: '0.00', max: '25.00', count: 1 },
+                { min: '25.00', max: '50.00', count: 0 },
+                { min: '50.00', max: '100.00', count: 0 },
+                { min: '100.00', max: '250.00', count: 0 },
+                { min: '250.00', max: '500.00', count: 0 },
+                { min: '500.00', max: '1000.00', count: 0 },
+                { min: '1000.00', max: null, count: 3 }
+            ]);
+            expect(Product.findAll).toHaveBeenCalledWith(expect.objectContaining({
+                where: { categoryId: { [Op.in]: [1, 2] } },
+                raw: true
+            }));
         });
     });
 
@@ -51,8 +305,10 @@ describe('ProductService', () => {
             // Llamar al método que se esta probando
             const result = await ProductService.getProductById(1);
 
-            // Verificar que el método findByPk fue llamado con el id correcto
-            expect(Product.findByPk).toHaveBeenCalledWith(1);
+            // Verificar que el método findByPk fue llamado con el id correcto e incluye las variantes
+            expect(Product.findByPk).toHaveBeenCalledWith(1, expect.objectContaining({
+                include: [{ model: ProductVariant, as: 'variants' }, imagesInclude]
+            }));
 
             // Comprobar que el resultado es el esperado
             expect(result).toEqual(mockProduct);
@@ -65,7 +321,7 @@ describe('ProductService', () => {
             const result = await ProductService.getProductById(99);
 
             // Verificar que findByPk fue llamado con el id 99
-            expect(Product.findByPk).toHaveBeenCalledWith(99);
+            expect(Product.findByPk).toHaveBeenCalledWith(99, expect.any(Object));
 
             // Comprobar que el resultado es null
             expect(result).toBeNull();
@@ -90,12 +346,24 @@ describe('ProductService', () => {
             expect(Category.findByPk).toHaveBeenCalledWith(1);
 
             // Verificar que se haya llamado al método de creación de producto
-            expect(Product.create).toHaveBeenCalledWith(mockProduct);
+            expect(Product.create).toHaveBeenCalledWith(mockProduct, { transaction: expect.anything() });
 
             // Comprobar que el resultado es el esperado
             expect(result).toEqual(mockProduct);
         });
 
+        it('Debería registrar el inventario inicial como entrada de stock', async () => {
+            Category.findByPk.mockResolvedValue({ id: 1 });
+            Product.create.mockResolvedValue({ id: 4, inventory: 12 });
+
+            await ProductService.createProduct({ name: 'Product A', categoryId: 1, inventory: 12 }, { actor: 'catalogo@example.com' });
+
+            expect(StockService.record).toHaveBeenCalledWith([
+                { productId: 4, type: 'receipt', quantity: 12, reason: 'Initial stock', actor: 'catalogo@example.com' }
+            ], expect.anything());
+            expect(WebhookService.emit).toHaveBeenCalledWith('product.created', { id: 4, inventory: 12 }, expect.anything());
+        });
+
         it('Debería lanzar un error cuando la categoría no existe', async () => {
             // Simular que no se encuentra la categoría
             Category.findByPk.mockResolvedValue(null);
@@ -124,7 +392,7 @@ describe('ProductService', () => {
                 .toThrow('Database error');
 
             expect(Category.findByPk).toHaveBeenCalledWith(1);
-            expect(Product.create).toHaveBeenCalledWith(mockProduct);
+            expect(Product.create).toHaveBeenCalledWith(mockProduct, { transaction: expect.anything() });
         });
     });
 
@@ -140,9 +408,11 @@ describe('ProductService', () => {
             // Verificar que se haya llamado al método con la categoría correcta
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: { categoryId: 1 },
-                include: Category,
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 21
             });
-            expect(result).toEqual(mockProducts);
+            expect(result.data).toEqual(mockProducts);
         });
 
         //***** PARA MEJORAR COBERTURAS *****/ 
@@ -155,8 +425,9 @@ describe('ProductService', () => {
             expect(result).toBeDefined();
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: { categoryId: 1 },
-                include: Category,
-                order: [['price', 'DESC']]
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'DESC'], ['id', 'DESC']],
+                limit: 21
             });
         });
 
@@ -169,8 +440,9 @@ describe('ProductService', () => {
             expect(result).toBeDefined();
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: { categoryId: 1 },
-                include: Category,
-                limit: 10,
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 11,
                 offset: 5
             });
         });
@@ -190,16 +462,38 @@ describe('ProductService', () => {
     
             const result = await ProductService.getProductsByCategory(1, options);
     
-            expect(result).toEqual(mockProducts);
+            expect(result.data).toEqual(mockProducts);
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: { categoryId: 1 },
-                include: Category,
-                order: [['price', 'ASC']], // Predeterminado a ASC si no se proporciona dirección
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'ASC'], ['id', 'ASC']], // Predeterminado a ASC si no se proporciona dirección
+                limit: 21
             });
         });
         
     });
 
+    describe('getProductsByCategory con subcategorías', () => {
+        it('Debería incluir los productos de las categorías descendientes', async () => {
+            Product.findAll.mockResolvedValue([]);
+            Category.findAll.mockResolvedValue([
+                { id: 1, parentId: null },
+                { id: 2, parentId: 1 },
+                { id: 3, parentId: 1 },
+                { id: 4, parentId: null }
+            ]);
+
+            await ProductService.getProductsByCategory('1', { includeDescendants: 'true' });
+
+            expect(Product.findAll).toHaveBeenCalledWith({
+                where: { categoryId: { [Op.in]: [1, 2, 3] } },
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 21
+            });
+        });
+    });
+
     describe('getProductsByCategories', () => {
         it('Debería devolver productos por categorías', async () => {
             const mockProducts = [
@@ -215,10 +509,12 @@ describe('ProductService', () => {
             // Verificar que se haya llamado al método con las categorías correctas
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: { categoryId: { [Op.in]: [1, 2] } },
-                include: Category
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 21
             });
 
-            expect(result).toEqual(mockProducts);
+            expect(result.data).toEqual(mockProducts);
         });
 
         it('Debería lanzar un error si falta el parámetro de categorías', async () => {
@@ -245,7 +541,9 @@ describe('ProductService', () => {
               where: {
                 categoryId: { [Op.in]: [1, 2, 3] }
               },
-              include: Category
+              include: [Category, imagesInclude],
+              order: [['id', 'ASC']],
+              limit: 21
             });
         });
       
@@ -260,8 +558,9 @@ describe('ProductService', () => {
                 where: {
                 categoryId: { [Op.in]: [1, 2, 3] }
                 },
-                include: Category,
-                limit: 5,
+                include: [Category, imagesInclude],
+                order: [['id', 'ASC']],
+                limit: 6,
                 offset: 2
             });
         });
@@ -282,13 +581,14 @@ describe('ProductService', () => {
     
             const result = await ProductService.getProductsByCategories('1,2', options);
     
-            expect(result).toEqual(mockProducts);
+            expect(result.data).toEqual(mockProducts);
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: {
                     categoryId: { [Op.in]: [1, 2] },
                 },
-                include: Category,
-                order: [['price', 'DESC']], // Verificar que se orden en DESC correcctamente
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'DESC'], ['id', 'DESC']], // Verificar que se orden en DESC correcctamente
+                limit: 21
             });
         });
     
@@ -307,13 +607,14 @@ describe('ProductService', () => {
     
             const result = await ProductService.getProductsByCategories('1,2', options);
     
-            expect(result).toEqual(mockProducts);
+            expect(result.data).toEqual(mockProducts);
             expect(Product.findAll).toHaveBeenCalledWith({
                 where: {
                     categoryId: { [Op.in]: [1, 2] },
                 },
-                include: Category,
-                order: [['price', 'ASC']], // Predeterminado ASC si no se proporciona dirección
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'ASC'], ['id', 'ASC']], // Predeterminado ASC si no se proporciona dirección
+                limit: 21
             });
         });
     
@@ -322,21 +623,62 @@ describe('ProductService', () => {
     describe('updateProduct', () => {
         it('Debería actualizar un producto', async () => {
             const mockProduct = { id: 1, name: 'Updated Product' };
+            const existingProduct = { id: 1, name: 'Product A', update: jest.fn().mockResolvedValue(mockProduct) };
 
-            // Simular que la categoría existe en la base de datos
+            // Simular que el producto y la categoría existen en la base de datos
+            Product.findByPk.mockResolvedValue(existingProduct);
             Category.findByPk.mockResolvedValue({ id: 1, name: 'Category A' });
 
-            // Simular que el producto se actualiza correctamente
-            Product.update.mockResolvedValue([1]); // Simular que una fila fue actualizada
+            const result = await ProductService.updateProduct(1, { name: 'Updated Product', categoryId: 1 });
 
-            const result = await ProductService.updateProduct(1, mockProduct);
+            // Verificar que se haya actualizado la instancia y se devuelva el producto actualizado
+            expect(Product.findByPk).toHaveBeenCalledWith(1);
+            expect(existingProduct.update).toHaveBeenCalledWith({ name: 'Updated Product', categoryId: 1 }, { transaction: expect.anything() });
+            expect(result).toEqual(mockProduct);
+            expect(StockService.record).not.toHaveBeenCalled();
+        });
+
+        it('Debería registrar un ajuste de stock al sobrescribir el inventario', async () => {
+            const existingProduct = {
+                id: 1,
+                inventory: 10,
+                update: jest.fn(async function (values) {
+                    Object.assign(this, values);
+                    return this;
+                })
+            };
+            Product.findByPk.mockResolvedValue(existingProduct);
+
+            await ProductService.updateProduct(1, { inventory: 7 }, { actor: 'catalogo@example.com' });
+
+            expect(StockService.record).toHaveBeenCalledWith([
+                { productId: 1, type: 'adjustment', quantity: -3, reason: 'Product update', actor: 'catalogo@example.com' }
+            ], expect.anything());
+        });
 
-            // Verificar que se haya llamado al método update con el producto actualizado
-            expect(Product.update).toHaveBeenCalledWith(mockProduct, { where: { id: 1 } });
-            expect(result).toEqual([1]);
+        it('Debería registrar quién sobrescribe el inventario al reemplazar el producto', async () => {
+            const existingProduct = {
+                id: 1,
+                inventory: 10,
+                update: jest.fn(async function (values) {
+                    Object.assign(this, values);
+                    return this;
+                })
+            };
+            Product.findByPk.mockResolvedValue(existingProduct);
+            Category.findByPk.mockResolvedValue({ id: 1 });
+
+            await ProductService.replaceProduct(1, { name: 'Product A', price: 10, categoryId: 1, inventory: 4 }, { actor: 'catalogo@example.com' });
+
+            expect(StockService.record).toHaveBeenCalledWith([
+                { productId: 1, type: 'adjustment', quantity: -6, reason: 'Product update', actor: 'catalogo@example.com' }
+            ], expect.anything());
         });
 
         it('Debería lanzar un error si la categoría no existe al actualizar', async () => {
+            const existingProduct = { id: 1, update: jest.fn() };
+            Product.findByPk.mockResolvedValue(existingProduct);
+
             // Simular que la categoría no existe
             Category.findByPk.mockResolvedValue(null); // Retorna null para simular que no existe la categoría
     
@@ -349,20 +691,63 @@ describe('ProductService', () => {
                 .toThrow('Category with id 9999 does not exist');
     
             // Verificar que no se haya llamado a actualizar el producto
-            expect(Product.update).not.toHaveBeenCalled();
+            expect(existingProduct.update).not.toHaveBeenCalled();
         });
 
         it('Debería actualizar el producto si no se proporciona categoryID', async () => {
-            Product.update.mockResolvedValue([1]);
+            const existingProduct = { id: 1, update: jest.fn().mockResolvedValue({ id: 1, name: 'New Product Name' }) };
+            Product.findByPk.mockResolvedValue(existingProduct);
     
             const productData = { name: 'New Product Name' };
             const result = await ProductService.updateProduct(1, productData);
     
-            expect(result).toEqual([1]);
+            expect(Category.findByPk).not.toHaveBeenCalled();
+            expect(result).toEqual({ id: 1, name: 'New Product Name' });
+        });
+
+        it('Debería devolver nulo si el producto no existe', async () => {
+            Product.findByPk.mockResolvedValue(null);
+
+            const result = await ProductService.updateProduct(99, { name: 'New Product Name' });
+
+            expect(result).toBeNull();
         });
         
     });
 
+    describe('replaceProduct', () => {
+        it('Debería reemplazar el producto restableciendo los campos opcionales', async () => {
+            const existingProduct = { id: 1, update: jest.fn().mockResolvedValue({ id: 1 }) };
+            Product.findByPk.mockResolvedValue(existingProduct);
+            Category.findByPk.mockResolvedValue({ id: 2 });
+
+            await ProductService.replaceProduct(1, { name: 'Product B', price: 20, categoryId: 2 });
+
+            expect(existingProduct.update).toHaveBeenCalledWith({
+                name: 'Product B',
+                price: 20,
+                categoryId: 2,
+                description: null,
+                inventory: 0,
+                taxClass: 'standard',
+                taxRate: 0,
+                weightGrams: null,
+                lengthMm: null,
+                widthMm: null,
+                heightMm: null,
+                reorderThreshold: null
+            }, { transaction: expect.anything() });
+        });
+
+        it('Debería lanzar un error si faltan campos requeridos', async () => {
+            await expect(ProductService.replaceProduct(1, { name: 'Product B' }))
+                .rejects
+                .toThrow('Missing required fields: price, categoryId');
+
+            expect(Product.findByPk).not.toHaveBeenCalled();
+        });
+    });
+
     describe('deleteProduct', () => {
         it('Debería eliminar un producto', async () => {
             // Simular que el producto fue eliminado correctamente
@@ -371,8 +756,10 @@ describe('ProductService', () => {
             const result = await ProductService.deleteProduct(1);
 
             // Verificar que se haya llamado al método destroy con el id correcto
-            expect(Product.destroy).toHaveBeenCalledWith({ where: { id: 1 } });
+            expect(Product.destroy).toHaveBeenCalledWith({ where: { id: 1 }, transaction: expect.anything() });
+            expect(ImageService.deleteProductImages).toHaveBeenCalledWith(1, expect.anything());
             expect(result).toBe(1);
+            expect(WebhookService.emit).toHaveBeenCalledWith('product.deleted', { id: 1 });
         });
  
         it('Debería devolver 0 si no se elimina ningún producto', async () => {
@@ -382,10 +769,84 @@ describe('ProductService', () => {
              const result = await ProductService.deleteProduct(99);
  
              // Verificar que se haya llamado al método destroy con el id correcto
-             expect(Product.destroy).toHaveBeenCalledWith({ where: { id: 99 } });
+             expect(Product.destroy).toHaveBeenCalledWith({ where: { id: 99 }, transaction: expect.anything() });
              expect(result).toBe(0);
+             expect(WebhookService.emit).not.toHaveBeenCalled();
+        });
+
+        it('Debería quitar el producto de carritos y listas y liberar sus reservas', async () => {
+            Product.destroy.mockResolvedValue(1);
+
+            await ProductService.deleteProduct(1);
+
+            const inTransaction = { where: { productId: 1 }, transaction: expect.anything() };
+            expect(InventoryReservation.destroy).toHaveBeenCalledWith(inTransaction);
+            expect(CartItem.destroy).toHaveBeenCalledWith(inTransaction);
+            expect(WishlistItem.destroy).toHaveBeenCalledWith(inTransaction);
+        });
+
+        it('Debería eliminar las promociones limitadas al producto para que no pasen a toda la tienda', async () => {
+            Product.destroy.mockResolvedValue(1);
+
+            await ProductService.deleteProduct(1);
+
+            expect(Promotion.destroy).toHaveBeenCalledWith({ where: { productId: 1 }, transaction: expect.anything() });
         });
         
     });
     
+    describe('searchProducts', () => {
+        it('Debería devolver los productos en orden de relevancia', async () => {
+            SearchService.searchProductIds.mockResolvedValue([3, 1, 2]);
+            Product.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+            const result = await ProductService.searchProducts('laptop');
+
+            expect(SearchService.searchProductIds).toHaveBeenCalledWith('laptop');
+            expect(result.data.map(product => product.id)).toEqual([3, 1, 2]);
+            expect(result.page).toEqual({ total: 3, limit: 20, offset: 0, nextCursor: null });
+        });
+
+        it('Debería paginar los resultados por relevancia', async () => {
+            SearchService.searchProductIds.mockResolvedValue([3, 1, 2]);
+            Product.findAll.mockResolvedValue([{ id: 1 }]);
+
+            await ProductService.searchProducts('laptop', { limit: '1', offset: '1' });
+
+            expect(Product.findAll).toHaveBeenCalledWith({
+                where: { id: { [Op.in]: [1] } },
+                include: [Category, imagesInclude],
+            });
+        });
+
+        it('Debería usar el ordenamiento indicado en lugar de la relevancia', async () => {
+            SearchService.searchProductIds.mockResolvedValue([3, 1, 2]);
+            Product.findAll.mockResolvedValue([]);
+
+            await ProductService.searchProducts('laptop', { sort: 'price,DESC', limit: 2 });
+
+            expect(Product.findAll).toHaveBeenCalledWith({
+                where: { id: { [Op.in]: [3, 1, 2] } },
+                include: [Category, imagesInclude],
+                order: [['priceMinor', 'DESC'], ['id', 'DESC']],
+                limit: 2,
+                offset: 0
+            });
+        });
+
+        it('Debería devolver una lista vacía si no hay coincidencias', async () => {
+            SearchService.searchProductIds.mockResolvedValue([]);
+
+            const result = await ProductService.searchProducts('nada');
+
+            expect(result.data).toEqual([]);
+            expect(result.page.total).toBe(0);
+            expect(Product.findAll).not.toHaveBeenCalled();
+        });
+
+        it('Debería lanzar un error si falta la consulta', async () => {
+            await expect(ProductService.searchProducts('  ')).rejects.toThrow('Search query is required');
+        });
+    });
+
 });
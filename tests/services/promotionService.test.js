@@ -0,0 +1,105 @@
+jest.mock('../../models/promotion', () => ({
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.mock('../../models/product', () => ({
+  findByPk: jest.fn()
+}));
+
+jest.mock('../../models/category', () => ({
+  findByPk: jest.fn()
+}));
+
+jest.mock('../../services/categoryService', () => ({
+  getDescendantIds: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const PromotionService = require('../../services/promotionService');
+const Promotion = require('../../models/promotion');
+const Product = require('../../models/product');
+const Category = require('../../models/category');
+const CategoryService = require('../../services/categoryService');
+
+// Promoción simulada con el método get de Sequelize
+const buildPromotion = (values) => ({ ...values, get: () => values });
+
+describe('PromotionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createPromotion', () => {
+    it('Debería crear la promoción', async () => {
+      const data = { name: '3x2', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 };
+      Promotion.create.mockResolvedValue({ id: 1, ...data });
+
+      const result = await PromotionService.createPromotion(data);
+
+      expect(Promotion.create).toHaveBeenCalledWith(data);
+      expect(result).toEqual({ id: 1, ...data });
+    });
+
+    it('Debería lanzar un error si el producto o la categoría del alcance no existen', async () => {
+      Product.findByPk.mockResolvedValueOnce(null);
+      await expect(PromotionService.createPromotion({ name: '3x2', productId: 99 }))
+        .rejects.toThrow('Product with id 99 does not exist');
+
+      Category.findByPk.mockResolvedValueOnce(null);
+      await expect(PromotionService.createPromotion({ name: 'Gasta 50', categoryId: 98 }))
+        .rejects.toThrow('Category with id 98 does not exist');
+
+      expect(Promotion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePromotion', () => {
+    it('Debería actualizar la promoción', async () => {
+      const promotion = { update: jest.fn().mockResolvedValue({ id: 1, active: false }) };
+      Promotion.findByPk.mockResolvedValue(promotion);
+
+      const result = await PromotionService.updatePromotion(1, { active: false });
+
+      expect(promotion.update).toHaveBeenCalledWith({ active: false });
+      expect(result).toEqual({ id: 1, active: false });
+    });
+
+    it('Debería devolver null si la promoción no existe', async () => {
+      Promotion.findByPk.mockResolvedValue(null);
+
+      expect(await PromotionService.updatePromotion(99, { active: false })).toBeNull();
+    });
+  });
+
+  describe('getActivePromotions', () => {
+    it('Debería devolver las promociones en curso con las categorías de su alcance', async () => {
+      const now = new Date('2024-06-01');
+      Promotion.findAll.mockResolvedValue([
+        buildPromotion({ id: 1, categoryId: null }),
+        buildPromotion({ id: 2, categoryId: 3 })
+      ]);
+      CategoryService.getDescendantIds.mockResolvedValue([3, 4]);
+
+      const result = await PromotionService.getActivePromotions(now, 'mockTransaction');
+
+      expect(Promotion.findAll).toHaveBeenCalledWith({
+        where: {
+          active: true,
+          [Op.and]: [
+            { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+            { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }] }
+          ]
+        },
+        transaction: 'mockTransaction'
+      });
+      expect(CategoryService.getDescendantIds).toHaveBeenCalledWith(3);
+      expect(result).toEqual([
+        { id: 1, categoryId: null, categoryIds: null },
+        { id: 2, categoryId: 3, categoryIds: [3, 4] }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const SearchService = require('../../services/searchService');
+const Product = require('../../models/product');
+const Category = require('../../models/category');
+
+describe('SearchService', () => {
+  let laptop, laptopBag, phone;
+
+  // Inicializar la base de datos de pruebas; el índice de búsqueda se crea al sincronizar
+  beforeAll(async () => {
+    await initTestDb();
+    const category = await Category.create({ name: 'Electronics' });
+    [laptop, laptopBag, phone] = await Product.bulkCreate([
+      { name: 'Gaming Laptop', description: 'Fast and powerful', price: 1000, categoryId: category.id },
+      { name: 'Sleeve', description: 'Protective bag for a laptop', price: 50, categoryId: category.id },
+      { name: 'Phone', description: 'Smartphone with a great camera', price: 500, categoryId: category.id },
+    ]);
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  describe('searchProductIds', () => {
+    it('Debería ordenar por relevancia, priorizando coincidencias en el nombre', async () => {
+      const result = await SearchService.searchProductIds('laptop');
+
+      expect(result).toEqual([laptop.id, laptopBag.id]);
+    });
+
+    it('Debería encontrar productos por prefijo', async () => {
+      const result = await SearchService.searchProductIds('cam');
+
+      expect(result).toEqual([phone.id]);
+    });
+
+    it('Debería exigir que coincidan todas las palabras', async () => {
+      const result = await SearchService.searchProductIds('gaming camera');
+
+      expect(result).toEqual([]);
+    });
+
+    it('Debería tolerar errores de escritura cuando no hay coincidencias exactas', async () => {
+      const result = await SearchService.searchProductIds('lpatop');
+
+      expect(result).toEqual([laptop.id, laptopBag.id]);
+    });
+
+    it('Debería devolver una lista vacía si la consulta no tiene palabras', async () => {
+      const result = await SearchService.searchProductIds('  !!  ');
+
+      expect(result).toEqual([]);
+    });
+
+    it('Debería mantener el índice sincronizado con las escrituras de productos', async () => {
+      const tablet = await Product.create({ name: 'Tablet', price: 300, categoryId: laptop.categoryId });
+      expect(await SearchService.searchProductIds('tablet')).toEqual([tablet.id]);
+
+      await tablet.update({ name: 'Reader' });
+      expect(await SearchService.searchProductIds('tablet')).toEqual([]);
+      expect(await SearchService.searchProductIds('reader')).toEqual([tablet.id]);
+
+      await Product.destroy({ where: { id: tablet.id } });
+      expect(await SearchService.searchProductIds('reader')).toEqual([]);
+    });
+  });
+});
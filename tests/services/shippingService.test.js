@@ -0,0 +1,53 @@
+jest.mock('../../models/shippingMethod', () => ({
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn()
+}));
+
+const ShippingService = require('../../services/shippingService');
+const ShippingMethod = require('../../models/shippingMethod');
+
+// Método simulado con el método get de Sequelize
+const buildMethod = (values) => ({ ...values, get: () => values });
+
+describe('ShippingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getActiveMethods', () => {
+    it('Debería devolver los métodos activos como objetos planos', async () => {
+      ShippingMethod.findAll.mockResolvedValue([buildMethod({ id: 1, name: 'Express' })]);
+
+      const result = await ShippingService.getActiveMethods('mockTransaction');
+
+      expect(ShippingMethod.findAll).toHaveBeenCalledWith({
+        where: { active: true },
+        order: [['name', 'ASC']],
+        transaction: 'mockTransaction'
+      });
+      expect(result).toEqual([{ id: 1, name: 'Express' }]);
+    });
+  });
+
+  describe('getMethod', () => {
+    it('Debería devolver null si el método no existe', async () => {
+      ShippingMethod.findByPk.mockResolvedValue(null);
+
+      expect(await ShippingService.getMethod(99)).toBeNull();
+    });
+  });
+
+  describe('updateShippingMethod', () => {
+    it('Debería actualizar el método', async () => {
+      const method = { update: jest.fn().mockResolvedValue({ id: 1, active: false }) };
+      ShippingMethod.findByPk.mockResolvedValue(method);
+
+      const result = await ShippingService.updateShippingMethod(1, { active: false });
+
+      expect(method.update).toHaveBeenCalledWith({ active: false });
+      expect(result).toEqual({ id: 1, active: false });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+
+jest.mock('../../models/product', () => ({
+  findByPk: jest.fn(),
+  findAll: jest.fn()
+}));
+
+jest.mock('../../models/productVariant', () => ({}));
+
+jest.mock('../../models/stockSubscription', () => ({
+  findOrCreate: jest.fn(),
+  findAll: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../../services/notificationService', () => ({
+  notify: jest.fn(async () => true)
+}));
+
+const StockAlertService = require('../../services/stockAlertService');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const StockSubscription = require('../../models/stockSubscription');
+const NotificationService = require('../../services/notificationService');
+
+describe('StockAlertService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('subscribe', () => {
+    it('Debería suscribir el correo a un producto agotado', async () => {
+      const subscription = { id: 1, productId: 3, email: 'ana@example.com' };
+      Product.findByPk.mockResolvedValue({ id: 3, inventory: 0 });
+      StockSubscription.findOrCreate.mockResolvedValue([subscription, true]);
+
+      const result = await StockAlertService.subscribe('3', ' Ana@Example.com ');
+
+      expect(StockSubscription.findOrCreate).toHaveBeenCalledWith({
+        where: { productId: 3, email: 'ana@example.com', notifiedAt: null }
+      });
+      expect(result).toEqual(subscription);
+    });
+
+    it('Debería usar el stock de las variantes en los productos con variantes', async () => {
+      Product.findByPk.mockResolvedValue({ id: 3, inventory: 0, variants: [{ id: 7, inventory: 0 }, { id: 8, inventory: 3 }] });
+
+      await expect(StockAlertService.subscribe(3, 'ana@example.com')).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Product 3 is in stock'
+      });
+      expect(Product.findByPk).toHaveBeenCalledWith(3, {
+        include: [{ model: ProductVariant, as: 'variants', attributes: ['id', 'inventory'] }]
+      });
+
+      Product.findByPk.mockResolvedValue({ id: 3, inventory: 5, variants: [{ id: 7, inventory: 0 }] });
+      StockSubscription.findOrCreate.mockResolvedValue([{ id: 1 }, true]);
+      await expect(StockAlertService.subscribe(3, 'ana@example.com')).resolves.toEqual({ id: 1 });
+    });
+
+    it('Debería rechazar la suscripción si el producto tiene stock', async () => {
+      Product.findByPk.mockResolvedValue({ id: 3, inventory: 2 });
+
+      await expect(StockAlertService.subscribe(3, 'ana@example.com')).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Product 3 is in stock'
+      });
+      expect(StockSubscription.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar NotFoundError si el producto no existe', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      await expect(StockAlertService.subscribe(99, 'ana@example.com')).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('checkLevels', () => {
+    it('Debería avisar cuando el inventario cae por debajo del umbral de reposición', async () => {
+      Product.findAll.mockResolvedValue([{ id: 1, name: 'Laptop', inventory: 2, reorderThreshold: 3 }]);
+
+      const events = await StockAlertService.checkLevels([{ productId: 1, quantity: -2 }]);
+
+      expect(events.map(event => event.type)).toEqual(['low_stock']);
+      expect(NotificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'low_stock',
+        subject: 'Low stock: Laptop',
+        data: { productId: 1, inventory: 2, reorderThreshold: 3 }
+      }));
+    });
+
+    it('No debería avisar si el inventario ya estaba por debajo del umbral', async () => {
+      Product.findAll.mockResolvedValue([{ id: 1, name: 'Laptop', inventory: 1, reorderThreshold: 3 }]);
+
+      const events = await StockAlertService.checkLevels([{ productId: 1, quantity: -1 }]);
+
+      expect(events).toEqual([]);
+      expect(NotificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('Debería avisar a los suscriptores cuando el producto vuelve a tener stock', async () => {
+      Product.findAll.mockResolvedValue([{ id: 1, name: 'Laptop', inventory: 5, reorderThreshold: null }]);
+      StockSubscription.findAll.mockResolvedValue([
+        { id: 7, email: 'ana@example.com' },
+        { id: 8, email: 'luis@example.com' }
+      ]);
+      NotificationService.notify
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);  // Falla el envío al segundo suscriptor
+
+      await StockAlertService.checkLevels([{ productId: 1, quantity: 5 }]);
+
+      expect(NotificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'back_in_stock',
+        to: 'ana@example.com',
+        subject: 'Laptop is back in stock'
+      }));
+      // Solo se marca la suscripción notificada; la otra queda pendiente
+      expect(StockSubscription.update).toHaveBeenCalledWith(
+        { notifiedAt: expect.any(Date) },
+        { where: { id: { [Op.in]: [7] } } }
+      );
+    });
+
+    it('Debería esperar a que se confirme la transacción para avisar', async () => {
+      const callbacks = [];
+      const transaction = { afterCommit: jest.fn(callback => callbacks.push(callback)) };
+      Product.findAll.mockResolvedValue([{ id: 1, name: 'Laptop', inventory: 2, reorderThreshold: 3 }]);
+
+      await StockAlertService.checkLevels([{ productId: 1, quantity: -1 }, { productId: 1, quantity: -1 }], transaction);
+
+      expect(Product.findAll).toHaveBeenCalledWith({
+        where: { id: [1] },
+        include: [{ model: ProductVariant, as: 'variants', attributes: ['id', 'inventory'] }],
+        transaction
+      });
+      expect(NotificationService.notify).not.toHaveBeenCalled();
+
+      await callbacks[0]();
+      expect(NotificationService.notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('Debería usar la suma del stock de las variantes en los productos con variantes', async () => {
+      Product.findAll.mockResolvedValue([{
+        id: 1,
+        name: 'Camiseta',
+        inventory: 0,
+        reorderThreshold: 4,
+        variants: [{ id: 7, inventory: 2 }, { id: 8, inventory: 1 }]
+      }]);
+      StockSubscription.findAll.mockResolvedValue([]);
+
+      // Pasa de 0 a 3 unidades entre todas las variantes
+      const events = await StockAlertService.checkLevels([{ productId: 1, variantId: 7, quantity: 2 }, { productId: 1, variantId: 8, quantity: 1 }]);
+      expect(events.map(event => event.type)).toEqual(['back_in_stock']);
+
+      // Baja de 5 a 3 unidades: cruza el umbral de 4
+      NotificationService.notify.mockClear();
+      const lowStock = await StockAlertService.checkLevels([{ productId: 1, variantId: 7, quantity: -2 }]);
+      expect(lowStock.map(event => event.type)).toEqual(['low_stock']);
+      expect(NotificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+        data: { productId: 1, inventory: 3, reorderThreshold: 4 }
+      }));
+    });
+
+    it('Debería ignorar los movimientos de productos eliminados', async () => {
+      expect(await StockAlertService.checkLevels([{ productId: null, quantity: 2 }])).toEqual([]);
+      expect(Product.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
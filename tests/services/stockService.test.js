@@ -0,0 +1,257 @@
+const { Op } = require('sequelize');
+
+jest.mock('../../models/product', () => ({
+  findByPk: jest.fn(),
+  findAll: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../../models/productVariant', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  count: jest.fn(async () => 0),
+  update: jest.fn()
+}));
+
+jest.mock('../../models/stockMovement', () => ({
+  create: jest.fn(),
+  bulkCreate: jest.fn(),
+  findAll: jest.fn(),
+  findAndCountAll: jest.fn()
+}));
+
+jest.mock('../../services/stockAlertService', () => ({
+  checkLevels: jest.fn()
+}));
+
+jest.mock('../../services/webhookService', () => ({
+  emit: jest.fn()
+}));
+
+// La transacción ejecuta el callback directamente con un objeto de transacción simulado
+jest.mock('../../models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('mockTransaction')),
+    literal: jest.fn(value => value)
+  }
+}));
+
+const StockService = require('../../services/stockService');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const StockMovement = require('../../models/stockMovement');
+const StockAlertService = require('../../services/stockAlertService');
+const WebhookService = require('../../services/webhookService');
+
+describe('StockService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.findAll.mockResolvedValue([]);
+    ProductVariant.findAll.mockResolvedValue([]);
+  });
+
+  describe('adjustStock', () => {
+    beforeEach(() => {
+      Product.findByPk.mockResolvedValue({ id: 1, inventory: 5 });
+      Product.update.mockResolvedValue([1]);
+      StockMovement.create.mockImplementation(async values => ({ id: 20, ...values }));
+    });
+
+    it('Debería sumar una entrada al inventario y registrarla', async () => {
+      await StockService.adjustStock(1, { type: 'receipt', quantity: '3', reason: 'Pedido 12', actor: 'ana' });
+
+      expect(Product.update).toHaveBeenCalledWith(
+        { inventory: 'inventory + 3' },
+        { where: { id: 1 }, transaction: 'mockTransaction' }
+      );
+      expect(StockMovement.create).toHaveBeenCalledWith(
+        { productId: 1, variantId: null, type: 'receipt', quantity: 3, reason: 'Pedido 12', actor: 'ana' },
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería revisar los niveles de stock tras el ajuste', async () => {
+      const movement = { productId: 1, quantity: 3 };
+      StockMovement.create.mockResolvedValue(movement);
+
+      await StockService.adjustStock(1, { type: 'receipt', quantity: 3 });
+
+      expect(StockAlertService.checkLevels).toHaveBeenCalledWith([movement], 'mockTransaction');
+      expect(WebhookService.emit).toHaveBeenCalledWith('inventory.changed', expect.objectContaining({ productId: 1, quantity: 3 }), 'mockTransaction');
+    });
+
+    it('Debería descontar un ajuste negativo solo si hay inventario suficiente', async () => {
+      Product.update.mockResolvedValue([0]);
+
+      await expect(StockService.adjustStock(1, { type: 'adjustment', quantity: -8, reason: 'Rotura' }))
+        .rejects.toMatchObject({ name: 'ConflictError', message: 'Not enough inventory to remove 8 units of product 1' });
+
+      expect(Product.update).toHaveBeenCalledWith(
+        { inventory: 'inventory + -8' },
+        { where: { id: 1, inventory: { [Op.gte]: 8 } }, transaction: 'mockTransaction' }
+      );
+      expect(StockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it('Debería rechazar tipos y cantidades no válidos', async () => {
+      await expect(StockService.adjustStock(1, { type: 'sale', quantity: 1 }))
+        .rejects.toMatchObject({ name: 'ValidationError', message: 'type must be one of: receipt, return, adjustment' });
+      await expect(StockService.adjustStock(1, { type: 'adjustment', quantity: 0 }))
+        .rejects.toThrow('quantity must be a non-zero integer');
+      await expect(StockService.adjustStock(1, { type: 'receipt', quantity: 1.5 }))
+        .rejects.toThrow('quantity must be a non-zero integer');
+      await expect(StockService.adjustStock(1, { type: 'return', quantity: -2 }))
+        .rejects.toThrow('quantity of a return must be positive');
+      expect(Product.update).not.toHaveBeenCalled();
+    });
+
+    it('Debería lanzar NotFoundError si el producto no existe', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      await expect(StockService.adjustStock(99, { type: 'receipt', quantity: 1 }))
+        .rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    it('Debería ajustar el inventario de la variante indicada', async () => {
+      ProductVariant.findOne.mockResolvedValue({ id: 4, productId: 1, sku: 'TEE-M', inventory: 2 });
+      ProductVariant.update.mockResolvedValue([1]);
+
+      await StockService.adjustStock(1, { type: 'receipt', quantity: 5, variantId: 4, actor: 'ana' });
+
+      expect(ProductVariant.findOne).toHaveBeenCalledWith({ where: { id: 4, productId: 1 }, transaction: 'mockTransaction' });
+      expect(ProductVariant.update).toHaveBeenCalledWith(
+        { inventory: 'inventory + 5' },
+        { where: { id: 4 }, transaction: 'mockTransaction' }
+      );
+      expect(Product.update).not.toHaveBeenCalled();
+      expect(StockMovement.create).toHaveBeenCalledWith(
+        { productId: 1, variantId: 4, type: 'receipt', quantity: 5, reason: undefined, actor: 'ana' },
+        { transaction: 'mockTransaction' }
+      );
+    });
+
+    it('Debería exigir una variante existente si el producto tiene variantes', async () => {
+      ProductVariant.count.mockResolvedValueOnce(2);
+      await expect(StockService.adjustStock(1, { type: 'receipt', quantity: 5 })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Product 1 has variants; choose one with variantId'
+      });
+
+      ProductVariant.findOne.mockResolvedValue(null);
+      await expect(StockService.adjustStock(1, { type: 'receipt', quantity: 5, variantId: 99 })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Variant with id 99 does not exist'
+      });
+
+      ProductVariant.findOne.mockResolvedValue({ id: 4, productId: 1, sku: 'TEE-M', inventory: 2 });
+      ProductVariant.update.mockResolvedValue([0]);
+      await expect(StockService.adjustStock(1, { type: 'adjustment', quantity: -3, variantId: 4 })).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'Not enough inventory to remove 3 units of variant TEE-M'
+      });
+      expect(StockMovement.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('record', () => {
+    it('Debería registrar los movimientos y revisar los niveles de stock', async () => {
+      const movements = [{ productId: 1, type: 'sale', quantity: -2, orderId: 4 }];
+      StockMovement.bulkCreate.mockResolvedValue(movements);
+
+      await StockService.record(movements, 'mockTransaction');
+
+      expect(StockMovement.bulkCreate).toHaveBeenCalledWith(movements, { validate: true, transaction: 'mockTransaction' });
+      expect(StockAlertService.checkLevels).toHaveBeenCalledWith(movements, 'mockTransaction');
+    });
+
+    it('Debería emitir un evento inventory.changed con el inventario resultante', async () => {
+      StockMovement.bulkCreate.mockResolvedValue([{ id: 9, productId: 1, type: 'sale', quantity: -2, reason: 'Checkout', orderId: 4 }]);
+      Product.findAll.mockResolvedValue([{ id: 1, inventory: 3 }]);
+
+      await StockService.record([{ productId: 1, type: 'sale', quantity: -2, reason: 'Checkout', orderId: 4 }], 'mockTransaction');
+
+      expect(Product.findAll).toHaveBeenCalledWith({ where: { id: [1] }, attributes: ['id', 'inventory'], transaction: 'mockTransaction' });
+      expect(WebhookService.emit).toHaveBeenCalledWith('inventory.changed', {
+        productId: 1,
+        variantId: null,
+        movementId: 9,
+        type: 'sale',
+        quantity: -2,
+        reason: 'Checkout',
+        orderId: 4,
+        inventory: 3
+      }, 'mockTransaction');
+    });
+
+    it('Debería informar el inventario de la variante en los movimientos de variantes', async () => {
+      StockMovement.bulkCreate.mockResolvedValue([{ id: 10, productId: 1, variantId: 4, type: 'sale', quantity: -1, orderId: 4 }]);
+      ProductVariant.findAll.mockResolvedValue([{ id: 4, inventory: 6 }]);
+
+      await StockService.record([{ productId: 1, variantId: 4, type: 'sale', quantity: -1, orderId: 4 }], 'mockTransaction');
+
+      expect(Product.findAll).not.toHaveBeenCalled();
+      expect(ProductVariant.findAll).toHaveBeenCalledWith({ where: { id: [4] }, attributes: ['id', 'inventory'], transaction: 'mockTransaction' });
+      expect(WebhookService.emit).toHaveBeenCalledWith('inventory.changed', expect.objectContaining({
+        productId: 1,
+        variantId: 4,
+        inventory: 6
+      }), 'mockTransaction');
+    });
+  });
+
+  describe('getMovements', () => {
+    it('Debería devolver los movimientos más recientes primero', async () => {
+      Product.findByPk.mockResolvedValue({ id: 1 });
+      StockMovement.findAndCountAll.mockResolvedValue({ rows: [{ id: 2 }, { id: 1 }], count: 2 });
+
+      const result = await StockService.getMovements(1, { limit: '10' });
+
+      expect(StockMovement.findAndCountAll).toHaveBeenCalledWith({
+        where: { productId: 1 },
+        order: [['id', 'DESC']],
+        limit: 10,
+        offset: 0
+      });
+      expect(result).toEqual({
+        data: [{ id: 2 }, { id: 1 }],
+        page: { total: 2, limit: 10, offset: 0, nextCursor: null }
+      });
+    });
+
+    it('Debería lanzar NotFoundError si el producto no existe', async () => {
+      Product.findByPk.mockResolvedValue(null);
+
+      await expect(StockService.getMovements(99)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('checkConsistency', () => {
+    it('Debería informar los productos cuyo inventario no coincide con el historial', async () => {
+      StockMovement.findAll.mockResolvedValue([
+        { productId: 1, variantId: null, ledgerInventory: 5 },
+        { productId: 2, variantId: null, ledgerInventory: 3 },
+        { productId: 4, variantId: 7, ledgerInventory: 6 },
+        { productId: 4, variantId: 8, ledgerInventory: 2 }
+      ]);
+      Product.findAll.mockResolvedValue([
+        { id: 1, name: 'Laptop', inventory: 5 },
+        { id: 2, name: 'Mouse', inventory: 4 },
+        { id: 3, name: 'Teclado', inventory: 2 },
+        { id: 4, name: 'Camiseta', inventory: 0 }
+      ]);
+      ProductVariant.findAll.mockResolvedValue([
+        { id: 7, productId: 4, sku: 'TEE-M', inventory: 6 },
+        { id: 8, productId: 4, sku: 'TEE-L', inventory: 1 }
+      ]);
+
+      expect(await StockService.checkConsistency()).toEqual({
+        checked: 6,
+        drifted: [
+          { productId: 2, variantId: null, sku: null, name: 'Mouse', inventory: 4, ledgerInventory: 3, drift: 1 },
+          { productId: 3, variantId: null, sku: null, name: 'Teclado', inventory: 2, ledgerInventory: 0, drift: 2 },
+          { productId: 4, variantId: 8, sku: 'TEE-L', name: 'Camiseta', inventory: 1, ledgerInventory: 2, drift: -1 }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../models/taxRule', () => ({
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn()
+}));
+
+const TaxService = require('../../services/taxService');
+const TaxRule = require('../../models/taxRule');
+
+// Regla simulada con el método get de Sequelize
+const buildRule = (values) => ({ ...values, get: () => values });
+
+describe('TaxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTaxRules', () => {
+    it('Debería filtrar las reglas por país', async () => {
+      TaxRule.findAll.mockResolvedValue([]);
+
+      await TaxService.getTaxRules({ country: 'es' });
+
+      expect(TaxRule.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { country: 'ES' } }));
+    });
+  });
+
+  describe('updateTaxRule', () => {
+    it('Debería devolver null si la regla no existe', async () => {
+      TaxRule.findByPk.mockResolvedValue(null);
+
+      expect(await TaxService.updateTaxRule(99, { rate: 0.2 })).toBeNull();
+    });
+  });
+
+  describe('getApplicableRules', () => {
+    it('Debería devolver las reglas que cubren la dirección', async () => {
+      TaxRule.findAll.mockResolvedValue([
+        buildRule({ id: 1, country: 'US', region: null, postalPrefix: null }),
+        buildRule({ id: 2, country: 'US', region: 'CA', postalPrefix: null }),
+        buildRule({ id: 3, country: 'US', region: 'NY', postalPrefix: null }),
+        buildRule({ id: 4, country: 'US', region: 'CA', postalPrefix: '900' })
+      ]);
+
+      const result = await TaxService.getApplicableRules({ country: 'US', region: 'CA', postalCode: '94107' }, 'mockTransaction');
+
+      expect(TaxRule.findAll).toHaveBeenCalledWith({ where: { country: 'US' }, transaction: 'mockTransaction' });
+      expect(result.map(rule => rule.id)).toEqual([1, 2]);
+    });
+
+    it('Debería no aplicar reglas sin dirección', async () => {
+      expect(await TaxService.getApplicableRules(null)).toEqual([]);
+      expect(TaxRule.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const VariantService = require('../../services/variantService');
+const ProductService = require('../../services/productService');
+const StockService = require('../../services/stockService');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const Cart = require('../../models/cart');
+const CartItem = require('../../models/cartItem');
+const InventoryReservation = require('../../models/inventoryReservation');
+const Wishlist = require('../../models/wishlist');
+const WishlistItem = require('../../models/wishlistItem');
+const StockMovement = require('../../models/stockMovement');
+
+describe('VariantService', () => {
+  let product;
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await WishlistItem.destroy({ where: {} });
+    await Wishlist.destroy({ where: {} });
+    await InventoryReservation.destroy({ where: {} });
+    await CartItem.destroy({ where: {} });
+    await Cart.destroy({ where: {} });
+    await ProductVariant.destroy({ where: {} });
+    await Product.destroy({ where: {} });
+    product = await Product.create({ name: 'Camiseta', price: '20.00', inventory: 0 });
+  });
+
+  describe('createVariant', () => {
+    it('Debería crear variantes con SKU único y listarlas con el producto', async () => {
+      const medium = await VariantService.createVariant(product.id, { sku: ' TEE-M ', options: { size: 'M' }, inventory: 4 });
+      await VariantService.createVariant(product.id, { sku: 'TEE-L', options: { size: 'L' }, price: '22.50' });
+
+      expect(medium).toMatchObject({ productId: product.id, sku: 'TEE-M', price: null, inventory: 4 });
+      await expect(VariantService.createVariant(product.id, { sku: 'TEE-M', options: { size: 'M' } })).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'A variant with SKU TEE-M already exists'
+      });
+
+      const found = await ProductService.getProductById(product.id);
+      expect(found.variants.map(({ sku, price }) => ({ sku, price }))).toEqual([
+        { sku: 'TEE-M', price: null },
+        { sku: 'TEE-L', price: '22.50' }
+      ]);
+    });
+
+    it('Debería validar las opciones y el producto', async () => {
+      await expect(VariantService.createVariant(product.id, { sku: 'TEE-S', options: { size: ' ' } }))
+        .rejects.toThrow('option values must be non-empty strings');
+      await expect(VariantService.createVariant(999, { sku: 'TEE-S' })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Product with id 999 does not exist'
+      });
+    });
+  });
+
+  describe('updateVariant', () => {
+    it('Debería actualizar la variante del producto indicado', async () => {
+      const variant = await VariantService.createVariant(product.id, { sku: 'TEE-M', options: { size: 'M' } });
+      const other = await Product.create({ name: 'Sudadera', price: '35.00', inventory: 0 });
+
+      const updated = await VariantService.updateVariant(product.id, variant.id, { inventory: 6, price: '19.00' });
+
+      expect(updated).toMatchObject({ inventory: 6, price: '19.00', sku: 'TEE-M' });
+      await expect(VariantService.updateVariant(other.id, variant.id, { inventory: 1 })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: `Variant with id ${variant.id} does not exist`
+      });
+    });
+  });
+
+  describe('historial de stock', () => {
+    it('Debería registrar el inventario inicial y sus cambios en el historial', async () => {
+      const variant = await VariantService.createVariant(product.id, { sku: 'TEE-M', options: { size: 'M' }, inventory: 4 });
+      await VariantService.updateVariant(product.id, variant.id, { inventory: 1 });
+      await VariantService.updateVariant(product.id, variant.id, { price: '18.00' });
+      await StockService.adjustStock(product.id, { type: 'receipt', quantity: 5, variantId: variant.id, actor: 'ana@example.com' });
+
+      const movements = await StockMovement.findAll({ where: { variantId: variant.id }, order: [['id', 'ASC']] });
+      expect(movements.map(({ productId, type, quantity, reason }) => ({ productId, type, quantity, reason }))).toEqual([
+        { productId: product.id, type: 'receipt', quantity: 4, reason: 'Initial stock' },
+        { productId: product.id, type: 'adjustment', quantity: -3, reason: 'Variant update' },
+        { productId: product.id, type: 'receipt', quantity: 5, reason: null }
+      ]);
+
+      await variant.reload();
+      expect(variant.inventory).toBe(6);
+      const { drifted } = await StockService.checkConsistency();
+      expect(drifted.filter(entry => entry.variantId === variant.id)).toEqual([]);
+    });
+  });
+
+  describe('deleteVariant', () => {
+    it('Debería quitar la variante de carritos y listas y liberar sus reservas', async () => {
+      const variant = await VariantService.createVariant(product.id, { sku: 'TEE-M', options: { size: 'M' }, inventory: 3 });
+      const cart = await Cart.create({ userId: 7 });
+      await CartItem.create({ cartId: cart.id, productId: product.id, variantId: variant.id, quantity: 1 });
+      await InventoryReservation.create({
+        cartId: cart.id,
+        productId: product.id,
+        variantId: variant.id,
+        quantity: 1,
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      const wishlist = await Wishlist.create({ userId: 7, name: 'Casa' });
+      await WishlistItem.create({ wishlistId: wishlist.id, productId: product.id, variantId: variant.id });
+
+      await VariantService.deleteVariant(product.id, variant.id);
+
+      expect(await ProductVariant.findByPk(variant.id)).toBeNull();
+      expect(await CartItem.count({ where: { cartId: cart.id } })).toBe(0);
+      expect(await InventoryReservation.count({ where: { cartId: cart.id } })).toBe(0);
+      expect(await WishlistItem.count({ where: { wishlistId: wishlist.id } })).toBe(0);
+    });
+  });
+
+  describe('líneas por variante', () => {
+    it('Debería admitir una línea por variante y una sola sin variante', async () => {
+      const medium = await VariantService.createVariant(product.id, { sku: 'TEE-M', options: { size: 'M' } });
+      const large = await VariantService.createVariant(product.id, { sku: 'TEE-L', options: { size: 'L' } });
+      const cart = await Cart.create({ userId: 7 });
+      const wishlist = await Wishlist.create({ userId: 7, name: 'Casa' });
+      const reservation = variantId => InventoryReservation.create({
+        cartId: cart.id,
+        productId: product.id,
+        variantId,
+        quantity: 1,
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      const item = variantId => WishlistItem.create({ wishlistId: wishlist.id, productId: product.id, variantId });
+
+      for (const variantId of [medium.id, large.id, null]) {
+        await reservation(variantId);
+        await item(variantId);
+      }
+
+      for (const variantId of [medium.id, null]) {
+        await expect(reservation(variantId)).rejects.toMatchObject({ name: 'SequelizeUniqueConstraintError' });
+        await expect(item(variantId)).rejects.toMatchObject({ name: 'SequelizeUniqueConstraintError' });
+      }
+      expect(await InventoryReservation.count({ where: { cartId: cart.id } })).toBe(3);
+      expect(await WishlistItem.count({ where: { wishlistId: wishlist.id } })).toBe(3);
+    });
+  });
+});
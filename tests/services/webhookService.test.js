@@ -0,0 +1,155 @@
+jest.mock('../../models/webhook', () => ({
+  findAll: jest.fn()
+}));
+
+jest.mock('../../models/webhookDelivery', () => ({
+  bulkCreate: jest.fn(),
+  findAll: jest.fn(),
+  findByPk: jest.fn()
+}));
+
+const WebhookService = require('../../services/webhookService');
+const Webhook = require('../../models/webhook');
+const WebhookDelivery = require('../../models/webhookDelivery');
+const config = require('../../config');
+
+// Entrega simulada con el webhook asociado
+const buildDelivery = (overrides) => {
+  const delivery = {
+    id: 1,
+    eventId: 'evt-1',
+    eventType: 'product.created',
+    payload: { id: 'evt-1', type: 'product.created', data: { id: 3 } },
+    attempts: 0,
+    status: 'pending',
+    Webhook: { id: 2, url: 'http://erp.local/hooks', secret: 'secreto-compartido-123' },
+    ...overrides
+  };
+  delivery.update = jest.fn(async values => Object.assign(delivery, values));
+  return delivery;
+};
+
+describe('WebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn();
+    WebhookDelivery.findAll.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  describe('emit', () => {
+    it('Debería crear una entrega por cada webhook activo suscrito al evento', async () => {
+      Webhook.findAll.mockResolvedValue([
+        { id: 1, events: ['product.*'] },
+        { id: 2, events: ['cart.item_added'] }
+      ]);
+      const transaction = { afterCommit: jest.fn() };
+
+      await WebhookService.emit('product.created', { toJSON: () => ({ id: 3, name: 'Laptop' }) }, transaction);
+
+      expect(Webhook.findAll).toHaveBeenCalledWith({ where: { active: true }, transaction });
+      const [deliveries, options] = WebhookDelivery.bulkCreate.mock.calls[0];
+      expect(deliveries).toEqual([{
+        webhookId: 1,
+        eventId: expect.any(String),
+        eventType: 'product.created',
+        payload: { id: expect.any(String), type: 'product.created', createdAt: expect.any(String), data: { id: 3, name: 'Laptop' } }
+      }]);
+      expect(options).toEqual({ transaction });
+      // El envío espera a que se confirme la transacción
+      expect(transaction.afterCommit).toHaveBeenCalled();
+    });
+
+    it('No debería crear entregas si ningún webhook está suscrito', async () => {
+      Webhook.findAll.mockResolvedValue([{ id: 2, events: ['cart.*'] }]);
+
+      expect(await WebhookService.emit('product.created', { id: 3 })).toEqual([]);
+      expect(WebhookDelivery.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliver', () => {
+    it('Debería enviar el evento firmado y marcarlo como entregado', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 204, arrayBuffer: async () => new ArrayBuffer(0) });
+      const delivery = buildDelivery();
+
+      await WebhookService.deliver(delivery);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://erp.local/hooks');
+      expect(request.body).toBe(JSON.stringify(delivery.payload));
+      expect(request.headers).toMatchObject({
+        'X-Webhook-Id': 'evt-1',
+        'X-Webhook-Event': 'product.created',
+        'X-Webhook-Signature': expect.stringMatching(/^sha256=[0-9a-f]{64}$/)
+      });
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 204, lastError: null });
+    });
+
+    it('Debería reprogramar la entrega con espera exponencial si falla', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 503, arrayBuffer: async () => new ArrayBuffer(0) });
+      const delivery = buildDelivery({ attempts: 2 });
+      const before = Date.now();
+
+      await WebhookService.deliver(delivery);
+
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 3, lastStatusCode: 503, lastError: 'Receiver responded with 503' });
+      // Tercer fallo: 4 veces la espera base
+      const delayMs = delivery.nextAttemptAt.getTime() - before;
+      expect(delayMs).toBeGreaterThanOrEqual(4 * config.webhookRetryBaseSeconds * 1000);
+      expect(delayMs).toBeLessThan(4 * config.webhookRetryBaseSeconds * 1000 + 1000);
+    });
+
+    it('Debería enviar la entrega a las cartas muertas al agotar los intentos', async () => {
+      global.fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const delivery = buildDelivery({ attempts: config.webhookMaxAttempts - 1 });
+
+      await WebhookService.deliver(delivery);
+
+      expect(delivery).toMatchObject({ status: 'dead', attempts: config.webhookMaxAttempts, lastError: 'connect ECONNREFUSED' });
+    });
+  });
+
+  describe('retryDelivery', () => {
+    it('Debería volver a encolar una entrega muerta', async () => {
+      const delivery = buildDelivery({ status: 'dead', attempts: 6 });
+      WebhookDelivery.findByPk.mockResolvedValue(delivery);
+
+      await WebhookService.retryDelivery(1);
+
+      expect(delivery.update).toHaveBeenCalledWith({ status: 'pending', attempts: 0, nextAttemptAt: expect.any(Date) });
+    });
+
+    it('Debería rechazar entregas que no están muertas', async () => {
+      WebhookDelivery.findByPk.mockResolvedValue(buildDelivery({ status: 'delivered' }));
+
+      await expect(WebhookService.retryDelivery(1)).rejects.toMatchObject({ name: 'ConflictError' });
+    });
+
+    it('Debería lanzar NotFoundError si la entrega no existe', async () => {
+      WebhookDelivery.findByPk.mockResolvedValue(null);
+
+      await expect(WebhookService.retryDelivery(99)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('processDue', () => {
+    it('Debería compartir la pasada en curso entre llamadas simultáneas', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(0) });
+      WebhookDelivery.findAll
+        .mockResolvedValueOnce([buildDelivery()])
+        .mockResolvedValueOnce([]);
+
+      const first = WebhookService.processDue();
+      const second = WebhookService.processDue();
+
+      expect(second).toBe(first);
+      expect(await first).toBe(1);
+      // La segunda llamada provoca una pasada más para lo encolado mientras tanto
+      expect(WebhookDelivery.findAll).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const { initTestDb, closeTestDb } = require('../setup/testDb');
+const WishlistService = require('../../services/wishlistService');
+const Wishlist = require('../../models/wishlist');
+const WishlistItem = require('../../models/wishlistItem');
+const Cart = require('../../models/cart');
+const CartItem = require('../../models/cartItem');
+const Product = require('../../models/product');
+const ProductVariant = require('../../models/productVariant');
+const InventoryReservation = require('../../models/inventoryReservation');
+
+describe('WishlistService', () => {
+  const userId = 7;
+  let product;
+
+  beforeAll(async () => {
+    await initTestDb();
+  });
+
+  afterAll(async () => {
+    await closeTestDb();
+  });
+
+  beforeEach(async () => {
+    await WishlistItem.destroy({ where: {} });
+    await Wishlist.destroy({ where: {} });
+    await InventoryReservation.destroy({ where: {} });
+    await CartItem.destroy({ where: {} });
+    await Cart.destroy({ where: {} });
+    await ProductVariant.destroy({ where: {} });
+    await Product.destroy({ where: {} });
+    product = await Product.create({ name: 'Lámpara', price: '40.00', inventory: 3 });
+  });
+
+  describe('createWishlist', () => {
+    it('Debería crear listas con nombre único por usuario', async () => {
+      const wishlist = await WishlistService.createWishlist(userId, { name: ' Cumpleaños ' });
+      expect(wishlist).toMatchObject({ userId, name: 'Cumpleaños' });
+
+      await expect(WishlistService.createWishlist(userId, { name: 'Cumpleaños' })).rejects.toMatchObject({
+        name: 'ConflictError',
+        message: 'A wishlist named Cumpleaños already exists'
+      });
+      await expect(WishlistService.createWishlist(8, { name: 'Cumpleaños' })).resolves.toMatchObject({ userId: 8 });
+    });
+
+    it('Debería exigir un nombre', async () => {
+      await expect(WishlistService.createWishlist(userId, { name: '  ' })).rejects.toThrow('name is required');
+    });
+  });
+
+  describe('addItem', () => {
+    it('Debería sumar la cantidad si el producto ya está en la lista', async () => {
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+
+      await WishlistService.addItem(userId, wishlist.id, { productId: product.id });
+      await WishlistService.addItem(userId, wishlist.id, { productId: product.id, quantity: 2 });
+
+      const { items } = await WishlistService.getWishlist(userId, wishlist.id);
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({ productId: product.id, quantity: 3 });
+      expect(items[0].Product.name).toBe('Lámpara');
+    });
+
+    it('Debería lanzar NotFoundError para productos o listas ajenas inexistentes', async () => {
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+
+      await expect(WishlistService.addItem(userId, wishlist.id, { productId: 999 })).rejects.toThrow('Product with id 999 does not exist');
+      await expect(WishlistService.addItem(8, wishlist.id, { productId: product.id })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: `Wishlist with id ${wishlist.id} does not exist`
+      });
+    });
+  });
+
+  describe('moveToCart', () => {
+    it('Debería pasar el artículo al carrito activo del usuario y reservar el inventario', async () => {
+      const cart = await Cart.create({ userId });
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+      const item = await WishlistService.addItem(userId, wishlist.id, { productId: product.id, quantity: 2 });
+
+      const cartItem = await WishlistService.moveToCart(userId, wishlist.id, item.id);
+
+      expect(cartItem).toMatchObject({ cartId: cart.id, productId: product.id, quantity: 2 });
+      expect(await WishlistItem.findByPk(item.id)).toBeNull();
+      expect(await InventoryReservation.sum('quantity', { where: { cartId: cart.id } })).toBe(2);
+    });
+
+    it('Debería crear un carrito si el usuario no tiene ninguno activo', async () => {
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+      const item = await WishlistService.addItem(userId, wishlist.id, { productId: product.id });
+
+      const cartItem = await WishlistService.moveToCart(userId, wishlist.id, item.id);
+
+      const cart = await Cart.findByPk(cartItem.cartId);
+      expect(cart).toMatchObject({ userId, status: 'active' });
+    });
+
+    it('Debería dejar el artículo en la lista si no hay inventario suficiente', async () => {
+      const cart = await Cart.create({ userId });
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+      const item = await WishlistService.addItem(userId, wishlist.id, { productId: product.id, quantity: 5 });
+
+      await expect(WishlistService.moveToCart(userId, wishlist.id, item.id, cart.id)).rejects.toThrow('Not enough inventory available');
+
+      expect(await WishlistItem.findByPk(item.id)).not.toBeNull();
+      expect(await CartItem.count({ where: { cartId: cart.id } })).toBe(0);
+    });
+
+    it('Debería rechazar carritos ajenos o ya pagados', async () => {
+      const otherCart = await Cart.create({ userId: 8 });
+      const paidCart = await Cart.create({ userId, status: 'checked_out' });
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+      const item = await WishlistService.addItem(userId, wishlist.id, { productId: product.id });
+
+      await expect(WishlistService.moveToCart(userId, wishlist.id, item.id, otherCart.id)).rejects.toMatchObject({ name: 'NotFoundError' });
+      await expect(WishlistService.moveToCart(userId, wishlist.id, item.id, paidCart.id)).rejects.toThrow('Items can only be moved into an active cart');
+    });
+    it('Debería mover al carrito la variante guardada', async () => {
+      const variant = await ProductVariant.create({ productId: product.id, sku: 'LAMP-BLUE', options: { colour: 'Blue' }, inventory: 2 });
+      const cart = await Cart.create({ userId });
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Casa' });
+      const item = await WishlistService.addItem(userId, wishlist.id, { productId: product.id, variantId: variant.id });
+
+      const cartItem = await WishlistService.moveToCart(userId, wishlist.id, item.id, cart.id);
+
+      expect(cartItem).toMatchObject({ productId: product.id, variantId: variant.id, quantity: 1 });
+      await expect(WishlistService.addItem(userId, wishlist.id, { productId: product.id, variantId: 999 }))
+        .rejects.toThrow('Variant with id 999 does not exist');
+    });
+  });
+
+  describe('saveForLater', () => {
+    it('Debería sacar el artículo del carrito, liberar su reserva y guardarlo en "Saved for later"', async () => {
+      const cart = await Cart.create({ userId });
+      await InventoryReservation.create({ cartId: cart.id, productId: product.id, quantity: 2, expiresAt: new Date(Date.now() + 60000) });
+      const cartItem = await CartItem.create({ cartId: cart.id, productId: product.id, quantity: 2 });
+
+      const item = await WishlistService.saveForLater(userId, cart.id, cartItem.id);
+
+      expect(item).toMatchObject({ productId: product.id, quantity: 2 });
+      const wishlist = await Wishlist.findByPk(item.wishlistId);
+      expect(wishlist).toMatchObject({ userId, name: 'Saved for later' });
+      expect(await CartItem.findByPk(cartItem.id)).toBeNull();
+      expect(await InventoryReservation.count({ where: { cartId: cart.id } })).toBe(0);
+    });
+
+    it('Debería guardar en la lista indicada', async () => {
+      const cart = await Cart.create({ userId });
+      const cartItem = await CartItem.create({ cartId: cart.id, productId: product.id, quantity: 1 });
+      const wishlist = await WishlistService.createWishlist(userId, { name: 'Regalos' });
+
+      const item = await WishlistService.saveForLater(userId, cart.id, cartItem.id, wishlist.id);
+
+      expect(item.wishlistId).toBe(wishlist.id);
+    });
+
+    it('Debería lanzar NotFoundError si el artículo no está en el carrito', async () => {
+      const cart = await Cart.create({ userId });
+      const otherCart = await Cart.create({ userId: 8 });
+      const cartItem = await CartItem.create({ cartId: otherCart.id, productId: product.id, quantity: 1 });
+
+      await expect(WishlistService.saveForLater(userId, cart.id, cartItem.id)).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Item not found'
+      });
+      expect(await CartItem.findByPk(cartItem.id)).not.toBeNull();
+    });
+
+    it('Debería rechazar artículos de carritos ya pagados sin tocar las listas', async () => {
+      const cart = await Cart.create({ userId, status: 'checked_out' });
+      const cartItem = await CartItem.create({ cartId: cart.id, productId: product.id, quantity: 2 });
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await expect(WishlistService.saveForLater(userId, cart.id, cartItem.id)).rejects.toThrow('Cart has already been checked out');
+      }
+      expect(await WishlistItem.count()).toBe(0);
+      expect(await CartItem.findByPk(cartItem.id)).not.toBeNull();
+    });
+
+    it('Debería dejar el artículo en el carrito si la lista no existe', async () => {
+      const cart = await Cart.create({ userId });
+      await InventoryReservation.create({ cartId: cart.id, productId: product.id, quantity: 1, expiresAt: new Date(Date.now() + 60000) });
+      const cartItem = await CartItem.create({ cartId: cart.id, productId: product.id, quantity: 1 });
+
+      await expect(WishlistService.saveForLater(userId, cart.id, cartItem.id, 999)).rejects.toThrow('Wishlist with id 999 does not exist');
+      expect(await CartItem.findByPk(cartItem.id)).not.toBeNull();
+      expect(await InventoryReservation.count({ where: { cartId: cart.id } })).toBe(1);
+    });
+  });
+});
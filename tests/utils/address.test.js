@@ -0,0 +1,16 @@
+const { normalizeAddress, validateAddress } = require('../../utils/address');
+
+describe('address', () => {
+  it('Debería normalizar los campos de la dirección', () => {
+    expect(normalizeAddress({ city: ' Madrid ', region: 'md', country: 'es', line2: '' }))
+      .toEqual({ city: 'Madrid', region: 'MD', country: 'ES' });
+  });
+
+  it('Debería rechazar direcciones no válidas', () => {
+    expect(() => validateAddress('Calle Mayor 1')).toThrow('Address must be an object');
+    expect(() => validateAddress({ country: 'ES', street: 'Mayor' })).toThrow('Unknown address fields: street');
+    expect(() => validateAddress({ country: 'ES', postalCode: 28013 })).toThrow('Address fields must be strings: postalCode');
+    expect(() => validateAddress({ country: 'ESP' })).toThrow('Address country must be a two-letter ISO 3166 code');
+    expect(() => validateAddress({ country: 'ES', city: 'Madrid' })).not.toThrow();
+  });
+});
@@ -0,0 +1,50 @@
+const { hashPassword, verifyPassword, signToken, verifyToken } = require('../../utils/auth');
+
+describe('auth', () => {
+  describe('hashPassword / verifyPassword', () => {
+    it('Debería verificar la contraseña con la que se generó el hash', async () => {
+      const hash = await hashPassword('contraseña-segura');
+
+      expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+      expect(await verifyPassword('contraseña-segura', hash)).toBe(true);
+      expect(await verifyPassword('otra-contraseña', hash)).toBe(false);
+    });
+
+    it('Debería usar una sal distinta en cada hash', async () => {
+      expect(await hashPassword('contraseña-segura')).not.toBe(await hashPassword('contraseña-segura'));
+    });
+
+    it('Debería rechazar hashes con formato desconocido', async () => {
+      expect(await verifyPassword('contraseña-segura', 'contraseña-segura')).toBe(false);
+      expect(await verifyPassword('contraseña-segura', null)).toBe(false);
+    });
+  });
+
+  describe('signToken / verifyToken', () => {
+    const now = Date.UTC(2024, 4, 1);
+
+    it('Debería devolver las afirmaciones de un token válido', () => {
+      const token = signToken({ sub: 7, type: 'access' }, 'clave', 60, now);
+
+      expect(verifyToken(token, 'clave', now)).toEqual({ sub: 7, type: 'access', iat: now / 1000, exp: now / 1000 + 60 });
+    });
+
+    it('Debería rechazar tokens caducados', () => {
+      const token = signToken({ sub: 7 }, 'clave', 60, now);
+
+      expect(verifyToken(token, 'clave', now + 59 * 1000)).not.toBeNull();
+      expect(verifyToken(token, 'clave', now + 60 * 1000)).toBeNull();
+    });
+
+    it('Debería rechazar tokens firmados con otra clave o modificados', () => {
+      const token = signToken({ sub: 7 }, 'clave', 60, now);
+      const [header, , signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 8, exp: now / 1000 + 60 })).toString('base64url');
+
+      expect(verifyToken(token, 'otra-clave', now)).toBeNull();
+      expect(verifyToken(`${header}.${forged}.${signature}`, 'clave', now)).toBeNull();
+      expect(verifyToken('no-es-un-token', 'clave', now)).toBeNull();
+      expect(verifyToken(undefined, 'clave', now)).toBeNull();
+    });
+  });
+});
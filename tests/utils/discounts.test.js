@@ -0,0 +1,112 @@
+const { allocate, couponRejection, calculateDiscounts } = require('../../utils/discounts');
+
+// Cupón activo sin restricciones; cada prueba sobrescribe lo que necesita
+const buildCoupon = (overrides) => ({
+  id: 1,
+  code: 'SAVE',
+  type: 'percentage',
+  rate: 0.1,
+  active: true,
+  usageCount: 0,
+  usageLimit: null,
+  minSubtotalMinor: null,
+  startsAt: null,
+  expiresAt: null,
+  categoryIds: null,
+  ...overrides
+});
+
+describe('discounts', () => {
+  describe('allocate', () => {
+    it('Debería repartir un importe de forma proporcional sin perder unidades', () => {
+      expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(allocate(1000, [3000, 1000])).toEqual([750, 250]);
+      expect(allocate(5, [0, 10])).toEqual([0, 5]);
+      expect(allocate(5, [0, 0])).toEqual([0, 0]);
+    });
+  });
+
+  describe('couponRejection', () => {
+    const context = { subtotalMinor: 5000, eligibleMinor: 5000, convert: minor => minor, now: new Date('2024-06-01') };
+
+    it('Debería aceptar un cupón válido', () => {
+      expect(couponRejection(buildCoupon(), context)).toBeNull();
+    });
+
+    it('Debería indicar el motivo del rechazo', () => {
+      expect(couponRejection(buildCoupon({ active: false }), context)).toBe('inactive');
+      expect(couponRejection(buildCoupon({ startsAt: '2024-07-01' }), context)).toBe('not_started');
+      expect(couponRejection(buildCoupon({ expiresAt: '2024-05-31' }), context)).toBe('expired');
+      expect(couponRejection(buildCoupon({ usageLimit: 3, usageCount: 3 }), context)).toBe('usage_limit_reached');
+      expect(couponRejection(buildCoupon({ minSubtotalMinor: 10000 }), context)).toBe('min_subtotal_not_met');
+      expect(couponRejection(buildCoupon(), { ...context, eligibleMinor: 0 })).toBe('not_applicable');
+    });
+  });
+
+  describe('calculateDiscounts', () => {
+    const lines = [
+      { categoryId: 1, itemSubtotalMinor: 10000 },
+      { categoryId: 2, itemSubtotalMinor: 4000 }
+    ];
+
+    it('Debería aplicar un porcentaje sobre todas las líneas', () => {
+      const result = calculateDiscounts([buildCoupon()], lines);
+
+      expect(result.lineDiscounts).toEqual([1000, 400]);
+      expect(result.discountMinor).toBe(1400);
+      expect(result.coupons[0]).toMatchObject({ discountMinor: 1400, reason: null });
+    });
+
+    it('Debería limitar un cupón a las categorías de su alcance', () => {
+      const result = calculateDiscounts([buildCoupon({ type: 'fixed', amountMinor: 500, categoryIds: [1, 3] })], lines);
+
+      expect(result.lineDiscounts).toEqual([500, 0]);
+    });
+
+    it('Debería acumular cupones sin dejar líneas por debajo de cero', () => {
+      const coupons = [
+        buildCoupon({ id: 1, rate: 0.5 }),
+        buildCoupon({ id: 2, code: 'BIG', type: 'fixed', amountMinor: 100000 })
+      ];
+
+      const result = calculateDiscounts(coupons, lines);
+
+      expect(result.coupons.map(coupon => coupon.discountMinor)).toEqual([7000, 7000]);
+      expect(result.lineDiscounts).toEqual([10000, 4000]);
+    });
+
+    it('Debería convertir los importes fijos a la moneda del carrito', () => {
+      const coupon = buildCoupon({ type: 'fixed', amountMinor: 1000, minSubtotalMinor: 20000 });
+
+      const result = calculateDiscounts([coupon], lines, { convert: minor => minor * 2, currency: 'EUR' });
+
+      expect(result.coupons[0]).toMatchObject({
+        discountMinor: 0,
+        reason: 'min_subtotal_not_met',
+        message: 'Coupon SAVE requires a subtotal of at least 400.00 EUR'
+      });
+
+      const withoutMinimum = calculateDiscounts([{ ...coupon, minSubtotalMinor: null }], lines, { convert: minor => minor * 2 });
+      expect(withoutMinimum.discountMinor).toBe(2000);
+    });
+
+    it('Debería marcar el envío gratuito sin descontar importes', () => {
+      const result = calculateDiscounts([buildCoupon({ type: 'free_shipping', rate: null })], lines);
+
+      expect(result.freeShipping).toBe(true);
+      expect(result.discountMinor).toBe(0);
+    });
+
+    it('Debería explicar por qué no se aplica un cupón caducado', () => {
+      const coupon = buildCoupon({ expiresAt: '2024-05-31T00:00:00.000Z' });
+
+      const result = calculateDiscounts([coupon], lines, { now: new Date('2024-06-01') });
+
+      expect(result.discountMinor).toBe(0);
+      expect(result.coupons[0]).toMatchObject({
+        reason: 'expired',
+        message: 'Coupon SAVE expired on 2024-05-31T00:00:00.000Z'
+      });
+    });
+  });
+});
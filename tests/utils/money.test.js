@@ -0,0 +1,62 @@
+const { toMinor, fromMinor, multiply, divide } = require('../../utils/money');
+
+describe('money', () => {
+  describe('toMinor', () => {
+    it('Debería convertir importes decimales a unidades menores sin errores de coma flotante', () => {
+      expect(toMinor('19.99')).toBe(1999);
+      expect(toMinor(21.99)).toBe(2199);
+      expect(toMinor(10)).toBe(1000);
+      expect(toMinor('0.5')).toBe(50);
+      expect(toMinor('1500', 'JPY')).toBe(1500);
+    });
+
+    it('Debería rechazar importes con más decimales de los que admite la moneda', () => {
+      expect(() => toMinor('19.999')).toThrow('Amount 19.999 has more than 2 decimal places for USD');
+      expect(() => toMinor('10.5', 'JPY')).toThrow('Amount 10.5 has more than 0 decimal places for JPY');
+    });
+
+    it('Debería rechazar importes y monedas no válidos', () => {
+      expect(() => toMinor('abc')).toThrow('Invalid amount: abc');
+      expect(() => toMinor('10', 'XYZ')).toThrow('Unsupported currency: XYZ');
+    });
+  });
+
+  describe('fromMinor', () => {
+    it('Debería formatear unidades menores con la precisión de la moneda', () => {
+      expect(fromMinor(1999)).toBe('19.99');
+      expect(fromMinor(5)).toBe('0.05');
+      expect(fromMinor(-150)).toBe('-1.50');
+      expect(fromMinor(1500, 'JPY')).toBe('1500');
+    });
+  });
+
+  describe('multiply', () => {
+    it('Debería aplicar una tasa y redondear a unidades menores', () => {
+      expect(multiply(2000, 0.07)).toBe(140);
+      expect(multiply(2199, 0.075)).toBe(165);  // 164.925
+    });
+
+    it('Debería respetar el modo de redondeo indicado', () => {
+      expect(multiply(25, 0.5, 'HALF_UP')).toBe(13);
+      expect(multiply(25, 0.5, 'HALF_DOWN')).toBe(12);
+      expect(multiply(25, 0.5, 'HALF_EVEN')).toBe(12);
+      expect(multiply(35, 0.5, 'HALF_EVEN')).toBe(18);
+      expect(multiply(21, 0.5, 'UP')).toBe(11);
+      expect(multiply(29, 0.5, 'DOWN')).toBe(14);
+    });
+  });
+
+  describe('divide', () => {
+    it('Debería redondear hacia el infinito positivo o negativo según el modo', () => {
+      expect(divide(-7n, 2n, 'CEILING')).toBe(-3n);
+      expect(divide(-7n, 2n, 'FLOOR')).toBe(-4n);
+      expect(divide(-7n, 2n, 'HALF_UP')).toBe(-4n);
+      expect(divide(7n, 2n, 'CEILING')).toBe(4n);
+      expect(divide(7n, 2n, 'FLOOR')).toBe(3n);
+    });
+
+    it('Debería rechazar modos de redondeo desconocidos', () => {
+      expect(() => divide(1n, 2n, 'SIDEWAYS')).toThrow('Unknown rounding mode: SIDEWAYS');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { Op } = require('sequelize');
+const {
+  parseLimit,
+  parseOffset,
+  encodeCursor,
+  decodeCursor,
+  cursorWhere,
+  buildLinkHeader
+} = require('../../utils/pagination');
+
+describe('pagination', () => {
+  describe('parseLimit', () => {
+    it('Debería usar el tamaño de página predeterminado si no se indica', () => {
+      expect(parseLimit(undefined)).toBe(20);
+      expect(parseLimit('')).toBe(20);
+    });
+
+    it('Debería limitar el tamaño de página al máximo permitido', () => {
+      expect(parseLimit('10')).toBe(10);
+      expect(parseLimit('5000')).toBe(100);
+    });
+
+    it('Debería rechazar valores no válidos', () => {
+      expect(() => parseLimit('0')).toThrow('Invalid limit: 0');
+      expect(() => parseLimit('abc')).toThrow('Invalid limit: abc');
+    });
+  });
+
+  describe('parseOffset', () => {
+    it('Debería devolver 0 si no se indica', () => {
+      expect(parseOffset(undefined)).toBe(0);
+    });
+
+    it('Debería rechazar desplazamientos negativos', () => {
+      expect(() => parseOffset('-1')).toThrow('Invalid offset: -1');
+    });
+  });
+
+  describe('cursores', () => {
+    it('Debería codificar y decodificar los valores de las claves de orden', () => {
+      const createdAt = new Date('2024-03-20T10:00:00Z');
+      const cursor = encodeCursor([createdAt, 7]);
+
+      expect(decodeCursor(cursor, 2)).toEqual([createdAt, 7]);
+    });
+
+    it('Debería rechazar un cursor mal formado', () => {
+      expect(() => decodeCursor('no-es-un-cursor', 2)).toThrow('Invalid cursor');
+    });
+
+    it('Debería rechazar un cursor de otro ordenamiento', () => {
+      const cursor = encodeCursor([7]);
+
+      expect(() => decodeCursor(cursor, 2)).toThrow('Invalid cursor');
+    });
+
+    it('Debería seleccionar las filas posteriores al cursor', () => {
+      const where = cursorWhere([['price', 'DESC'], ['id', 'DESC']], [10, 4]);
+
+      expect(where).toEqual({
+        [Op.or]: [
+          { price: { [Op.lt]: 10 } },
+          { price: 10, id: { [Op.lt]: 4 } }
+        ]
+      });
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    // Solicitud simulada de Express
+    const req = {
+      protocol: 'http',
+      get: () => 'localhost:3000',
+      baseUrl: '/products',
+      path: '/',
+      query: { sort: 'price,DESC', limit: '10', offset: '10' }
+    };
+
+    it('Debería incluir los enlaces first, prev, next y last', () => {
+      const header = buildLinkHeader(req, { total: 35, limit: 10, offset: 10, nextCursor: 'abc' });
+
+      expect(header.split(', ')).toEqual([
+        '<http://localhost:3000/products?sort=price%2CDESC&limit=10&offset=0>; rel="first"',
+        '<http://localhost:3000/products?sort=price%2CDESC&limit=10&offset=0>; rel="prev"',
+        '<http://localhost:3000/products?sort=price%2CDESC&limit=10&cursor=abc>; rel="next"',
+        '<http://localhost:3000/products?sort=price%2CDESC&limit=10&offset=30>; rel="last"'
+      ]);
+    });
+
+    it('Debería usar el desplazamiento para next si no hay cursor', () => {
+      const header = buildLinkHeader(req, { total: 35, limit: 10, offset: 10, nextCursor: null });
+
+      expect(header).toContain('<http://localhost:3000/products?sort=price%2CDESC&limit=10&offset=20>; rel="next"');
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const { can } = require('../../utils/permissions');
+
+describe('permissions', () => {
+  describe('can', () => {
+    it('Debería conceder a cada rol solo sus permisos', () => {
+      expect(can({ role: 'customer' }, 'catalog:manage')).toBe(false);
+      expect(can({ role: 'catalog_manager' }, 'catalog:manage')).toBe(true);
+      expect(can({ role: 'catalog_manager' }, 'inventory:manage')).toBe(true);
+      expect(can({ role: 'catalog_manager' }, 'store:manage')).toBe(false);
+      expect(can({ role: 'admin' }, 'store:manage')).toBe(true);
+      expect(can({ role: 'admin' }, 'users:manage')).toBe(true);
+      expect(can({ role: 'marketing' }, 'reports:view')).toBe(true);
+      expect(can({ role: 'marketing' }, 'catalog:manage')).toBe(false);
+      expect(can({ role: 'admin' }, 'reports:view')).toBe(true);
+    });
+
+    it('Debería negar todo a usuarios sin rol conocido', () => {
+      expect(can(null, 'catalog:manage')).toBe(false);
+      expect(can({ role: 'superuser' }, 'catalog:manage')).toBe(false);
+    });
+  });
+});
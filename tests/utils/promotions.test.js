@@ -0,0 +1,111 @@
+const { applyPromotions } = require('../../utils/promotions');
+
+// Promoción de alcance general; cada prueba sobrescribe lo que necesita
+const buildPromotion = (overrides) => ({
+  id: 1,
+  name: 'Promo',
+  type: 'quantity_tier',
+  priority: 0,
+  stackable: false,
+  rate: null,
+  amountMinor: null,
+  minSubtotalMinor: null,
+  productId: null,
+  categoryIds: null,
+  ...overrides
+});
+
+const line = (productId, categoryId, quantity, unitPriceMinor) =>
+  ({ productId, categoryId, quantity, unitPriceMinor, itemSubtotalMinor: quantity * unitPriceMinor });
+
+describe('promotions', () => {
+  describe('applyPromotions', () => {
+    it('Debería regalar una unidad de cada grupo en las promociones 2x1', () => {
+      const promotion = buildPromotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, productId: 1 });
+
+      const result = applyPromotions([promotion], [line(1, 1, 7, 1000), line(2, 1, 3, 1000)]);
+
+      // 7 unidades forman 2 grupos de 3
+      expect(result.lineSavings).toEqual([2000, 0]);
+      expect(result.applied[0]).toEqual([{ promotion, savingsMinor: 2000 }]);
+      expect(result.savingsMinor).toBe(2000);
+    });
+
+    it('Debería aplicar el tramo más alto alcanzado por cantidad', () => {
+      const promotion = buildPromotion({ tiers: [{ minQuantity: 5, rate: 0.1 }, { minQuantity: 10, rate: 0.2 }] });
+
+      const result = applyPromotions([promotion], [line(1, 1, 4, 1000), line(2, 1, 5, 1000), line(3, 1, 12, 1000)]);
+
+      expect(result.lineSavings).toEqual([0, 500, 2400]);
+    });
+
+    it('Debería aplicar un umbral de gasto solo sobre la categoría de su alcance', () => {
+      const promotion = buildPromotion({ type: 'spend_threshold', minSubtotalMinor: 5000, amountMinor: 1000, categoryIds: [1] });
+
+      expect(applyPromotions([promotion], [line(1, 1, 3, 1000), line(2, 1, 1, 3000), line(3, 2, 1, 9000)]).lineSavings)
+        .toEqual([500, 500, 0]);
+      expect(applyPromotions([promotion], [line(1, 1, 3, 1000), line(3, 2, 1, 9000)]).lineSavings)
+        .toEqual([0, 0]);
+    });
+
+    it('Debería convertir los importes del umbral a la moneda del carrito', () => {
+      const promotion = buildPromotion({ type: 'spend_threshold', minSubtotalMinor: 5000, rate: 0.1 });
+      const convert = minor => minor * 2;
+
+      expect(applyPromotions([promotion], [line(1, 1, 1, 9000)], { convert }).lineSavings).toEqual([0]);
+      expect(applyPromotions([promotion], [line(1, 1, 1, 10000)], { convert }).lineSavings).toEqual([1000]);
+    });
+
+    describe('política priority', () => {
+      it('Debería aplicar solo la promoción de mayor prioridad si no son acumulables', () => {
+        const high = buildPromotion({ id: 2, priority: 10, tiers: [{ minQuantity: 1, rate: 0.1 }] });
+        const low = buildPromotion({ id: 1, priority: 0, tiers: [{ minQuantity: 1, rate: 0.5 }] });
+
+        const result = applyPromotions([low, high], [line(1, 1, 1, 1000)]);
+
+        expect(result.applied[0]).toEqual([{ promotion: high, savingsMinor: 100 }]);
+      });
+
+      it('Debería acumular promociones acumulables sobre lo que dejan las anteriores', () => {
+        const first = buildPromotion({ id: 1, priority: 10, stackable: true, tiers: [{ minQuantity: 1, rate: 0.5 }] });
+        const second = buildPromotion({ id: 2, priority: 5, stackable: true, tiers: [{ minQuantity: 1, rate: 0.5 }] });
+
+        const result = applyPromotions([first, second], [line(1, 1, 1, 1000)]);
+
+        expect(result.applied[0].map(({ savingsMinor }) => savingsMinor)).toEqual([500, 250]);
+        expect(result.lineSavings).toEqual([750]);
+      });
+
+      it('Debería bloquear las promociones posteriores tras una no acumulable', () => {
+        const exclusive = buildPromotion({ id: 1, priority: 10, tiers: [{ minQuantity: 1, rate: 0.1 }] });
+        const stackable = buildPromotion({ id: 2, priority: 5, stackable: true, tiers: [{ minQuantity: 1, rate: 0.1 }] });
+
+        const result = applyPromotions([exclusive, stackable], [line(1, 1, 1, 1000)]);
+
+        expect(result.applied[0]).toEqual([{ promotion: exclusive, savingsMinor: 100 }]);
+      });
+
+      it('Debería no aplicar una no acumulable a elementos que ya tienen promoción', () => {
+        const stackable = buildPromotion({ id: 1, priority: 10, stackable: true, tiers: [{ minQuantity: 1, rate: 0.1 }] });
+        const exclusive = buildPromotion({ id: 2, priority: 5, tiers: [{ minQuantity: 1, rate: 0.5 }], productId: null });
+
+        const result = applyPromotions([stackable, exclusive], [line(1, 1, 1, 1000)]);
+
+        expect(result.applied[0]).toEqual([{ promotion: stackable, savingsMinor: 100 }]);
+      });
+    });
+
+    it('Debería quedarse con la promoción que más ahorra con la política best', () => {
+      const high = buildPromotion({ id: 1, priority: 10, tiers: [{ minQuantity: 1, rate: 0.1 }] });
+      const bigger = buildPromotion({ id: 2, priority: 0, tiers: [{ minQuantity: 1, rate: 0.3 }] });
+
+      const result = applyPromotions([high, bigger], [line(1, 1, 1, 1000)], { policy: 'best' });
+
+      expect(result.applied[0]).toEqual([{ promotion: bigger, savingsMinor: 300 }]);
+    });
+
+    it('Debería lanzar un error con una política desconocida', () => {
+      expect(() => applyPromotions([], [], { policy: 'all' })).toThrow('Unknown promotion policy: all');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { measureItems, billableWeight, quoteShipping } = require('../../utils/shipping');
+
+// Método activo sin restricciones; cada prueba sobrescribe lo que necesita
+const buildMethod = (overrides) => ({
+  id: 1,
+  name: 'Standard',
+  type: 'flat',
+  amountMinor: 500,
+  tiers: null,
+  freeAboveMinor: null,
+  volumetricDivisor: null,
+  countries: null,
+  active: true,
+  ...overrides
+});
+
+const context = (overrides) => ({
+  measures: { weightGrams: 1500, volumeMm3: 0 },
+  address: { country: 'US' },
+  subtotalMinor: 3000,
+  ...overrides
+});
+
+describe('shipping', () => {
+  describe('measureItems', () => {
+    it('Debería sumar el peso y el volumen de los elementos', () => {
+      const items = [
+        { quantity: 2, Product: { weightGrams: 500, lengthMm: 100, widthMm: 100, heightMm: 100 } },
+        { quantity: 1, Product: { weightGrams: null } }
+      ];
+
+      expect(measureItems(items)).toEqual({ weightGrams: 1000, volumeMm3: 2000000 });
+    });
+  });
+
+  describe('billableWeight', () => {
+    it('Debería cobrar el peso volumétrico si es mayor que el real', () => {
+      const measures = { weightGrams: 1000, volumeMm3: 30000000 };
+
+      expect(billableWeight(measures, buildMethod())).toBe(1000);
+      // 30000 cm³ / 5000 = 6 kg
+      expect(billableWeight(measures, buildMethod({ volumetricDivisor: 5000 }))).toBe(6000);
+    });
+  });
+
+  describe('quoteShipping', () => {
+    it('Debería cotizar una tarifa plana', () => {
+      expect(quoteShipping(buildMethod(), context())).toEqual({ amountMinor: 500, weightGrams: 1500, reason: null, free: false });
+    });
+
+    it('Debería usar el tramo de peso más ligero en el que cabe el carrito', () => {
+      const method = buildMethod({
+        type: 'weight',
+        tiers: [{ maxWeightGrams: 5000, amountMinor: 900 }, { maxWeightGrams: 1000, amountMinor: 400 }, { maxWeightGrams: 2000, amountMinor: 600 }]
+      });
+
+      expect(quoteShipping(method, context()).amountMinor).toBe(600);
+      expect(quoteShipping(method, context({ measures: { weightGrams: 6000, volumeMm3: 0 } })).reason).toBe('too_heavy');
+    });
+
+    it('Debería ser gratis a partir del umbral o con un cupón de envío gratis', () => {
+      const method = buildMethod({ freeAboveMinor: 5000 });
+
+      expect(quoteShipping(method, context({ subtotalMinor: 4999 }))).toMatchObject({ amountMinor: 500, free: false });
+      expect(quoteShipping(method, context({ subtotalMinor: 5000 }))).toMatchObject({ amountMinor: 0, free: true });
+      expect(quoteShipping(buildMethod(), context({ freeShipping: true }))).toMatchObject({ amountMinor: 0, free: true });
+    });
+
+    it('Debería convertir los importes a la moneda del carrito', () => {
+      const method = buildMethod({ freeAboveMinor: 5000 });
+      const convert = minor => minor * 2;
+
+      expect(quoteShipping(method, context({ subtotalMinor: 9000, convert })).amountMinor).toBe(1000);
+      expect(quoteShipping(method, context({ subtotalMinor: 10000, convert })).amountMinor).toBe(0);
+    });
+
+    it('Debería indicar por qué no se puede usar el método', () => {
+      expect(quoteShipping(buildMethod({ active: false }), context()).reason).toBe('inactive');
+      expect(quoteShipping(buildMethod({ countries: ['US'] }), context({ address: null })).reason).toBe('address_required');
+      expect(quoteShipping(buildMethod({ countries: ['CA', 'MX'] }), context()).reason).toBe('country_not_served');
+      expect(quoteShipping(buildMethod({ countries: ['US'] }), context()).reason).toBeNull();
+    });
+  });
+});
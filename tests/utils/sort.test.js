@@ -0,0 +1,41 @@
+const { parseSort } = require('../../utils/sort');
+
+describe('parseSort', () => {
+  const allowedFields = ['name', 'price', 'createdAt'];
+
+  it('Debería interpretar varias claves con su dirección', () => {
+    expect(parseSort('price:desc,name:asc', allowedFields)).toEqual([
+      { field: 'price', direction: 'DESC' },
+      { field: 'name', direction: 'ASC' }
+    ]);
+  });
+
+  it('Debería usar ASC si no se indica la dirección', () => {
+    expect(parseSort('name', allowedFields)).toEqual([{ field: 'name', direction: 'ASC' }]);
+  });
+
+  it('Debería aceptar el formato anterior "campo,DIRECCIÓN"', () => {
+    expect(parseSort('price,DESC', allowedFields)).toEqual([{ field: 'price', direction: 'DESC' }]);
+    expect(parseSort('price,name,desc', allowedFields)).toEqual([
+      { field: 'price', direction: 'ASC' },
+      { field: 'name', direction: 'DESC' }
+    ]);
+  });
+
+  it('Debería rechazar campos que no están permitidos', () => {
+    expect(() => parseSort('inventory:asc', allowedFields))
+      .toThrow('Invalid sort field: inventory. Allowed fields: name, price, createdAt');
+  });
+
+  it('Debería rechazar direcciones no válidas', () => {
+    expect(() => parseSort('price:sideways', allowedFields)).toThrow('Invalid sort direction: sideways');
+  });
+
+  it('Debería rechazar claves repetidas', () => {
+    expect(() => parseSort('price:asc,price:desc', allowedFields)).toThrow('Duplicate sort field: price');
+  });
+
+  it('Debería lanzar ValidationError para que la ruta responda 400', () => {
+    expect(() => parseSort('foo,SIDEWAYS', allowedFields)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
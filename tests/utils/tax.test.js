@@ -0,0 +1,71 @@
+const { ruleApplies, calculateTax, summarizeTax } = require('../../utils/tax');
+
+const rule = (overrides) => ({
+  id: 1,
+  name: 'Tax',
+  taxClass: 'standard',
+  country: 'US',
+  region: null,
+  postalPrefix: null,
+  rate: 0.1,
+  ...overrides
+});
+
+describe('tax', () => {
+  describe('ruleApplies', () => {
+    const address = { country: 'US', region: 'CA', postalCode: '94107-1234' };
+
+    it('Debería cubrir el país, la región y el prefijo postal de la dirección', () => {
+      expect(ruleApplies(rule(), address)).toBe(true);
+      expect(ruleApplies(rule({ region: 'CA' }), address)).toBe(true);
+      expect(ruleApplies(rule({ region: 'CA', postalPrefix: '941071' }), address)).toBe(true);
+    });
+
+    it('Debería no cubrir otras jurisdicciones', () => {
+      expect(ruleApplies(rule({ country: 'CA' }), address)).toBe(false);
+      expect(ruleApplies(rule({ region: 'NY' }), address)).toBe(false);
+      expect(ruleApplies(rule({ postalPrefix: '100' }), address)).toBe(false);
+      expect(ruleApplies(rule({ postalPrefix: '941' }), { country: 'US' })).toBe(false);
+      expect(ruleApplies(rule(), null)).toBe(false);
+    });
+  });
+
+  describe('calculateTax', () => {
+    it('Debería sumar los impuestos de todas las reglas de la clase del producto', () => {
+      const rules = [rule({ id: 1, rate: 0.0725 }), rule({ id: 2, rate: 0.01 }), rule({ id: 3, taxClass: 'food', rate: 0 })];
+
+      const result = calculateTax(1999, { taxClass: 'standard', taxRate: 0.5 }, rules);
+
+      // 144.93 -> 145 y 19.99 -> 20, redondeados por separado
+      expect(result.parts.map(part => part.taxMinor)).toEqual([145, 20]);
+      expect(result.taxMinor).toBe(165);
+      expect(result.rate).toBe(0.0825);
+    });
+
+    it('Debería usar la tasa del producto si ninguna regla aplica a su clase', () => {
+      const result = calculateTax(1000, { taxClass: 'digital', taxRate: 0.05 }, [rule()]);
+
+      expect(result).toEqual({ taxMinor: 50, rate: 0.05, parts: [{ rule: null, rate: 0.05, taxMinor: 50 }] });
+    });
+
+    it('Debería no gravar lo que no tiene reglas ni tasa propia', () => {
+      expect(calculateTax(500, { taxClass: 'shipping' }, [rule()])).toEqual({ taxMinor: 0, rate: 0, parts: [] });
+    });
+  });
+
+  describe('summarizeTax', () => {
+    it('Debería agrupar el impuesto por jurisdicción', () => {
+      const state = rule({ id: 1, name: 'State', region: 'CA', rate: 0.07 });
+      const lines = [
+        { taxableMinor: 1000, taxes: [{ rule: state, rate: 0.07, taxMinor: 70 }] },
+        { taxableMinor: 500, taxes: [{ rule: state, rate: 0.07, taxMinor: 35 }] },
+        { taxableMinor: 200, taxes: [{ rule: null, rate: 0.1, taxMinor: 20 }] }
+      ];
+
+      expect(summarizeTax(lines)).toEqual([
+        { taxRuleId: 1, name: 'State', country: 'US', region: 'CA', postalPrefix: null, rate: 0.07, taxableMinor: 1500, taxMinor: 105 },
+        { taxRuleId: null, name: 'Tax', country: null, region: null, postalPrefix: null, rate: 0.1, taxableMinor: 200, taxMinor: 20 }
+      ]);
+    });
+  });
+});
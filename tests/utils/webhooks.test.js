@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { subscribesTo, isEventFilter, sign, retryDelay } = require('../../utils/webhooks');
+
+describe('webhooks', () => {
+  describe('subscribesTo', () => {
+    it('Debería filtrar los eventos por tipo exacto, prefijo o comodín', () => {
+      expect(subscribesTo({ events: ['product.created'] }, 'product.created')).toBe(true);
+      expect(subscribesTo({ events: ['product.created'] }, 'product.updated')).toBe(false);
+      expect(subscribesTo({ events: ['cart.*'] }, 'cart.item_added')).toBe(true);
+      expect(subscribesTo({ events: ['cart.*'] }, 'inventory.changed')).toBe(false);
+      expect(subscribesTo({ events: ['*'] }, 'inventory.changed')).toBe(true);
+    });
+  });
+
+  describe('isEventFilter', () => {
+    it('Debería aceptar solo tipos y prefijos de eventos conocidos', () => {
+      expect(isEventFilter('inventory.changed')).toBe(true);
+      expect(isEventFilter('product.*')).toBe(true);
+      expect(isEventFilter('*')).toBe(true);
+      expect(isEventFilter('order.created')).toBe(false);
+      expect(isEventFilter('user.*')).toBe(false);
+      expect(isEventFilter(3)).toBe(false);
+    });
+  });
+
+  describe('sign', () => {
+    it('Debería firmar la marca de tiempo y el cuerpo con HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'secreto-compartido').update('1700000000.{"a":1}').digest('hex');
+
+      expect(sign('secreto-compartido', 1700000000, '{"a":1}')).toBe(expected);
+      expect(sign('otro-secreto', 1700000000, '{"a":1}')).not.toBe(expected);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('Debería duplicar la espera tras cada intento hasta el máximo', () => {
+      expect([1, 2, 3, 4, 5].map(attempts => retryDelay(attempts, 1000, 10000))).toEqual([1000, 2000, 4000, 8000, 10000]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const FIELDS = ['name', 'line1', 'line2', 'city', 'region', 'postalCode', 'country'];
+
+// Trims every field and upper-cases the country and region codes so addresses
+// compare equal to tax rules however they were typed. Empty fields are dropped.
+const normalizeAddress = (address) => {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return address;
+  }
+
+  const normalized = {};
+  Object.entries(address).forEach(([field, value]) => {
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (field === 'country' || field === 'region') {
+        value = value.toUpperCase();
+      }
+    }
+    if (value !== '' && value !== null && value !== undefined) {
+      normalized[field] = value;
+    }
+  });
+  return normalized;
+};
+
+// Throws if the address is not an object of known string fields with a
+// two-letter ISO 3166 country code
+const validateAddress = (address) => {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw new Error('Address must be an object');
+  }
+
+  const unknown = Object.keys(address).filter(field => !FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`Unknown address fields: ${unknown.join(', ')}`);
+  }
+
+  const invalid = Object.keys(address).filter(field => typeof address[field] !== 'string');
+  if (invalid.length) {
+    throw new Error(`Address fields must be strings: ${invalid.join(', ')}`);
+  }
+
+  if (!/^[A-Z]{2}$/.test(address.country || '')) {
+    throw new Error('Address country must be a two-letter ISO 3166 code');
+  }
+};
+
+module.exports = {
+  FIELDS,
+  normalizeAddress,
+  validateAddress,
+};
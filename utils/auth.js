@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Hashes a password with a random salt, as "scrypt$<salt>$<hash>"
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+// Whether password is the one `stored` was hashed from
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Signs claims as a JWT (HS256) that expires ttlSeconds after now
+const signToken = (claims, secret, ttlSeconds, now = Date.now()) => {
+  const iat = Math.floor(now / 1000);
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat, exp: iat + ttlSeconds })}`;
+  return `${unsigned}.${hmac(secret, unsigned).toString('base64url')}`;
+};
+
+// The claims of a token signed with secret, or null when it is malformed,
+// tampered with or expired
+const verifyToken = (token, secret, now = Date.now()) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  const [header, payload, signature] = parts;
+  const expected = hmac(secret, `${header}.${payload}`);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims.exp !== 'number' || claims.exp <= Math.floor(now / 1000)) {
+    return null;
+  }
+  return claims;
+};
+
+// A random, URL-safe secret such as a guest cart token
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Compares a secret sent by a client with the stored one in constant time
+const tokensMatch = (given, stored) => {
+  if (typeof given !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(given);
+  const b = Buffer.from(stored);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken, generateToken, tokensMatch };
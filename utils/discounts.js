@@ -0,0 +1,139 @@
+const { multiply, fromMinor } = require('./money');
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+// Splits an amount in whole minor units across lines in proportion to their
+// weights. Units left over by rounding down go to the lines with the largest
+// remainders, so the shares always add up to the amount.
+const allocate = (amount, weights) => {
+  const totalWeight = sum(weights);
+  if (!totalWeight) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map(weight => Math.floor(amount * weight / totalWeight));
+  let leftover = amount - sum(shares);
+
+  weights
+    .map((weight, index) => ({ index, remainder: (amount * weight) % totalWeight }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0 && weights[index] > 0) {
+        shares[index] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares;
+};
+
+// Why a coupon can't be used on a cart right now, or null if it can.
+// subtotalMinor is the cart subtotal and eligibleMinor the part of it covered
+// by the coupon's category scope, both in the cart currency.
+const couponRejection = (coupon, { subtotalMinor, eligibleMinor, convert, now }) => {
+  if (!coupon.active) {
+    return 'inactive';
+  }
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    return 'not_started';
+  }
+  if (coupon.expiresAt && now >= new Date(coupon.expiresAt)) {
+    return 'expired';
+  }
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return 'usage_limit_reached';
+  }
+  if (coupon.minSubtotalMinor && subtotalMinor < convert(coupon.minSubtotalMinor)) {
+    return 'min_subtotal_not_met';
+  }
+  if (!eligibleMinor) {
+    return 'not_applicable';
+  }
+  return null;
+};
+
+// Shopper-facing explanation of a rejection reason
+const rejectionMessage = (coupon, reason, { convert, currency } = {}) => {
+  const { code } = coupon;
+  switch (reason) {
+    case 'not_found':
+      return `Coupon ${code} does not exist`;
+    case 'already_applied':
+      return `Coupon ${code} is already applied to this cart`;
+    case 'inactive':
+      return `Coupon ${code} is no longer active`;
+    case 'not_started':
+      return `Coupon ${code} is not valid until ${new Date(coupon.startsAt).toISOString()}`;
+    case 'expired':
+      return `Coupon ${code} expired on ${new Date(coupon.expiresAt).toISOString()}`;
+    case 'usage_limit_reached':
+      return `Coupon ${code} has reached its usage limit`;
+    case 'min_subtotal_not_met':
+      return `Coupon ${code} requires a subtotal of at least ${fromMinor(convert(coupon.minSubtotalMinor), currency)} ${currency}`;
+    case 'not_applicable':
+      return `Coupon ${code} does not apply to any item in the cart`;
+    default:
+      return `Coupon ${code} cannot be applied`;
+  }
+};
+
+// Works out what a cart's coupons take off. Coupons are applied in order, each
+// to what is left of its eligible lines after the previous ones, so stacked
+// coupons never take a line below zero.
+//
+// lines: [{ categoryId, itemSubtotalMinor }] in the cart currency
+// coupons: plain coupon rows with `categoryIds`, the ids their scope covers
+//          (null when unscoped)
+// options: { convert, currency, now } where convert turns store-currency
+//          minor units into the cart currency
+//
+// Returns the discount of each line, and for each coupon the discount it gave
+// or the reason it was rejected.
+const calculateDiscounts = (coupons, lines, { convert = minor => minor, currency, now = new Date() } = {}) => {
+  const subtotalMinor = sum(lines.map(line => line.itemSubtotalMinor));
+  const lineDiscounts = lines.map(() => 0);
+  let freeShipping = false;
+
+  const results = coupons.map(coupon => {
+    const eligible = lines.map(line => !coupon.categoryIds || coupon.categoryIds.includes(line.categoryId));
+    const eligibleMinor = sum(lines.map((line, index) => (eligible[index] ? line.itemSubtotalMinor : 0)));
+
+    const reason = couponRejection(coupon, { subtotalMinor, eligibleMinor, convert, now });
+    if (reason) {
+      return { coupon, discountMinor: 0, reason, message: rejectionMessage(coupon, reason, { convert, currency }) };
+    }
+
+    const remaining = lines.map((line, index) => (eligible[index] ? line.itemSubtotalMinor - lineDiscounts[index] : 0));
+    const remainingMinor = sum(remaining);
+
+    let discountMinor = 0;
+    if (coupon.type === 'percentage') {
+      discountMinor = multiply(remainingMinor, coupon.rate);
+    } else if (coupon.type === 'fixed') {
+      discountMinor = Math.min(convert(coupon.amountMinor), remainingMinor);
+    } else if (coupon.type === 'free_shipping') {
+      freeShipping = true;
+    }
+
+    allocate(discountMinor, remaining).forEach((share, index) => {
+      lineDiscounts[index] += share;
+    });
+
+    return { coupon, discountMinor, reason: null, message: null };
+  });
+
+  return {
+    coupons: results,
+    lineDiscounts,
+    discountMinor: sum(lineDiscounts),
+    freeShipping
+  };
+};
+
+module.exports = {
+  sum,
+  allocate,
+  couponRejection,
+  rejectionMessage,
+  calculateDiscounts,
+};
@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+const config = require('../config');
+const { ValidationError } = require('../services/errors');
+
+// Number of decimal places of each supported currency's minor unit, and for
+// currencies priced in steps larger than one minor unit, the step size in
+// minor units (CHF prices are rounded to 0.05)
+const CURRENCIES = {
+  USD: { exponent: 2 },
+  EUR: { exponent: 2 },
+  GBP: { exponent: 2 },
+  CAD: { exponent: 2 },
+  MXN: { exponent: 2 },
+  COP: { exponent: 2 },
+  BRL: { exponent: 2 },
+  CHF: { exponent: 2, increment: 5 },
+  JPY: { exponent: 0 },
+  KRW: { exponent: 0 },
+  CLP: { exponent: 0 },
+};
+
+const ROUNDING_MODES = ['HALF_UP', 'HALF_DOWN', 'HALF_EVEN', 'UP', 'DOWN', 'CEILING', 'FLOOR'];
+
+const exponentOf = (currency) => {
+  const definition = CURRENCIES[currency];
+  if (!definition) {
+    throw new ValidationError(`Unsupported currency: ${currency}`);
+  }
+  return definition.exponent;
+};
+
+// Splits a decimal number or string into an exact fraction of BigInts,
+// e.g. "0.075" -> { numerator: 75n, denominator: 1000n }
+const toFraction = (value) => {
+  let text = String(value).trim();
+  if (/e/i.test(text)) {
+    text = Number(value).toFixed(20).replace(/0+$/, '');
+  }
+
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new ValidationError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const numerator = BigInt(`${whole || '0'}${fraction}`) * (sign ? -1n : 1n);
+  return { numerator, denominator: 10n ** BigInt(fraction.length) };
+};
+
+// Divides two BigInts, rounding the result to an integer with the given mode
+const divide = (numerator, denominator, mode = config.roundingMode) => {
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Unknown rounding mode: ${mode}`);
+  }
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;  // truncated toward zero
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const awayFromZero = quotient + sign;
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  switch (mode) {
+    case 'UP':
+      return awayFromZero;
+    case 'DOWN':
+      return quotient;
+    case 'CEILING':
+      return sign > 0n ? awayFromZero : quotient;
+    case 'FLOOR':
+      return sign < 0n ? awayFromZero : quotient;
+    default:
+      if (twiceRemainder > denominator) return awayFromZero;
+      if (twiceRemainder < denominator) return quotient;
+      if (mode === 'HALF_UP') return awayFromZero;
+      if (mode === 'HALF_DOWN') return quotient;
+      return quotient % 2n === 0n ? quotient : awayFromZero;  // HALF_EVEN
+  }
+};
+
+// Converts a decimal amount ("19.99" or 19.99) to integer minor units (1999).
+// Amounts with more decimals than the currency allows are rejected.
+const toMinor = (amount, currency = config.currency) => {
+  const exponent = BigInt(exponentOf(currency));
+  const { numerator, denominator } = toFraction(amount);
+  const scaled = numerator * 10n ** exponent;
+
+  if (scaled % denominator !== 0n) {
+    throw new ValidationError(`Amount ${amount} has more than ${exponent} decimal places for ${currency}`);
+  }
+  return Number(scaled / denominator);
+};
+
+// Formats integer minor units as a fixed-precision decimal string (1999 -> "19.99")
+const fromMinor = (minor, currency = config.currency) => {
+  const exponent = exponentOf(currency);
+  const negative = minor < 0;
+  const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+  const whole = digits.slice(0, digits.length - exponent);
+  const fraction = digits.slice(digits.length - exponent);
+  return `${negative ? '-' : ''}${whole}${exponent ? `.${fraction}` : ''}`;
+};
+
+// Multiplies minor units by a decimal factor such as a tax rate, rounding the
+// result back to whole minor units
+const multiply = (minor, factor, mode = config.roundingMode) => {
+  const { numerator, denominator } = toFraction(factor);
+  return Number(divide(BigInt(minor) * numerator, denominator, mode));
+};
+
+// Converts minor units of one currency into another at the given rate (units
+// of the target currency per unit of the source currency). The result is
+// rounded to the target currency's minor unit, or its increment if it has one.
+const convert = (minor, rate, from, to, mode = config.roundingMode) => {
+  const { numerator, denominator } = toFraction(rate);
+  if (numerator <= 0n) {
+    throw new ValidationError(`Invalid exchange rate: ${rate}`);
+  }
+
+  const increment = BigInt(CURRENCIES[to] && CURRENCIES[to].increment || 1);
+  const scale = BigInt(exponentOf(to)) - BigInt(exponentOf(from));
+  const scaledNumerator = BigInt(minor) * numerator * (scale > 0n ? 10n ** scale : 1n);
+  const scaledDenominator = denominator * (scale < 0n ? 10n ** -scale : 1n) * increment;
+
+  return Number(divide(scaledNumerator, scaledDenominator, mode) * increment);
+};
+
+// Attribute definition exposing an integer minor-unit column as a decimal
+// string. Writing a decimal amount to it stores the equivalent minor units.
+// currencyOf returns the currency of a given instance.
+const moneyAttribute = (minorField, currencyOf = () => config.currency) => ({
+  type: DataTypes.VIRTUAL,
+  get() {
+    const minor = this.getDataValue(minorField);
+    return minor === null || minor === undefined ? minor : fromMinor(minor, currencyOf(this));
+  },
+  set(amount) {
+    this.setDataValue(minorField, amount === null || amount === undefined ? amount : toMinor(amount, currencyOf(this)));
+  }
+});
+
+module.exports = {
+  CURRENCIES,
+  ROUNDING_MODES,
+  toMinor,
+  fromMinor,
+  multiply,
+  convert,
+  divide,
+  moneyAttribute,
+};
@@ -0,0 +1,105 @@
+const { Op } = require('sequelize');
+const { ValidationError } = require('../services/errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Page size from the `limit` query parameter, capped at MAX_PAGE_SIZE
+const parseLimit = (limit) => {
+  if (limit === undefined || limit === '') {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  const parsed = parseInt(limit);
+  if (isNaN(parsed) || parsed < 1) {
+    throw new ValidationError(`Invalid limit: ${limit}`);
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+const parseOffset = (offset) => {
+  if (offset === undefined || offset === '') {
+    return 0;
+  }
+
+  const parsed = parseInt(offset);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new ValidationError(`Invalid offset: ${offset}`);
+  }
+  return parsed;
+};
+
+// A cursor records the values of the sort keys of the last row of a page.
+// Dates are tagged so they can be revived when decoding.
+const encodeCursor = (values) => {
+  const encoded = values.map(value => (value instanceof Date ? { date: value.toISOString() } : value));
+  return Buffer.from(JSON.stringify(encoded)).toString('base64url');
+};
+
+// Decodes a cursor issued for a sort with `keyCount` keys
+const decodeCursor = (cursor, keyCount) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!Array.isArray(values) || values.length !== keyCount) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return values.map(value => (value && value.date ? new Date(value.date) : value));
+};
+
+// Where clause selecting the rows that come after the cursor values for the
+// given [column, direction] keys: (a > x) OR (a = x AND b > y) OR ...
+const cursorWhere = (keys, values) => ({
+  [Op.or]: keys.map(([column, direction], i) => {
+    const condition = {};
+    keys.slice(0, i).forEach(([previousColumn], j) => {
+      condition[previousColumn] = values[j];
+    });
+    condition[column] = { [direction === 'DESC' ? Op.lt : Op.gt]: values[i] };
+    return condition;
+  })
+});
+
+// Builds an RFC 5988 Link header value with first/prev/next/last links for a page
+const buildLinkHeader = (req, page) => {
+  const path = req.path === '/' ? '' : req.path;
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${path}`;
+  const link = (params, rel) => {
+    const query = new URLSearchParams(req.query);
+    query.delete('offset');
+    query.delete('cursor');
+    query.set('limit', page.limit);
+    Object.entries(params).forEach(([key, value]) => query.set(key, value));
+    return `<${baseUrl}?${query}>; rel="${rel}"`;
+  };
+
+  const links = [link({ offset: 0 }, 'first')];
+  if (page.offset !== null && page.offset > 0) {
+    links.push(link({ offset: Math.max(page.offset - page.limit, 0) }, 'prev'));
+  }
+  // Prefer the cursor for "next" so rows inserted meanwhile don't shift the page
+  if (page.nextCursor) {
+    links.push(link({ cursor: page.nextCursor }, 'next'));
+  } else if (page.offset !== null && page.offset + page.limit < page.total) {
+    links.push(link({ offset: page.offset + page.limit }, 'next'));
+  }
+  if (page.total > 0) {
+    links.push(link({ offset: Math.floor((page.total - 1) / page.limit) * page.limit }, 'last'));
+  }
+  return links.join(', ');
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  parseOffset,
+  encodeCursor,
+  decodeCursor,
+  cursorWhere,
+  buildLinkHeader
+};
@@ -0,0 +1,15 @@
+// What each role may do. Customers can only shop; staff get the permissions
+// their job needs.
+const ROLE_PERMISSIONS = {
+  customer: [],
+  catalog_manager: ['catalog:manage', 'inventory:manage'],
+  marketing: ['reports:view'],
+  admin: ['catalog:manage', 'inventory:manage', 'store:manage', 'users:manage', 'reports:view'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Whether a user's role grants a permission
+const can = (user, permission) => Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+module.exports = { ROLE_PERMISSIONS, ROLES, can };
@@ -0,0 +1,127 @@
+const { multiply } = require('./money');
+const { sum, allocate } = require('./discounts');
+
+// How overlapping promotions on the same item are resolved:
+// - priority: promotions are applied from highest to lowest priority, each to
+//   what the previous ones left. A non-stackable promotion only applies to
+//   items no other promotion applied to, and stops later ones applying to them.
+// - best: each item gets the single promotion that saves the most on it.
+const POLICIES = ['priority', 'best'];
+
+const inScope = (promotion, line) => {
+  if (promotion.productId) {
+    return line.productId === promotion.productId;
+  }
+  if (promotion.categoryIds) {
+    return promotion.categoryIds.includes(line.categoryId);
+  }
+  return true;
+};
+
+// Savings of each promotion type on the lines it applies to, given how much of
+// each line's amount is left to discount
+const EVALUATORS = {
+  buy_x_get_y: (promotion, lines, amounts) => lines.map((line, index) => {
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const discountedUnits = Math.floor(line.quantity / groupSize) * promotion.getQuantity;
+    const rate = promotion.rate === null || promotion.rate === undefined ? 1 : promotion.rate;
+    return Math.min(multiply(discountedUnits * line.unitPriceMinor, rate), amounts[index]);
+  }),
+
+  quantity_tier: (promotion, lines, amounts) => lines.map((line, index) => {
+    const tier = promotion.tiers
+      .filter(({ minQuantity }) => line.quantity >= minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    return tier ? multiply(amounts[index], tier.rate) : 0;
+  }),
+
+  spend_threshold: (promotion, lines, amounts, convert) => {
+    const spentMinor = sum(lines.map(line => line.itemSubtotalMinor));
+    if (!lines.length || spentMinor < convert(promotion.minSubtotalMinor)) {
+      return lines.map(() => 0);
+    }
+
+    const remainingMinor = sum(amounts);
+    const savings = promotion.rate === null || promotion.rate === undefined
+      ? Math.min(convert(promotion.amountMinor), remainingMinor)
+      : multiply(remainingMinor, promotion.rate);
+    return allocate(savings, amounts);
+  },
+};
+
+// Runs a promotion on the lines that pass the filter; returns savings for every line
+const evaluate = (promotion, lines, amounts, convert, filter) => {
+  const indexes = lines.map((line, index) => index).filter(index => filter(index));
+  const savings = EVALUATORS[promotion.type](
+    promotion,
+    indexes.map(index => lines[index]),
+    indexes.map(index => amounts[index]),
+    convert
+  );
+
+  const result = lines.map(() => 0);
+  indexes.forEach((lineIndex, position) => {
+    result[lineIndex] = savings[position];
+  });
+  return result;
+};
+
+// Works out which promotions apply to which cart lines.
+//
+// lines: [{ productId, categoryId, quantity, unitPriceMinor, itemSubtotalMinor }]
+//        in the cart currency
+// promotions: active promotion rows with `categoryIds`, the ids their category
+//             scope covers (null when they have none)
+// options: { convert, policy } where convert turns store-currency minor units
+//          into the cart currency
+//
+// Returns, for each line, the promotions applied to it with their savings.
+const applyPromotions = (promotions, lines, { convert = minor => minor, policy = 'priority' } = {}) => {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown promotion policy: ${policy}`);
+  }
+
+  const ordered = [...promotions].sort((a, b) => b.priority - a.priority || a.id - b.id);
+  const applied = lines.map(() => []);
+  const amounts = lines.map(line => line.itemSubtotalMinor);
+
+  if (policy === 'best') {
+    ordered.forEach(promotion => {
+      const savings = evaluate(promotion, lines, amounts, convert, index => inScope(promotion, lines[index]));
+      savings.forEach((savingsMinor, index) => {
+        const best = applied[index][0];
+        if (savingsMinor > 0 && (!best || savingsMinor > best.savingsMinor)) {
+          applied[index] = [{ promotion, savingsMinor }];
+        }
+      });
+    });
+  } else {
+    const blocked = lines.map(() => false);
+
+    ordered.forEach(promotion => {
+      const available = index => inScope(promotion, lines[index]) && !blocked[index] && amounts[index] > 0 &&
+        (promotion.stackable || !applied[index].length);
+
+      const savings = evaluate(promotion, lines, amounts, convert, available);
+      savings.forEach((savingsMinor, index) => {
+        if (savingsMinor > 0) {
+          amounts[index] -= savingsMinor;
+          applied[index].push({ promotion, savingsMinor });
+          blocked[index] = blocked[index] || !promotion.stackable;
+        }
+      });
+    });
+  }
+
+  const lineSavings = applied.map(promotionsOnLine => sum(promotionsOnLine.map(({ savingsMinor }) => savingsMinor)));
+  return {
+    applied,
+    lineSavings,
+    savingsMinor: sum(lineSavings)
+  };
+};
+
+module.exports = {
+  POLICIES,
+  applyPromotions,
+};
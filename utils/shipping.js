@@ -0,0 +1,77 @@
+const { sum } = require('./discounts');
+
+// Total weight and volume of cart items loaded with their Product. Products
+// without a weight or dimensions count as weightless and without volume.
+const measureItems = (items) => ({
+  weightGrams: sum(items.map(item => item.quantity * (item.Product.weightGrams || 0))),
+  volumeMm3: sum(items.map(item =>
+    item.quantity * (item.Product.lengthMm || 0) * (item.Product.widthMm || 0) * (item.Product.heightMm || 0)))
+});
+
+// Weight a method charges for: the actual weight, or the volumetric weight if
+// the method has a divisor and that is higher. With dimensions in millimetres,
+// volume / divisor is already in grams (cm³ / divisor gives kilograms).
+const billableWeight = ({ weightGrams, volumeMm3 }, method) => {
+  if (!method.volumetricDivisor) {
+    return weightGrams;
+  }
+  return Math.max(weightGrams, Math.ceil(volumeMm3 / method.volumetricDivisor));
+};
+
+// Quotes a shipping method for a cart, in the cart currency.
+//
+// context: { measures, address, subtotalMinor, convert, freeShipping } where
+// subtotalMinor is what the goods cost after promotions and coupons and
+// freeShipping is whether a free shipping coupon applies.
+//
+// Returns { amountMinor, weightGrams, reason, free } with reason null when the
+// method can be used, else one of inactive, address_required,
+// country_not_served, too_heavy.
+const quoteShipping = (method, { measures, address, subtotalMinor, convert = minor => minor, freeShipping = false }) => {
+  const weightGrams = billableWeight(measures, method);
+  const unavailable = (reason) => ({ amountMinor: null, weightGrams, reason, free: false });
+
+  if (!method.active) {
+    return unavailable('inactive');
+  }
+  if (method.countries && method.countries.length) {
+    if (!address || !address.country) {
+      return unavailable('address_required');
+    }
+    if (!method.countries.includes(address.country)) {
+      return unavailable('country_not_served');
+    }
+  }
+
+  let amountMinor = method.amountMinor;
+  if (method.type === 'weight') {
+    const tier = [...method.tiers]
+      .sort((a, b) => a.maxWeightGrams - b.maxWeightGrams)
+      .find(({ maxWeightGrams }) => weightGrams <= maxWeightGrams);
+    if (!tier) {
+      return unavailable('too_heavy');
+    }
+    amountMinor = tier.amountMinor;
+  }
+
+  const aboveThreshold = method.freeAboveMinor !== null && method.freeAboveMinor !== undefined &&
+    subtotalMinor >= convert(method.freeAboveMinor);
+  const free = freeShipping || aboveThreshold;
+
+  return { amountMinor: free ? 0 : convert(amountMinor), weightGrams, reason: null, free };
+};
+
+// Shopper-facing explanation of why a method can't be used
+const unavailableMessage = (method, reason) => ({
+  inactive: `${method.name} is no longer available`,
+  address_required: `${method.name} needs a shipping address`,
+  country_not_served: `${method.name} does not ship to this country`,
+  too_heavy: `The cart is too heavy for ${method.name}`,
+}[reason]);
+
+module.exports = {
+  measureItems,
+  billableWeight,
+  quoteShipping,
+  unavailableMessage,
+};
@@ -0,0 +1,37 @@
+const { ValidationError } = require('../services/errors');
+
+const DIRECTIONS = ['ASC', 'DESC'];
+
+// Parses a sort parameter such as "price:desc,name:asc" into
+// [{ field: 'price', direction: 'DESC' }, { field: 'name', direction: 'ASC' }].
+// The older "price,DESC" form is also accepted: a segment that is only a
+// direction applies to the key before it. Fields outside `allowedFields` and
+// unknown directions are rejected.
+const parseSort = (sort, allowedFields) => {
+  const keys = [];
+
+  for (const segment of String(sort).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [field, direction] = segment.split(':');
+
+    if (!direction && DIRECTIONS.includes(field.toUpperCase()) && keys.length) {
+      keys[keys.length - 1].direction = field.toUpperCase();
+      continue;
+    }
+
+    if (!allowedFields.includes(field)) {
+      throw new ValidationError(`Invalid sort field: ${field}. Allowed fields: ${allowedFields.join(', ')}`);
+    }
+    if (direction && !DIRECTIONS.includes(direction.toUpperCase())) {
+      throw new ValidationError(`Invalid sort direction: ${direction}`);
+    }
+    if (keys.some(key => key.field === field)) {
+      throw new ValidationError(`Duplicate sort field: ${field}`);
+    }
+
+    keys.push({ field, direction: direction ? direction.toUpperCase() : 'ASC' });
+  }
+
+  return keys;
+};
+
+module.exports = { parseSort };
@@ -0,0 +1,87 @@
+const { multiply } = require('./money');
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+// Postal codes are compared without spaces or dashes, case-insensitively
+const normalizePostalCode = (postalCode) =>
+  typeof postalCode === 'string' ? postalCode.replace(/[\s-]/g, '').toUpperCase() : postalCode;
+
+// Whether a tax rule covers an address. Rules without a region or postal
+// prefix cover the whole country or region.
+const ruleApplies = (rule, address) => {
+  if (!address || rule.country !== address.country) {
+    return false;
+  }
+  if (rule.region && rule.region !== address.region) {
+    return false;
+  }
+  if (rule.postalPrefix && !(normalizePostalCode(address.postalCode) || '').startsWith(rule.postalPrefix)) {
+    return false;
+  }
+  return true;
+};
+
+// Tax on an amount for a product, given the rules that cover the shipping
+// address. Every rule for the product's tax class applies (country, region and
+// local taxes add up) and is rounded separately. When none does, the product's
+// own taxRate is used, if it has one.
+//
+// Returns { taxMinor, rate, parts: [{ rule, rate, taxMinor }] } where rule is
+// null for the product rate.
+const calculateTax = (amountMinor, product, rules, mode) => {
+  const taxClass = product.taxClass || DEFAULT_TAX_CLASS;
+  const applicable = rules.filter(rule => rule.taxClass === taxClass);
+
+  let parts = [];
+  if (applicable.length) {
+    parts = applicable.map(rule => ({ rule, rate: rule.rate, taxMinor: multiply(amountMinor, rule.rate, mode) }));
+  } else if (product.taxRate) {
+    parts = [{ rule: null, rate: product.taxRate, taxMinor: multiply(amountMinor, product.taxRate, mode) }];
+  }
+
+  return {
+    taxMinor: parts.reduce((total, part) => total + part.taxMinor, 0),
+    // Rounded like the rates themselves so 0.0725 + 0.01 stays 0.0825
+    rate: Number(parts.reduce((total, part) => total + part.rate, 0).toFixed(6)),
+    parts
+  };
+};
+
+// Adds up the tax of every line per jurisdiction (per rule, or per rate for
+// lines taxed at their product rate).
+//
+// lines: [{ taxableMinor, taxes }] with taxes the parts returned by calculateTax
+const summarizeTax = (lines) => {
+  const jurisdictions = new Map();
+
+  lines.forEach(({ taxableMinor, taxes }) => {
+    taxes.forEach(({ rule, rate, taxMinor }) => {
+      const key = rule ? `rule:${rule.id}` : `rate:${rate}`;
+      if (!jurisdictions.has(key)) {
+        jurisdictions.set(key, {
+          taxRuleId: rule ? rule.id : null,
+          name: rule ? rule.name : 'Tax',
+          country: rule ? rule.country : null,
+          region: rule ? rule.region || null : null,
+          postalPrefix: rule ? rule.postalPrefix || null : null,
+          rate,
+          taxableMinor: 0,
+          taxMinor: 0
+        });
+      }
+      const jurisdiction = jurisdictions.get(key);
+      jurisdiction.taxableMinor += taxableMinor;
+      jurisdiction.taxMinor += taxMinor;
+    });
+  });
+
+  return [...jurisdictions.values()];
+};
+
+module.exports = {
+  DEFAULT_TAX_CLASS,
+  normalizePostalCode,
+  ruleApplies,
+  calculateTax,
+  summarizeTax,
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Events the app emits. Webhooks subscribe to some of them, or to all with '*'.
+const EVENT_TYPES = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'inventory.changed',
+  'cart.item_added',
+  'cart.item_updated',
+  'cart.item_removed',
+  'cart.checked_out',
+];
+
+// Whether a webhook wants an event. Events may be filtered by exact type or by
+// prefix ('cart.*').
+const subscribesTo = (webhook, type) => (webhook.events || []).some(filter =>
+  filter === '*' || filter === type || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1))));
+
+const isEventFilter = (filter) => filter === '*' ||
+  EVENT_TYPES.includes(filter) ||
+  (typeof filter === 'string' && filter.endsWith('.*') && EVENT_TYPES.some(type => type.startsWith(filter.slice(0, -1))));
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret, hex encoded.
+// Signing the timestamp lets receivers reject replayed deliveries.
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Delay before retrying a delivery that has failed `attempts` times:
+// base, 2 × base, 4 × base, ... capped at max
+const retryDelay = (attempts, baseMs, maxMs) => Math.min(baseMs * 2 ** (attempts - 1), maxMs);
+
+module.exports = { EVENT_TYPES, subscribesTo, isEventFilter, sign, retryDelay };